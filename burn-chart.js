@@ -0,0 +1,143 @@
+/**
+ * Burn Chart
+ * Weekly burn-up/burn-down series in story points with a separate scope line,
+ * replayed from creation dates, resolutions and story point changes in changelogs
+ */
+
+const ConfigManager = require('./config');
+const IssueHistory = require('./issue-history');
+
+const MS_PER_WEEK = 7 * 24 * 60 * 60 * 1000;
+
+class BurnChart {
+  // containerTypes and wontFixResolutions default to metrics.ignoredIssueTypes and metrics.wontFixResolutions
+  constructor(options = {}) {
+    const metricsConfig = new ConfigManager().getMetricsConfig();
+    this.storyPointField = options.storyPointField || 'customfield_10002';
+    this.containerTypes = options.containerTypes || metricsConfig.ignoredIssueTypes;
+    this.wontFixResolutions = (options.wontFixResolutions || metricsConfig.wontFixResolutions).map(resolution => resolution.toLowerCase());
+    this.history = options.history || new IssueHistory({ storyPointField: this.storyPointField });
+    this.now = options.now ? new Date(options.now) : new Date();
+  }
+
+  isWorkItem(issue) {
+    const issueType = (issue.fields?.issuetype?.name || '').toLowerCase();
+    return !this.containerTypes.some(type => issueType.includes(type));
+  }
+
+  toNumber(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? 0 : number;
+  }
+
+  // Value of a field timeline at a point in time
+  valueAt(timeline, time) {
+    let value = timeline.initial;
+    timeline.changes.forEach(change => {
+      if (new Date(change.at) <= time) {
+        value = change.to;
+      }
+    });
+    return value;
+  }
+
+  // How one issue contributes over time: story points and whether it counts as done
+  buildIssueModel(issue, changelog) {
+    const fields = issue.fields || {};
+    const model = {
+      key: issue.key,
+      created: new Date(fields.created),
+      storyPoints: null,
+      resolution: null,
+      currentResolution: fields.resolution?.name || null,
+      resolvedAt: fields.resolutiondate ? new Date(fields.resolutiondate) : null
+    };
+
+    if (changelog) {
+      model.storyPoints = this.history.buildFieldTimeline(issue, changelog, 'storyPoints');
+      model.resolution = this.history.buildFieldTimeline(issue, changelog, 'resolution');
+    }
+    return model;
+  }
+
+  pointsAt(model, time, issue) {
+    if (model.storyPoints) {
+      return this.toNumber(this.valueAt(model.storyPoints, time));
+    }
+    return this.toNumber(issue.fields?.[this.storyPointField]);
+  }
+
+  // Matched case-insensitively as substrings, like the story point totals in the table
+  isWontFix(resolution) {
+    const name = String(resolution).toLowerCase();
+    return this.wontFixResolutions.some(wontFix => name.includes(wontFix));
+  }
+
+  // Resolution in effect at a point in time, or null while open; reopened issues go back to null
+  // when the changelog shows the resolution cleared
+  resolutionAt(model, time) {
+    if (model.resolution) {
+      const resolution = this.valueAt(model.resolution, time);
+      return resolution === undefined || resolution === '' ? null : resolution;
+    }
+    return model.resolvedAt && model.resolvedAt <= time ? (model.currentResolution || 'Resolved') : null;
+  }
+
+  // changelogs is the map from JiraClient.fetchChangelogs; issues without one keep their current story points
+  calculate(issues, changelogs = {}) {
+    const workIssues = issues.filter(issue => this.isWorkItem(issue) && issue.fields?.created);
+    if (workIssues.length === 0) {
+      return { unit: 'storyPoints', points: [], scopeChange: { initial: 0, current: 0, added: 0 }, usesChangelog: false };
+    }
+
+    const models = workIssues.map(issue => ({ issue, model: this.buildIssueModel(issue, changelogs[issue.key]) }));
+    const start = new Date(Math.min(...models.map(({ model }) => model.created.getTime())));
+
+    // One point per week from the first issue's creation, plus today
+    const times = [];
+    for (let time = start.getTime(); time < this.now.getTime(); time += MS_PER_WEEK) {
+      times.push(new Date(time));
+    }
+    times.push(this.now);
+
+    const points = times.map(time => {
+      let scope = 0;
+      let done = 0;
+      models.forEach(({ issue, model }) => {
+        if (model.created > time) return;
+        const resolution = this.resolutionAt(model, time);
+        // Won't-fix work leaves the scope rather than burning down as done
+        if (resolution && this.isWontFix(resolution)) return;
+        const storyPoints = this.pointsAt(model, time, issue);
+        scope += storyPoints;
+        if (resolution) {
+          done += storyPoints;
+        }
+      });
+      return {
+        date: time.toISOString().split('T')[0],
+        scope: Math.round(scope * 10) / 10,
+        done: Math.round(done * 10) / 10,
+        remaining: Math.round((scope - done) * 10) / 10
+      };
+    });
+
+    // Scope at the end of the first week is the baseline; anything above it was added mid-release
+    const baseline = points.length > 1 ? points[1].scope : points[0].scope;
+    const current = points[points.length - 1].scope;
+
+    return {
+      unit: 'storyPoints',
+      start: points[0].date,
+      points: points,
+      scopeChange: {
+        initial: baseline,
+        current: current,
+        added: Math.round((current - baseline) * 10) / 10
+      },
+      usesChangelog: workIssues.some(issue => changelogs[issue.key])
+    };
+  }
+}
+
+module.exports = BurnChart;
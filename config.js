@@ -8,7 +8,18 @@ const path = require('path');
 
 class ConfigManager {
   constructor() {
+    this.notices = []; // Logged once loaded, since the log level is itself configuration
     this.config = this.loadConfiguration();
+    this.notices.forEach(([level, message]) => this.getLogger()[level](message));
+  }
+
+  // Required here rather than at the top: logger.js loads ConfigManager for its own settings
+  getLogger() {
+    if (!this.logger) {
+      const Logger = require('./logger');
+      this.logger = new Logger('config', this.getLoggingConfig());
+    }
+    return this.logger;
   }
 
   loadConfiguration() {
@@ -37,13 +48,14 @@ class ConfigManager {
       const configData = fs.readFileSync(configPath, 'utf8');
       const config = JSON.parse(configData);
       
-      // Load API token from environment variable (.env file)
+      // Load the service token from environment variable (.env file)
       // Priority: Environment variable > config.json
+      // Users log in with their own PAT; this token is only used for scheduled work
       if (process.env.JIRA_API_TOKEN) {
         config.jira.apiToken = process.env.JIRA_API_TOKEN.trim();
       } else if (!config.jira.apiToken || config.jira.apiToken.includes('YOUR_JIRA_API_TOKEN_HERE')) {
-        // Token not in .env and not in config.json, log warning
-        console.log('⚠️ JIRA_API_TOKEN not found in .env file. Please add it to your .env file.');
+        config.jira.apiToken = null;
+        this.notices.push(['info', '[loadConfiguration] JIRA_API_TOKEN not set - scheduled work that needs a service token is disabled']);
       }
       
       return {
@@ -52,7 +64,7 @@ class ConfigManager {
         allPossibleFields: this.getAllPossibleFields()
       };
     } catch (error) {
-      console.log('No config.json found, using backend default');
+      this.notices.push(['info', '[loadConfiguration] No config.json found, using backend default']);
     }
 
     // 3. Try backend-default-config.json
@@ -61,7 +73,7 @@ class ConfigManager {
       const backendConfigData = fs.readFileSync(backendConfigPath, 'utf8');
       return JSON.parse(backendConfigData);
     } catch (error) {
-      console.log('No backend-default-config.json found, using minimal defaults');
+      this.notices.push(['info', '[loadConfiguration] No backend-default-config.json found, using minimal defaults']);
     }
 
     // 4. Fallback to minimal defaults
@@ -106,6 +118,14 @@ class ConfigManager {
         isDefault: true,
         isEditable: false
       },
+      {
+        key: 'health',
+        label: 'Health',
+        type: 'health',
+        jiraField: 'health', // Calculated by the health rules, not a Jira field
+        isDefault: true,
+        isEditable: false
+      },
       {
         key: 'fixVersions',
         label: 'Fix Version',
@@ -210,7 +230,7 @@ class ConfigManager {
       fs.writeFileSync(userConfigPath, configData);
       return true;
     } catch (error) {
-      console.error('Error saving user configuration:', error.message);
+      this.getLogger().error(`[saveUserConfig] Error saving user configuration: ${error.message}`);
       return false;
     }
   }
@@ -261,10 +281,378 @@ class ConfigManager {
     return this.config.server;
   }
 
+  // Paging settings for /rest/api/2/search (jira.search in config.json)
+  // maxResults caps the total number of issues fetched; null means no cap
+  getSearchConfig() {
+    const searchConfig = (this.config.jira && this.config.jira.search) || {};
+    const pageSize = parseInt(process.env.JIRA_SEARCH_PAGE_SIZE || searchConfig.pageSize, 10);
+    const concurrency = parseInt(process.env.JIRA_SEARCH_CONCURRENCY || searchConfig.concurrency, 10);
+    const maxResults = parseInt(process.env.JIRA_SEARCH_MAX_RESULTS || searchConfig.maxResults, 10);
+
+    return {
+      pageSize: pageSize > 0 ? pageSize : 100,
+      concurrency: concurrency > 0 ? concurrency : 3,
+      maxResults: maxResults > 0 ? maxResults : null
+    };
+  }
+
+  // Changelog (issue history) settings (jira.changelog in config.json)
+  // Changelogs cost one request per issue, so they are off unless enabled or asked for with ?history=true
+  getChangelogConfig() {
+    const changelogConfig = (this.config.jira && this.config.jira.changelog) || {};
+    const maxIssues = parseInt(process.env.JIRA_CHANGELOG_MAX_ISSUES || changelogConfig.maxIssues, 10);
+
+    return {
+      enabled: process.env.JIRA_CHANGELOG_ENABLED !== undefined ? process.env.JIRA_CHANGELOG_ENABLED === 'true' : changelogConfig.enabled === true,
+      maxIssues: maxIssues > 0 ? maxIssues : 300
+    };
+  }
+
+  // Settings shared by every metric calculator and the UI (metrics in config.json / backend-default-config.json)
+  // Invalid entries fall back to the defaults below; validateMetricsConfig() lists what was wrong
+  getMetricsConfig() {
+    return this.validateMetricsConfig().metrics;
+  }
+
+  getDefaultMetricsConfig() {
+    return {
+      // Jira field holding the estimate
+      storyPointField: 'customfield_10002',
+      // Hierarchy levels above stories; their own estimates are not counted as work
+      ignoredIssueTypes: ['epic', 'initiative', 'feature', 'x-feat', 'capability'],
+      // Resolutions (matched case-insensitively as substrings) that count as done or won't fix;
+      // resolved issues matching neither count as done
+      doneResolutions: ['done', 'fixed', 'resolved', 'closed', 'completed'],
+      wontFixResolutions: ["won't fix", 'wont fix', 'duplicate', 'cannot reproduce', 'not a bug', 'invalid'],
+      // Jira status category keys (new, indeterminate, done)
+      doneStatusCategories: ['done'],
+      // A status counts as "in progress" for cycle time when its category or its name is listed
+      inProgressStatusCategories: ['indeterminate'],
+      inProgressStatuses: ['In Progress', 'In Development', 'In Review', 'Code Review'],
+      // Monte Carlo forecast: weeks of throughput history to sample and number of trials
+      forecast: {
+        historyWeeks: 12,
+        trials: 10000
+      }
+    };
+  }
+
+  validateMetricsConfig() {
+    const defaults = this.getDefaultMetricsConfig();
+    const metricsConfig = this.config.metrics || {};
+    const metrics = { ...defaults, forecast: { ...defaults.forecast } };
+    const errors = [];
+
+    if (typeof metricsConfig !== 'object' || Array.isArray(metricsConfig)) {
+      return { metrics, errors: ['metrics must be an object'] };
+    }
+
+    const statusCategoryKeys = ['new', 'indeterminate', 'done'];
+    const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+
+    Object.keys(metricsConfig).forEach(key => {
+      const value = metricsConfig[key];
+      switch (key) {
+        case 'storyPointField':
+          if (typeof value === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(value)) {
+            metrics.storyPointField = value;
+          } else {
+            errors.push(`metrics.storyPointField must be a Jira field id such as "customfield_10002"`);
+          }
+          break;
+        case 'ignoredIssueTypes':
+        case 'doneResolutions':
+        case 'wontFixResolutions':
+        case 'inProgressStatuses':
+          if (isStringList(value)) {
+            metrics[key] = key === 'inProgressStatuses' ? value : value.map(item => item.toLowerCase());
+          } else {
+            errors.push(`metrics.${key} must be a list of non-empty strings`);
+          }
+          break;
+        case 'doneStatusCategories':
+        case 'inProgressStatusCategories':
+          if (isStringList(value) && value.every(item => statusCategoryKeys.includes(item.toLowerCase()))) {
+            metrics[key] = value.map(item => item.toLowerCase());
+          } else {
+            errors.push(`metrics.${key} must list Jira status category keys (${statusCategoryKeys.join(', ')})`);
+          }
+          break;
+        case 'forecast':
+          ['historyWeeks', 'trials'].forEach(forecastKey => {
+            if (value && value[forecastKey] !== undefined) {
+              const number = parseInt(value[forecastKey], 10);
+              if (number > 0 && number <= 100000) {
+                metrics.forecast[forecastKey] = number;
+              } else {
+                errors.push(`metrics.forecast.${forecastKey} must be a positive whole number`);
+              }
+            }
+          });
+          break;
+        default:
+          errors.push(`metrics.${key} is not a known setting`);
+      }
+    });
+
+    const overlap = metrics.doneResolutions.filter(resolution => metrics.wontFixResolutions.includes(resolution));
+    if (overlap.length > 0) {
+      errors.push(`metrics.doneResolutions and metrics.wontFixResolutions both contain: ${overlap.join(', ')}`);
+    }
+
+    return { metrics, errors };
+  }
+
+  // Snapshot history settings (snapshots in config.json); snapshots on a timer come from schedules
+  getSnapshotConfig() {
+    const snapshotConfig = this.config.snapshots || {};
+
+    return {
+      enabled: process.env.SNAPSHOTS_ENABLED !== undefined ? process.env.SNAPSHOTS_ENABLED !== 'false' : snapshotConfig.enabled !== false,
+      directory: process.env.SNAPSHOT_DIR || snapshotConfig.directory || 'data/snapshots'
+    };
+  }
+
+  // Login session settings (session in config.json); sessions are kept in memory and end on restart
+  getSessionConfig() {
+    const sessionConfig = this.config.session || {};
+    const ttlHours = parseFloat(process.env.SESSION_TTL_HOURS || sessionConfig.ttlHours);
+
+    return {
+      ttlHours: ttlHours > 0 ? ttlHours : 8,
+      cookieName: sessionConfig.cookieName || 'ndb_session',
+      secureCookie: process.env.SESSION_SECURE_COOKIE !== undefined ? process.env.SESSION_SECURE_COOKIE === 'true' : sessionConfig.secureCookie === true,
+      allowedOrigins: sessionConfig.allowedOrigins || []
+    };
+  }
+
+  // Logging settings (logging in config.json)
+  // level: error | warn | info | debug; format: text (one line per entry) or json
+  getLoggingConfig() {
+    const loggingConfig = this.config.logging || {};
+    const levels = ['error', 'warn', 'info', 'debug'];
+    const level = (process.env.LOG_LEVEL || loggingConfig.level || 'info').toLowerCase();
+    const format = (process.env.LOG_FORMAT || loggingConfig.format || 'text').toLowerCase();
+
+    return {
+      level: levels.includes(level) ? level : 'info',
+      format: format === 'json' ? 'json' : 'text'
+    };
+  }
+
+  // Response cache settings (cache in config.json)
+  // directory also keeps entries on disk so they survive restarts; ttlSeconds is per resource
+  getCacheConfig() {
+    const cacheConfig = this.config.cache || {};
+    const maxEntries = parseInt(cacheConfig.maxEntries, 10);
+    const ttlSeconds = {
+      default: 300,
+      search: 120,
+      remoteLinks: 1800,
+      confluenceTitles: 86400,
+      readiness: 900,
+      changelogs: 86400,
+      metadata: 86400
+    };
+    Object.keys(cacheConfig.ttlSeconds || {}).forEach(resource => {
+      const seconds = parseInt(cacheConfig.ttlSeconds[resource], 10);
+      if (seconds >= 0) {
+        ttlSeconds[resource] = seconds;
+      }
+    });
+
+    return {
+      enabled: process.env.CACHE_ENABLED !== undefined ? process.env.CACHE_ENABLED !== 'false' : cacheConfig.enabled !== false,
+      incremental: cacheConfig.incremental !== false,
+      directory: process.env.CACHE_DIR || cacheConfig.directory || null,
+      maxEntries: maxEntries > 0 ? maxEntries : 500,
+      ttlSeconds
+    };
+  }
+
+  // Weekly status report settings (report in config.json)
+  // templateDirectory holds weekly-report.md and weekly-report.html; copy them to customize the report
+  getReportConfig() {
+    const reportConfig = this.config.report || {};
+    const summaryLength = parseInt(reportConfig.summaryLength, 10);
+
+    return {
+      title: reportConfig.title || 'NDB Weekly Status',
+      templateDirectory: process.env.REPORT_TEMPLATE_DIR || reportConfig.templateDirectory || path.join(__dirname, 'templates'),
+      summaryLength: summaryLength > 0 ? summaryLength : 300
+    };
+  }
+
+  // Publishing the weekly report to Confluence (report.publish in config.json)
+  // titlePattern: {title} (report.title), {date} (YYYY-MM-DD) and {week} (ISO week, e.g. 2026-W42)
+  // stateFile remembers the page versions this server published, to detect edits made since
+  getReportPublishConfig() {
+    const publishConfig = (this.config.report || {}).publish || {};
+
+    return {
+      spaceKey: process.env.CONFLUENCE_PUBLISH_SPACE || publishConfig.spaceKey || null,
+      parentPageId: process.env.CONFLUENCE_PUBLISH_PARENT_ID || publishConfig.parentPageId || null,
+      titlePattern: publishConfig.titlePattern || '{title} – {week}',
+      stateFile: publishConfig.stateFile || 'data/report-publish.json'
+    };
+  }
+
+  // Finding readiness pages that are not linked from Jira (readiness.discovery in config.json)
+  // spaceKeys limits the CQL search to these Confluence spaces (all spaces when empty)
+  getReadinessDiscoveryConfig() {
+    const discoveryConfig = (this.config.readiness || {}).discovery || {};
+    const maxCandidates = parseInt(discoveryConfig.maxCandidates, 10);
+
+    return {
+      spaceKeys: Array.isArray(discoveryConfig.spaceKeys) ? discoveryConfig.spaceKeys : [],
+      maxCandidates: maxCandidates > 0 ? maxCandidates : 5
+    };
+  }
+
+  // Editing fields from the dashboard (fieldEditing in config.json)
+  // Only editableFields can be written; prependFields get a dated entry added above the current text
+  // instead of being overwritten
+  getFieldEditConfig() {
+    const editConfig = this.config.fieldEditing || {};
+
+    return {
+      editableFields: Array.isArray(editConfig.editableFields) ? editConfig.editableFields : ['customfield_23073'],
+      prependFields: Array.isArray(editConfig.prependFields) ? editConfig.prependFields : ['customfield_23073']
+    };
+  }
+
+  // Scheduled fetches (schedules in config.json); runs use the service token (JIRA_API_TOKEN)
+  // file keeps the schedules with their last run and run history; reports generated by runs go to reportDirectory.
+  // admins are the Jira usernames or email addresses allowed to manage, run and download schedules (nobody when
+  // empty): runs use the service token, so they can read issues the user's own token cannot
+  getScheduleConfig() {
+    const scheduleConfig = this.config.schedules || {};
+    const historyLimit = parseInt(scheduleConfig.historyLimit, 10);
+    const admins = process.env.SCHEDULE_ADMINS !== undefined ? process.env.SCHEDULE_ADMINS.split(',') : scheduleConfig.admins;
+
+    return {
+      enabled: process.env.SCHEDULES_ENABLED !== undefined ? process.env.SCHEDULES_ENABLED !== 'false' : scheduleConfig.enabled !== false,
+      admins: (Array.isArray(admins) ? admins : []).map(admin => String(admin).trim().toLowerCase()).filter(Boolean),
+      file: scheduleConfig.file || 'data/schedules.json',
+      reportDirectory: scheduleConfig.reportDirectory || 'data/reports',
+      historyLimit: historyLimit > 0 ? historyLimit : 20
+    };
+  }
+
+  // Weekly email digest (digest in config.json): lists maps a list name to its addresses, defaultLists
+  // are the lists a send goes to when none are named (all lists when empty); senders are the Jira usernames or
+  // email addresses allowed to send to lists (nobody when empty); the SMTP password is env-only
+  getDigestConfig() {
+    const digestConfig = this.config.digest || {};
+    const smtpConfig = digestConfig.smtp || {};
+    const senders = process.env.DIGEST_SENDERS !== undefined ? process.env.DIGEST_SENDERS.split(',') : digestConfig.senders;
+    const secure = process.env.SMTP_SECURE !== undefined ? process.env.SMTP_SECURE === 'true' : smtpConfig.secure === true;
+    const port = parseInt(process.env.SMTP_PORT || smtpConfig.port, 10);
+    const lookbackDays = parseInt(digestConfig.lookbackDays, 10);
+    const maxOverdueItems = parseInt(digestConfig.maxOverdueItems, 10);
+
+    return {
+      from: process.env.DIGEST_FROM || digestConfig.from || null,
+      subjectPattern: digestConfig.subjectPattern || '{title} – {week}',
+      lists: digestConfig.lists && typeof digestConfig.lists === 'object' && !Array.isArray(digestConfig.lists) ? digestConfig.lists : {},
+      defaultLists: Array.isArray(digestConfig.defaultLists) ? digestConfig.defaultLists : [],
+      senders: (Array.isArray(senders) ? senders : []).map(sender => String(sender).trim().toLowerCase()).filter(Boolean),
+      lookbackDays: lookbackDays > 0 ? lookbackDays : 7,
+      maxOverdueItems: maxOverdueItems > 0 ? maxOverdueItems : 5,
+      smtp: {
+        host: process.env.SMTP_HOST || smtpConfig.host || null,
+        port: port > 0 ? port : (secure ? 465 : 587),
+        secure,
+        starttls: smtpConfig.starttls !== false,
+        user: process.env.SMTP_USER || smtpConfig.user || null,
+        password: process.env.SMTP_PASSWORD || null,
+        allowInsecureAuth: smtpConfig.allowInsecureAuth === true
+      }
+    };
+  }
+
+  // Outgoing webhooks (webhooks in config.json): targets are named URLs with a payload format (slack, teams
+  // or generic), rules the conditions checked after each fetch and the targets they notify
+  getWebhookConfig() {
+    const webhookConfig = this.config.webhooks || {};
+    const retries = parseInt(webhookConfig.retries, 10);
+    const retryDelayMs = parseInt(webhookConfig.retryDelayMs, 10);
+    const timeoutMs = parseInt(webhookConfig.timeoutMs, 10);
+    const maxRetryDelayMs = parseInt(webhookConfig.maxRetryDelayMs, 10);
+    const logLimit = parseInt(webhookConfig.logLimit, 10);
+
+    return {
+      enabled: process.env.WEBHOOKS_ENABLED !== undefined ? process.env.WEBHOOKS_ENABLED !== 'false' : webhookConfig.enabled !== false,
+      targets: Array.isArray(webhookConfig.targets) ? webhookConfig.targets : [],
+      rules: Array.isArray(webhookConfig.rules) ? webhookConfig.rules : [],
+      retries: retries >= 0 ? retries : 3,
+      retryDelayMs: retryDelayMs >= 0 ? retryDelayMs : 2000,
+      timeoutMs: timeoutMs > 0 ? timeoutMs : 10000,
+      maxRetryDelayMs: maxRetryDelayMs >= 0 ? maxRetryDelayMs : 60000,
+      stateFile: webhookConfig.stateFile || 'data/webhooks.json',
+      logLimit: logLimit > 0 ? logLimit : 200
+    };
+  }
+
+  // Status Update freshness (statusUpdates in config.json): when field was last written comes from the feature's
+  // changelog unless changelog is false (at most maxChangelogs per fetch, cached until the feature is next updated),
+  // else from the newest date in the text; features not updated for staleDays need an update
+  getStatusUpdateConfig() {
+    const statusUpdateConfig = this.config.statusUpdates || {};
+    const staleDays = parseInt(process.env.STATUS_UPDATE_STALE_DAYS || statusUpdateConfig.staleDays, 10);
+    const maxChangelogs = parseInt(statusUpdateConfig.maxChangelogs, 10);
+
+    return {
+      field: statusUpdateConfig.field || 'customfield_23073',
+      staleDays: staleDays > 0 ? staleDays : 14,
+      changelog: statusUpdateConfig.changelog !== false,
+      maxChangelogs: maxChangelogs >= 0 ? maxChangelogs : 100
+    };
+  }
+
+  // Health (RAG) rules (health.rules in config.json): a rule turns a feature Amber or Red once its value
+  // reaches the amber or red threshold (readiness counts days left, so lower is worse); null turns a level off
+  getHealthConfig() {
+    const healthConfig = this.config.health || {};
+    const ruleConfig = healthConfig.rules || {};
+    const defaults = {
+      // Percentage points the share of story points done lags the share of time to the due date gone
+      schedule: { enabled: true, amber: 15, red: 30 },
+      // Unresolved child items past their due date
+      overdueItems: { enabled: true, amber: 1, red: 3 },
+      // Unresolved child items of these types and priorities
+      blockerBugs: { enabled: true, amber: 1, red: 2, issueTypes: ['Bug'], priorities: ['Blocker'] },
+      // Days left to the next release (or the due date) with a CG or PG readiness page missing
+      readiness: { enabled: true, amber: 30, red: 14 },
+      // Days since the Status Update was last written (see getStatusUpdateConfig)
+      statusUpdate: { enabled: true, amber: 14, red: 28 }
+    };
+    const threshold = (value, fallback) => (value === null || (typeof value === 'number' && value >= 0) ? value : fallback);
+
+    const rules = {};
+    Object.keys(defaults).forEach(name => {
+      const rule = ruleConfig[name] || {};
+      rules[name] = {
+        ...defaults[name],
+        ...rule,
+        enabled: rule.enabled !== false,
+        amber: threshold(rule.amber, defaults[name].amber),
+        red: threshold(rule.red, defaults[name].red)
+      };
+    });
+
+    return {
+      enabled: process.env.HEALTH_ENABLED !== undefined ? process.env.HEALTH_ENABLED !== 'false' : healthConfig.enabled !== false,
+      rules
+    };
+  }
+
   getBackendConfig() {
     return {
       defaultColumns: this.config.defaultColumns || this.getDefaultColumns(),
-      allPossibleFields: this.config.allPossibleFields || this.getAllPossibleFields()
+      allPossibleFields: this.config.allPossibleFields || this.getAllPossibleFields(),
+      metrics: this.getMetricsConfig(),
+      fieldEditing: this.getFieldEditConfig()
     };
   }
 }
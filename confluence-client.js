@@ -1,26 +1,24 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const Logger = require('./logger');
 require('dotenv').config();
 
+const logger = new Logger('confluence');
+
 class ConfluenceClient {
-  constructor() {
-    // Load base URL from environment variable, fall back to default
-    this.baseUrl = process.env.CONFLUENCE_BASE_URL || 'https://nutanix.atlassian.net/wiki';
-    console.log(`🔧 [ConfluenceClient] Base URL: ${this.baseUrl}`);
-    this.token = this.loadToken();
+  // options.cache: a ResponseCache shared with the rest of the server (page titles are cached in it)
+  constructor(options = {}) {
+    this.cache = options.cache || null;
+    // Load base URL from environment variable, fall back to default. It is the Confluence root including
+    // any context path (https://your-domain.atlassian.net/wiki, or just the host on-premise); see restUrl()
+    this.baseUrl = (process.env.CONFLUENCE_BASE_URL || 'https://nutanix.atlassian.net/wiki').replace(/\/$/, '');
+    logger.debug(`[ConfluenceClient] Base URL: ${this.baseUrl}`);
   }
 
-  loadToken() {
-    // Only use environment variable from .env file
-    try {
-      if (process.env.CONFLUENCE_API_TOKEN) {
-        return process.env.CONFLUENCE_API_TOKEN.trim();
-      }
-    } catch (error) {
-      console.error('Error loading Confluence token:', error);
-    }
-    return null;
+  // REST API v1 URL under the base URL, e.g. restUrl('/content/123?expand=version')
+  restUrl(apiPath) {
+    return `${this.baseUrl}/rest/api${apiPath}`;
   }
 
   // Extract Confluence page ID from URL
@@ -107,16 +105,16 @@ class ConfluenceClient {
         throw new Error('Could not extract page ID from Confluence URL');
       }
 
-      const token = userToken || this.token;
+      const token = userToken;
       if (!token) {
-        throw new Error('Confluence token not available. Please provide token.');
+        throw new Error('Confluence token not available. Please log in.');
       }
 
       // Clean token the same way Jira does - remove whitespace and newlines
       const cleanToken = token.trim().replace(/\r?\n/g, '');
       
       // Use Confluence REST API v2
-      const apiUrl = `${this.baseUrl}/rest/api/content/${pageId}?expand=body.storage,version`;
+      const apiUrl = this.restUrl(`/content/${pageId}?expand=body.storage,version`);
       
       const response = await axios.get(apiUrl, {
         headers: {
@@ -133,7 +131,7 @@ class ConfluenceClient {
         version: response.data.version?.number || 1
       };
     } catch (error) {
-      console.error('Error fetching Confluence page:', error.message);
+      logger.error('Error fetching Confluence page:', error.message);
       return {
         success: false,
         error: error.message,
@@ -146,7 +144,7 @@ class ConfluenceClient {
   // Get just the page title (faster than fetching full content)
   async getPageTitle(confluenceUrl, userToken = null) {
     // Declare variables outside try block for catch block access
-    let url, pageId, token, baseUrl, apiUrl, tokenPreview, tokenSource;
+    let url, pageId, token, apiUrl;
     
     try {
       url = this.extractUrl(confluenceUrl);
@@ -159,101 +157,83 @@ class ConfluenceClient {
         return null;
       }
 
-      token = userToken || this.token;
+      token = userToken;
       if (!token) {
-        console.log(`⚠️ [getPageTitle] No token available for ${confluenceUrl.substring(0, 100)}`);
+        logger.warn(`[getPageTitle] No token available for ${confluenceUrl.substring(0, 100)}`);
         return null;
       }
 
       // Clean token the same way Jira does - remove whitespace and newlines
       const cleanToken = token.trim().replace(/\r?\n/g, '');
 
-      // Use Confluence REST API v2 - just get title
-      // Use the base URL from environment or client config
-      baseUrl = this.baseUrl;
-      
-      // Use standard REST API endpoint
-      // For on-premise Confluence, the path is /wiki/rest/api/content/{id}
-      // According to Confluence REST API v1: GET /wiki/rest/api/content/{id}
+      const cacheRequest = { baseUrl: this.baseUrl, pageId };
+      if (this.cache) {
+        const cachedTitle = this.cache.get('confluenceTitles', cleanToken, cacheRequest);
+        if (cachedTitle !== undefined) {
+          return cachedTitle;
+        }
+      }
+
+      // Confluence REST API v1: GET {base}/rest/api/content/{id}
       // expand parameter can include: version, metadata.labels, body.storage, etc.
-      apiUrl = `${baseUrl}/wiki/rest/api/content/${pageId}?expand=version,metadata.labels`;
+      apiUrl = this.restUrl(`/content/${pageId}?expand=version,metadata.labels`);
       
-      // Log token info for debugging (first 10 chars only for security)
-      tokenPreview = cleanToken.substring(0, 10) + '...';
-      // userToken parameter can be from .env (CONFLUENCE_API_TOKEN) or from request, check which one
-      tokenSource = userToken ? (userToken === process.env.CONFLUENCE_API_TOKEN ? 'CONFLUENCE_API_TOKEN (from .env)' : 'passed parameter') : 'this.token (from Confluence client)';
-      console.log(`🔍 [getPageTitle] Using token from ${tokenSource} (${tokenPreview}) for page ${pageId}`);
-      console.log(`🔍 [getPageTitle] Token length: ${cleanToken.length}, API URL: ${apiUrl}`);
+      logger.debug(`[getPageTitle] Fetching title of page ${pageId}: ${apiUrl}`);
       
-      // Try Basic Auth first (for on-premise Confluence with email:token format)
-      // Then fall back to Bearer token
-      let response;
-      const email = process.env.CONFLUENCE_EMAIL || 'namratha.singh@nutanix.com';
+      // Basic Auth (email:token) is tried first when CONFLUENCE_EMAIL is set (on-premise instances);
+      // otherwise, or when it fails, the token is sent as a Bearer token
+      let response = null;
+      const email = process.env.CONFLUENCE_EMAIL;
+      const requestOptions = (authorization) => ({
+        headers: {
+          'Authorization': authorization,
+          'Accept': 'application/json',
+          'Content-Type': 'application/json'
+        },
+        timeout: 10000,
+        validateStatus: function (status) {
+          return status >= 200 && status < 600;
+        }
+      });
       
-      try {
-        // Try Basic Auth: email:token base64 encoded
-        const basicAuth = Buffer.from(`${email}:${cleanToken}`).toString('base64');
-        console.log(`🔍 [getPageTitle] Trying Basic Auth with email: ${email}`);
-        console.log(`🔍 [getPageTitle] Making request to: ${apiUrl}`);
-        
-        response = await axios.get(apiUrl, {
-          headers: {
-            'Authorization': `Basic ${basicAuth}`,
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          },
-          timeout: 10000,
-          validateStatus: function (status) {
-            return status >= 200 && status < 600;
+      if (email) {
+        try {
+          const basicAuth = Buffer.from(`${email}:${cleanToken}`).toString('base64');
+          response = await axios.get(apiUrl, requestOptions(`Basic ${basicAuth}`));
+          
+          if (response.status === 200) {
+            logger.info(`[getPageTitle] Fetched page title for ${pageId} using Basic Auth: ${response.data?.title || 'N/A'}`);
+          } else {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
           }
-        });
-        
-        if (response.status === 200) {
-          console.log(`✅ [getPageTitle] Successfully fetched page title for ${pageId} using Basic Auth: ${response.data?.title || 'N/A'}`);
-        } else {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        } catch (basicError) {
+          logger.warn(`[getPageTitle] Basic Auth failed (${basicError.message}), trying Bearer token...`);
+          response = null;
         }
-      } catch (basicError) {
-        // If Basic Auth fails, try Bearer token
-        console.log(`⚠️ [getPageTitle] Basic Auth failed, trying Bearer token...`);
+      }
+      
+      if (!response) {
         try {
-          const authHeaderPreview = `Bearer ${cleanToken.substring(0, 20)}...`;
-          console.log(`🔍 [getPageTitle] Making request to: ${apiUrl}`);
-          console.log(`🔍 [getPageTitle] Authorization header: ${authHeaderPreview}`);
-          
-          response = await axios.get(apiUrl, {
-            headers: {
-              'Authorization': `Bearer ${cleanToken}`,
-              'Accept': 'application/json',
-              'Content-Type': 'application/json'
-            },
-            timeout: 10000,
-            validateStatus: function (status) {
-              return status >= 200 && status < 600;
-            }
-          });
-          console.log(`✅ [getPageTitle] Successfully fetched page title for ${pageId} using Bearer token: ${response.data?.title || 'N/A'}`);
+          response = await axios.get(apiUrl, requestOptions(`Bearer ${cleanToken}`));
+          logger.info(`[getPageTitle] Fetched page title for ${pageId} using Bearer token: ${response.data?.title || 'N/A'}`);
         } catch (bearerError) {
-          // Log detailed error information
-          const errorStatus = bearerError.response?.status;
-          const errorStatusText = bearerError.response?.statusText;
-          const errorData = bearerError.response?.data;
           const errorHeaders = bearerError.response?.headers;
-          
-          console.log(`❌ [getPageTitle] Bearer token request also failed for ${pageId}`);
-          console.log(`   Status: ${errorStatus} ${errorStatusText}`);
-          console.log(`   Response data: ${JSON.stringify(errorData).substring(0, 300)}`);
-          if (errorHeaders && errorHeaders['www-authenticate']) {
-            console.log(`   WWW-Authenticate header: ${errorHeaders['www-authenticate']}`);
-          }
-          
-          console.log(`⚠️ [getPageTitle] Both Basic Auth and Bearer token failed. This on-premise Confluence instance may require a different authentication method.`);
+          logger.error(`[getPageTitle] Bearer token request failed for ${pageId}`, {
+            status: bearerError.response?.status,
+            statusText: bearerError.response?.statusText,
+            data: JSON.stringify(bearerError.response?.data || null).substring(0, 300),
+            wwwAuthenticate: errorHeaders && errorHeaders['www-authenticate']
+          });
           throw bearerError;
         }
       }
 
       if (response && response.data) {
-        return response.data.title || null;
+        const title = response.data.title || null;
+        if (this.cache && response.status === 200) {
+          this.cache.set('confluenceTitles', cleanToken, cacheRequest, title);
+        }
+        return title;
       }
       
       return null;
@@ -263,26 +243,15 @@ class ConfluenceClient {
         `${error.response.status} ${error.response.statusText}` : 
         error.message;
       const errorDetails = error.response?.data ? JSON.stringify(error.response.data).substring(0, 200) : 'No details';
-      // Re-extract values for error logging (in case they weren't set in try block)
-      const errorToken = userToken || this.token;
-      const errorCleanToken = errorToken ? errorToken.trim().replace(/\r?\n/g, '') : null;
-      const errorTokenPreview = errorCleanToken ? (errorCleanToken.substring(0, 10) + '...') : 'none';
-      const errorTokenSource = userToken ? 'userToken (from request)' : 'this.token (from env/client)';
       // Safely extract pageId and URL for error logging
       const errorUrl = url || this.extractUrl(confluenceUrl);
       const errorPageId = pageId || (errorUrl ? this.extractPageId(errorUrl) : null);
-      const errorBaseUrl = this.baseUrl;
-      const errorApiUrl = errorPageId ? `${errorBaseUrl}/rest/api/content/${errorPageId}?expand=version` : 'unknown';
+      const errorApiUrl = errorPageId ? this.restUrl(`/content/${errorPageId}?expand=version,metadata.labels`) : 'unknown';
       
-      console.log(`⚠️ [getPageTitle] Error fetching page title: ${errorMsg} for ${confluenceUrl.substring(0, 100)}`);
-      console.log(`   📋 Error details: ${errorDetails}`);
+      logger.warn(`[getPageTitle] Error fetching page title: ${errorMsg} for ${confluenceUrl.substring(0, 100)}`);
+      logger.debug(`[getPageTitle] Error details: ${errorDetails}`);
       if (error.response && error.response.status === 401) {
-        console.log(`   ⚠️ Authentication failed - token source: ${errorTokenSource}, token preview: ${errorTokenPreview}`);
-        console.log(`   ⚠️ API URL: ${errorApiUrl}`);
-        console.log(`   ⚠️ For Confluence API, you need either:`);
-        console.log(`     1. A Personal Access Token (PAT) - works with Bearer auth`);
-        console.log(`     2. An API token in format: email:api_token (base64 encoded for Basic Auth)`);
-        console.log(`   ⚠️ Get your token from: https://id.atlassian.com/manage-profile/security/api-tokens`);
+        logger.warn(`[getPageTitle] Authentication failed for ${errorApiUrl} - Confluence needs a Personal Access Token (Bearer) or, with CONFLUENCE_EMAIL set, an API token for Basic Auth`);
       }
       return null;
     }
@@ -321,7 +290,7 @@ class ConfluenceClient {
       // If no specific summary found, return first 500 chars of content
       return this.cleanHtml(htmlContent).substring(0, 500);
     } catch (error) {
-      console.error('Error extracting summary:', error);
+      logger.error('Error extracting summary:', error);
       return null;
     }
   }
@@ -406,6 +375,192 @@ class ConfluenceClient {
 
     return results;
   }
+
+  // Content API request; with CONFLUENCE_EMAIL set Basic Auth is tried first and a 401 falls back to Bearer
+  // (a rejected request changed nothing, so retrying writes is safe). Errors keep error.response
+  async contentRequest(method, apiPath, userToken, data = undefined) {
+    if (!userToken) {
+      throw new Error('Confluence token not available. Please log in.');
+    }
+    const cleanToken = userToken.trim().replace(/\r?\n/g, '');
+    const email = process.env.CONFLUENCE_EMAIL;
+    const send = (authorization) => axios({
+      method,
+      url: this.restUrl(`/content${apiPath}`),
+      data,
+      headers: {
+        'Authorization': authorization,
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      timeout: 15000
+    });
+
+    if (email) {
+      try {
+        return (await send(`Basic ${Buffer.from(`${email}:${cleanToken}`).toString('base64')}`)).data;
+      } catch (error) {
+        if (error.response?.status !== 401) throw error;
+        logger.warn(`[contentRequest] Basic Auth rejected for ${method.toUpperCase()} ${apiPath}, trying Bearer token...`);
+      }
+    }
+    return (await send(`Bearer ${cleanToken}`)).data;
+  }
+
+  // Pages matching a CQL query, with labels and space ({ id, title, space, metadata.labels, _links })
+  async searchContent(cql, userToken, { limit = 25 } = {}) {
+    const params = new URLSearchParams({ cql, limit: String(limit), expand: 'metadata.labels,space,version' });
+    const result = await this.contentRequest('get', `/search?${params}`, userToken);
+    return result.results || [];
+  }
+
+  // Page with the exact title in a space, with its current version and storage body (null when there is none)
+  async findPage(spaceKey, title, userToken) {
+    const params = new URLSearchParams({ spaceKey, title, type: 'page', expand: 'version,body.storage' });
+    const result = await this.contentRequest('get', `?${params}`, userToken);
+    return (result.results || [])[0] || null;
+  }
+
+  // Create a page in storage format, under parentId when given
+  async createPage({ spaceKey, title, body, parentId = null }, userToken) {
+    const page = await this.contentRequest('post', '', userToken, {
+      type: 'page',
+      title,
+      space: { key: spaceKey },
+      ancestors: parentId ? [{ id: String(parentId) }] : undefined,
+      body: { storage: { value: body, representation: 'storage' } }
+    });
+    logger.info(`[createPage] Created page ${page.id} "${title}" in space ${spaceKey}`);
+    return page;
+  }
+
+  // Replace a page's body; version is the version being replaced (Confluence answers 409 when it is no longer current)
+  async updatePage({ pageId, title, body, version, message = null }, userToken) {
+    const page = await this.contentRequest('put', `/${pageId}`, userToken, {
+      id: String(pageId),
+      type: 'page',
+      title,
+      version: { number: version + 1, message: message || undefined },
+      body: { storage: { value: body, representation: 'storage' } }
+    });
+    logger.info(`[updatePage] Updated page ${pageId} "${title}" to version ${version + 1}`);
+    return page;
+  }
+
+  // Checklist completion of a CG/PG readiness page: { pageId, title, completed, total, percent, openItems }
+  // Cached per page (cache resource "readiness"); failures return { pageId, error } instead of throwing
+  async getReadinessProgress(confluenceUrl, userToken) {
+    const pageId = this.extractPageId(this.extractUrl(confluenceUrl));
+    if (!pageId) {
+      return { pageId: null, error: 'Could not extract page ID from Confluence URL' };
+    }
+
+    const load = async () => {
+      const page = await this.contentRequest('get', `/${pageId}?expand=body.storage,version`, userToken);
+      return {
+        pageId,
+        title: page.title || null,
+        version: page.version?.number || null,
+        ...this.parseReadinessChecklist(page.body?.storage?.value || '')
+      };
+    };
+
+    try {
+      return this.cache
+        ? await this.cache.wrap('readiness', userToken, { baseUrl: this.baseUrl, pageId }, load)
+        : await load();
+    } catch (error) {
+      const reason = error.response ? `${error.response.status} ${error.response.statusText || ''}`.trim() : error.message;
+      logger.warn(`[getReadinessProgress] Could not read readiness page ${pageId}: ${reason}`);
+      return { pageId, error: reason };
+    }
+  }
+
+  // Checklist items of a page in storage format:
+  // - task list entries (<ac:task>), complete or incomplete
+  // - table rows with a status macro or tick/cross emoticon, or a value in a "Status" column;
+  //   DONE/COMPLETE/YES-like values (or a green status without a title) are done, N/A rows are not counted
+  parseReadinessChecklist(storageBody) {
+    const body = storageBody || '';
+    const items = [];
+
+    // Status and body of every task, nested task lists included (the body stops where a nested list starts)
+    const taskPattern = /<ac:task-status>\s*([\w-]+)\s*<\/ac:task-status>[\s\S]*?<ac:task-body>([\s\S]*?)(?=<\/ac:task-body>|<ac:task-list)/g;
+    for (const match of body.matchAll(taskPattern)) {
+      items.push({ text: this.storageText(match[2]) || 'Untitled task', done: match[1] === 'complete', source: 'task' });
+    }
+
+    for (const table of body.matchAll(/<table[^>]*>([\s\S]*?)<\/table>/g)) {
+      const rows = [...table[1].matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/g)].map(row =>
+        [...row[1].matchAll(/<(th|td)[^>]*>([\s\S]*?)<\/\1>/g)].map(cell => ({ header: cell[1] === 'th', html: cell[2] }))
+      );
+      const headerRow = rows.find(cells => cells.length > 0 && cells.every(cell => cell.header)) || null;
+      const statusColumn = headerRow
+        ? headerRow.findIndex(cell => /^(status|state|done|completed?)$/i.test(this.storageText(cell.html)))
+        : -1;
+
+      rows.forEach((cells, rowIndex) => {
+        if (cells === headerRow || cells.length === 0) return;
+        let statusIndex = cells.findIndex(cell => /ac:name="status"|<ac:emoticon/.test(cell.html));
+        if (statusIndex === -1) statusIndex = statusColumn;
+        // Rows without a status, or whose status cell holds a task list (counted above), are not items
+        if (statusIndex === -1 || !cells[statusIndex] || /<ac:task/.test(cells[statusIndex].html)) return;
+
+        const state = this.readStatusCell(cells[statusIndex].html);
+        if (state === 'not-applicable') return;
+        const label = cells.map(cell => this.storageText(cell.html)).find((text, index) => index !== statusIndex && text);
+        items.push({ text: label || `Row ${rowIndex + 1}`, done: state === 'done', source: 'table' });
+      });
+    }
+
+    const completed = items.filter(item => item.done).length;
+    return {
+      completed,
+      total: items.length,
+      percent: items.length > 0 ? Math.round((completed / items.length) * 100) : null,
+      openItems: items.filter(item => !item.done).map(item => ({ text: item.text, source: item.source }))
+    };
+  }
+
+  // 'done' | 'open' | 'not-applicable' for the status cell of a checklist table row
+  readStatusCell(html) {
+    const statusTitle = (html.match(/<ac:parameter ac:name="title">([\s\S]*?)<\/ac:parameter>/) || [])[1];
+    const statusColour = (html.match(/<ac:parameter ac:name="colou?r">\s*(\w+)\s*<\/ac:parameter>/) || [])[1];
+    const emoticon = (html.match(/<ac:emoticon ac:name="([\w-]+)"/) || [])[1];
+    const text = (statusTitle !== undefined ? this.storageText(statusTitle) : this.storageText(html))
+      .toLowerCase()
+      .replace(/[.!]+$/, '');
+
+    if (['n/a', 'na', 'not applicable'].includes(text)) return 'not-applicable';
+    if (['done', 'complete', 'completed', 'yes', 'approved', 'closed', 'resolved', 'pass', 'passed', 'signed off'].includes(text)) return 'done';
+    if (/^[✅✔✓☑]/u.test(text)) return 'done';
+    if (emoticon && ['tick', 'check'].includes(emoticon)) return 'done';
+    if (!text && statusColour && statusColour.toLowerCase() === 'green') return 'done';
+    return 'open';
+  }
+
+  // Plain text of a storage-format fragment
+  storageText(html) {
+    return (html || '')
+      .replace(/<ac:parameter[^>]*>[\s\S]*?<\/ac:parameter>/g, ' ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, "'")
+      .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Browser link of a page returned by the content API
+  pageUrl(page) {
+    const links = page && page._links;
+    if (!links || !links.webui) return null;
+    return `${(links.base || this.baseUrl).replace(/\/$/, '')}${links.webui}`;
+  }
 }
 
 module.exports = ConfluenceClient;
@@ -0,0 +1,144 @@
+/**
+ * Cron Expression
+ * Five-field cron expressions (minute hour day-of-month month day-of-week) evaluated in server local time:
+ * *, lists (1,15), ranges (1-5), steps (0-59/15, 8-18/2), month and weekday names (JAN, MON) and the
+ * @hourly / @daily / @weekly / @monthly shortcuts
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], offset: 0 }
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// nextAfter() gives up after this many years without a match (e.g. "0 0 31 2 *")
+const SEARCH_YEARS = 5;
+
+class CronExpression {
+  // Throws with a message naming the field when the expression is invalid
+  constructor(expression) {
+    this.expression = String(expression || '').trim();
+    const source = SHORTCUTS[this.expression.toLowerCase()] || this.expression;
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5) {
+      throw new Error(`Cron expression "${this.expression}" must have 5 fields (minute hour day-of-month month day-of-week)`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => CronExpression.parseField(part, FIELDS[index]));
+    this.minutes = minutes;
+    this.hours = hours;
+    this.daysOfMonth = daysOfMonth;
+    this.months = months;
+    // 7 is Sunday too
+    this.daysOfWeek = new Set([...daysOfWeek].map(day => day % 7));
+    // Like cron: when both day fields are restricted (do not start with *), a day matching either one runs
+    this.daysOfMonthRestricted = !parts[2].startsWith('*');
+    this.daysOfWeekRestricted = !parts[4].startsWith('*');
+  }
+
+  static isValid(expression) {
+    try {
+      new CronExpression(expression);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static parseField(part, field) {
+    const values = new Set();
+    part.split(',').forEach(item => {
+      const [range, stepText] = item.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error(`Invalid step "${item}" in the ${field.name} field`);
+      }
+
+      let start;
+      let end;
+      if (range === '*') {
+        start = field.min;
+        end = field.max;
+      } else {
+        const bounds = range.split('-');
+        if (bounds.length > 2) {
+          throw new Error(`Invalid range "${item}" in the ${field.name} field`);
+        }
+        start = CronExpression.parseValue(bounds[0], field);
+        // "5/15" means from 5 to the end in steps of 15
+        end = bounds.length === 2 ? CronExpression.parseValue(bounds[1], field) : (stepText === undefined ? start : field.max);
+      }
+      if (start > end) {
+        throw new Error(`Invalid range "${item}" in the ${field.name} field`);
+      }
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    });
+    return values;
+  }
+
+  static parseValue(text, field) {
+    const nameIndex = field.names ? field.names.indexOf(String(text).toUpperCase()) : -1;
+    const value = nameIndex >= 0 ? nameIndex + field.offset : (/^\d+$/.test(text) ? Number(text) : NaN);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      throw new Error(`"${text}" is not a valid ${field.name} (${field.min}-${field.max})`);
+    }
+    return value;
+  }
+
+  matchesDay(date) {
+    const dayOfMonth = this.daysOfMonth.has(date.getDate());
+    const dayOfWeek = this.daysOfWeek.has(date.getDay());
+    if (this.daysOfMonthRestricted && this.daysOfWeekRestricted) {
+      return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+  }
+
+  // True when the expression fires in the minute containing date
+  matches(date) {
+    return this.minutes.has(date.getMinutes()) &&
+      this.hours.has(date.getHours()) &&
+      this.months.has(date.getMonth() + 1) &&
+      this.matchesDay(date);
+  }
+
+  // First minute strictly after date that the expression fires in (null when there is none)
+  nextAfter(date) {
+    const next = new Date(date.getTime());
+    next.setSeconds(0, 0);
+    next.setMinutes(next.getMinutes() + 1);
+    const limit = new Date(date.getTime());
+    limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+    // Skips whole months, days and hours that cannot match instead of walking every minute
+    while (next <= limit) {
+      if (!this.months.has(next.getMonth() + 1)) {
+        next.setMonth(next.getMonth() + 1, 1);
+        next.setHours(0, 0, 0, 0);
+      } else if (!this.matchesDay(next)) {
+        next.setDate(next.getDate() + 1);
+        next.setHours(0, 0, 0, 0);
+      } else if (!this.hours.has(next.getHours())) {
+        next.setHours(next.getHours() + 1, 0, 0, 0);
+      } else if (!this.minutes.has(next.getMinutes())) {
+        next.setMinutes(next.getMinutes() + 1, 0, 0);
+      } else {
+        return next;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = CronExpression;
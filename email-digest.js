@@ -0,0 +1,125 @@
+/**
+ * Email Digest
+ * The weekly summary for people who never open the dashboard: status counts, story point progress,
+ * overdue child items (from calculateFeatureMetrics) and features whose Risk Indicator worsened since
+ * the snapshot of a week ago, rendered from templates/weekly-digest.html and .txt and sent over SMTP
+ * to the distribution lists in digest.lists
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigManager = require('./config');
+const ReportGenerator = require('./report-generator');
+const SmtpClient = require('./smtp-client');
+
+const RISK_RANK = { none: 0, 'on-track': 1, watch: 2, 'at-risk': 3 };
+// Mail clients drop <style> blocks, so the badge colour goes inline
+const BADGE_COLOURS = { none: '#9ca3af', 'on-track': '#10b981', watch: '#f59e0b', 'at-risk': '#ef4444' };
+
+class EmailDigest {
+  // options override digest config; options.reportGenerator / smtpClient replace the defaults
+  constructor(options = {}) {
+    const digestConfig = { ...new ConfigManager().getDigestConfig(), ...options };
+    this.from = digestConfig.from;
+    this.subjectPattern = digestConfig.subjectPattern;
+    this.lists = digestConfig.lists;
+    this.defaultLists = digestConfig.defaultLists;
+    this.maxOverdueItems = digestConfig.maxOverdueItems;
+    this.reportGenerator = options.reportGenerator || new ReportGenerator({ jiraBaseUrl: options.jiraBaseUrl });
+    this.smtpClient = options.smtpClient || new SmtpClient(digestConfig.smtp);
+  }
+
+  // The view the digest templates are rendered with
+  // features / previousFeatures: { key: record } maps (SnapshotStore.extractFeatureRecords); previousFeatures
+  // is null when there is no snapshot to compare with. featureMetrics: { key: calculateFeatureMetrics result }
+  buildModel(features, { previousFeatures = null, previousDate = null, featureMetrics = {}, jql = null, generatedAt = new Date() } = {}) {
+    const model = this.reportGenerator.buildModel(features, { jql, generatedAt });
+    const storyPoints = model.summary.storyPoints;
+    storyPoints.percent = storyPoints.total > 0 ? Math.round((storyPoints.done / storyPoints.total) * 100) : 0;
+
+    const riskWorsened = previousFeatures ? model.features
+      .filter(feature => previousFeatures[feature.key])
+      .map(feature => ({ feature, previousRisk: previousFeatures[feature.key].riskIndicator || null }))
+      .filter(({ feature, previousRisk }) => EmailDigest.isWorse(this.reportGenerator.riskLevel(previousRisk), feature.riskLevel))
+      .map(({ feature, previousRisk }) => ({ ...feature, previousRisk: previousRisk || 'none', badgeColour: BADGE_COLOURS[feature.riskLevel] })) : [];
+
+    const overdueItems = model.features
+      .map(feature => {
+        const items = EmailDigest.overdueChildItems(featureMetrics[feature.key], generatedAt);
+        return {
+          key: feature.key,
+          url: feature.url,
+          summary: feature.summary,
+          count: items.length,
+          items: items.slice(0, this.maxOverdueItems).map(item => ({
+            ...item,
+            url: this.reportGenerator.jiraBaseUrl ? ReportGenerator.safeUrl(`${this.reportGenerator.jiraBaseUrl}/browse/${item.key}`) : null,
+            dueDate: item.dueDate.split('T')[0]
+          })),
+          more: Math.max(0, items.length - this.maxOverdueItems)
+        };
+      })
+      .filter(feature => feature.count > 0);
+
+    return {
+      ...model,
+      subject: this.reportGenerator.formatTitle(this.subjectPattern, generatedAt),
+      comparedWith: previousFeatures ? previousDate : null,
+      riskWorsened,
+      riskWorsenedCount: riskWorsened.length,
+      overdueItems,
+      overdueItemCount: overdueItems.reduce((sum, feature) => sum + feature.count, 0)
+    };
+  }
+
+  // Only a move to Yellow or Red counts; a feature getting its first Green indicator is not worse
+  static isWorse(fromLevel, toLevel) {
+    return RISK_RANK[toLevel] > RISK_RANK[fromLevel] && RISK_RANK[toLevel] >= RISK_RANK.watch;
+  }
+
+  // Unresolved timeline entries due before now, most overdue first
+  static overdueChildItems(metrics, now) {
+    return ((metrics && metrics.timeline) || [])
+      .filter(item => !item.resolved && item.dueDate && new Date(item.dueDate) < now)
+      .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+  }
+
+  // { subject, html, text, model }
+  render(features, options = {}) {
+    const model = this.buildModel(features, options);
+    const template = (name) => fs.readFileSync(path.join(this.reportGenerator.templateDirectory, name), 'utf8');
+    return {
+      subject: model.subject,
+      html: `${ReportGenerator.renderTemplate(template('weekly-digest.html'), model, ReportGenerator.escapeHtml).trimEnd()}\n`,
+      text: `${ReportGenerator.renderTemplate(template('weekly-digest.txt'), model).trimEnd()}\n`,
+      model
+    };
+  }
+
+  // Named lists (defaultLists, or every list, when none are named) -> { lists, addresses, unknown }
+  resolveRecipients(listNames = []) {
+    const names = listNames.length > 0 ? listNames : (this.defaultLists.length > 0 ? this.defaultLists : Object.keys(this.lists));
+    const unknown = names.filter(name => !Array.isArray(this.lists[name]));
+    const lists = names.filter(name => Array.isArray(this.lists[name]));
+    const addresses = [...new Set(lists.flatMap(name => this.lists[name].map(address => String(address).trim())))];
+    return { lists, addresses, unknown };
+  }
+
+  listSummary() {
+    return Object.keys(this.lists).map(name => ({
+      name,
+      recipients: Array.isArray(this.lists[name]) ? this.lists[name].length : 0,
+      isDefault: this.defaultLists.length > 0 ? this.defaultLists.includes(name) : true
+    }));
+  }
+
+  // Sends a rendered digest; resolves { accepted, rejected, messageId }
+  async send(digest, addresses) {
+    if (!this.from) {
+      throw new Error('No sender configured (digest.from or DIGEST_FROM)');
+    }
+    return this.smtpClient.send({ from: this.from, to: addresses, subject: digest.subject, html: digest.html, text: digest.text });
+  }
+}
+
+module.exports = EmailDigest;
@@ -0,0 +1,82 @@
+/**
+ * Field Editor
+ * Writes field values back to Jira from the dashboard: only configured text fields that the issue's
+ * edit metadata lets the user set, and for fields like the weekly Status Update a dated entry is added
+ * above the current text instead of overwriting it
+ */
+
+const ConfigManager = require('./config');
+const JiraClient = require('./jira-client-clean');
+const TextProcessor = require('./text-processor');
+const Logger = require('./logger');
+
+const logger = new Logger('fields');
+
+class FieldEditor {
+  // options.jiraClient replaces the default client (tests)
+  constructor(options = {}) {
+    const editConfig = { ...new ConfigManager().getFieldEditConfig(), ...options };
+    this.editableFields = editConfig.editableFields;
+    this.prependFields = editConfig.prependFields;
+    this.jiraClient = options.jiraClient || new JiraClient();
+    this.textProcessor = new TextProcessor();
+  }
+
+  // "2026-10-19: <text>", then a blank line and the previous text
+  static prependEntry(text, current, date) {
+    const entry = `${date.toISOString().slice(0, 10)}: ${text}`;
+    const previous = typeof current === 'string' ? current.trim() : '';
+    return previous ? `${entry}\n\n${previous}` : entry;
+  }
+
+  // { updated: { field: value }, display: { field: summarized value }, rejected: [{ field, reason }] }
+  // Nothing is written when any field is rejected
+  async update(issueKey, fields, userToken, { date = new Date() } = {}) {
+    const fieldIds = Object.keys(fields);
+    const result = { updated: {}, display: {}, rejected: [] };
+
+    fieldIds
+      .filter(fieldId => !this.editableFields.includes(fieldId))
+      .forEach(fieldId => result.rejected.push({ field: fieldId, reason: `${fieldId} is not editable from the dashboard (fieldEditing.editableFields)` }));
+    if (result.rejected.length > 0) {
+      return result;
+    }
+
+    const editMeta = await this.jiraClient.fetchEditMeta(issueKey, userToken);
+    fieldIds.forEach(fieldId => {
+      const meta = editMeta[fieldId];
+      const text = fields[fieldId].trim();
+      if (!meta || !(meta.operations || []).includes('set')) {
+        result.rejected.push({ field: fieldId, reason: `${fieldId} cannot be edited on ${issueKey} (not on its edit screen, or no permission)` });
+      } else if (meta.schema && meta.schema.type !== 'string') {
+        result.rejected.push({ field: fieldId, reason: `${meta.name || fieldId} is not a text field` });
+      } else if (!text && (meta.required || this.prependFields.includes(fieldId))) {
+        result.rejected.push({ field: fieldId, reason: `${meta.name || fieldId} needs some text` });
+      }
+    });
+    if (result.rejected.length > 0) {
+      logger.warn(`[update] ${issueKey}: ${result.rejected.map(rejection => rejection.reason).join('; ')}`);
+      return result;
+    }
+
+    let current = {};
+    if (fieldIds.some(fieldId => this.prependFields.includes(fieldId))) {
+      const issue = await this.jiraClient.getIssueDetails(issueKey, userToken);
+      current = issue.fields || {};
+    }
+    fieldIds.forEach(fieldId => {
+      const text = fields[fieldId].trim();
+      result.updated[fieldId] = this.prependFields.includes(fieldId) ? FieldEditor.prependEntry(text, current[fieldId], date) : text;
+    });
+
+    await this.jiraClient.updateIssueFields(issueKey, result.updated, userToken);
+
+    fieldIds.forEach(fieldId => {
+      const summary = this.textProcessor.summarize(result.updated[fieldId]);
+      result.display[fieldId] = summary.display || result.updated[fieldId];
+    });
+    return result;
+  }
+}
+
+module.exports = FieldEditor;
@@ -0,0 +1,113 @@
+/**
+ * Flow Metrics
+ * Lead time (created -> resolved) and cycle time (first in-progress status -> resolved)
+ * per issue, with 50/85/95th percentiles per issue type
+ */
+
+const IssueHistory = require('./issue-history');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const PERCENTILES = [50, 85, 95];
+
+class FlowMetrics {
+  // statusCategories: lower-cased status name -> category key, from JiraClient.fetchStatusCategories
+  constructor(options = {}) {
+    this.inProgressStatusCategories = (options.inProgressStatusCategories || ['indeterminate']).map(c => c.toLowerCase());
+    this.inProgressStatuses = (options.inProgressStatuses || []).map(s => s.toLowerCase());
+    this.statusCategories = options.statusCategories || {};
+    this.history = options.history || new IssueHistory();
+  }
+
+  isInProgressStatus(statusName) {
+    if (!statusName) return false;
+    const name = String(statusName).toLowerCase();
+    const category = this.statusCategories[name];
+    return this.inProgressStatuses.includes(name) ||
+      (category !== undefined && category !== null && this.inProgressStatusCategories.includes(category.toLowerCase()));
+  }
+
+  // When work started: the first period spent in an in-progress status
+  getInProgressStart(issue, changelog) {
+    const periods = this.history.getStatusPeriods(issue, changelog);
+    const firstInProgress = periods.find(period => this.isInProgressStatus(period.status));
+    return firstInProgress ? firstInProgress.start : null;
+  }
+
+  toDays(start, end) {
+    const days = (new Date(end) - new Date(start)) / MS_PER_DAY;
+    return Math.round(Math.max(days, 0) * 10) / 10;
+  }
+
+  // Nearest-rank percentile of a list of numbers
+  percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+  }
+
+  describe(values) {
+    const result = { count: values.length };
+    PERCENTILES.forEach(p => {
+      result[`p${p}`] = this.percentile(values, p);
+    });
+    return result;
+  }
+
+  // changelogs is the map from JiraClient.fetchChangelogs; without a changelog only lead time is known
+  calculate(issues, changelogs = {}) {
+    const perIssue = [];
+
+    issues.forEach(issue => {
+      const fields = issue.fields || {};
+      const resolved = fields.resolutiondate || null;
+      if (!fields.created || !resolved) return;
+
+      const changelog = changelogs[issue.key];
+      const inProgressAt = changelog ? this.getInProgressStart(issue, changelog) : null;
+
+      perIssue.push({
+        key: issue.key,
+        summary: fields.summary || '',
+        issueType: fields.issuetype?.name || 'Unknown',
+        created: fields.created,
+        inProgressAt: inProgressAt,
+        resolved: resolved,
+        leadTimeDays: this.toDays(fields.created, resolved),
+        cycleTimeDays: inProgressAt ? this.toDays(inProgressAt, resolved) : null
+      });
+    });
+
+    const byType = {};
+    perIssue.forEach(entry => {
+      if (!byType[entry.issueType]) {
+        byType[entry.issueType] = { leadTimes: [], cycleTimes: [] };
+      }
+      byType[entry.issueType].leadTimes.push(entry.leadTimeDays);
+      if (entry.cycleTimeDays !== null) {
+        byType[entry.issueType].cycleTimes.push(entry.cycleTimeDays);
+      }
+    });
+
+    const percentilesByType = {};
+    Object.keys(byType).forEach(type => {
+      percentilesByType[type] = {
+        leadTime: this.describe(byType[type].leadTimes),
+        cycleTime: this.describe(byType[type].cycleTimes)
+      };
+    });
+
+    return {
+      unit: 'days',
+      hasCycleTime: Object.keys(changelogs).length > 0,
+      overall: {
+        leadTime: this.describe(perIssue.map(entry => entry.leadTimeDays)),
+        cycleTime: this.describe(perIssue.filter(entry => entry.cycleTimeDays !== null).map(entry => entry.cycleTimeDays))
+      },
+      byType: percentilesByType,
+      issues: perIssue.sort((a, b) => new Date(a.resolved) - new Date(b.resolved))
+    };
+  }
+}
+
+module.exports = FlowMetrics;
@@ -0,0 +1,162 @@
+/**
+ * Completion Forecast
+ * Monte Carlo simulation of when a feature's remaining work finishes, sampling
+ * historical weekly throughput (issues and story points resolved per week)
+ */
+
+const ConfigManager = require('./config');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_WEEK = 7 * MS_PER_DAY;
+const PERCENTILES = [50, 85, 95];
+
+class CompletionForecast {
+  constructor(options = {}) {
+    this.historyWeeks = options.historyWeeks || 12;
+    this.trials = options.trials || 10000;
+    this.maxWeeks = options.maxWeeks || 520; // Give up on a trial after ten years
+    this.storyPointField = options.storyPointField || 'customfield_10002';
+    // Work items above story level are containers, not throughput
+    this.containerTypes = options.containerTypes || new ConfigManager().getMetricsConfig().ignoredIssueTypes;
+    this.random = options.random || Math.random;
+    this.now = options.now ? new Date(options.now) : new Date();
+  }
+
+  isWorkItem(issue) {
+    const issueType = (issue.fields?.issuetype?.name || '').toLowerCase();
+    return !this.containerTypes.some(type => issueType.includes(type));
+  }
+
+  getStoryPoints(issue) {
+    const value = parseFloat(issue.fields?.[this.storyPointField]);
+    return isNaN(value) ? 0 : value;
+  }
+
+  // Issues and story points resolved in each of the last historyWeeks weeks (oldest first, empty weeks included)
+  getWeeklyThroughput(issues) {
+    const weeks = [];
+    for (let i = this.historyWeeks - 1; i >= 0; i--) {
+      const start = new Date(this.now.getTime() - (i + 1) * MS_PER_WEEK);
+      weeks.push({ weekStart: start.toISOString().split('T')[0], issues: 0, storyPoints: 0 });
+    }
+
+    issues.forEach(issue => {
+      if (!this.isWorkItem(issue) || !issue.fields?.resolutiondate) return;
+      const weeksAgo = Math.floor((this.now - new Date(issue.fields.resolutiondate)) / MS_PER_WEEK);
+      if (weeksAgo < 0 || weeksAgo >= this.historyWeeks) return;
+
+      const week = weeks[this.historyWeeks - 1 - weeksAgo];
+      week.issues++;
+      week.storyPoints += this.getStoryPoints(issue);
+    });
+
+    return weeks;
+  }
+
+  getRemainingWork(issues) {
+    const open = issues.filter(issue => this.isWorkItem(issue) && !issue.fields?.resolutiondate);
+    return {
+      issues: open.length,
+      storyPoints: open.reduce((sum, issue) => sum + this.getStoryPoints(issue), 0)
+    };
+  }
+
+  // Number of weeks each trial needs to burn `remaining`, drawing one historical week at a time;
+  // trials still short of it after maxWeeks are counted as unfinished rather than given a duration
+  simulate(samples, remaining) {
+    const weeks = [];
+    let unfinished = 0;
+    for (let trial = 0; trial < this.trials; trial++) {
+      let done = 0;
+      let trialWeeks = 0;
+      while (done < remaining && trialWeeks < this.maxWeeks) {
+        done += samples[Math.floor(this.random() * samples.length)];
+        trialWeeks++;
+      }
+      if (done < remaining) {
+        unfinished++;
+      } else {
+        weeks.push(trialWeeks);
+      }
+    }
+    return { weeks: weeks.sort((a, b) => a - b), unfinished };
+  }
+
+  weeksToDate(weeks) {
+    return new Date(this.now.getTime() + weeks * MS_PER_WEEK).toISOString().split('T')[0];
+  }
+
+  // Forecast for one unit ('issues' or 'storyPoints')
+  forecastUnit(weeklyThroughput, remaining, unit) {
+    if (remaining <= 0) {
+      return { available: true, remaining: 0, complete: true };
+    }
+
+    const samples = weeklyThroughput.map(week => week[unit]);
+    if (!samples.some(value => value > 0)) {
+      return { available: false, remaining, reason: `Nothing resolved in the last ${this.historyWeeks} weeks` };
+    }
+
+    const { weeks: trialWeeks, unfinished } = this.simulate(samples, remaining);
+    const result = { available: true, remaining, unfinished, trialWeeks };
+    // Percentiles are taken over all trials; one that lands among the unfinished ones has no date
+    PERCENTILES.forEach(p => {
+      const index = Math.min(Math.ceil((p / 100) * this.trials), this.trials) - 1;
+      const weeks = index < trialWeeks.length ? trialWeeks[index] : null;
+      result[`p${p}`] = { weeks, date: weeks === null ? null : this.weeksToDate(weeks) };
+    });
+    return result;
+  }
+
+  // Share of all trials (unfinished ones included) that finish on or before a date
+  probabilityBy(unitForecast, date) {
+    if (!unitForecast.available) return null;
+    if (unitForecast.complete) return 1;
+
+    const weeksAvailable = (new Date(date) - this.now) / MS_PER_WEEK;
+    const onTime = unitForecast.trialWeeks.filter(weeks => weeks <= weeksAvailable).length;
+    return Math.round((onTime / this.trials) * 100) / 100;
+  }
+
+  // targets: [{ label, key, date }] - the feature due date and kick-off epic due dates
+  forecast(issues, targets = []) {
+    const weeklyThroughput = this.getWeeklyThroughput(issues);
+    const remaining = this.getRemainingWork(issues);
+
+    const byIssues = this.forecastUnit(weeklyThroughput, remaining.issues, 'issues');
+    const byStoryPoints = this.forecastUnit(weeklyThroughput, remaining.storyPoints, 'storyPoints');
+
+    const comparisons = targets
+      .filter(target => target && target.date)
+      .map(target => ({
+        ...target,
+        probabilityByIssues: this.probabilityBy(byIssues, target.date),
+        probabilityByStoryPoints: this.probabilityBy(byStoryPoints, target.date)
+      }));
+
+    // Raw trial results are only needed for the comparisons above
+    delete byIssues.trialWeeks;
+    delete byStoryPoints.trialWeeks;
+
+    const totalIssues = weeklyThroughput.reduce((sum, week) => sum + week.issues, 0);
+    const totalStoryPoints = weeklyThroughput.reduce((sum, week) => sum + week.storyPoints, 0);
+
+    return {
+      generatedAt: this.now.toISOString(),
+      historyWeeks: this.historyWeeks,
+      trials: this.trials,
+      maxWeeks: this.maxWeeks,
+      throughput: {
+        weeks: weeklyThroughput,
+        averageIssues: Math.round((totalIssues / this.historyWeeks) * 10) / 10,
+        averageStoryPoints: Math.round((totalStoryPoints / this.historyWeeks) * 10) / 10
+      },
+      remaining,
+      byIssues,
+      byStoryPoints,
+      comparisons
+    };
+  }
+}
+
+module.exports = CompletionForecast;
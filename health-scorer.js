@@ -0,0 +1,177 @@
+/**
+ * Health Scorer
+ * Rule-based Red/Amber/Green health for each feature, worked out from the fetched issues instead of the
+ * manual Risk Indicator: story point progress against the time to the due date, overdue child items, open
+ * blocker bugs, missing CG/PG readiness pages close to the release and a stale Status Update.
+ * Rules and thresholds come from health.rules in config.json (see ConfigManager.getHealthConfig)
+ */
+
+const ConfigManager = require('./config');
+const SnapshotStore = require('./snapshot-store');
+const ReportGenerator = require('./report-generator');
+const StatusUpdateTracker = require('./status-update-tracker');
+
+const LEVEL_RANK = { green: 0, amber: 1, red: 2 };
+// Points taken off a score of 100 per reason, so features of the same level still sort by how bad they are
+const LEVEL_PENALTY = { amber: 15, red: 40 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LISTED_KEYS = 3;
+
+class HealthScorer {
+  // options override health config; options.metricsConfig replaces the metrics config and
+  // options.statusUpdateTracker the one that dates Status Updates not annotated during the fetch
+  constructor(options = {}) {
+    const configManager = new ConfigManager();
+    const healthConfig = { ...configManager.getHealthConfig(), ...options };
+    this.enabled = healthConfig.enabled;
+    this.rules = healthConfig.rules;
+    this.metricsConfig = options.metricsConfig || configManager.getMetricsConfig();
+    this.statusUpdateTracker = options.statusUpdateTracker || new StatusUpdateTracker({ metricsConfig: this.metricsConfig });
+  }
+
+  // { level, score, reasons: [{ rule, level, message, details }] } for a raw feature issue (with _storyPoints and
+  // _readinessLinks from the fetch); resolver is the HierarchyResolver holding its child items.
+  // Done features are green without checking the rules; null when health scoring is off
+  score(issue, resolver = null, now = new Date()) {
+    if (!this.enabled || !issue) {
+      return null;
+    }
+    if (this.isResolved(issue)) {
+      return { level: 'green', score: 100, reasons: [] };
+    }
+
+    const children = resolver ? resolver.getDescendants(issue.key) : [];
+    const checks = {
+      schedule: () => this.checkSchedule(issue, now),
+      overdueItems: () => this.checkOverdueItems(children, now),
+      blockerBugs: () => this.checkBlockerBugs(children),
+      readiness: () => this.checkReadiness(issue, now),
+      statusUpdate: () => this.checkStatusUpdate(issue, now)
+    };
+
+    const reasons = Object.keys(checks)
+      .filter(name => this.rules[name] && this.rules[name].enabled)
+      .map(name => ({ rule: name, ...checks[name]() }))
+      .filter(reason => reason.level)
+      .sort((a, b) => LEVEL_RANK[b.level] - LEVEL_RANK[a.level]);
+
+    return {
+      level: reasons.length > 0 ? reasons[0].level : 'green',
+      score: Math.max(0, 100 - reasons.reduce((sum, reason) => sum + LEVEL_PENALTY[reason.level], 0)),
+      reasons
+    };
+  }
+
+  // Red or amber once value reaches the rule's threshold; lowerIsWorse flips the comparison (days left)
+  levelFor(rule, value, lowerIsWorse = false) {
+    const reached = (limit) => limit !== null && limit !== undefined && (lowerIsWorse ? value <= limit : value >= limit);
+    if (reached(rule.red)) return 'red';
+    if (reached(rule.amber)) return 'amber';
+    return null;
+  }
+
+  isResolved(issue) {
+    return ReportGenerator.isIssueDone(issue, this.metricsConfig);
+  }
+
+  checkSchedule(issue, now) {
+    const fields = issue.fields || {};
+    const storyPoints = issue._storyPoints;
+    const start = Date.parse(fields.created);
+    const due = Date.parse(fields.duedate);
+    const counted = storyPoints ? (storyPoints.done || 0) + (storyPoints.pending || 0) : 0;
+    if (!counted || isNaN(start) || isNaN(due) || due <= start) {
+      return {};
+    }
+
+    const percentDone = Math.round((storyPoints.done / counted) * 100);
+    const percentElapsed = Math.min(100, Math.max(0, Math.round(((now.getTime() - start) / (due - start)) * 100)));
+    const gap = percentElapsed - percentDone;
+    return {
+      level: this.levelFor(this.rules.schedule, gap),
+      message: `${percentDone}% of story points done with ${percentElapsed}% of the time to ${fields.duedate} gone`,
+      details: { percentDone, percentElapsed }
+    };
+  }
+
+  checkOverdueItems(children, now) {
+    const today = now.toISOString().slice(0, 10);
+    const overdue = children
+      .filter(child => child.fields?.duedate && child.fields.duedate < today && !this.isResolved(child))
+      .sort((a, b) => a.fields.duedate.localeCompare(b.fields.duedate));
+    if (overdue.length === 0) {
+      return {};
+    }
+    return {
+      level: this.levelFor(this.rules.overdueItems, overdue.length),
+      message: `${overdue.length} child item(s) past their due date (${this.listKeys(overdue)})`,
+      details: { keys: overdue.map(child => child.key) }
+    };
+  }
+
+  checkBlockerBugs(children) {
+    const rule = this.rules.blockerBugs;
+    const issueTypes = (rule.issueTypes || []).map(type => type.toLowerCase());
+    const priorities = (rule.priorities || []).map(priority => priority.toLowerCase());
+    const blockers = children.filter(child => {
+      const fields = child.fields || {};
+      const issueType = String(fields.issuetype?.name || fields.issuetype || '').toLowerCase();
+      const priority = String(fields.priority?.name || fields.priority || '').toLowerCase();
+      return issueTypes.includes(issueType) && priorities.includes(priority) && !this.isResolved(child);
+    });
+    if (blockers.length === 0) {
+      return {};
+    }
+    return {
+      level: this.levelFor(rule, blockers.length),
+      message: `${blockers.length} open blocker bug(s) (${this.listKeys(blockers)})`,
+      details: { keys: blockers.map(child => child.key) }
+    };
+  }
+
+  // Measured against the next unreleased fix version's release date, or the due date when there is none
+  checkReadiness(issue, now) {
+    const fields = issue.fields || {};
+    const links = issue._readinessLinks || {};
+    const missing = ['cg', 'pg'].filter(type => !links[type] || links[type].length === 0);
+    const releaseDate = SnapshotStore.nextReleaseDate(fields.fixVersions);
+    const date = releaseDate || fields.duedate;
+    if (missing.length === 0 || !date || isNaN(Date.parse(date))) {
+      return {};
+    }
+
+    const daysLeft = Math.ceil((Date.parse(date) - Date.parse(now.toISOString().slice(0, 10))) / DAY_MS);
+    const names = missing.map(type => type.toUpperCase()).join('/');
+    const when = daysLeft >= 0 ? `${daysLeft} day(s) before` : `${-daysLeft} day(s) after`;
+    return {
+      level: this.levelFor(this.rules.readiness, daysLeft, true),
+      message: `no ${names} readiness page linked ${when} the ${releaseDate ? 'release' : 'due date'} (${date})`,
+      details: { missing, date, daysLeft }
+    };
+  }
+
+  // Age of the Status Update as StatusUpdateTracker dates it (set on the issue during the fetch); an empty
+  // field is as stale as it gets, one whose date cannot be told is left alone
+  checkStatusUpdate(issue, now) {
+    const rule = this.rules.statusUpdate;
+    const { lastUpdated, age, empty } = issue._statusUpdate || this.statusUpdateTracker.assess(issue, null, now);
+    if (empty) {
+      return { level: this.levelFor(rule, Infinity), message: 'no Status Update', details: { lastUpdated: null } };
+    }
+    if (!lastUpdated) {
+      return {};
+    }
+    return {
+      level: this.levelFor(rule, age),
+      message: `Status Update last written ${lastUpdated} (${age} day(s) ago)`,
+      details: { lastUpdated, age }
+    };
+  }
+
+  listKeys(issues) {
+    const keys = issues.slice(0, MAX_LISTED_KEYS).map(issue => issue.key).join(', ');
+    return issues.length > MAX_LISTED_KEYS ? `${keys} and ${issues.length - MAX_LISTED_KEYS} more` : keys;
+  }
+}
+
+module.exports = HealthScorer;
@@ -0,0 +1,140 @@
+/**
+ * Hierarchy Resolver
+ * Builds the Feature -> Epic -> Story -> Sub-task tree from the real link fields
+ * (Parent Link, Epic Link, FEAT ID) whose custom field ids are discovered via /rest/api/2/field
+ */
+
+// Field display names and the custom field types Jira uses for them
+const LINK_FIELDS = {
+  parentLink: { names: ['parent link'], schemaTypes: ['com.atlassian.jpo:jpo-custom-field-parent'] },
+  epicLink: { names: ['epic link'], schemaTypes: ['com.pyxis.greenhopper.jira:gh-epic-link'] },
+  featId: { names: ['feat id', 'feat number'], schemaTypes: [] }
+};
+
+const ISSUE_KEY_PATTERN = /[A-Z][A-Z0-9_]+-\d+/;
+
+class HierarchyResolver {
+  // fieldIds: { parentLink, epicLink, featId } custom field ids, when already known
+  constructor(options = {}) {
+    this.fieldIds = { parentLink: null, epicLink: null, featId: null, ...(options.fieldIds || {}) };
+    this.issuesByKey = {};
+    this.childrenByKey = {};
+    this.parentByKey = {};
+  }
+
+  // fields: the list returned by /rest/api/2/field
+  discoverFieldIds(fields) {
+    Object.keys(LINK_FIELDS).forEach(linkName => {
+      const { names, schemaTypes } = LINK_FIELDS[linkName];
+      const match = (fields || []).find(field => field && field.id && field.custom !== false &&
+        (schemaTypes.includes(field.schema?.custom) || names.includes((field.name || '').toLowerCase())));
+      if (match) {
+        this.fieldIds[linkName] = match.id;
+      }
+    });
+    return this.fieldIds;
+  }
+
+  // Fields a search must return for the tree to be built
+  getRequiredFields() {
+    return ['issuetype', 'parent', ...Object.values(this.fieldIds).filter(Boolean)];
+  }
+
+  // Link fields come back as a key string, an issue object, or (Parent Link) { data: { key } }
+  extractKey(value) {
+    if (!value) return null;
+    if (typeof value === 'string') {
+      const match = value.toUpperCase().match(ISSUE_KEY_PATTERN);
+      return match ? match[0] : null;
+    }
+    if (typeof value === 'object') {
+      return this.extractKey(value.key || value.data?.key || null);
+    }
+    return null;
+  }
+
+  // Nearest parent: sub-task parent, then Epic Link, then Parent Link, then FEAT ID
+  getParentKey(issue) {
+    const fields = issue?.fields || {};
+    const candidates = [
+      fields.parent,
+      this.fieldIds.epicLink ? fields[this.fieldIds.epicLink] : null,
+      this.fieldIds.parentLink ? fields[this.fieldIds.parentLink] : null,
+      this.fieldIds.featId ? fields[this.fieldIds.featId] : null
+    ];
+
+    for (const candidate of candidates) {
+      const key = this.extractKey(candidate);
+      if (key && key !== issue.key) {
+        return key;
+      }
+    }
+    return null;
+  }
+
+  // Index raw Jira issues by parent; parents outside the result set are kept so callers can see them
+  build(issues) {
+    this.issuesByKey = {};
+    this.childrenByKey = {};
+    this.parentByKey = {};
+
+    (issues || []).forEach(issue => {
+      if (!issue || !issue.key) return;
+      this.issuesByKey[issue.key] = issue;
+    });
+
+    Object.values(this.issuesByKey).forEach(issue => {
+      const parentKey = this.getParentKey(issue);
+      if (!parentKey) return;
+      this.parentByKey[issue.key] = parentKey;
+      if (!this.childrenByKey[parentKey]) {
+        this.childrenByKey[parentKey] = [];
+      }
+      this.childrenByKey[parentKey].push(issue.key);
+    });
+
+    return this;
+  }
+
+  // Explicit tree below rootKey: { key, issueType, children: [...] }; link cycles are cut
+  getTree(rootKey, visited = new Set()) {
+    visited.add(rootKey);
+    const issue = this.issuesByKey[rootKey];
+    const children = (this.childrenByKey[rootKey] || [])
+      .filter(childKey => !visited.has(childKey))
+      .map(childKey => this.getTree(childKey, visited));
+
+    return {
+      key: rootKey,
+      issueType: issue?.fields?.issuetype?.name || null,
+      children: children
+    };
+  }
+
+  // Every fetched issue below rootKey (not including rootKey itself)
+  getDescendants(rootKey) {
+    const descendants = [];
+    const walk = (node) => {
+      node.children.forEach(child => {
+        if (this.issuesByKey[child.key]) {
+          descendants.push(this.issuesByKey[child.key]);
+        }
+        walk(child);
+      });
+    };
+    walk(this.getTree(rootKey));
+    return descendants;
+  }
+
+  getAncestors(issueKey) {
+    const ancestors = [];
+    let parentKey = this.parentByKey[issueKey];
+    while (parentKey && !ancestors.includes(parentKey) && parentKey !== issueKey) {
+      ancestors.push(parentKey);
+      parentKey = this.parentByKey[parentKey];
+    }
+    return ancestors;
+  }
+}
+
+module.exports = HierarchyResolver;
@@ -0,0 +1,166 @@
+/**
+ * Issue History
+ * Rebuilds per-field timelines (status, due date, story points, ...) from Jira changelogs
+ * fetched with JiraClient.fetchChangelog
+ */
+
+class IssueHistory {
+  constructor(options = {}) {
+    const storyPointField = options.storyPointField || 'customfield_10002';
+    const statusUpdateField = options.statusUpdateField || 'customfield_23073';
+
+    // Changelog items name a field by display name ("Story Points") and, on newer Jira, by fieldId
+    this.trackedFields = {
+      status: ['status'],
+      resolution: ['resolution'],
+      duedate: ['duedate', 'due date'],
+      storyPoints: [storyPointField, 'story points'],
+      assignee: ['assignee'],
+      fixVersions: ['fixversions', 'fix version', 'fix version/s'],
+      riskIndicator: ['customfield_23560', 'risk indicator'],
+      statusUpdate: [statusUpdateField, 'status update']
+    };
+    this.storyPointField = storyPointField;
+    this.statusUpdateField = statusUpdateField;
+  }
+
+  // Flatten changelog histories into chronological changes for one tracked field
+  getFieldChanges(changelog, fieldName) {
+    const aliases = this.trackedFields[fieldName] || [fieldName.toLowerCase()];
+    const changes = [];
+
+    ((changelog && changelog.histories) || []).forEach(history => {
+      (history.items || []).forEach(item => {
+        const field = (item.field || '').toLowerCase();
+        const fieldId = (item.fieldId || '').toLowerCase();
+        if (!aliases.includes(field) && !aliases.includes(fieldId)) return;
+
+        changes.push({
+          at: history.created,
+          author: history.author?.displayName || history.author?.name || null,
+          from: item.fromString !== undefined ? item.fromString : null,
+          to: item.toString !== undefined ? item.toString : null,
+          fromValue: item.from !== undefined ? item.from : null,
+          toValue: item.to !== undefined ? item.to : null
+        });
+      });
+    });
+
+    return changes.sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+
+  // Current value of a tracked field as Jira's changelog would print it
+  getCurrentValue(issue, fieldName) {
+    const fields = issue?.fields || {};
+    switch (fieldName) {
+      case 'status':
+        return fields.status?.name || fields.status || null;
+      case 'resolution':
+        return fields.resolution?.name || null;
+      case 'duedate':
+        return fields.duedate || null;
+      case 'storyPoints': {
+        const value = fields[this.storyPointField];
+        return value !== null && value !== undefined ? String(value) : null;
+      }
+      case 'assignee':
+        return fields.assignee?.displayName || null;
+      case 'fixVersions':
+        return Array.isArray(fields.fixVersions) && fields.fixVersions.length > 0
+          ? fields.fixVersions.map(v => v.name || v).join(', ')
+          : null;
+      case 'riskIndicator': {
+        const risk = fields.customfield_23560;
+        return risk && typeof risk === 'object' ? (risk.value || risk.name || null) : (risk || null);
+      }
+      case 'statusUpdate':
+        return fields[this.statusUpdateField] || null;
+      default:
+        return fields[fieldName] !== undefined ? fields[fieldName] : null;
+    }
+  }
+
+  // Timeline of one field: its value at creation, every change, and the current value
+  buildFieldTimeline(issue, changelog, fieldName) {
+    const changes = this.getFieldChanges(changelog, fieldName);
+    const current = this.getCurrentValue(issue, fieldName);
+
+    return {
+      initial: changes.length > 0 ? changes[0].from : current,
+      current: current,
+      changes: changes
+    };
+  }
+
+  buildTimelines(issue, changelog) {
+    const timelines = {};
+    Object.keys(this.trackedFields).forEach(fieldName => {
+      timelines[fieldName] = this.buildFieldTimeline(issue, changelog, fieldName);
+    });
+    return timelines;
+  }
+
+  // Consecutive periods spent in each status, starting at creation; the last period is open (end: null)
+  getStatusPeriods(issue, changelog) {
+    const timeline = this.buildFieldTimeline(issue, changelog, 'status');
+    const created = issue?.fields?.created || changelog?.created || null;
+    const periods = [];
+
+    let status = timeline.initial;
+    let start = created;
+    timeline.changes.forEach(change => {
+      periods.push({ status, start, end: change.at });
+      status = change.to;
+      start = change.at;
+    });
+    periods.push({ status, start, end: null });
+
+    return periods;
+  }
+
+  // Due date moved later than it was (a slip), as opposed to pulled in or first set
+  isDueDateSlip(change) {
+    const before = change.fromValue || (change.from ? String(change.from).substring(0, 10) : null);
+    const after = change.toValue || (change.to ? String(change.to).substring(0, 10) : null);
+    return !!(before && after && new Date(after) > new Date(before));
+  }
+
+  summarizeIssue(issue, changelog) {
+    const timelines = this.buildTimelines(issue, changelog);
+    const storyPointChanges = timelines.storyPoints.changes;
+
+    return {
+      key: issue.key,
+      issueType: issue.fields?.issuetype?.name || 'Unknown',
+      created: issue.fields?.created || changelog?.created || null,
+      statusTransitions: timelines.status.changes.length,
+      dueDateChanges: timelines.duedate.changes.length,
+      dueDateSlips: timelines.duedate.changes.filter(change => this.isDueDateSlip(change)).length,
+      // First estimate (empty -> value) is not a re-estimate
+      storyPointReestimates: storyPointChanges.filter(change => change.from !== null && change.from !== '').length,
+      changelogTruncated: !!changelog?.truncated,
+      timelines: timelines
+    };
+  }
+
+  // History for every issue of a feature; changelogs is the map from JiraClient.fetchChangelogs
+  summarizeIssues(issues, changelogs) {
+    const summaries = issues
+      .filter(issue => changelogs[issue.key])
+      .map(issue => this.summarizeIssue(issue, changelogs[issue.key]));
+
+    return {
+      issueCount: summaries.length,
+      missingCount: issues.length - summaries.length,
+      totals: {
+        statusTransitions: summaries.reduce((sum, s) => sum + s.statusTransitions, 0),
+        dueDateChanges: summaries.reduce((sum, s) => sum + s.dueDateChanges, 0),
+        dueDateSlips: summaries.reduce((sum, s) => sum + s.dueDateSlips, 0),
+        storyPointReestimates: summaries.reduce((sum, s) => sum + s.storyPointReestimates, 0)
+      },
+      issues: summaries
+    };
+  }
+}
+
+module.exports = IssueHistory;
@@ -1,13 +1,18 @@
 const axios = require('axios');
 const ConfigManager = require('./config');
 const MockJiraService = require('./mock-jira-service');
+const Logger = require('./logger');
+
+const logger = new Logger('jira');
 
 /**
  * Clean, robust JiraClient with proper error handling and validation
  */
 class JiraClient {
-  constructor() {
+  // options.cache: a ResponseCache shared with the rest of the server (searches are not cached without one)
+  constructor(options = {}) {
     this.configManager = new ConfigManager();
+    this.cache = options.cache || null;
     this.jiraConfig = this.configManager.getJiraConfig();
     this.baseUrl = this.jiraConfig.baseUrl;
     this.pat = this.jiraConfig.apiToken;
@@ -24,20 +29,30 @@ class JiraClient {
       throw new Error('JIRA base URL is required');
     }
     
+    // JIRA_API_TOKEN is now only the service credential for scheduled work; requests use the caller's session token
     if (!this.pat) {
-      throw new Error('JIRA API token is required');
+      logger.warn('JiraClient: no service token configured (JIRA_API_TOKEN) - scheduled snapshots are disabled');
     }
     
-    console.log('✅ JiraClient configuration validated');
+    logger.info('JiraClient configuration validated');
   }
 
-  async fetchAllData(jql = null, userToken = null) {
+  // The token a request runs with; there is no fallback to the service token, callers pass it explicitly
+  requireToken(token) {
+    if (!token) {
+      throw new Error('No Jira credential provided. Log in with your Jira token first.');
+    }
+    return token;
+  }
+
+  // extraFields: fields the caller needs regardless of the column config (e.g. hierarchy link fields)
+  // searchOptions: onPage/signal progress and cancellation hooks passed through to searchAll
+  async fetchAllData(jql = null, userToken = null, extraFields = [], searchOptions = {}) {
     try {
       const query = jql || this.jiraConfig.jql;
-      const tokenToUse = userToken || this.pat;
-      console.log('🔄 [fetchAllData] Starting fetch with JQL:', query);
-      console.log('🔄 [fetchAllData] Base URL:', this.baseUrl);
-      console.log('🔄 [fetchAllData] Using token:', userToken ? 'User-provided' : 'Config');
+      const tokenToUse = this.requireToken(userToken);
+      logger.info('[fetchAllData] Starting fetch with JQL:', query);
+      logger.info('[fetchAllData] Base URL:', this.baseUrl);
       
       let fields = this.configManager.config.allPossibleFields || [];
       
@@ -56,7 +71,7 @@ class JiraClient {
       }
       
       if (fields.length === 0) {
-        console.warn('⚠️ [fetchAllData] No fields configured, using defaults');
+        logger.warn('[fetchAllData] No fields configured, using defaults');
         const backendConfig = this.configManager.getBackendConfig();
         fields = backendConfig.allPossibleFields || ['key', 'summary', 'status'];
       }
@@ -69,26 +84,26 @@ class JiraClient {
         return baseField;
       });
       
+      // Story point rollups need the configured estimate field and resolutions even when no column shows them
+      fields.push(this.configManager.getMetricsConfig().storyPointField, 'resolution', 'resolutiondate', ...extraFields);
+      
       // Remove duplicates
       fields = [...new Set(fields)];
       
-      console.log(`📊 [fetchAllData] Using ${fields.length} fields for comprehensive data fetch`);
+      logger.info(`[fetchAllData] Using ${fields.length} fields for comprehensive data fetch`);
       
-      const response = await this.makeJiraRequest(query, fields, tokenToUse);
+      const data = await this.searchCached(query, fields, tokenToUse, searchOptions);
       
-      // Check if response is HTML (redirect to login)
-      if (typeof response.data === 'string' && response.data.includes('<!DOCTYPE html>')) {
-        console.error('❌ [fetchAllData] Received HTML response - Bearer token not accepted for this endpoint');
-        throw new Error('Bearer token authentication failed. The token works for PAT management but not for search API. Please check if your Jira instance requires a different authentication method for API v3 endpoints.');
-      }
-      
-      const issueCount = response.data.issues?.length || 0;
-      console.log(`✅ [fetchAllData] Successfully fetched ${issueCount} issues with all fields`);
-      console.log(`📊 [fetchAllData] Total available: ${response.data.total || 0} issues`);
+      const issueCount = data.issues?.length || 0;
+      logger.info(`[fetchAllData] Successfully fetched ${issueCount} issues with all fields`);
+      logger.info(`[fetchAllData] Total available: ${data.total || 0} issues`);
       
-      return response.data;
+      return data;
     } catch (error) {
-      console.error('❌ [fetchAllData] Error details:', {
+      if (error.cancelled) {
+        throw error;
+      }
+      logger.error('[fetchAllData] Error details:', {
         message: error.message,
         status: error.response?.status,
         statusText: error.response?.statusText,
@@ -98,7 +113,7 @@ class JiraClient {
       });
       
       const errorMessage = this.extractErrorMessage(error);
-      console.error('❌ [fetchAllData] Extracted error message:', errorMessage);
+      logger.error('[fetchAllData] Extracted error message:', errorMessage);
       
       throw new Error(`Failed to fetch all Jira data: ${errorMessage}`);
     }
@@ -107,19 +122,18 @@ class JiraClient {
   async refreshColumns(jql = null, userToken = null) {
     try {
       const query = jql || this.jiraConfig.jql;
-      const tokenToUse = userToken || this.pat;
-      console.log('🔄 [refreshColumns] Starting refresh with JQL:', query);
-      console.log('🔄 [refreshColumns] Base URL:', this.baseUrl);
-      console.log('🔄 [refreshColumns] Using token:', userToken ? 'User-provided' : 'Config');
+      const tokenToUse = this.requireToken(userToken);
+      logger.info('[refreshColumns] Starting refresh with JQL:', query);
+      logger.info('[refreshColumns] Base URL:', this.baseUrl);
       
       // Use only backend configuration - no user configuration
       let backendConfig;
       try {
         backendConfig = this.configManager.getBackendConfig();
-        console.log('✅ [refreshColumns] Backend config loaded successfully');
+        logger.info('[refreshColumns] Backend config loaded successfully');
       } catch (configError) {
-        console.error('❌ [refreshColumns] Failed to load backend config:', configError.message);
-        console.error('❌ [refreshColumns] Config error stack:', configError.stack);
+        logger.error('[refreshColumns] Failed to load backend config:', configError.message);
+        logger.error('[refreshColumns] Config error stack:', configError.stack);
         throw new Error(`Configuration error: ${configError.message}`);
       }
       
@@ -133,28 +147,22 @@ class JiraClient {
       
       // Remove duplicates
       fields = [...new Set(fields)];
-      console.log(`📊 [refreshColumns] Using ${fields.length} backend configured fields:`, fields);
+      logger.info(`[refreshColumns] Using ${fields.length} backend configured fields:`, fields);
       
       if (!fields || fields.length === 0) {
-        console.warn('⚠️ [refreshColumns] No fields found, using defaults');
+        logger.warn('[refreshColumns] No fields found, using defaults');
         fields = ['key', 'summary', 'status'];
       }
       
-      const response = await this.makeJiraRequest(query, fields, tokenToUse);
+      const data = await this.searchCached(query, fields, tokenToUse);
       
-      // Check if response is HTML (redirect to login)
-      if (typeof response.data === 'string' && response.data.includes('<!DOCTYPE html>')) {
-        console.error('❌ [refreshColumns] Received HTML response - Bearer token not accepted for this endpoint');
-        throw new Error('Bearer token authentication failed. The token works for PAT management but not for search API. Please check if your Jira instance requires a different authentication method for API v3 endpoints.');
-      }
-      
-      const issueCount = response.data.issues?.length || 0;
-      console.log(`✅ [refreshColumns] Successfully refreshed ${issueCount} issues with backend configured columns`);
-      console.log(`📊 [refreshColumns] Total available: ${response.data.total || 0} issues`);
+      const issueCount = data.issues?.length || 0;
+      logger.info(`[refreshColumns] Successfully refreshed ${issueCount} issues with backend configured columns`);
+      logger.info(`[refreshColumns] Total available: ${data.total || 0} issues`);
       
-      return response.data;
+      return data;
     } catch (error) {
-      console.error('❌ [refreshColumns] Error details:', {
+      logger.error('[refreshColumns] Error details:', {
         message: error.message,
         status: error.response?.status,
         statusText: error.response?.statusText,
@@ -165,14 +173,14 @@ class JiraClient {
       });
       
       const errorMessage = this.extractErrorMessage(error);
-      console.error('❌ [refreshColumns] Extracted error message:', errorMessage);
+      logger.error('[refreshColumns] Extracted error message:', errorMessage);
       
       throw new Error(`Failed to refresh columns: ${errorMessage}`);
     }
   }
 
   async fetchMockData(jql = null, useConfiguredFields = false) {
-    console.log('🔧 Using mock JIRA data');
+    logger.debug('Using mock JIRA data');
     
     const query = jql || this.jiraConfig.jql;
     let fields;
@@ -188,37 +196,411 @@ class JiraClient {
     return response.data;
   }
 
-  async makeJiraRequest(jql, fields, token = null) {
-    const tokenToUse = token || this.pat;
+  // Run a JQL search across every result page (startAt loop) instead of one capped request.
+  // Page size, parallel page requests and an optional overall cap come from jira.search in config;
+  // the result carries `truncated: true` when fewer issues than Jira's `total` were collected.
+  // options.onPage(fetched, pages) reports progress; an aborted options.signal stops between page batches.
+  async searchAll(jql, fields, token = null, options = {}) {
+    const { pageSize, concurrency, maxResults, onPage, signal } = { ...this.configManager.getSearchConfig(), ...options };
+    const firstPageSize = maxResults ? Math.min(pageSize, maxResults) : pageSize;
+    const reportPage = onPage || (() => {});
+    
+    const firstPage = await this.fetchSearchPage(jql, fields, token, 0, firstPageSize);
+    const total = firstPage.total || 0;
+    const issues = [...(firstPage.issues || [])];
+    const seenKeys = new Set(issues.map(issue => issue.key));
+    let pageCount = 1;
+    
+    // Jira can return fewer issues per page than requested (server-side limit), so step by what came back
+    const step = issues.length;
+    const target = maxResults ? Math.min(total, maxResults) : total;
+    
+    if (step > 0 && issues.length < target) {
+      const offsets = [];
+      for (let startAt = step; startAt < target; startAt += step) {
+        offsets.push(startAt);
+      }
+      
+      logger.debug(`[searchAll] ${total} issues available, fetching ${offsets.length} more page(s) of ${step} (concurrency ${concurrency})`);
+      reportPage(1, offsets.length + 1);
+      
+      for (let i = 0; i < offsets.length; i += concurrency) {
+        if (signal && signal.aborted) {
+          const error = new Error('Search cancelled');
+          error.cancelled = true;
+          throw error;
+        }
+        const batch = offsets.slice(i, i + concurrency);
+        const pages = await Promise.all(batch.map(startAt => 
+          this.fetchSearchPage(jql, fields, token, startAt, Math.min(step, target - startAt))
+        ));
+        
+        pages.forEach(page => {
+          pageCount++;
+          (page.issues || []).forEach(issue => {
+            // Issues can shift between pages if the result set changes mid-fetch
+            if (!seenKeys.has(issue.key)) {
+              seenKeys.add(issue.key);
+              issues.push(issue);
+            }
+          });
+        });
+        reportPage(pageCount, offsets.length + 1);
+      }
+    } else {
+      reportPage(1, 1);
+    }
+    
+    const collected = maxResults ? issues.slice(0, maxResults) : issues;
+    const truncated = collected.length < total;
+    if (truncated) {
+      logger.warn(`[searchAll] Result truncated: collected ${collected.length} of ${total} issues`);
+    }
+    
+    return {
+      startAt: 0,
+      maxResults: collected.length,
+      total: total,
+      issues: collected,
+      truncated: truncated,
+      pageCount: pageCount
+    };
+  }
+
+  // searchAll through the response cache: a fresh cached result is returned as is, an expired one
+  // is refreshed incrementally (only issues whose `updated` changed are fetched with all fields)
+  async searchCached(jql, fields, token = null, options = {}) {
+    if (!this.cache || !this.cache.enabled) {
+      return this.searchAll(jql, fields, token, options);
+    }
+    
+    const tokenToUse = this.requireToken(token);
+    const searchFields = [...new Set([...fields, 'updated'])];
+    const { onPage, signal, ...searchOptions } = options; // Progress callbacks are not part of the request
+    const request = { baseUrl: this.baseUrl, jql, fields: [...searchFields].sort(), options: searchOptions };
+    const cached = this.cache.peek('search', tokenToUse, request);
+    
+    if (cached && cached.fresh) {
+      logger.info(`[searchCached] Cache hit - ${cached.value.issues.length} issues`);
+      return { ...cached.value, cache: 'hit' };
+    }
+    
+    let result;
+    if (cached && this.cache.incremental && !cached.value.truncated) {
+      try {
+        result = { ...await this.refreshIncrementally(jql, searchFields, tokenToUse, cached.value, options), cache: 'incremental' };
+      } catch (error) {
+        // Jira rejects a whole `key in (...)` query when one of the keys was deleted or moved
+        if (error.status !== 400) throw error;
+        logger.warn(`[searchCached] Incremental refresh rejected (${error.message}), running a full search`);
+      }
+    }
+    if (!result) {
+      result = { ...await this.searchAll(jql, searchFields, tokenToUse, options), cache: 'miss' };
+    }
+    
+    this.cache.set('search', tokenToUse, request, result);
+    return result;
+  }
+
+  // Re-run the query for keys and `updated` only, then fetch full fields for new or changed issues
+  async refreshIncrementally(jql, fields, token, previous, options = {}) {
+    const current = await this.searchAll(jql, ['updated'], token, options);
+    const previousByKey = new Map(previous.issues.map(issue => [issue.key, issue]));
+    
+    const changedKeys = current.issues
+      .filter(issue => {
+        const previousIssue = previousByKey.get(issue.key);
+        return !previousIssue || previousIssue.fields?.updated !== issue.fields?.updated;
+      })
+      .map(issue => issue.key);
+    
+    const refreshed = new Map();
+    const chunkSize = 100;
+    for (let i = 0; i < changedKeys.length; i += chunkSize) {
+      const chunk = changedKeys.slice(i, i + chunkSize);
+      const page = await this.searchAll(`key in (${chunk.join(',')})`, fields, token);
+      page.issues.forEach(issue => refreshed.set(issue.key, issue));
+    }
+    
+    // Keep the query's order; issues that left the result set are dropped
+    const issues = current.issues
+      .map(issue => refreshed.get(issue.key) || previousByKey.get(issue.key))
+      .filter(Boolean);
+    
+    logger.info(`[refreshIncrementally] Re-fetched ${changedKeys.length} new or changed issue(s) of ${current.issues.length}`);
+    
+    return {
+      ...current,
+      issues: issues,
+      maxResults: issues.length,
+      refreshedCount: changedKeys.length
+    };
+  }
+
+  async fetchSearchPage(jql, fields, token, startAt, maxResults) {
+    const response = await this.makeJiraRequest(jql, fields, token, { startAt, maxResults });
+    
+    // Check if response is HTML (redirect to login)
+    if (typeof response.data === 'string' && response.data.includes('<!DOCTYPE html>')) {
+      logger.error('[fetchSearchPage] Received HTML response - Bearer token not accepted for this endpoint');
+      throw new Error('Bearer token authentication failed. The token works for PAT management but not for search API. Please check if your Jira instance requires a different authentication method for API v3 endpoints.');
+    }
+    
+    return response.data;
+  }
+
+  // Fetch the complete changelog of one issue.
+  // expand=changelog only embeds the most recent histories on busy issues, so when Jira reports
+  // more than it returned the rest is paged from /issue/{key}/changelog (where the instance has it).
+  async fetchChangelog(issueKey, token = null) {
+    const tokenToUse = this.requireToken(token).trim().replace(/\r?\n/g, '');
+    const cleanBaseUrl = this.baseUrl.replace(/\/$/, '');
+    const headers = {
+      'Accept': 'application/json',
+      'Authorization': `Bearer ${tokenToUse}`
+    };
+
+    const response = await axios.get(`${cleanBaseUrl}/rest/api/2/issue/${issueKey}`, {
+      headers: headers,
+      params: { expand: 'changelog', fields: 'created' },
+      timeout: 30000
+    });
+
+    const changelog = response.data.changelog || {};
+    const histories = [...(changelog.histories || [])];
+    const total = changelog.total !== undefined ? changelog.total : histories.length;
+    let truncated = false;
+
+    if (histories.length < total) {
+      const pageSize = changelog.maxResults || 100;
+      const seenIds = new Set(histories.map(history => history.id));
+
+      for (let startAt = 0; startAt < total; startAt += pageSize) {
+        try {
+          const pageResponse = await axios.get(`${cleanBaseUrl}/rest/api/2/issue/${issueKey}/changelog`, {
+            headers: headers,
+            params: { startAt, maxResults: pageSize },
+            timeout: 30000
+          });
+          const values = pageResponse.data.values || [];
+          values.forEach(history => {
+            if (!seenIds.has(history.id)) {
+              seenIds.add(history.id);
+              histories.push(history);
+            }
+          });
+          if (pageResponse.data.isLast || values.length === 0) break;
+        } catch (error) {
+          // Older Jira Server versions have no changelog resource; keep what expand=changelog gave us
+          logger.warn(`[fetchChangelog] ${issueKey}: could not page changelog (${error.response?.status || error.message}), using ${histories.length} of ${total} entries`);
+          truncated = true;
+          break;
+        }
+      }
+    }
+
+    histories.sort((a, b) => new Date(a.created) - new Date(b.created));
+
+    return {
+      key: issueKey,
+      created: response.data.fields?.created || null,
+      histories: histories,
+      total: Math.max(total, histories.length),
+      truncated: truncated
+    };
+  }
+
+  // Fetch changelogs for many issues, a few at a time (uses jira.search.concurrency)
+  // Returns a map of issue key -> changelog; issues whose changelog fails are left out
+  async fetchChangelogs(issueKeys, token = null, options = {}) {
+    const { concurrency } = { ...this.configManager.getSearchConfig(), ...options };
+    const changelogs = {};
+    let failed = 0;
+
+    logger.info(`[fetchChangelogs] Fetching changelogs for ${issueKeys.length} issues (concurrency ${concurrency})`);
+
+    for (let i = 0; i < issueKeys.length; i += concurrency) {
+      const batch = issueKeys.slice(i, i + concurrency);
+      await Promise.all(batch.map(async (issueKey) => {
+        try {
+          changelogs[issueKey] = await this.fetchChangelog(issueKey, token);
+        } catch (error) {
+          failed++;
+          logger.warn(`[fetchChangelogs] ${issueKey}: ${this.extractErrorMessage(error)}`);
+        }
+      }));
+    }
+
+    logger.info(`[fetchChangelogs] Fetched ${Object.keys(changelogs).length} changelogs (${failed} failed)`);
+    return changelogs;
+  }
+
+  // Map of lower-cased status name -> status category key ('new', 'indeterminate', 'done')
+  // Changelogs only carry status names, so categories are looked up here
+  async fetchStatusCategories(token = null) {
+    const tokenToUse = this.requireToken(token).trim().replace(/\r?\n/g, '');
+    const cleanBaseUrl = this.baseUrl.replace(/\/$/, '');
+
+    const response = await axios.get(`${cleanBaseUrl}/rest/api/2/status`, {
+      headers: {
+        'Accept': 'application/json',
+        'Authorization': `Bearer ${tokenToUse}`
+      },
+      timeout: 30000
+    });
+
+    const categories = {};
+    (response.data || []).forEach(status => {
+      if (status && status.name) {
+        categories[status.name.toLowerCase()] = status.statusCategory?.key || null;
+      }
+    });
+    return categories;
+  }
+
+  // The user a token belongs to: { name, key, displayName, emailAddress }
+  async fetchCurrentUser(token = null) {
+    const tokenToUse = this.requireToken(token).trim().replace(/\r?\n/g, '');
+    const cleanBaseUrl = this.baseUrl.replace(/\/$/, '');
+
+    const response = await axios.get(`${cleanBaseUrl}/rest/api/2/myself`, {
+      headers: {
+        'Accept': 'application/json',
+        'Authorization': `Bearer ${tokenToUse}`
+      },
+      timeout: 30000
+    });
+
+    const user = response.data || {};
+    return {
+      name: user.name || null,
+      key: user.key || user.accountId || null,
+      displayName: user.displayName || null,
+      emailAddress: user.emailAddress || null
+    };
+  }
+
+  // Field definitions (id, name, custom, schema) - used to find custom field ids by name
+  async fetchFields(token = null) {
+    const tokenToUse = this.requireToken(token).trim().replace(/\r?\n/g, '');
+    const cleanBaseUrl = this.baseUrl.replace(/\/$/, '');
+
+    const response = await axios.get(`${cleanBaseUrl}/rest/api/2/field`, {
+      headers: {
+        'Accept': 'application/json',
+        'Authorization': `Bearer ${tokenToUse}`
+      },
+      timeout: 30000
+    });
+
+    return Array.isArray(response.data) ? response.data : [];
+  }
+
+  // Remote links of one issue (raw Jira objects: { id, globalId, relationship, object: { url, title } })
+  async fetchRemoteLinks(issueKey, token = null) {
+    const tokenToUse = this.requireToken(token).trim().replace(/\r?\n/g, '');
+    const cleanBaseUrl = this.baseUrl.replace(/\/$/, '');
+
+    const response = await axios.get(`${cleanBaseUrl}/rest/api/2/issue/${issueKey}/remotelink`, {
+      headers: {
+        'Accept': 'application/json',
+        'Authorization': `Bearer ${tokenToUse}`
+      },
+      timeout: 30000
+    });
+
+    return Array.isArray(response.data) ? response.data : [];
+  }
+
+  // Link a Confluence page to an issue; the URL is the globalId, so linking the same page again
+  // updates the existing link instead of adding a duplicate. Returns { id, self }
+  async createRemoteLink(issueKey, { url, title, relationship = 'mentioned in' }, token = null) {
+    const tokenToUse = this.requireToken(token).trim().replace(/\r?\n/g, '');
+    const cleanBaseUrl = this.baseUrl.replace(/\/$/, '');
+
+    const response = await axios.post(`${cleanBaseUrl}/rest/api/2/issue/${issueKey}/remotelink`, {
+      globalId: url,
+      application: { type: 'com.atlassian.confluence', name: 'Confluence' },
+      relationship,
+      object: { url, title }
+    }, {
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${tokenToUse}`
+      },
+      timeout: 30000
+    });
+
+    logger.info(`[createRemoteLink] ${issueKey}: linked "${title}" (${relationship})`);
+    return response.data;
+  }
+
+  // Fields the user may edit on an issue, keyed by field id ({ name, required, schema, operations })
+  async fetchEditMeta(issueKey, token = null) {
+    const tokenToUse = this.requireToken(token).trim().replace(/\r?\n/g, '');
+    const cleanBaseUrl = this.baseUrl.replace(/\/$/, '');
+
+    const response = await axios.get(`${cleanBaseUrl}/rest/api/2/issue/${issueKey}/editmeta`, {
+      headers: {
+        'Accept': 'application/json',
+        'Authorization': `Bearer ${tokenToUse}`
+      },
+      timeout: 30000
+    });
+
+    return (response.data && response.data.fields) || {};
+  }
+
+  // Set field values through the edit API ({ customfield_23073: 'text', ... }); Jira answers 204
+  async updateIssueFields(issueKey, fields, token = null) {
+    const tokenToUse = this.requireToken(token).trim().replace(/\r?\n/g, '');
+    const cleanBaseUrl = this.baseUrl.replace(/\/$/, '');
+
+    await axios.put(`${cleanBaseUrl}/rest/api/2/issue/${issueKey}`, { fields }, {
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${tokenToUse}`
+      },
+      timeout: 30000
+    });
+
+    logger.info(`[updateIssueFields] ${issueKey}: updated ${Object.keys(fields).join(', ')}`);
+  }
+
+  async makeJiraRequest(jql, fields, token = null, page = {}) {
+    const tokenToUse = this.requireToken(token);
     const cleanBaseUrl = this.baseUrl.replace(/\/$/, ''); // Remove trailing slash
     const searchUrl = `${cleanBaseUrl}/rest/api/2/search`;
     
-    console.log('🔐 [makeJiraRequest] Attempting Jira request...');
-    console.log('🔐 [makeJiraRequest] JQL:', jql);
-    console.log('🔐 [makeJiraRequest] Fields count:', fields?.length || 0);
-    console.log('🔐 [makeJiraRequest] Request URL:', searchUrl);
-    console.log('🔐 [makeJiraRequest] Using token:', token ? 'User-provided' : 'Config');
+    logger.debug('[makeJiraRequest] Attempting Jira request...');
+    logger.debug('[makeJiraRequest] JQL:', jql);
+    logger.debug('[makeJiraRequest] Fields count:', fields?.length || 0);
+    logger.debug('[makeJiraRequest] Page:', `startAt=${page.startAt || 0}, maxResults=${page.maxResults || 'default'}`);
+    logger.debug('[makeJiraRequest] Request URL:', searchUrl);
     
     // Try different authentication methods - Bearer Token first (most reliable for API v2)
     const authMethods = [
-      { name: 'Bearer Token (API v2)', method: () => this.tryBearerTokenRequest(jql, fields, tokenToUse) }
+      { name: 'Bearer Token (API v2)', method: () => this.tryBearerTokenRequest(jql, fields, tokenToUse, page) }
     ];
     
     // Only try other methods if Bearer token is not provided
     if (!tokenToUse) {
       authMethods.push(
-        { name: 'PAT Token Header', method: () => this.tryPATTokenRequest(jql, fields, tokenToUse) },
-        { name: 'Basic Auth', method: () => this.tryBasicAuthRequest(jql, fields) }
+        { name: 'PAT Token Header', method: () => this.tryPATTokenRequest(jql, fields, tokenToUse, page) },
+        { name: 'Basic Auth', method: () => this.tryBasicAuthRequest(jql, fields, page) }
       );
     }
 
     const errors = [];
     for (const authMethod of authMethods) {
       try {
-        console.log(`🔐 [makeJiraRequest] Trying ${authMethod.name}...`);
+        logger.debug(`[makeJiraRequest] Trying ${authMethod.name}...`);
         const response = await authMethod.method();
-        console.log(`✅ [makeJiraRequest] ${authMethod.name} authentication successful`);
-        console.log(`✅ [makeJiraRequest] Response status: ${response.status}`);
+        logger.info(`[makeJiraRequest] ${authMethod.name} authentication successful`);
+        logger.info(`[makeJiraRequest] Response status: ${response.status}`);
         return response;
       } catch (error) {
         const errorDetails = {
@@ -229,19 +611,21 @@ class JiraClient {
           data: error.response?.data
         };
         errors.push(errorDetails);
-        console.log(`⚠️ [makeJiraRequest] ${authMethod.name} failed:`, errorDetails);
+        logger.warn(`[makeJiraRequest] ${authMethod.name} failed:`, errorDetails);
         continue;
       }
     }
 
-    console.error('❌ [makeJiraRequest] All authentication methods failed');
-    console.error('❌ [makeJiraRequest] Error summary:', errors);
-    throw new Error(`All authentication methods failed. Last error: ${errors[errors.length - 1]?.message || 'Unknown error'}`);
+    logger.error('[makeJiraRequest] All authentication methods failed');
+    logger.error('[makeJiraRequest] Error summary:', errors);
+    const failure = new Error(`All authentication methods failed. Last error: ${errors[errors.length - 1]?.message || 'Unknown error'}`);
+    failure.status = errors[errors.length - 1]?.status;
+    throw failure;
   }
 
-  async tryPATTokenRequest(jql, fields) {
+  async tryPATTokenRequest(jql, fields, token = null, page = {}) {
     const cleanToken = this.pat.trim().replace(/\r?\n/g, '');
-    console.log('🔐 [tryPATTokenRequest] Trying PAT token with alternative header formats...');
+    logger.debug('[tryPATTokenRequest] Trying PAT token with alternative header formats...');
     
     // Try different header formats for PAT token
     const headerFormats = [
@@ -253,7 +637,7 @@ class JiraClient {
     
     for (const format of headerFormats) {
       try {
-        console.log(`🔐 [tryPATTokenRequest] Trying ${format.name}...`);
+        logger.debug(`[tryPATTokenRequest] Trying ${format.name}...`);
         const headers = {
           'Accept': 'application/json',
           'Content-Type': 'application/json'
@@ -268,7 +652,8 @@ class JiraClient {
           `${cleanBaseUrl}/rest/api/2/search`,
           {
             jql: jql,
-            maxResults: 1000, // Increased from 100 to fetch more issues
+            startAt: page.startAt || 0,
+            maxResults: page.maxResults || 100,
             fields: fields
           },
           {
@@ -281,17 +666,17 @@ class JiraClient {
         );
         
         if (response.status === 200) {
-          console.log(`✅ [tryPATTokenRequest] Success with ${format.name}`);
+          logger.info(`[tryPATTokenRequest] Success with ${format.name}`);
           return response;
         }
         
         // Check if response is HTML redirect
         if (response.status === 302 || (typeof response.data === 'string' && response.data.includes('<!DOCTYPE'))) {
-          console.log(`⚠️ [tryPATTokenRequest] ${format.name} resulted in redirect, trying next...`);
+          logger.warn(`[tryPATTokenRequest] ${format.name} resulted in redirect, trying next...`);
           continue;
         }
       } catch (error) {
-        console.log(`⚠️ [tryPATTokenRequest] ${format.name} failed: ${error.message}`);
+        logger.warn(`[tryPATTokenRequest] ${format.name} failed: ${error.message}`);
         if (format === headerFormats[headerFormats.length - 1]) {
           throw error;
         }
@@ -308,9 +693,12 @@ class JiraClient {
     throw new Error('OAuth not configured');
   }
 
-  async tryBasicAuthRequest(jql, fields) {
+  async tryBasicAuthRequest(jql, fields, page = {}) {
     const cleanToken = this.pat.trim().replace(/\r?\n/g, '');
-    const username = this.jiraConfig.username || 'namratha.singh';
+    const username = this.jiraConfig.username;
+    if (!username) {
+      throw new Error('Basic Auth needs a Jira username (JIRA_USERNAME)');
+    }
     
     // Try different username formats
     const usernameFormats = [
@@ -321,7 +709,7 @@ class JiraClient {
     
     for (const userFormat of usernameFormats) {
       try {
-        console.log(`🔐 [tryBasicAuthRequest] Trying username format: ${userFormat}`);
+        logger.debug(`[tryBasicAuthRequest] Trying username format: ${userFormat}`);
         const auth = Buffer.from(`${userFormat}:${cleanToken}`).toString('base64');
         
         const cleanBaseUrl = this.baseUrl.replace(/\/$/, '');
@@ -329,7 +717,8 @@ class JiraClient {
           `${cleanBaseUrl}/rest/api/2/search`,
           {
             jql: jql,
-            maxResults: 100,
+            startAt: page.startAt || 0,
+            maxResults: page.maxResults || 100,
             fields: fields
           },
           {
@@ -345,12 +734,12 @@ class JiraClient {
         );
         
         if (response.status === 200) {
-          console.log(`✅ [tryBasicAuthRequest] Success with username format: ${userFormat}`);
+          logger.info(`[tryBasicAuthRequest] Success with username format: ${userFormat}`);
           return response;
         }
         
         if (response.status === 403 && response.data?.message?.includes('Basic Authentication has been disabled')) {
-          console.log(`⚠️ [tryBasicAuthRequest] Basic Auth disabled, trying next format...`);
+          logger.warn(`[tryBasicAuthRequest] Basic Auth disabled, trying next format...`);
           continue;
         }
         
@@ -358,7 +747,7 @@ class JiraClient {
         throw new Error(`HTTP ${response.status}: ${response.data?.message || response.statusText}`);
       } catch (error) {
         if (error.response?.status === 403 && error.response?.data?.message?.includes('Basic Authentication has been disabled')) {
-          console.log(`⚠️ [tryBasicAuthRequest] Basic Auth disabled for ${userFormat}, trying next...`);
+          logger.warn(`[tryBasicAuthRequest] Basic Auth disabled for ${userFormat}, trying next...`);
           continue;
         }
         // If it's the last format, throw the error
@@ -371,22 +760,21 @@ class JiraClient {
     throw new Error('Basic Authentication has been disabled on this instance');
   }
 
-  async tryBearerTokenRequest(jql, fields, token = null) {
+  async tryBearerTokenRequest(jql, fields, token = null, page = {}) {
     try {
-      const tokenToUse = token || this.pat;
+      const tokenToUse = this.requireToken(token);
       const cleanToken = tokenToUse.trim().replace(/\r?\n/g, '');
       const cleanBaseUrl = this.baseUrl.replace(/\/$/, ''); // Remove trailing slash
       const searchUrl = `${cleanBaseUrl}/rest/api/2/search`;
       
-      console.log('🔐 [tryBearerTokenRequest] Token length:', cleanToken.length);
-      console.log('🔐 [tryBearerTokenRequest] Token starts with:', cleanToken.substring(0, 10) + '...');
-      console.log('🔐 [tryBearerTokenRequest] Request URL:', searchUrl);
+      logger.debug('[tryBearerTokenRequest] Request URL:', searchUrl);
       
       const response = await axios.post(
         searchUrl,
         {
           jql: jql,
-          maxResults: 1000, // Increased from 100 to fetch more issues
+          startAt: page.startAt || 0,
+          maxResults: page.maxResults || 100,
           fields: fields
         },
         {
@@ -407,12 +795,12 @@ class JiraClient {
       const contentType = response.headers['content-type'] || '';
       const responseData = response.data;
       
-      console.log('📋 [tryBearerTokenRequest] Response status:', response.status);
-      console.log('📋 [tryBearerTokenRequest] Content-Type:', contentType);
-      console.log('📋 [tryBearerTokenRequest] Response data type:', typeof responseData);
+      logger.debug('[tryBearerTokenRequest] Response status:', response.status);
+      logger.debug('[tryBearerTokenRequest] Content-Type:', contentType);
+      logger.debug('[tryBearerTokenRequest] Response data type:', typeof responseData);
       
       if (response.status !== 200) {
-        console.error('❌ [tryBearerTokenRequest] Non-200 status:', response.status);
+        logger.error('[tryBearerTokenRequest] Non-200 status:', response.status);
         
         // Handle specific error cases
         if (response.status === 401 || response.status === 403) {
@@ -424,34 +812,36 @@ class JiraClient {
         }
         
         if (typeof responseData === 'string' && (responseData.includes('<!DOCTYPE') || responseData.includes('<html'))) {
-          console.error('❌ [tryBearerTokenRequest] Received HTML response');
+          logger.error('[tryBearerTokenRequest] Received HTML response');
           throw new Error('Received HTML instead of JSON. Please check your Bearer token is valid.');
         }
         
         // Check for Jira error messages
         if (responseData && typeof responseData === 'object' && responseData.errorMessages) {
-          throw new Error(`Jira API error: ${responseData.errorMessages.join('; ')}`);
+          const apiError = new Error(`Jira API error: ${responseData.errorMessages.join('; ')}`);
+          apiError.response = response; // Keeps the status for callers, e.g. 400 for an unknown key
+          throw apiError;
         }
         
         throw new Error(`HTTP ${response.status}: ${response.statusText || 'Unknown error'}`);
       }
       
       if (contentType.includes('text/html') || (typeof responseData === 'string' && responseData.includes('<!DOCTYPE'))) {
-        console.error('❌ [tryBearerTokenRequest] Response is HTML, not JSON');
+        logger.error('[tryBearerTokenRequest] Response is HTML, not JSON');
         throw new Error('Received HTML response instead of JSON. Please verify your Bearer token.');
       }
       
       if (!responseData || typeof responseData !== 'object') {
-        console.error('❌ [tryBearerTokenRequest] Invalid response data type:', typeof responseData);
+        logger.error('[tryBearerTokenRequest] Invalid response data type:', typeof responseData);
         throw new Error('Invalid response format from Jira API. Expected JSON but got: ' + typeof responseData);
       }
       
       // Validate response structure
       if (!responseData.issues && !Array.isArray(responseData.issues)) {
-        console.warn('⚠️ [tryBearerTokenRequest] Response missing issues array');
+        logger.warn('[tryBearerTokenRequest] Response missing issues array');
       }
       
-      console.log('✅ [tryBearerTokenRequest] Request successful');
+      logger.info('[tryBearerTokenRequest] Request successful');
       return response;
     } catch (error) {
       const errorData = error.response?.data;
@@ -468,7 +858,7 @@ class JiraClient {
         }
       }
       
-      console.error('❌ [tryBearerTokenRequest] Request failed:', {
+      logger.error('[tryBearerTokenRequest] Request failed:', {
         message: error.message,
         status: error.response?.status,
         statusText: error.response?.statusText,
@@ -479,7 +869,7 @@ class JiraClient {
     }
   }
 
-  async getIssueDetails(issueKey) {
+  async getIssueDetails(issueKey, token = null) {
     try {
       if (!issueKey) {
         throw new Error('Issue key is required');
@@ -491,21 +881,21 @@ class JiraClient {
         {
           headers: {
             'Accept': 'application/json',
-            'Authorization': `Bearer ${this.pat.trim().replace(/\r?\n/g, '')}`
+            'Authorization': `Bearer ${this.requireToken(token).trim().replace(/\r?\n/g, '')}`
           }
         }
       );
 
       return response.data;
     } catch (error) {
-      console.error(`❌ Error fetching issue ${issueKey}:`, error.message);
+      logger.error(`Error fetching issue ${issueKey}:`, error.message);
       throw new Error(`Failed to fetch issue details: ${this.extractErrorMessage(error)}`);
     }
   }
 
   formatIssues(issues, useAllColumns = false) {
     if (!Array.isArray(issues)) {
-      console.warn('⚠️ formatIssues: issues is not an array', issues);
+      logger.warn('formatIssues: issues is not an array', issues);
       return [];
     }
     
@@ -515,7 +905,7 @@ class JiraClient {
       const columns = tableConfig.allColumns || tableConfig.defaultColumns || [];
       
       if (!columns || columns.length === 0) {
-        console.warn('⚠️ [formatIssues] No columns found in table config. Using minimal defaults.');
+        logger.warn('[formatIssues] No columns found in table config. Using minimal defaults.');
         // Fallback to basic columns if config is empty
         return issues.map(issue => ({
           url: `${this.baseUrl.replace(/\/$/, '')}/browse/${issue.key}`,
@@ -525,10 +915,11 @@ class JiraClient {
         }));
       }
       
-      console.log(`📊 [formatIssues] Processing ${issues.length} issues with ${columns.length} columns (${tableConfig.defaultColumns?.length || 0} default + ${tableConfig.userColumns?.length || 0} user)`);
+      logger.info(`[formatIssues] Processing ${issues.length} issues with ${columns.length} columns (${tableConfig.defaultColumns?.length || 0} default + ${tableConfig.userColumns?.length || 0} user)`);
       
       const cleanBaseUrl = this.baseUrl.replace(/\/$/, '');
       const firstIssueKey = issues.length > 0 ? issues[0].key : null;
+      const storyPointField = this.configManager.getMetricsConfig().storyPointField;
       
       return issues.map((issue, index) => {
       // Calculate % Complete based on status (simple version)
@@ -552,8 +943,14 @@ class JiraClient {
         url: `${cleanBaseUrl}/browse/${issue.key}`,
         key: issue.key || '',
         percentComplete: percentComplete,
+        // Jira status category key, so the UI can apply metrics.doneStatusCategories
+        statusCategory: issue.fields?.status?.statusCategory?.key || null,
         // Store all Confluence links for display
-        allConfluenceLinks: issue._allConfluenceLinks || []
+        allConfluenceLinks: issue._allConfluenceLinks || [],
+        // Red/Amber/Green from the health rules (features only), with the reasons behind it
+        health: issue._health || null,
+        // When the Status Update was last written and whether it needs an update (features only)
+        statusUpdateInfo: issue._statusUpdate || null
       };
       
       // Extract CG Readiness and PG Readiness from issue fields
@@ -660,7 +1057,7 @@ class JiraClient {
               
               // Debug logging for first issue
               if (index === 0) {
-                console.log(`🔍 [formatIssues] CG Completion for ${issue.key}:`, {
+                logger.debug(`[formatIssues] CG Completion for ${issue.key}:`, {
                   readinessLinks: readinessLinks,
                   finalValue: formattedIssue[column.key],
                   hasReadinessLinks: !!issue._readinessLinks,
@@ -692,7 +1089,7 @@ class JiraClient {
               
               // Debug logging for first issue
               if (index === 0) {
-                console.log(`🔍 [formatIssues] PG Completion for ${issue.key}:`, {
+                logger.debug(`[formatIssues] PG Completion for ${issue.key}:`, {
                   readinessLinks: readinessLinks,
                   pgReadinessLink: pgReadinessLink,
                   finalValue: formattedIssue[column.key],
@@ -762,17 +1159,17 @@ class JiraClient {
               formattedIssue[column.key] = 'N/A';
             }
           }
-          // Special handling for story points
+          // Special handling for story points (metrics.storyPointField)
           // If _storyPoints is available (calculated from child items), use that
           // Otherwise, use the issue's own story points
-          else if (column.key === 'customfield_10002' || column.jiraField === 'customfield_10002') {
+          else if (column.key === storyPointField || column.jiraField === storyPointField) {
             if (issue._storyPoints && issue._storyPoints.total !== undefined) {
               // Use calculated story points from child items
               formattedIssue[column.key] = issue._storyPoints;
               formattedIssue._storyPointsCalculated = true;
             } else {
               // Fallback to issue's own story points
-              const storyPoints = issue.fields?.customfield_10002;
+              const storyPoints = issue.fields?.[storyPointField];
               if (storyPoints !== null && storyPoints !== undefined) {
                 formattedIssue[column.key] = parseFloat(storyPoints) || 0;
               } else {
@@ -793,6 +1190,10 @@ class JiraClient {
           // Special handling for % Complete (already calculated above)
           else if (column.key === 'percentComplete' || column.jiraField === 'percentComplete') {
             formattedIssue[column.key] = formattedIssue.percentComplete || 0;
+          }
+          // Health is calculated by HealthScorer during the fetch (set above)
+          else if (column.type === 'health') {
+            formattedIssue[column.key] = issue._health || null;
           } else {
             formattedIssue[column.key] = this.formatFieldValue(fieldValue, column.type);
           }
@@ -802,8 +1203,8 @@ class JiraClient {
       return formattedIssue;
     });
     } catch (error) {
-      console.error('❌ [formatIssues] Error formatting issues:', error);
-      console.error('❌ [formatIssues] Error stack:', error.stack);
+      logger.error('[formatIssues] Error formatting issues:', error);
+      logger.error('[formatIssues] Error stack:', error.stack);
       // Return minimal formatted issues on error
       return issues.map(issue => ({
         url: `${this.baseUrl.replace(/\/$/, '')}/browse/${issue.key}`,
@@ -933,16 +1334,16 @@ class JiraClient {
             if (isConfluenceLink && matchesType) {
               // Return the URL
               if (url && url.startsWith('http')) {
-                console.log(`✅ [extractReadinessLink] Found ${type} link: ${url}`);
+                logger.info(`[extractReadinessLink] Found ${type} link: ${url}`);
                 return url;
               }
               // Try to extract URL from the object
               if (item.url && item.url.startsWith('http')) {
-                console.log(`✅ [extractReadinessLink] Found ${type} link: ${item.url}`);
+                logger.info(`[extractReadinessLink] Found ${type} link: ${item.url}`);
                 return item.url;
               }
               if (item.value && typeof item.value === 'string' && item.value.startsWith('http')) {
-                console.log(`✅ [extractReadinessLink] Found ${type} link: ${item.value}`);
+                logger.info(`[extractReadinessLink] Found ${type} link: ${item.value}`);
                 return item.value;
               }
             }
@@ -963,7 +1364,7 @@ class JiraClient {
                           url.toLowerCase().includes(searchTerm.replace(' ', '-'));
         
         if (isConfluenceLink && matchesType && url.startsWith('http')) {
-          console.log(`✅ [extractReadinessLink] Found ${type} link (single object): ${url}`);
+          logger.info(`[extractReadinessLink] Found ${type} link (single object): ${url}`);
           return url;
         }
       }
@@ -1121,15 +1522,15 @@ class JiraClient {
 
   saveUserConfig(userColumns) {
     if (!Array.isArray(userColumns)) {
-      console.error('❌ userColumns must be an array');
+      logger.error('userColumns must be an array');
       return false;
     }
     
     const success = this.configManager.saveUserConfig(userColumns);
     if (success) {
-      console.log('✅ User configuration saved successfully');
+      logger.info('User configuration saved successfully');
     } else {
-      console.error('❌ Failed to save user configuration');
+      logger.error('Failed to save user configuration');
     }
     return success;
   }
@@ -1137,7 +1538,9 @@ class JiraClient {
   getBackendConfig() {
     return {
       defaultColumns: this.configManager.config.defaultColumns,
-      allPossibleFields: this.configManager.config.allPossibleFields
+      allPossibleFields: this.configManager.config.allPossibleFields,
+      metrics: this.configManager.getMetricsConfig(),
+      fieldEditing: this.configManager.getFieldEditConfig()
     };
   }
 
@@ -1145,47 +1548,47 @@ class JiraClient {
     // Jira API error messages
     if (error.response?.data?.errorMessages?.length > 0) {
       const messages = error.response.data.errorMessages.join('; ');
-      console.log('📋 [extractErrorMessage] Jira error messages:', messages);
+      logger.debug('[extractErrorMessage] Jira error messages:', messages);
       return messages;
     }
     
     // Generic error message
     if (error.response?.data?.message) {
-      console.log('📋 [extractErrorMessage] Response message:', error.response.data.message);
+      logger.debug('[extractErrorMessage] Response message:', error.response.data.message);
       return error.response.data.message;
     }
     
     // HTTP status code errors
     if (error.response?.status) {
       const statusMessages = {
-        401: 'Authentication failed. Please check your JIRA_API_TOKEN in .env file',
+        401: 'Authentication failed. Your Jira token was rejected - please log in again',
         403: 'Access forbidden. Please check your Jira permissions.',
         404: 'Resource not found. Please check your Jira URL and filter ID.',
         500: 'Jira server error. Please try again later.',
         503: 'Jira service unavailable. Please try again later.'
       };
       const message = statusMessages[error.response.status] || `HTTP ${error.response.status}: ${error.response.statusText}`;
-      console.log('📋 [extractErrorMessage] HTTP status error:', message);
+      logger.debug('[extractErrorMessage] HTTP status error:', message);
       return message;
     }
     
     // Network errors
     if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
       const message = `Cannot connect to ${this.baseUrl}. Please check your network connection and VPN status.`;
-      console.log('📋 [extractErrorMessage] Network error:', message);
+      logger.debug('[extractErrorMessage] Network error:', message);
       return message;
     }
     
     // Timeout errors
     if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
       const message = 'Request timed out. Please check your network connection.';
-      console.log('📋 [extractErrorMessage] Timeout error:', message);
+      logger.debug('[extractErrorMessage] Timeout error:', message);
       return message;
     }
     
     // Default error message
     const message = error.message || 'Unknown error occurred';
-    console.log('📋 [extractErrorMessage] Default error:', message);
+    logger.debug('[extractErrorMessage] Default error:', message);
     return message;
   }
 
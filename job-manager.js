@@ -0,0 +1,158 @@
+/**
+ * Job Manager
+ * Runs long requests (e.g. Fetch All Data) in the background under a job id, keeps their
+ * phase/progress for polling and Server-Sent Events, and supports cancellation
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const Logger = require('./logger');
+
+const logger = new Logger('jobs');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobManager {
+  constructor(options = {}) {
+    this.jobs = new Map();
+    this.retentionMs = options.retentionMs || 15 * 60 * 1000; // Finished jobs stay readable this long
+  }
+
+  // run(context) does the work; context.update(phase, progress) reports progress and
+  // context.throwIfCancelled() / context.signal let it stop early when the job is cancelled
+  // options.owner tags the job with whoever started it (the login session), see isOwnedBy()
+  start(type, run, options = {}) {
+    this.prune();
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      owner: options.owner || null,
+      status: 'running',
+      phase: null,
+      progress: null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      result: null,
+      error: null,
+      controller: new AbortController(),
+      emitter: new EventEmitter()
+    };
+    this.jobs.set(job.id, job);
+
+    const context = {
+      id: job.id,
+      signal: job.controller.signal,
+      update: (phase, progress = {}) => {
+        if (TERMINAL_STATUSES.includes(job.status)) return;
+        job.phase = phase;
+        job.progress = progress;
+        this.emit(job, 'progress', { phase, ...progress });
+      },
+      throwIfCancelled: () => {
+        if (job.controller.signal.aborted) {
+          const error = new Error('Job cancelled');
+          error.cancelled = true;
+          throw error;
+        }
+      }
+    };
+
+    Promise.resolve()
+      .then(() => run(context))
+      .then(result => {
+        if (job.controller.signal.aborted) {
+          this.finish(job, 'cancelled');
+        } else {
+          job.result = result;
+          this.finish(job, 'completed');
+        }
+      })
+      .catch(error => {
+        if (job.controller.signal.aborted || error.cancelled) {
+          this.finish(job, 'cancelled');
+        } else {
+          job.error = error.message;
+          this.finish(job, 'failed');
+        }
+      });
+
+    return this.toView(job);
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    const message = `[finish] ${job.type} job ${job.id} ${status}${job.error ? `: ${job.error}` : ''}`;
+    if (status === 'failed') {
+      logger.warn(message);
+    } else {
+      logger.info(message);
+    }
+    this.emit(job, status, job.error ? { error: job.error } : {});
+  }
+
+  emit(job, type, data) {
+    job.emitter.emit('event', { type, jobId: job.id, status: job.status, at: new Date().toISOString(), ...data });
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  cancel(id) {
+    const job = this.get(id);
+    if (!job) return null;
+    if (!TERMINAL_STATUSES.includes(job.status)) {
+      job.status = 'cancelling';
+      job.controller.abort();
+      this.emit(job, 'cancelling', {});
+    }
+    return this.toView(job);
+  }
+
+  // listener(event) for every event after subscribing; returns the unsubscribe function
+  subscribe(id, listener) {
+    const job = this.get(id);
+    if (!job) return null;
+    job.emitter.on('event', listener);
+    return () => job.emitter.off('event', listener);
+  }
+
+  isOwnedBy(job, owner) {
+    return !job.owner || job.owner === owner;
+  }
+
+  isFinished(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+  }
+
+  // Public shape of a job; the result is only included when asked for
+  toView(job, includeResult = false) {
+    const view = {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      phase: job.phase,
+      progress: job.progress,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      error: job.error
+    };
+    if (includeResult) {
+      view.result = job.result;
+    }
+    return view;
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    this.jobs.forEach((job, id) => {
+      if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    });
+  }
+}
+
+module.exports = JobManager;
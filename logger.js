@@ -0,0 +1,133 @@
+/**
+ * Logger
+ * Leveled logging (error, warn, info, debug) as text lines or JSON, tagged with the id of the
+ * request being handled, with Authorization headers, tokens and email addresses redacted
+ */
+
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const ConfigManager = require('./config');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are always secrets, e.g. headers.Authorization or { token }
+const SECRET_KEY_PATTERN = /authorization|token|password|secret|cookie|^pat$|apikey|api_key/i;
+
+// Secrets that can appear inside free text
+const TEXT_PATTERNS = [
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9+/=._~-]+/gi, `$1 ${REDACTED}`],
+  [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, '[email]'],
+  [/[A-Za-z0-9+/_-]{32,}={0,2}/g, (match) => (looksLikeToken(match) ? REDACTED : match)]
+];
+
+// Jira/Confluence PATs and API tokens are long random base64-like runs; URL paths and
+// page slugs of the same length are made of short words, so they are left alone
+function looksLikeToken(text) {
+  const longestRun = Math.max(...text.split(/[/_-]/).map(part => part.length));
+  return longestRun >= 20 && /[A-Z]/.test(text) && /[a-z]/.test(text) && /[0-9]/.test(text);
+}
+
+// Each request runs inside this store so log lines can carry its request id
+const requestContext = new AsyncLocalStorage();
+
+class Logger {
+  // component: short name shown on every line (e.g. 'server', 'jira'); options.level and options.format
+  // together skip loading the logging config (ConfigManager passes its own, it cannot load another one)
+  constructor(component, options = {}) {
+    const configured = options.level && options.format ? {} : new ConfigManager().getLoggingConfig();
+    const loggingConfig = { ...configured, ...options };
+    this.component = component;
+    this.level = loggingConfig.level;
+    this.format = loggingConfig.format;
+    this.write = options.write || ((level, line) => (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(`${line}\n`));
+  }
+
+  static redactText(text) {
+    return TEXT_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), String(text));
+  }
+
+  // Deep copy with secret keys blanked and secrets in strings replaced
+  static redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') return Logger.redactText(value);
+    if (value instanceof Error) {
+      const redacted = { name: value.name, message: Logger.redactText(value.message) };
+      if (value.response) {
+        redacted.status = value.response.status;
+        redacted.data = Logger.redact(value.response.data, seen);
+      }
+      return redacted;
+    }
+    if (!value || typeof value !== 'object') return value;
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map(item => Logger.redact(item, seen));
+    }
+    const redacted = {};
+    Object.keys(value).forEach(key => {
+      redacted[key] = SECRET_KEY_PATTERN.test(key) && value[key] ? REDACTED : Logger.redact(value[key], seen);
+    });
+    return redacted;
+  }
+
+  // Express middleware: reuses an incoming X-Request-Id or creates one, echoes it back, and
+  // runs the rest of the request inside the context so every log line carries it
+  static requestMiddleware() {
+    return (req, res, next) => {
+      const incoming = req.headers['x-request-id'];
+      const requestId = incoming && /^[A-Za-z0-9._-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+      req.id = requestId;
+      res.setHeader('X-Request-Id', requestId);
+      requestContext.run({ requestId }, next);
+    };
+  }
+
+  static currentRequestId() {
+    const store = requestContext.getStore();
+    return store ? store.requestId : null;
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] <= LEVELS[this.level];
+  }
+
+  // message is a string; further arguments are values to show with it (objects are redacted)
+  log(level, message, ...args) {
+    if (!this.isEnabled(level)) return;
+
+    const requestId = Logger.currentRequestId();
+    const details = args.map(arg => Logger.redact(arg));
+    const text = Logger.redactText(message);
+
+    if (this.format === 'json') {
+      const entry = { time: new Date().toISOString(), level, component: this.component, message: text };
+      if (requestId) entry.requestId = requestId;
+      if (details.length === 1) entry.details = details[0];
+      if (details.length > 1) entry.details = details;
+      this.write(level, JSON.stringify(entry));
+      return;
+    }
+
+    const detailText = details
+      .map(detail => (typeof detail === 'string' ? detail : util.inspect(detail, { depth: 4, breakLength: Infinity })))
+      .join(' ');
+    this.write(level, [
+      new Date().toISOString(),
+      level.toUpperCase().padEnd(5),
+      `[${this.component}]`,
+      requestId ? `(${requestId.substring(0, 8)})` : null,
+      text,
+      detailText || null
+    ].filter(Boolean).join(' '));
+  }
+
+  error(message, ...args) { this.log('error', message, ...args); }
+  warn(message, ...args) { this.log('warn', message, ...args); }
+  info(message, ...args) { this.log('info', message, ...args); }
+  debug(message, ...args) { this.log('debug', message, ...args); }
+}
+
+module.exports = Logger;
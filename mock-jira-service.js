@@ -2,6 +2,10 @@
  * Mock JIRA Service for testing when real JIRA authentication is not available
  */
 
+const Logger = require('./logger');
+
+const logger = new Logger('mock-jira');
+
 class MockJiraService {
   constructor() {
     this.mockIssues = [
@@ -94,8 +98,8 @@ class MockJiraService {
   }
 
   async searchIssues(jql, fields) {
-    console.log('🔧 Mock JIRA: Searching with JQL:', jql);
-    console.log('🔧 Mock JIRA: Requested fields:', fields);
+    logger.debug('[searchIssues] Searching with JQL:', jql);
+    logger.debug('[searchIssues] Requested fields:', fields);
     
     // Simulate API delay
     await new Promise(resolve => setTimeout(resolve, 500));
@@ -109,7 +113,7 @@ class MockJiraService {
   }
 
   async getIssueDetails(issueKey) {
-    console.log('🔧 Mock JIRA: Getting issue details for:', issueKey);
+    logger.debug('[getIssueDetails] Getting issue details for:', issueKey);
     
     const issue = this.mockIssues.find(i => i.key === issueKey);
     if (!issue) {
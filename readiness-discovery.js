@@ -0,0 +1,177 @@
+/**
+ * Readiness Discovery
+ * Finds CG/PG readiness pages that exist in Confluence but are not linked from the feature in Jira:
+ * searches with CQL by the release checklist label (e.g. ndb-210-cg-checklist) and by readiness page
+ * titles mentioning the feature key or summary, then ranks the candidates
+ */
+
+const ConfigManager = require('./config');
+const ConfluenceClient = require('./confluence-client');
+const Logger = require('./logger');
+
+const logger = new Logger('discovery');
+
+const TYPES = {
+  cg: { name: 'CG Readiness', keywords: ['cg readiness', 'cg checklist'], other: ['pg readiness', 'pg checklist'] },
+  pg: { name: 'PG Readiness', keywords: ['pg readiness', 'pg checklist'], other: ['cg readiness', 'cg checklist'] }
+};
+
+// Summary words too common to tell pages apart
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'into', 'via', 'of', 'to', 'in', 'on', 'a', 'an', 'as', 'by',
+  'support', 'ndb', 'readiness', 'checklist', 'cg', 'pg'
+]);
+
+class ReadinessDiscovery {
+  // options.confluenceClient replaces the default client (tests, shared cache)
+  constructor(options = {}) {
+    const discoveryConfig = { ...new ConfigManager().getReadinessDiscoveryConfig(), ...options };
+    this.spaceKeys = discoveryConfig.spaceKeys || [];
+    this.maxCandidates = discoveryConfig.maxCandidates;
+    this.confluenceClient = options.confluenceClient || new ConfluenceClient();
+  }
+
+  // Version part of the checklist label: "NDB-2.10" -> "210" (first fix version; null without one)
+  static versionLabel(fixVersions) {
+    if (!Array.isArray(fixVersions) || fixVersions.length === 0) {
+      return null;
+    }
+    const version = fixVersions[0];
+    const versionName = typeof version === 'string' ? version : (version.name || '');
+    const match = versionName.match(/(?:NDB-)?(\d+)\.(\d+)/i);
+    return match ? match[1] + match[2] : null;
+  }
+
+  // "NDB-2.10" -> "2.10", as it appears in page titles
+  static versionNumber(fixVersions) {
+    const version = Array.isArray(fixVersions) && fixVersions[0];
+    const versionName = typeof version === 'string' ? version : ((version && version.name) || '');
+    const match = versionName.match(/(\d+\.\d+(?:\.\d+)?)/);
+    return match ? match[1] : null;
+  }
+
+  static summaryWords(summary) {
+    const words = String(summary || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+    return [...new Set(words.filter(word => word.length > 2 && !STOP_WORDS.has(word)))];
+  }
+
+  static quote(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+
+  static checkType(type) {
+    if (!TYPES[type]) {
+      throw new Error(`Unknown readiness type: ${type}. Use cg or pg.`);
+    }
+    return TYPES[type];
+  }
+
+  // Remote link title for a readiness page: the readiness type is added when the page title does not
+  // name it, so the link is classified into the right column on the next fetch
+  static linkTitle(title, type) {
+    const typeInfo = ReadinessDiscovery.checkType(type);
+    const namesType = typeInfo.keywords.some(keyword => String(title).toLowerCase().includes(keyword));
+    return namesType ? title : `${typeInfo.name}: ${title}`;
+  }
+
+  // feature: { key, summary, fixVersions }
+  // Matches the release checklist label, or a readiness page title together with the feature key or summary
+  buildCql(feature, type) {
+    const typeInfo = ReadinessDiscovery.checkType(type);
+    const quote = ReadinessDiscovery.quote;
+    const version = ReadinessDiscovery.versionLabel(feature.fixVersions);
+    const words = ReadinessDiscovery.summaryWords(feature.summary).slice(0, 5);
+
+    const byPage = [`text ~ ${quote(feature.key)}`];
+    if (words.length > 0) {
+      byPage.push(`title ~ ${quote(words.join(' '))}`);
+    }
+    const clauses = [`(title ~ ${quote(typeInfo.name)} AND (${byPage.join(' OR ')}))`];
+    if (version) {
+      clauses.unshift(`label = ${quote(`ndb-${version}-${type}-checklist`)}`);
+    }
+
+    let cql = `type = page AND (${clauses.join(' OR ')})`;
+    if (this.spaceKeys.length > 0) {
+      cql += ` AND space in (${this.spaceKeys.map(quote).join(', ')})`;
+    }
+    return cql;
+  }
+
+  // { score, reasons[] } for one search result; higher is a better match
+  rankCandidate(page, feature, type) {
+    const typeInfo = TYPES[type];
+    const title = String(page.title || '').toLowerCase();
+    const labels = ((page.metadata && page.metadata.labels && page.metadata.labels.results) || []).map(label => label.name);
+    const version = ReadinessDiscovery.versionLabel(feature.fixVersions);
+    const versionNumber = ReadinessDiscovery.versionNumber(feature.fixVersions);
+    const reasons = [];
+    let score = 0;
+
+    if (version && labels.includes(`ndb-${version}-${type}-checklist`)) {
+      score += 50;
+      reasons.push(`Labelled ndb-${version}-${type}-checklist`);
+    } else if (labels.some(label => label.includes(`${type}-checklist`) || label.includes(`${type}-readiness`))) {
+      score += 10;
+      reasons.push(`Labelled as a ${type.toUpperCase()} checklist of another release`);
+    }
+    if (typeInfo.keywords.some(keyword => title.includes(keyword))) {
+      score += 20;
+      reasons.push(`Title mentions ${typeInfo.name}`);
+    } else if (typeInfo.other.some(keyword => title.includes(keyword))) {
+      score -= 40;
+      reasons.push(`Title is a ${type === 'cg' ? 'PG' : 'CG'} page`);
+    }
+    if (feature.key && title.includes(feature.key.toLowerCase())) {
+      score += 30;
+      reasons.push(`Title mentions ${feature.key}`);
+    }
+    if (versionNumber && title.includes(versionNumber)) {
+      score += 10;
+      reasons.push(`Title mentions ${versionNumber}`);
+    }
+
+    const words = ReadinessDiscovery.summaryWords(feature.summary);
+    const titleWords = new Set(ReadinessDiscovery.summaryWords(title));
+    const shared = words.filter(word => titleWords.has(word));
+    if (shared.length > 0) {
+      score += Math.round(20 * shared.length / words.length);
+      reasons.push(`Title shares ${shared.length} of ${words.length} summary words`);
+    }
+
+    return { score, reasons };
+  }
+
+  // { cql, candidates: [{ pageId, title, url, space, labels, score, reasons, linkTitle }] }
+  // excludeUrls: pages already linked from the issue
+  async discover(feature, type, userToken, { excludeUrls = [] } = {}) {
+    const cql = this.buildCql(feature, type);
+    const linkedIds = new Set(excludeUrls.map(url => this.confluenceClient.extractPageId(url)).filter(Boolean));
+
+    const results = await this.confluenceClient.searchContent(cql, userToken);
+    const candidates = results
+      .filter(page => !linkedIds.has(String(page.id)))
+      .map(page => {
+        const { score, reasons } = this.rankCandidate(page, feature, type);
+        const title = page.title || `Page ${page.id}`;
+        return {
+          pageId: String(page.id),
+          title,
+          url: this.confluenceClient.pageUrl(page),
+          space: page.space ? page.space.key : null,
+          labels: ((page.metadata && page.metadata.labels && page.metadata.labels.results) || []).map(label => label.name),
+          score,
+          reasons,
+          linkTitle: ReadinessDiscovery.linkTitle(title, type)
+        };
+      })
+      .filter(candidate => candidate.score > 0 && candidate.url)
+      .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+      .slice(0, this.maxCandidates);
+
+    logger.info(`[discover] ${feature.key} ${type}: ${results.length} results, ${candidates.length} candidates`);
+    return { cql, candidates };
+  }
+}
+
+module.exports = ReadinessDiscovery;
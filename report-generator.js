@@ -0,0 +1,246 @@
+/**
+ * Report Generator
+ * Turns the feature records of a fetch result (SnapshotStore.extractFeatureRecords) into the weekly
+ * status report: an executive summary plus one section per feature, rendered as Markdown, as a
+ * self-contained HTML page or as Confluence storage format from the templates in report.templateDirectory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigManager = require('./config');
+const TextProcessor = require('./text-processor');
+
+const FORMATS = {
+  markdown: { template: 'weekly-report.md', extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { template: 'weekly-report.html', extension: 'html', contentType: 'text/html; charset=utf-8' },
+  storage: { template: 'weekly-report.storage.html', extension: 'xhtml', contentType: 'application/xhtml+xml; charset=utf-8' }
+};
+const RISK_COLOURS = { 'at-risk': 'Red', watch: 'Yellow', 'on-track': 'Green', none: 'Grey' };
+
+class ReportGenerator {
+  constructor(options = {}) {
+    const configManager = new ConfigManager();
+    const reportConfig = { ...configManager.getReportConfig(), ...options };
+    this.title = reportConfig.title;
+    this.templateDirectory = path.resolve(reportConfig.templateDirectory);
+    this.summaryLength = reportConfig.summaryLength;
+    this.jiraBaseUrl = (options.jiraBaseUrl || configManager.getJiraConfig().baseUrl || '').replace(/\/$/, '');
+    this.metrics = options.metrics || configManager.getMetricsConfig();
+    this.textProcessor = new TextProcessor();
+  }
+
+  static formatFor(name) {
+    const format = (name || 'html').toLowerCase();
+    if (format === 'md') return FORMATS.markdown;
+    return FORMATS[format] || null;
+  }
+
+  // The view the templates are rendered with; features is the { key: record } map a snapshot stores
+  buildModel(features, { jql = null, generatedAt = new Date() } = {}) {
+    const today = generatedAt.toISOString().split('T')[0];
+    const week = ReportGenerator.isoWeek(generatedAt);
+    const records = Object.values(features || {}).sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+    const featureViews = records.map(record => this.buildFeature(record, today));
+
+    const statusCounts = {};
+    const storyPoints = { done: 0, pending: 0, wontFix: 0, total: 0 };
+    featureViews.forEach(feature => {
+      statusCounts[feature.status] = (statusCounts[feature.status] || 0) + 1;
+      Object.keys(storyPoints).forEach(part => {
+        storyPoints[part] += feature.storyPoints ? feature.storyPoints[part] : 0;
+      });
+    });
+    const overdue = featureViews.filter(feature => feature.overdue);
+
+    return {
+      title: this.title,
+      generatedAt: generatedAt.toISOString(),
+      date: today,
+      week,
+      jql,
+      summary: {
+        featureCount: featureViews.length,
+        statusCounts: Object.keys(statusCounts)
+          .sort((a, b) => statusCounts[b] - statusCounts[a] || a.localeCompare(b))
+          .map(status => ({ status, count: statusCounts[status] })),
+        storyPoints,
+        atRiskCount: featureViews.filter(feature => feature.riskLevel === 'at-risk').length,
+        overdueCount: overdue.length,
+        overdue
+      },
+      features: featureViews
+    };
+  }
+
+  buildFeature(record, today) {
+    const done = this.isDone(record);
+    const statusUpdate = this.textProcessor.summarize(record.statusUpdate || '', this.summaryLength);
+    const readinessLinks = ['cg', 'pg'].map(type => ({
+      label: type.toUpperCase(),
+      links: ((record.readinessLinks || {})[type] || [])
+        .map(link => ({ title: (link && link.title) || 'Readiness page', url: ReportGenerator.safeUrl(link && link.url) }))
+        .filter(link => link.url)
+    })).filter(group => group.links.length > 0);
+    const storyPoints = record.storyPoints && !record.storyPoints.error ? {
+      done: record.storyPoints.done || 0,
+      pending: record.storyPoints.pending || 0,
+      wontFix: record.storyPoints.wontFix || 0,
+      total: record.storyPoints.total || 0
+    } : null;
+
+    const riskLevel = this.riskLevel(record.riskIndicator);
+
+    return {
+      key: record.key,
+      url: this.jiraBaseUrl ? ReportGenerator.safeUrl(`${this.jiraBaseUrl}/browse/${record.key}`) : null,
+      summary: record.summary || '',
+      status: record.status || 'Unknown',
+      done,
+      risk: record.riskIndicator || null,
+      riskLevel,
+      riskColour: RISK_COLOURS[riskLevel],
+      // summarize() drops updates too short to have a sentence, so fall back to the text itself
+      statusUpdate: statusUpdate.display || (record.statusUpdate || '').trim().slice(0, this.summaryLength) || null,
+      dueDate: record.duedate || null,
+      overdue: !!record.duedate && record.duedate < today && !done,
+      fixVersions: (record.fixVersions || []).join(', ') || null,
+      storyPoints,
+      readinessLinks
+    };
+  }
+
+  // isDone for a raw Jira issue rather than a feature record: resolved, or in a status category counted as
+  // done (metrics.doneStatusCategories); shared by the health and Status Update checks
+  static isIssueDone(issue, metrics) {
+    const fields = issue.fields || {};
+    const resolution = fields.resolution && typeof fields.resolution === 'object' ? fields.resolution.name : fields.resolution;
+    if (resolution && String(resolution).toLowerCase() !== 'unresolved') {
+      return true;
+    }
+    const categoryKey = fields.status?.statusCategory?.key;
+    return !!categoryKey && metrics.doneStatusCategories.includes(categoryKey.toLowerCase());
+  }
+
+  isDone(record) {
+    if (record.statusCategory) {
+      return this.metrics.doneStatusCategories.includes(record.statusCategory.toLowerCase());
+    }
+    const status = (record.status || '').toLowerCase();
+    return status.includes('done') || status.includes('closed') || status.includes('resolved');
+  }
+
+  // Same buckets as the Risk Indicator badge in the table (yellow is checked before red)
+  riskLevel(risk) {
+    const riskLower = (risk || '').toLowerCase();
+    if (!riskLower) return 'none';
+    if (riskLower.includes('yellow') || riskLower.includes('slight risk') || riskLower.includes('watch') || riskLower.includes('monitor')) return 'watch';
+    if (riskLower.includes('red') || riskLower.includes('at risk') || riskLower.includes('big risk')) return 'at-risk';
+    if (riskLower.includes('green') || riskLower.includes('track')) return 'on-track';
+    return 'none';
+  }
+
+  // ISO 8601 week of a date, e.g. "2026-W42" (weeks start on Monday, week 1 holds the first Thursday)
+  static isoWeek(date) {
+    const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+    const year = thursday.getUTCFullYear();
+    const week = Math.ceil(((thursday - Date.UTC(year, 0, 1)) / 86400000 + 1) / 7);
+    return `${year}-W${String(week).padStart(2, '0')}`;
+  }
+
+  // Page or file title from a pattern such as "{title} – {week}" ({title}, {date} and {week} are replaced)
+  formatTitle(pattern, generatedAt = new Date()) {
+    const values = {
+      title: this.title,
+      date: generatedAt.toISOString().split('T')[0],
+      week: ReportGenerator.isoWeek(generatedAt)
+    };
+    return pattern.replace(/\{(title|date|week)\}/g, (match, name) => values[name]);
+  }
+
+  // format: 'markdown' | 'md' | 'html' | 'storage'; returns { content, contentType, fileName }
+  render(features, format, options = {}) {
+    const formatInfo = ReportGenerator.formatFor(format);
+    if (!formatInfo) {
+      throw new Error(`Unsupported report format "${format}". Use markdown, html or storage.`);
+    }
+
+    const model = this.buildModel(features, options);
+    const template = fs.readFileSync(path.join(this.templateDirectory, formatInfo.template), 'utf8');
+    const escape = formatInfo === FORMATS.markdown ? ReportGenerator.escapeMarkdown : ReportGenerator.escapeHtml;
+
+    return {
+      content: `${ReportGenerator.renderTemplate(template, model, escape).trimEnd()}\n`,
+      contentType: formatInfo.contentType,
+      fileName: `weekly-status-${model.date}.${formatInfo.extension}`
+    };
+  }
+
+  // Mustache-style templates: {{name}} (escaped), {{{name}}} (raw), {{#list}}...{{/list}} repeats for
+  // each item or renders once when truthy, {{^name}}...{{/name}} renders when empty; {{.}} is the current item
+  static renderTemplate(template, view, escape = value => value) {
+    // A line holding only a section tag should not leave a blank line behind
+    const compact = template.replace(/^[ \t]*(\{\{[#^/][^}]*\}\})[ \t]*\r?\n/gm, '$1');
+    return ReportGenerator.renderSection(compact, [view], escape);
+  }
+
+  // One pass, so text coming from Jira is never scanned for tags itself
+  static renderSection(template, stack, escape) {
+    const tags = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}|\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+    return template.replace(tags, (match, kind, name, inner, rawName, escapedName) => {
+      if (rawName) return ReportGenerator.toText(ReportGenerator.lookup(stack, rawName));
+      if (escapedName) return escape(ReportGenerator.toText(ReportGenerator.lookup(stack, escapedName)));
+
+      const value = ReportGenerator.lookup(stack, name);
+      const empty = !value || (Array.isArray(value) && value.length === 0);
+      if (kind === '^') {
+        return empty ? ReportGenerator.renderSection(inner, stack, escape) : '';
+      }
+      if (empty) return '';
+      if (Array.isArray(value)) {
+        return value.map(item => ReportGenerator.renderSection(inner, [...stack, item], escape)).join('');
+      }
+      return ReportGenerator.renderSection(inner, typeof value === 'object' ? [...stack, value] : stack, escape);
+    });
+  }
+
+  // Innermost context first, so feature fields shadow top-level ones
+  static lookup(stack, name) {
+    if (name === '.') return stack[stack.length - 1];
+    const [head, ...rest] = name.split('.');
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const context = stack[i];
+      if (context && typeof context === 'object' && head in context) {
+        return rest.reduce((value, part) => (value === null || value === undefined ? value : value[part]), context[head]);
+      }
+    }
+    return undefined;
+  }
+
+  // Only http(s) links, with the characters that could end a Markdown link or an attribute percent-encoded
+  static safeUrl(url) {
+    if (typeof url !== 'string' || !/^https?:\/\//i.test(url.trim())) return null;
+    return url.trim().replace(/[\s()<>"'`]/g, character => encodeURIComponent(character).replace(/'/g, '%27').replace(/\(/g, '%28').replace(/\)/g, '%29'));
+  }
+
+  static toText(value) {
+    if (value === null || value === undefined || value === false) return '';
+    return String(value);
+  }
+
+  static escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Keeps Jira text from turning into Markdown formatting, links or table cells
+  static escapeMarkdown(text) {
+    return text.replace(/\r?\n/g, ' ').replace(/([\\`*_{}[\]<>|#])/g, '\\$1');
+  }
+}
+
+module.exports = ReportGenerator;
@@ -0,0 +1,143 @@
+/**
+ * Report Publisher
+ * Writes the weekly status report to a Confluence page (storage format) in the configured space and
+ * parent page: creates the page for a new week, updates it otherwise, and refuses to overwrite a page
+ * that was edited in Confluence since this server last published it (unless forced)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigManager = require('./config');
+const ConfluenceClient = require('./confluence-client');
+const ReportGenerator = require('./report-generator');
+const Logger = require('./logger');
+
+const logger = new Logger('publisher');
+
+class ReportPublisher {
+  // options.confluenceClient / options.reportGenerator replace the default clients (tests, shared cache)
+  constructor(options = {}) {
+    const publishConfig = { ...new ConfigManager().getReportPublishConfig(), ...options };
+    this.spaceKey = publishConfig.spaceKey;
+    this.parentPageId = publishConfig.parentPageId;
+    this.titlePattern = publishConfig.titlePattern;
+    this.stateFile = path.resolve(publishConfig.stateFile);
+    this.confluenceClient = options.confluenceClient || new ConfluenceClient();
+    this.reportGenerator = options.reportGenerator || new ReportGenerator();
+  }
+
+  // { action: 'create' | 'update' | 'conflict', dryRun, title, spaceKey, parentPageId, page, conflict, body }
+  // dryRun renders and checks for conflicts without writing; body (the storage format) is only returned then
+  async publish(features, userToken, { jql = null, generatedAt = new Date(), dryRun = false, force = false } = {}) {
+    if (!this.spaceKey) {
+      throw new Error('No Confluence space configured for publishing. Set report.publish.spaceKey in config.json or CONFLUENCE_PUBLISH_SPACE.');
+    }
+
+    const title = this.reportGenerator.formatTitle(this.titlePattern, generatedAt);
+    const body = this.reportGenerator.render(features, 'storage', { jql, generatedAt }).content;
+    const existing = await this.confluenceClient.findPage(this.spaceKey, title, userToken);
+    const result = {
+      action: existing ? 'update' : 'create',
+      dryRun,
+      title,
+      spaceKey: this.spaceKey,
+      parentPageId: this.parentPageId,
+      page: existing ? this.toPageView(existing) : null,
+      conflict: null
+    };
+
+    const conflict = existing && !force ? this.findConflict(existing) : null;
+    if (conflict) {
+      logger.warn(`[publish] Not overwriting "${title}": ${conflict.reason}`);
+      return { ...result, action: 'conflict', conflict };
+    }
+    if (dryRun) {
+      return { ...result, body };
+    }
+
+    let page;
+    try {
+      page = existing
+        ? await this.confluenceClient.updatePage({
+          pageId: existing.id,
+          title,
+          body,
+          version: existing.version.number,
+          message: 'Weekly status report'
+        }, userToken)
+        : await this.confluenceClient.createPage({ spaceKey: this.spaceKey, title, body, parentId: this.parentPageId }, userToken);
+    } catch (error) {
+      // Someone saved the page between our read and our write
+      if (error.response?.status === 409) {
+        return {
+          ...result,
+          action: 'conflict',
+          conflict: { reason: 'The page was changed in Confluence while publishing. Try again.', currentVersion: null, publishedVersion: null }
+        };
+      }
+      throw error;
+    }
+
+    this.recordPublish(page, title);
+    return { ...result, page: this.toPageView(page) };
+  }
+
+  // A page is only overwritten when its current version is the one this server published last
+  findConflict(page) {
+    const published = this.readState().pages[page.id];
+    const version = page.version || {};
+    const editedBy = version.by ? (version.by.displayName || version.by.username || null) : null;
+    const details = {
+      currentVersion: version.number || null,
+      publishedVersion: published ? published.version : null,
+      lastEditedBy: editedBy,
+      lastEditedAt: version.when || null
+    };
+
+    if (!published) {
+      return { reason: 'A page with this title exists but was not published from here.', ...details };
+    }
+    if (published.version !== version.number) {
+      return {
+        reason: `The page was edited${editedBy ? ` by ${editedBy}` : ''} since the last publish (version ${published.version}, now ${version.number}).`,
+        ...details
+      };
+    }
+    return null;
+  }
+
+  toPageView(page) {
+    return {
+      id: page.id,
+      title: page.title,
+      version: page.version ? page.version.number : null,
+      url: this.confluenceClient.pageUrl(page)
+    };
+  }
+
+  readState() {
+    try {
+      const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      return { pages: state.pages || {} };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`[readState] Ignoring unreadable publish state ${this.stateFile}: ${error.message}`);
+      }
+      return { pages: {} };
+    }
+  }
+
+  recordPublish(page, title) {
+    const state = this.readState();
+    state.pages[page.id] = {
+      title,
+      spaceKey: this.spaceKey,
+      version: page.version ? page.version.number : 1,
+      publishedAt: new Date().toISOString()
+    };
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2));
+  }
+}
+
+module.exports = ReportPublisher;
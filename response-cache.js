@@ -0,0 +1,209 @@
+/**
+ * Response Cache
+ * In-memory (optionally also on-disk) cache for Jira and Confluence responses, keyed by
+ * token identity + resource + request, with a TTL per resource and hit/miss counters
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ConfigManager = require('./config');
+const Logger = require('./logger');
+
+const logger = new Logger('cache');
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+class ResponseCache {
+  constructor(options = {}) {
+    const cacheConfig = { ...new ConfigManager().getCacheConfig(), ...options };
+    this.enabled = cacheConfig.enabled;
+    this.incremental = cacheConfig.incremental;
+    this.maxEntries = cacheConfig.maxEntries;
+    this.ttlSeconds = cacheConfig.ttlSeconds;
+    this.directory = cacheConfig.directory ? path.resolve(__dirname, cacheConfig.directory) : null;
+    this.entries = new Map();
+    this.resourceKeys = new Map();
+    this.reserved = {};
+    this.stats = {};
+  }
+
+  // Tokens are never stored or logged; entries only carry a hash of them
+  tokenIdentity(token) {
+    return token ? hash(String(token).trim()).substring(0, 16) : 'anonymous';
+  }
+
+  buildKey(resource, token, request) {
+    return `${resource}:${this.tokenIdentity(token)}:${hash(JSON.stringify(request))}`;
+  }
+
+  getResourceStats(resource) {
+    if (!this.stats[resource]) {
+      this.stats[resource] = { hits: 0, misses: 0, stale: 0, writes: 0 };
+    }
+    return this.stats[resource];
+  }
+
+  filePath(key) {
+    return path.join(this.directory, `${hash(key)}.json`);
+  }
+
+  readEntry(key) {
+    if (this.entries.has(key)) {
+      return this.entries.get(key);
+    }
+    if (!this.directory) return null;
+
+    try {
+      const entry = JSON.parse(fs.readFileSync(this.filePath(key), 'utf8'));
+      this.remember(key, entry);
+      return entry;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // maxEntries applies per resource, so a large fetch's per-issue entries cannot push out searches or metadata
+  capacity(resource) {
+    return Math.max(this.maxEntries, this.reserved[resource] || 0);
+  }
+
+  // Raise a resource's capacity to hold at least count entries, e.g. one remote link list per fetched issue
+  reserve(resource, count) {
+    this.reserved[resource] = Math.max(this.reserved[resource] || 0, count);
+  }
+
+  keysFor(resource) {
+    if (!this.resourceKeys.has(resource)) {
+      this.resourceKeys.set(resource, new Set());
+    }
+    return this.resourceKeys.get(resource);
+  }
+
+  // Sets keep insertion order, so re-inserting on use makes the first key of a resource the least recently used
+  remember(key, entry) {
+    const keys = this.keysFor(entry.resource);
+    keys.delete(key);
+    keys.add(key);
+    this.entries.set(key, entry);
+    while (keys.size > this.capacity(entry.resource)) {
+      const oldest = keys.values().next().value;
+      keys.delete(oldest);
+      this.entries.delete(oldest);
+    }
+  }
+
+  // Cached entry even when expired ({ value, fresh, storedAt }), for incremental refreshes; null when absent
+  peek(resource, token, request) {
+    if (!this.enabled) return null;
+    const entry = this.readEntry(this.buildKey(resource, token, request));
+    if (!entry) {
+      this.getResourceStats(resource).misses++;
+      return null;
+    }
+
+    const fresh = entry.expiresAt > Date.now();
+    this.getResourceStats(resource)[fresh ? 'hits' : 'stale']++;
+    // Callers enrich the issues they get back, so they never share objects with the cache
+    return { value: structuredClone(entry.value), fresh, storedAt: entry.storedAt };
+  }
+
+  // Fresh value or undefined
+  get(resource, token, request) {
+    const entry = this.peek(resource, token, request);
+    return entry && entry.fresh ? entry.value : undefined;
+  }
+
+  set(resource, token, request, value) {
+    if (!this.enabled) return value;
+    const key = this.buildKey(resource, token, request);
+    const ttlSeconds = this.ttlSeconds[resource] !== undefined ? this.ttlSeconds[resource] : this.ttlSeconds.default;
+    const entry = { resource, request, storedAt: Date.now(), expiresAt: Date.now() + ttlSeconds * 1000, value: structuredClone(value) };
+
+    this.remember(key, entry);
+    this.getResourceStats(resource).writes++;
+
+    if (this.directory) {
+      try {
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(this.filePath(key), JSON.stringify(entry));
+      } catch (error) {
+        logger.warn(`[set] Could not persist ${resource} entry: ${error.message}`);
+      }
+    }
+    return value;
+  }
+
+  // Return the fresh cached value, or load it and cache the result (failures are not cached)
+  async wrap(resource, token, request, load) {
+    const cached = this.get(resource, token, request);
+    if (cached !== undefined) {
+      return cached;
+    }
+    return this.set(resource, token, request, await load());
+  }
+
+  // Drop every entry of a resource whose request matches, for all tokens (e.g. after a write to Jira)
+  invalidate(resource, matches) {
+    const isMatch = entry => entry && entry.resource === resource && entry.request && matches(entry.request);
+    const keys = this.keysFor(resource);
+    [...keys].forEach(key => {
+      if (isMatch(this.entries.get(key))) {
+        keys.delete(key);
+        this.entries.delete(key);
+      }
+    });
+
+    if (this.directory && fs.existsSync(this.directory)) {
+      fs.readdirSync(this.directory)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+          const filePath = path.join(this.directory, file);
+          try {
+            if (isMatch(JSON.parse(fs.readFileSync(filePath, 'utf8')))) fs.unlinkSync(filePath);
+          } catch (error) {
+            // Unreadable files are left for clear()
+          }
+        });
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.resourceKeys.clear();
+    if (this.directory && fs.existsSync(this.directory)) {
+      fs.readdirSync(this.directory)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => fs.unlinkSync(path.join(this.directory, file)));
+    }
+  }
+
+  // Hit/miss counters per resource for /api/health
+  getStats() {
+    const resources = {};
+    let hits = 0;
+    let lookups = 0;
+    Object.keys(this.stats).forEach(resource => {
+      const stats = this.stats[resource];
+      const resourceLookups = stats.hits + stats.misses + stats.stale;
+      resources[resource] = {
+        ...stats,
+        hitRate: resourceLookups > 0 ? Math.round((stats.hits / resourceLookups) * 100) / 100 : null
+      };
+      hits += stats.hits;
+      lookups += resourceLookups;
+    });
+
+    return {
+      enabled: this.enabled,
+      persistent: !!this.directory,
+      entries: this.entries.size,
+      hits,
+      misses: lookups - hits,
+      hitRate: lookups > 0 ? Math.round((hits / lookups) * 100) / 100 : null,
+      resources
+    };
+  }
+}
+
+module.exports = ResponseCache;
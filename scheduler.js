@@ -0,0 +1,269 @@
+/**
+ * Scheduler
+ * Runs named saved queries on cron expressions (see CronExpression) without anyone opening the dashboard.
+ * Schedules, their last run and a capped run history (with errors) are kept in a JSON file; the work
+ * itself (fetch, snapshot, report) is the run callback supplied by the server
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ConfigManager = require('./config');
+const CronExpression = require('./cron-expression');
+const Logger = require('./logger');
+
+const logger = new Logger('scheduler');
+
+const REPORT_FORMATS = ['markdown', 'html'];
+
+class Scheduler {
+  // options.run(schedule) does the work and resolves to a result summary stored with the run
+  // ({ issueCount, featureCount, snapshotId, reportFile, digestRecipients }); options.file / historyLimit override config
+  constructor(options = {}) {
+    const scheduleConfig = { ...new ConfigManager().getScheduleConfig(), ...options };
+    this.file = path.resolve(scheduleConfig.file);
+    this.historyLimit = scheduleConfig.historyLimit;
+    this.run = options.run || (async () => ({}));
+    this.running = new Map(); // schedule id -> run promise
+    this.lastTick = new Map(); // schedule id -> minute it was last started by the timer
+    this.timer = null;
+  }
+
+  list(now = new Date()) {
+    return this.readState().schedules.map(schedule => this.toView(schedule, now));
+  }
+
+  get(id, now = new Date()) {
+    const schedule = this.readState().schedules.find(item => item.id === id);
+    return schedule ? this.toView(schedule, now) : null;
+  }
+
+  // { schedule, errors } - nothing is saved when there are errors
+  create(input) {
+    const state = this.readState();
+    if (state.error) {
+      return { schedule: null, errors: [this.unreadableMessage(state)] };
+    }
+    const errors = this.validate(input, state.schedules);
+    if (errors.length > 0) {
+      return { schedule: null, errors };
+    }
+
+    const now = new Date().toISOString();
+    const schedule = {
+      id: crypto.randomUUID(),
+      ...this.normalize(input),
+      createdAt: now,
+      updatedAt: now,
+      lastRun: null,
+      history: []
+    };
+    state.schedules.push(schedule);
+    this.writeState(state);
+    logger.info(`[create] "${schedule.name}" (${schedule.cron})`);
+    return { schedule: this.toView(schedule), errors: [] };
+  }
+
+  // Partial updates: fields left out keep their values. { schedule, errors }, schedule null when not found
+  update(id, input) {
+    const state = this.readState();
+    const schedule = state.schedules.find(item => item.id === id);
+    if (!schedule) {
+      return { schedule: null, errors: [] };
+    }
+
+    const merged = { ...schedule, ...input };
+    const errors = this.validate(merged, state.schedules.filter(item => item.id !== id));
+    if (errors.length > 0) {
+      return { schedule: null, errors };
+    }
+    Object.assign(schedule, this.normalize(merged), { updatedAt: new Date().toISOString() });
+    this.writeState(state);
+    logger.info(`[update] "${schedule.name}" (${schedule.cron}${schedule.enabled ? '' : ', disabled'})`);
+    return { schedule: this.toView(schedule), errors: [] };
+  }
+
+  remove(id) {
+    const state = this.readState();
+    const index = state.schedules.findIndex(item => item.id === id);
+    if (index < 0) {
+      return false;
+    }
+    const [removed] = state.schedules.splice(index, 1);
+    this.writeState(state);
+    this.lastTick.delete(id);
+    logger.info(`[remove] "${removed.name}"`);
+    return true;
+  }
+
+  validate(input, others) {
+    const errors = [];
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) {
+      errors.push('name is required');
+    } else if (others.some(other => other.name.toLowerCase() === name.toLowerCase())) {
+      errors.push(`A schedule named "${name}" already exists`);
+    }
+    try {
+      new CronExpression(input.cron);
+    } catch (error) {
+      errors.push(error.message);
+    }
+    if (input.jql !== undefined && input.jql !== null && typeof input.jql !== 'string') {
+      errors.push('jql must be a string (leave it out for the configured default query)');
+    }
+    if (input.reportFormat && !REPORT_FORMATS.includes(input.reportFormat)) {
+      errors.push(`reportFormat must be one of ${REPORT_FORMATS.join(', ')} (or empty for no report)`);
+    }
+    return errors;
+  }
+
+  normalize(input) {
+    return {
+      name: input.name.trim(),
+      cron: String(input.cron).trim(),
+      jql: typeof input.jql === 'string' && input.jql.trim() ? input.jql.trim() : null,
+      enabled: input.enabled !== false,
+      reportFormat: input.reportFormat || null,
+      sendDigest: input.sendDigest === true
+    };
+  }
+
+  // Run one schedule now (trigger: 'schedule' or 'manual'); resolves to the recorded run, or null when
+  // the schedule does not exist or is still running
+  async runSchedule(id, trigger = 'manual') {
+    const schedule = this.readState().schedules.find(item => item.id === id);
+    if (!schedule || this.running.has(id)) {
+      if (schedule) logger.warn(`[runSchedule] "${schedule.name}" is still running - skipped`);
+      return null;
+    }
+
+    const startedAt = new Date();
+    const run = { trigger, status: 'running', startedAt: startedAt.toISOString(), finishedAt: null, durationMs: null, error: null };
+    this.recordRun(id, run);
+    logger.info(`[runSchedule] "${schedule.name}" started (${trigger})`);
+
+    const promise = (async () => {
+      try {
+        const result = await this.run(schedule);
+        Object.assign(run, result || {}, { status: 'success' });
+      } catch (error) {
+        Object.assign(run, { status: 'error', error: error.message });
+        logger.error(`[runSchedule] "${schedule.name}" failed: ${error.message}`);
+      }
+      run.finishedAt = new Date().toISOString();
+      run.durationMs = Date.now() - startedAt.getTime();
+      this.recordRun(id, run);
+      if (run.status === 'success') {
+        logger.info(`[runSchedule] "${schedule.name}" finished in ${run.durationMs}ms`);
+      }
+      return run;
+    })();
+
+    this.running.set(id, promise);
+    try {
+      return await promise;
+    } finally {
+      this.running.delete(id);
+    }
+  }
+
+  // lastRun is replaced while the run is in progress; finished runs go to the front of history
+  recordRun(id, run) {
+    const state = this.readState();
+    const schedule = state.schedules.find(item => item.id === id);
+    if (!schedule) {
+      return; // Deleted while running
+    }
+    schedule.lastRun = { ...run };
+    if (run.status !== 'running') {
+      schedule.history = [{ ...run }, ...(schedule.history || [])].slice(0, this.historyLimit);
+    }
+    this.writeState(state);
+  }
+
+  // Starts every enabled schedule whose expression fires in the minute of now (once per minute)
+  tick(now = new Date()) {
+    const minute = Math.floor(now.getTime() / 60000);
+    const started = [];
+    this.readState().schedules.forEach(schedule => {
+      if (!schedule.enabled || this.lastTick.get(schedule.id) === minute) return;
+      let cron;
+      try {
+        cron = new CronExpression(schedule.cron);
+      } catch (error) {
+        return; // Edited by hand into something invalid; list() shows the error
+      }
+      if (cron.matches(now)) {
+        this.lastTick.set(schedule.id, minute);
+        started.push(this.runSchedule(schedule.id, 'schedule'));
+      }
+    });
+    return Promise.all(started);
+  }
+
+  // Checks the schedules at the start of every minute
+  start() {
+    if (this.timer) return;
+    const scheduleNext = () => {
+      const delay = 60000 - (Date.now() % 60000) + 50;
+      this.timer = setTimeout(() => {
+        this.tick().catch(error => logger.error(`[tick] ${error.message}`));
+        scheduleNext();
+      }, delay);
+      this.timer.unref();
+    };
+    scheduleNext();
+    logger.info(`[start] ${this.readState().schedules.length} schedule(s) in ${this.file}`);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  toView(schedule, now = new Date()) {
+    let nextRun = null;
+    let cronError = null;
+    try {
+      const next = schedule.enabled ? new CronExpression(schedule.cron).nextAfter(now) : null;
+      nextRun = next ? next.toISOString() : null;
+    } catch (error) {
+      cronError = error.message;
+    }
+    const running = this.running.has(schedule.id);
+    // A run still marked running but not running here was cut short by a server restart
+    const lastRun = schedule.lastRun && schedule.lastRun.status === 'running' && !running
+      ? { ...schedule.lastRun, status: 'interrupted' }
+      : schedule.lastRun;
+    return { ...schedule, lastRun, running, nextRun, cronError, history: schedule.history || [] };
+  }
+
+  // A file that exists but cannot be parsed reads as no schedules with error set, and is never written over
+  readState() {
+    try {
+      const state = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return { schedules: Array.isArray(state.schedules) ? state.schedules : [] };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { schedules: [] };
+      }
+      logger.warn(`[readState] Ignoring unreadable schedules file ${this.file}: ${error.message}`);
+      return { schedules: [], error: error.message };
+    }
+  }
+
+  unreadableMessage(state) {
+    return `Schedules file ${this.file} could not be read (${state.error}); fix or remove it before changing schedules`;
+  }
+
+  writeState(state) {
+    if (state.error) {
+      throw new Error(this.unreadableMessage(state));
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(state, null, 2));
+  }
+}
+
+module.exports = Scheduler;
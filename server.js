@@ -3,11 +3,34 @@ const cors = require('cors');
 const JiraClient = require('./jira-client-clean');
 const ConfluenceClient = require('./confluence-client');
 const TextProcessor = require('./text-processor');
+const SnapshotStore = require('./snapshot-store');
+const SnapshotDiff = require('./snapshot-diff');
+const IssueHistory = require('./issue-history');
+const FlowMetrics = require('./flow-metrics');
+const CompletionForecast = require('./forecast');
+const BurnChart = require('./burn-chart');
+const HierarchyResolver = require('./hierarchy-resolver');
+const ResponseCache = require('./response-cache');
+const JobManager = require('./job-manager');
+const SessionStore = require('./session-store');
+const Logger = require('./logger');
+const SpreadsheetExport = require('./spreadsheet-export');
+const ReportGenerator = require('./report-generator');
+const ReportPublisher = require('./report-publisher');
+const ReadinessDiscovery = require('./readiness-discovery');
+const FieldEditor = require('./field-editor');
+const Scheduler = require('./scheduler');
+const EmailDigest = require('./email-digest');
+const SmtpClient = require('./smtp-client');
+const WebhookNotifier = require('./webhook-notifier');
+const HealthScorer = require('./health-scorer');
+const StatusUpdateTracker = require('./status-update-tracker');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
 
 const app = express();
+const logger = new Logger('server');
 
 // Load port from config or environment variable
 function getPort() {
@@ -55,7 +78,8 @@ const extractTitleFromUrl = (url) => {
 };
 
 // Helper function to fetch remote links for issues
-async function fetchRemoteLinksForIssues(issues, userToken) {
+// job (optional): background job context for progress reporting and cancellation
+async function fetchRemoteLinksForIssues(issues, userToken, job = null) {
   const axios = require('axios');
   const fs = require('fs');
   const path = require('path');
@@ -64,42 +88,17 @@ async function fetchRemoteLinksForIssues(issues, userToken) {
   const configData = JSON.parse(fs.readFileSync(configPath, 'utf8'));
   const baseUrl = configData.jira.baseUrl.replace(/\/$/, '');
   
-  // Get token from userToken, environment variable, or config
-  let tokenToUse = userToken;
+  // Callers pass the session's token (or the configured service token for scheduled snapshots)
+  const tokenToUse = userToken;
   if (!tokenToUse) {
-    // Try environment variable first
-    if (process.env.JIRA_API_TOKEN) {
-      tokenToUse = process.env.JIRA_API_TOKEN.trim();
-    } else {
-      // Fallback to config.json (for backward compatibility)
-      try {
-        const configPath = path.join(__dirname, 'config.json');
-        const configData = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        if (configData.jira && configData.jira.apiToken) {
-          tokenToUse = configData.jira.apiToken;
-        }
-      } catch (err) {
-        console.log('⚠️ Could not load token for remote links');
-        return {
-          mentionedIn: {},
-          allConfluence: {}
-        };
-      }
-    }
-  }
-  
-  if (!tokenToUse) {
-    console.log('⚠️ [fetchRemoteLinksForIssues] No token available for fetching remote links');
-    return {
-      mentionedIn: {},
-      allConfluence: {}
-    };
+    throw new Error('No Jira credential available for fetching remote links');
   }
   
   const remoteLinksMap = {};
   const allConfluenceLinksMap = {}; // Store all Confluence links with details
   
-  console.log(`🔗 [fetchRemoteLinksForIssues] Fetching remote links for ${issues.length} issues...`);
+  logger.debug(`[fetchRemoteLinksForIssues] Fetching remote links for ${issues.length} issues...`);
+  responseCache.reserve('remoteLinks', issues.length);
   
   // Fetch remote links in batches
   const batchSize = 10;
@@ -119,16 +118,26 @@ async function fetchRemoteLinksForIssues(issues, userToken) {
   };
   
   for (let i = 0; i < issues.length; i += batchSize) {
+    if (job) {
+      job.throwIfCancelled();
+      job.update('remoteLinks', { current: i, total: issues.length, message: `Remote links ${i}/${issues.length}` });
+    }
     const batch = issues.slice(i, i + batchSize);
     const promises = batch.map(async (issue) => {
       try {
-        const remoteLinksResponse = await axios.get(`${baseUrl}/rest/api/2/issue/${issue.key}/remotelink`, {
-          headers: {
-            'Authorization': `Bearer ${tokenToUse}`,
-            'Accept': 'application/json'
-          },
-          timeout: 10000
-        });
+        // Most changes to an issue bump its `updated`, so it is part of the cache key
+        const remoteLinksResponse = {
+          data: await responseCache.wrap('remoteLinks', tokenToUse, { baseUrl, key: issue.key, updated: issue.fields?.updated || null }, async () => {
+            const response = await axios.get(`${baseUrl}/rest/api/2/issue/${issue.key}/remotelink`, {
+              headers: {
+                'Authorization': `Bearer ${tokenToUse}`,
+                'Accept': 'application/json'
+              },
+              timeout: 10000
+            });
+            return response.data;
+          })
+        };
         
         if (remoteLinksResponse.data && Array.isArray(remoteLinksResponse.data)) {
           // Filter for "mentioned in" links (for CG/PG Readiness)
@@ -140,7 +149,7 @@ async function fetchRemoteLinksForIssues(issues, userToken) {
           if (mentionedInLinks.length > 0) {
             remoteLinksMap[issue.key] = mentionedInLinks;
             fetchedCount++;
-            console.log(`  ✅ ${issue.key}: Found ${mentionedInLinks.length} "mentioned in" links`);
+            logger.info(`${issue.key}: Found ${mentionedInLinks.length} "mentioned in" links`);
           }
           
           // Extract ALL Confluence links (not just "mentioned in")
@@ -171,7 +180,7 @@ async function fetchRemoteLinksForIssues(issues, userToken) {
           
           if (confluenceLinks.length > 0) {
             allConfluenceLinksMap[issue.key] = confluenceLinks;
-            console.log(`  📄 ${issue.key}: Found ${confluenceLinks.length} Confluence link(s)`);
+            logger.debug(`${issue.key}: Found ${confluenceLinks.length} Confluence link(s)`);
           }
         }
       } catch (err) {
@@ -179,10 +188,10 @@ async function fetchRemoteLinksForIssues(issues, userToken) {
         // Log errors for debugging (but don't fail completely)
         if (err.response) {
           if (err.response.status !== 404) { // 404 is expected for issues without remote links
-            console.log(`  ⚠️ ${issue.key}: Error ${err.response.status} - ${err.response.statusText}`);
+            logger.warn(`${issue.key}: Error ${err.response.status} - ${err.response.statusText}`);
           }
         } else {
-          console.log(`  ⚠️ ${issue.key}: ${err.message}`);
+          logger.warn(`${issue.key}: ${err.message}`);
         }
       }
     });
@@ -194,8 +203,8 @@ async function fetchRemoteLinksForIssues(issues, userToken) {
     }
   }
   
-  console.log(`✅ [fetchRemoteLinksForIssues] Fetched remote links for ${fetchedCount} issues (${errorCount} errors)`);
-  console.log(`✅ [fetchRemoteLinksForIssues] Found Confluence links for ${Object.keys(allConfluenceLinksMap).length} issues`);
+  logger.info(`[fetchRemoteLinksForIssues] Fetched remote links for ${fetchedCount} issues (${errorCount} errors)`);
+  logger.info(`[fetchRemoteLinksForIssues] Found Confluence links for ${Object.keys(allConfluenceLinksMap).length} issues`);
   
   
   // Return both maps
@@ -205,49 +214,29 @@ async function fetchRemoteLinksForIssues(issues, userToken) {
   };
 }
 
-// Helper function to extract version for label matching
-// Converts "NDB-2.10" -> "210" for matching "ndb-210-cg-checklist"
-function extractVersionForLabel(fixVersions) {
-  if (!fixVersions || !Array.isArray(fixVersions) || fixVersions.length === 0) {
-    return null;
-  }
-  
-  // Get first fixVersion
-  const version = fixVersions[0];
-  const versionName = typeof version === 'string' ? version : (version.name || version.toString());
-  
-  // Extract version number: "NDB-2.10" -> "210", "2.10" -> "210"
-  const match = versionName.match(/(?:NDB-)?(\d+)\.(\d+)/i);
-  if (match) {
-    return match[1] + match[2]; // "2.10" -> "210"
-  }
-  
-  return null;
-}
-
 // Helper function to find CG/PG Readiness link from remote links
 // Enhanced to fetch page titles from Confluence API for better identification
 // Now validates status and fixVersion before returning links
 async function findReadinessLink(remoteLinks, type, confluenceClient, confluenceToken, issue = null) {
   if (!Array.isArray(remoteLinks) || remoteLinks.length === 0) {
     if (issue) {
-      console.log(`⏭️ [findReadinessLink] ${issue.key}: No remote links found for ${type}`);
+      logger.info(`[findReadinessLink] ${issue.key}: No remote links found for ${type}`);
     }
     return 'No link';
   }
   
-  console.log(`🔍 [findReadinessLink] ${issue ? issue.key : 'Unknown'}: Checking ${remoteLinks.length} remote links for ${type}`);
+  logger.debug(`[findReadinessLink] ${issue ? issue.key : 'Unknown'}: Checking ${remoteLinks.length} remote links for ${type}`);
   
   // Simplified: Just check page titles for "CG Readiness" or "PG Readiness"
   // No status or fixVersion validation needed
   const searchTerm = type === 'CG Readiness' ? 'cg readiness' : 'pg readiness';
   
-  console.log(`🔍 [findReadinessLink] Looking for ${type} in ${remoteLinks.length} remote links`);
+  logger.debug(`[findReadinessLink] Looking for ${type} in ${remoteLinks.length} remote links`);
   
   // Fetch page titles from Confluence API for all links
   // Skip quick check - always fetch page titles to get accurate names
-  if (confluenceClient && (confluenceToken || confluenceClient.token)) {
-    console.log(`🔍 [findReadinessLink] Fetching page titles from Confluence for all links...`);
+  if (confluenceClient && confluenceToken) {
+    logger.debug(`[findReadinessLink] Fetching page titles from Confluence for all links...`);
     
     for (let idx = 0; idx < remoteLinks.length; idx++) {
       const link = remoteLinks[idx];
@@ -271,94 +260,75 @@ async function findReadinessLink(remoteLinks, type, confluenceClient, confluence
             const pageId = confluenceClient.extractPageId(url);
             if (pageId) {
               const axios = require('axios');
-              // Use the base URL from Confluence client (which reads from .env)
-              let baseUrl = confluenceClient.baseUrl;
+              // Use the REST URL from Confluence client (which reads the base URL from .env)
+              const apiUrl = confluenceClient.restUrl(`/content/${pageId}`);
               
-              console.log(`🔍 [findReadinessLink] Fetching page ${pageId} from ${baseUrl} for ${type}`);
+              logger.debug(`[findReadinessLink] Fetching page ${pageId} from ${apiUrl} for ${type}`);
               
               // Clean token the same way Jira does - remove whitespace and newlines
-              const tokenToUse = confluenceToken || confluenceClient.token;
+              const tokenToUse = confluenceToken;
               const cleanToken = tokenToUse ? tokenToUse.trim().replace(/\r?\n/g, '') : null;
               
-              // According to Confluence REST API v1: GET /rest/api/content/{id}
-              // expand parameter can include: version, metadata.labels, body.storage, etc.
-              // Try Basic Auth first (email:token), then Bearer token
-              const email = process.env.CONFLUENCE_EMAIL || 'namratha.singh@nutanix.com';
-              let response;
+              // Basic Auth (email:token) when CONFLUENCE_EMAIL is set, otherwise (or when it fails) Bearer token
+              const email = process.env.CONFLUENCE_EMAIL;
+              const fetchPage = (authorization) => axios.get(apiUrl, {
+                headers: {
+                  'Authorization': authorization,
+                  'Accept': 'application/json',
+                  'Content-Type': 'application/json'
+                },
+                params: {
+                  expand: 'version,metadata.labels'
+                },
+                timeout: 10000,
+                validateStatus: function (status) {
+                  return status >= 200 && status < 600;
+                }
+              });
+              let response = null;
               
-              try {
-                // Try Basic Auth first
+              if (email) {
                 const basicAuth = Buffer.from(`${email}:${cleanToken}`).toString('base64');
-                response = await axios.get(`${baseUrl}/rest/api/content/${pageId}`, {
-                  headers: {
-                    'Authorization': `Basic ${basicAuth}`,
-                    'Accept': 'application/json',
-                    'Content-Type': 'application/json'
-                  },
-                  params: {
-                    expand: 'version,metadata.labels'
-                  },
-                  timeout: 10000,
-                  validateStatus: function (status) {
-                    return status >= 200 && status < 600;
-                  }
-                });
-                
-                if (response.status !== 200) {
-                  throw new Error(`HTTP ${response.status}`);
-                }
-              } catch (basicError) {
-                // Fall back to Bearer token
-                response = await axios.get(`${baseUrl}/rest/api/content/${pageId}`, {
-                  headers: {
-                    'Authorization': `Bearer ${cleanToken}`,
-                    'Accept': 'application/json',
-                    'Content-Type': 'application/json'
-                  },
-                  params: {
-                    expand: 'version,metadata.labels'
-                  },
-                  timeout: 10000,
-                  validateStatus: function (status) {
-                    return status >= 200 && status < 600;
-                  }
-                });
+                response = await fetchPage(`Basic ${basicAuth}`).catch(() => null);
+              }
+              if (!response || response.status !== 200) {
+                response = await fetchPage(`Bearer ${cleanToken}`);
               }
               
               if (response.data && response.data.metadata && response.data.metadata.labels) {
                 labels = response.data.metadata.labels.results || [];
-                console.log(`✅ [findReadinessLink] Page "${pageTitle}" has labels: ${labels.map(l => l.name).join(', ')}`);
+                logger.info(`[findReadinessLink] Page "${pageTitle}" has labels: ${labels.map(l => l.name).join(', ')}`);
               }
             } else {
-              console.log(`⚠️ [findReadinessLink] Could not extract pageId from URL: ${url.substring(0, 100)}`);
+              logger.warn(`[findReadinessLink] Could not extract pageId from URL: ${url.substring(0, 100)}`);
             }
           } catch (labelError) {
-            console.log(`⚠️ [findReadinessLink] Error fetching labels for ${url.substring(0, 100)}: ${labelError.message}`);
+            logger.warn(`[findReadinessLink] Error fetching labels for ${url.substring(0, 100)}: ${labelError.message}`);
             // Labels fetch failed, continue with just title
           }
           
           // Simple check: Does the page title contain "CG Readiness" or "PG Readiness"?
           const titleMatches = titleLower.includes(searchTerm);
           
-          console.log(`🔍 [findReadinessLink] Checking "${pageTitle}" for ${type}: titleMatches=${titleMatches}`);
+          logger.debug(`[findReadinessLink] Checking "${pageTitle}" for ${type}: titleMatches=${titleMatches}`);
           
           if (titleMatches) {
-            console.log(`✅ [findReadinessLink] Found ${type} link by page title: "${pageTitle}" - ${url}`);
+            logger.info(`[findReadinessLink] Found ${type} link by page title: "${pageTitle}" - ${url}`);
             if (labels.length > 0) {
-              console.log(`   Labels: ${labels.map(l => l.name).join(', ')}`);
+              logger.debug(`[findReadinessLink] Labels: ${labels.map(l => l.name).join(', ')}`);
             }
             return url;
           } else {
-            console.log(`⏭️ [findReadinessLink] Page "${pageTitle}" doesn't match ${type} (looking for "${searchTerm}")`);
+            logger.info(`[findReadinessLink] Page "${pageTitle}" doesn't match ${type} (looking for "${searchTerm}")`);
           }
         } else {
-          console.log(`⚠️ [findReadinessLink] Could not fetch page title for ${url.substring(0, 100)}`);
+          logger.warn(`[findReadinessLink] Could not fetch page title for ${url.substring(0, 100)}`);
         }
       } catch (err) {
         // Log error but continue to next link
-        console.log(`   ⚠️ Error fetching page for ${url.substring(0, 100)}: ${err.message}`);
+        logger.warn(`[findReadinessLink] Error fetching page for ${url.substring(0, 100)}: ${err.message}`);
         if (err.response) {
-          console.log(`   Status: ${err.response.status}, Data: ${JSON.stringify(err.response.data).substring(0, 200)}`);
+          logger.debug(`[findReadinessLink] Status: ${err.response.status}, Data: ${JSON.stringify(err.response.data).substring(0, 200)}`);
         }
       }
       
@@ -367,39 +337,485 @@ async function findReadinessLink(remoteLinks, type, confluenceClient, confluence
     }
   }
   
-  console.log(`❌ [findReadinessLink] No ${type} link found`);
+  logger.error(`[findReadinessLink] No ${type} link found`);
   return 'No link';
 }
 
+// Fetch issues for a JQL and enrich them the way the table expects:
+// CG/PG readiness links from remote links, story points rolled up per feature, then formatted
+// Shared by /api/fetch-all-data and scheduled snapshots
+// Parent Link / Epic Link / FEAT ID field ids only change when Jira is reconfigured, so they are discovered once
+let hierarchyFieldIds = null;
+
+async function createHierarchyResolver(userToken) {
+  if (!hierarchyFieldIds) {
+    try {
+      const resolver = new HierarchyResolver();
+      const fields = await responseCache.wrap('metadata', userToken, { baseUrl: jiraClient.baseUrl, resource: 'fields' }, () => jiraClient.fetchFields(userToken));
+      hierarchyFieldIds = resolver.discoverFieldIds(fields);
+      logger.debug(`[Hierarchy] Link fields: Parent Link=${hierarchyFieldIds.parentLink || 'not found'}, Epic Link=${hierarchyFieldIds.epicLink || 'not found'}, FEAT ID=${hierarchyFieldIds.featId || 'not found'}`);
+    } catch (error) {
+      // Retried on the next fetch; until then only sub-task parents are known
+      logger.warn(`[Hierarchy] Could not discover link fields: ${error.message}`);
+      return new HierarchyResolver();
+    }
+  }
+  return new HierarchyResolver({ fieldIds: hierarchyFieldIds });
+}
+
+// confluenceToken: the session's Confluence token, when one was added; otherwise the Jira PAT is used for both
+// job (optional): background job context (see JobManager) that receives phase progress and can cancel the fetch
+async function fetchEnrichedIssues(jql, userToken, confluenceToken = null, job = null) {
+  const report = (phase, current, total, message) => {
+    if (job) job.update(phase, { current, total, message });
+  };
+  
+  report('search', 0, null, 'Searching Jira');
+  const hierarchy = await createHierarchyResolver(userToken);
+  const data = await jiraClient.fetchAllData(jql, userToken, hierarchy.getRequiredFields(), {
+    signal: job ? job.signal : undefined,
+    onPage: (page, pages) => report('search', page, pages, `Search page ${page} of ${pages}`)
+  });
+  hierarchy.build(data.issues);
+  
+  // Fetch remote links for CG/PG Readiness and ALL Confluence links
+  logger.debug(`[API] Fetching remote links for ${data.issues.length} issues...`);
+  const remoteLinksResult = await fetchRemoteLinksForIssues(data.issues, userToken, job);
+  report('remoteLinks', data.issues.length, data.issues.length, `Remote links ${data.issues.length}/${data.issues.length}`);
+  if (job) job.throwIfCancelled();
+  const remoteLinksMap = remoteLinksResult.mentionedIn || {};
+  const allConfluenceLinksMap = remoteLinksResult.allConfluence || {};
+  responseCache.reserve('confluenceTitles', Object.values(allConfluenceLinksMap).reduce((sum, links) => sum + links.length, 0));
+  
+  // Enrich issues with CG/PG Readiness links from remote links
+  // Use async map to fetch page titles from Confluence for better identification
+  logger.debug(`[API] Identifying CG/PG Readiness links by fetching page titles...`);
+  
+  logger.debug(`[API] Using Confluence token: ${confluenceToken && confluenceToken !== userToken ? 'session Confluence token' : 'Jira PAT (same token works for both)'}`);
+  
+  report('confluence', 0, data.issues.length, 'Identifying CG/PG readiness pages');
+  const enrichedIssues = await Promise.all(data.issues.map(async (issue) => {
+    const remoteLinks = remoteLinksMap[issue.key] || [];
+    const allConfluenceLinks = allConfluenceLinksMap[issue.key] || [];
+    
+    // Filter CG and PG Readiness links based on extracted titles from URLs
+    // Titles were already extracted in fetchRemoteLinksForIssues using extractTitleFromUrl
+    // Also check the URL itself in case title extraction didn't work
+    // If URLs are in format /pages/viewpage.action?pageId=..., we can't extract title from URL
+    // So we'll show all Confluence links and let the frontend extract titles or show as "Link 1", "Link 2"
+    const cgLinks = allConfluenceLinks
+      .filter(link => {
+        const title = (link.title || '').toLowerCase();
+        const url = (link.url || '').toLowerCase();
+        // Check if title or URL contains CG-related keywords
+        return title.includes('cg readiness') || title.includes('cg checklist') || 
+               url.includes('cg+readiness') || url.includes('cg-readiness') ||
+               url.includes('cg+checklist') || url.includes('cg-checklist');
+      })
+      .map(link => {
+        // Try to extract title from URL, or use existing title, or generate a fallback
+        const extractedTitle = extractTitleFromUrl(link.url);
+        return { 
+          url: link.url, 
+          title: link.title && link.title !== 'Page' ? link.title : (extractedTitle || 'CG Readiness')
+        };
+      });
+    
+    const pgLinks = allConfluenceLinks
+      .filter(link => {
+        const title = (link.title || '').toLowerCase();
+        const url = (link.url || '').toLowerCase();
+        // Check if title or URL contains PG-related keywords
+        return title.includes('pg readiness') || title.includes('pg checklist') ||
+               url.includes('pg+readiness') || url.includes('pg-readiness') ||
+               url.includes('pg+checklist') || url.includes('pg-checklist');
+      })
+      .map(link => {
+        // Try to extract title from URL, or use existing title, or generate a fallback
+        const extractedTitle = extractTitleFromUrl(link.url);
+        return { 
+          url: link.url, 
+          title: link.title && link.title !== 'Page' ? link.title : (extractedTitle || 'PG Readiness')
+        };
+      });
+    
+    // If no CG/PG links found, show all Confluence links as fallback
+    // This ensures users see the links even if filtering doesn't match
+    if (cgLinks.length === 0 && pgLinks.length === 0 && allConfluenceLinks.length > 0) {
+      // Show all links in both columns as fallback
+      logger.debug(`[API] ${issue.key}: No CG/PG links matched, showing all ${allConfluenceLinks.length} Confluence links as fallback`);
+      issue._readinessLinks = {
+        cg: allConfluenceLinks.map((link, idx) => {
+          const extractedTitle = extractTitleFromUrl(link.url);
+          return { 
+            url: link.url, 
+            title: link.title && link.title !== 'Page' ? link.title : (extractedTitle || `Link ${idx + 1}`)
+          };
+        }),
+        pg: allConfluenceLinks.map((link, idx) => {
+          const extractedTitle = extractTitleFromUrl(link.url);
+          return { 
+            url: link.url, 
+            title: link.title && link.title !== 'Page' ? link.title : (extractedTitle || `Link ${idx + 1}`)
+          };
+        })
+      };
+      logger.info(`[API] ${issue.key}: Set ${issue._readinessLinks.cg.length} links in CG column, ${issue._readinessLinks.pg.length} links in PG column`);
+    } else {
+      // Store filtered links
+      logger.debug(`[API] ${issue.key}: Using filtered links - CG: ${cgLinks.length}, PG: ${pgLinks.length}`);
+      issue._readinessLinks = {
+        cg: cgLinks.length > 0 ? cgLinks : null,
+        pg: pgLinks.length > 0 ? pgLinks : null
+      };
+    }
+    
+    // Extract readiness links for logging
+    const cgReadinessLink = issue._readinessLinks.cg || null;
+    const pgReadinessLink = issue._readinessLinks.pg || null;
+    
+    // Also store individual links for potential future use
+    issue._allConfluenceLinks = allConfluenceLinks;
+    
+    
+    // Store ALL Confluence links (with URL, pageId, title, relationship)
+    issue._allConfluenceLinks = allConfluenceLinks;
+    
+    // Log for debugging
+    if (allConfluenceLinks.length > 0) {
+      logger.info(`[API] ${issue.key}: Found ${allConfluenceLinks.length} Confluence link(s)`);
+    }
+    if (cgReadinessLink && cgReadinessLink !== 'No link') {
+      logger.info(`[API] ${issue.key}: CG=Yes`);
+    }
+    if (pgReadinessLink && pgReadinessLink !== 'No link') {
+      logger.info(`[API] ${issue.key}: PG=Yes`);
+    }
+    
+    return issue;
+  }));
+  
+  // Calculate story points for each feature/initiative (only for FEAT/INITIATIVE types)
+  logger.info(`[API] Calculating story points for features/initiatives...`);
+  const ConfigManager = require('./config');
+  const metricsConfig = new ConfigManager().getMetricsConfig();
+  const hierarchyTrees = {};
+  report('confluence', data.issues.length, data.issues.length, 'Identified CG/PG readiness pages');
+  if (job) job.throwIfCancelled();
+  await addReadinessProgress(enrichedIssues, confluenceToken || userToken, job);
+  
+  // Last Status Update of each feature, read by the health rules below
+  const featureIssues = enrichedIssues.filter(issue => {
+    const issueType = (issue.fields?.issuetype?.name || issue.fields?.issuetype || '').toLowerCase();
+    return issueType.includes('feature') || issueType.includes('initiative') || issueType.includes('x-feat');
+  });
+  report('statusUpdates', 0, featureIssues.length, 'Checking Status Update dates');
+  await statusUpdateTracker.annotate(featureIssues, userToken);
+  report('statusUpdates', featureIssues.length, featureIssues.length, 'Status Update dates checked');
+  if (job) job.throwIfCancelled();
+  report('storyPoints', 0, enrichedIssues.length, 'Calculating story points');
+  
+  const featuresWithStoryPoints = enrichedIssues.map(issue => {
+    // Only calculate for FEAT/INITIATIVE types
+    const issueType = (issue.fields?.issuetype?.name || issue.fields?.issuetype || '').toLowerCase();
+    const isFeatureOrInitiative = issueType.includes('feature') || issueType.includes('initiative') || issueType.includes('x-feat');
+    
+    if (!isFeatureOrInitiative) {
+      // Not a feature/initiative, skip story points calculation
+      return issue;
+    }
+    
+    hierarchyTrees[issue.key] = hierarchy.getTree(issue.key);
+    
+    try {
+      // Use already-fetched issues instead of making another API call
+      const storyPointsData = calculateStoryPointsFromFetchedIssues(issue.key, hierarchy, metricsConfig);
+      issue._storyPoints = storyPointsData;
+      logger.info(`[API] ${issue.key}: Story Points - Done: ${storyPointsData.done}, Pending: ${storyPointsData.pending}, Won't Fix: ${storyPointsData.wontFix}, Total: ${storyPointsData.total}`);
+    } catch (error) {
+      logger.error(`[API] Failed to calculate story points for ${issue.key}: ${error.message}`);
+      // Set default values on error
+      issue._storyPoints = {
+        done: 0,
+        pending: 0,
+        wontFix: 0,
+        total: 0,
+        error: error.message
+      };
+    }
+    
+    // Health rules need the story points and readiness links worked out above
+    issue._health = healthScorer.score(issue, hierarchy);
+    if (issue._health && issue._health.level !== 'green') {
+      logger.debug(`[API] ${issue.key}: Health ${issue._health.level} - ${issue._health.reasons.map(reason => reason.message).join('; ')}`);
+    }
+    
+    return issue;
+  });
+  
+  report('storyPoints', enrichedIssues.length, enrichedIssues.length, 'Story points calculated');
+  
+  // Format issues with calculated story points
+  const formattedIssues = jiraClient.formatIssues(featuresWithStoryPoints, true);
+  
+  return {
+    data,
+    issues: featuresWithStoryPoints,
+    formattedIssues,
+    hierarchy: { fieldIds: hierarchy.fieldIds, trees: hierarchyTrees },
+    resolver: hierarchy
+  };
+}
+
+// Checklist completion of the CG/PG readiness pages of features, stored on each readiness link as
+// link.progress ({ completed, total, percent, openItems } or { error }); pages shared by features are read once
+async function addReadinessProgress(issues, confluenceToken, job = null) {
+  const links = [];
+  issues.forEach(issue => {
+    const issueType = (issue.fields?.issuetype?.name || issue.fields?.issuetype || '').toLowerCase();
+    if (!issueType.includes('feature') && !issueType.includes('initiative') && !issueType.includes('x-feat')) return;
+    ['cg', 'pg'].forEach(type => {
+      (issue._readinessLinks?.[type] || []).forEach(link => {
+        if (link && typeof link === 'object' && link.url) links.push(link);
+      });
+    });
+  });
+  if (links.length === 0) return;
+  
+  const urls = [...new Set(links.map(link => link.url))];
+  responseCache.reserve('readiness', urls.length);
+  const progressByUrl = {};
+  const batchSize = 5;
+  for (let i = 0; i < urls.length; i += batchSize) {
+    if (job) {
+      job.throwIfCancelled();
+      job.update('readiness', { current: i, total: urls.length, message: `Readiness checklists ${i}/${urls.length}` });
+    }
+    const batch = urls.slice(i, i + batchSize);
+    const results = await Promise.all(batch.map(url => confluenceClient.getReadinessProgress(url, confluenceToken)));
+    batch.forEach((url, index) => { progressByUrl[url] = results[index]; });
+  }
+  
+  links.forEach(link => {
+    const { pageId, title, version, ...progress } = progressByUrl[link.url];
+    link.progress = progress;
+  });
+  if (job) job.update('readiness', { current: urls.length, total: urls.length, message: `Readiness checklists ${urls.length}/${urls.length}` });
+  logger.info(`[API] Read ${urls.length} readiness checklist page(s)`);
+}
+
+// Login sessions: the browser holds an httpOnly cookie, tokens stay encrypted on the server
+const sessionStore = new SessionStore();
+
+// The session cookie needs credentialed CORS, so only local origins (and session.allowedOrigins) are allowed
+const allowedOrigins = new (require('./config'))().getSessionConfig().allowedOrigins;
+function isAllowedOrigin(origin) {
+  return allowedOrigins.includes(origin) || /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin);
+}
+
+// Resolve the caller's credentials from the session cookie; every route that talks to Jira or Confluence uses it
+// Sets req.session and req.credentials = { jiraToken, confluenceToken, confluenceTokenSource }
+function requireSession(req, res, next) {
+  const result = sessionStore.lookup(sessionStore.readSessionId(req));
+  if (result.status !== 'active') {
+    const expired = result.status === 'expired';
+    return res.status(401).json({
+      success: false,
+      code: expired ? 'SESSION_EXPIRED' : 'NO_SESSION',
+      error: expired
+        ? 'Your session has expired. Please log in again with your Jira token.'
+        : 'Not logged in. Please log in with your Jira token using the Log In button.'
+    });
+  }
+  
+  const { session } = result;
+  req.session = session;
+  req.credentials = {
+    jiraToken: session.jiraToken,
+    confluenceToken: session.confluenceToken || session.jiraToken,
+    confluenceTokenSource: session.confluenceToken ? 'confluence' : 'jira'
+  };
+  next();
+}
+
 // Middleware
-app.use(cors());
+// Every request gets an id (X-Request-Id) that is attached to all log lines written while handling it
+app.use(Logger.requestMiddleware());
+app.use((req, res, next) => {
+  const startTime = Date.now();
+  res.on('finish', () => {
+    logger.debug(`${req.method} ${req.originalUrl} -> ${res.statusCode} in ${Date.now() - startTime}ms`);
+  });
+  next();
+});
+app.use(cors({
+  origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(origin)),
+  credentials: true
+}));
 app.use(express.json());
 app.use(express.static('public'));
 
+// Shared cache for Jira searches, remote links, Confluence page titles and field/status metadata
+const responseCache = new ResponseCache();
+logger.debug(`[Server] Response cache: ${responseCache.enabled ? (responseCache.directory || 'in memory') : 'disabled'}`);
+
 // Initialize Jira client
 let jiraClient;
 try {
-  console.log('🔧 [Server] Initializing Jira client...');
-  jiraClient = new JiraClient();
-  console.log('✅ [Server] Jira client initialized successfully');
+  logger.debug('[Server] Initializing Jira client...');
+  jiraClient = new JiraClient({ cache: responseCache });
+  logger.info('[Server] Jira client initialized successfully');
 } catch (error) {
-  console.error('❌ [Server] Failed to initialize Jira client:', {
+  logger.error('[Server] Failed to initialize Jira client:', {
     message: error.message,
     stack: error.stack
   });
-  console.error('❌ [Server] Please check your configuration files (config.json, .env)');
+  logger.error('[Server] Please check your configuration files (config.json, .env)');
   process.exit(1);
 }
 
 // Initialize Confluence client
 let confluenceClient;
 try {
-  console.log('🔧 [Server] Initializing Confluence client...');
-  confluenceClient = new ConfluenceClient();
-  console.log('✅ [Server] Confluence client initialized successfully');
+  logger.debug('[Server] Initializing Confluence client...');
+  confluenceClient = new ConfluenceClient({ cache: responseCache });
+  logger.info('[Server] Confluence client initialized successfully');
 } catch (error) {
-  console.warn('⚠️ [Server] Confluence client initialization failed (will use token from request):', error.message);
-  confluenceClient = new ConfluenceClient(); // Create anyway, will use token from request
+  logger.warn('[Server] Confluence client initialization failed (will use token from request):', error.message);
+  confluenceClient = new ConfluenceClient({ cache: responseCache }); // Create anyway, will use token from request
+}
+
+// Report metrics config problems once at startup (invalid entries fall back to defaults)
+const metricsValidation = new (require('./config'))().validateMetricsConfig();
+metricsValidation.errors.forEach(error => logger.warn(`[Server] Invalid metrics config, using default: ${error}`));
+logger.debug(`[Server] Story point field: ${metricsValidation.metrics.storyPointField}`);
+
+// Initialize snapshot store (history of fetch results for week-over-week comparisons)
+const snapshotStore = new SnapshotStore();
+logger.debug(`[Server] Snapshot store: ${snapshotStore.enabled ? snapshotStore.directory : 'disabled'}`);
+if (process.env.SNAPSHOT_INTERVAL_HOURS || new (require('./config'))().config.snapshots?.intervalHours) {
+  logger.warn('[Server] snapshots.intervalHours is no longer used - add a schedule (Schedules page) to record snapshots on a timer');
+}
+
+// When each feature's Status Update was last written (changelog, else dates in the text) and which need an update
+const statusUpdateTracker = new StatusUpdateTracker({ jiraClient, responseCache });
+
+// Red/Amber/Green health per feature from the rules in health.rules (shown next to the manual Risk Indicator)
+const healthScorer = new HealthScorer({ statusUpdateTracker });
+logger.debug(`[Server] Health rules: ${healthScorer.enabled ? Object.keys(healthScorer.rules).filter(name => healthScorer.rules[name].enabled).join(', ') : 'disabled'}`);
+
+// Outgoing webhooks (webhooks in config.json): rules checked against the previous snapshot after fetches of the
+// default JQL, or of the query a rule names in its jql (scheduled runs included)
+const webhookNotifier = new WebhookNotifier({ jiraBaseUrl: jiraClient.baseUrl, defaultJql: jiraClient.jiraConfig.jql });
+webhookNotifier.errors.forEach(error => logger.warn(`[Server] Invalid webhook config, ignored: ${error}`));
+
+// Save a snapshot without ever failing the request that produced the data, then check the webhook rules
+// in the background (the previous snapshot is read first, so the rules see what this fetch changed)
+function recordSnapshot(jql, data, enrichedIssues, formattedIssues, source) {
+  const resolvedJql = jql || jiraClient.jiraConfig.jql;
+  const notify = webhookNotifier.enabled && webhookNotifier.rulesFor(resolvedJql).length > 0;
+  let previous = null;
+  let snapshot = null;
+  try {
+    if (notify && snapshotStore.enabled) {
+      const stored = snapshotStore.list({ jql: resolvedJql });
+      previous = stored.length > 0 ? snapshotStore.get(stored[stored.length - 1].id) : null;
+    }
+    if (snapshotStore.enabled) {
+      snapshot = snapshotStore.save({
+        rawIssues: enrichedIssues,
+        formattedIssues,
+        jql: resolvedJql,
+        total: data.total,
+        truncated: data.truncated,
+        source
+      });
+    }
+  } catch (error) {
+    logger.error(`[Snapshots] Failed to save snapshot: ${error.message}`);
+  }
+  
+  if (notify) {
+    webhookNotifier.notify(snapshotStore.extractFeatureRecords(enrichedIssues), previous ? previous.features : null, { jql: resolvedJql })
+      .catch(error => logger.error(`[Webhooks] Rule check failed: ${error.message}`));
+  }
+  return snapshot;
+}
+
+// Scheduled fetches of saved queries (schedules in config.json), run with the service token
+const scheduleConfig = new (require('./config'))().getScheduleConfig();
+const scheduler = new Scheduler({ run: runScheduledFetch });
+if (scheduleConfig.admins.length === 0) {
+  logger.info('[Server] schedules.admins is empty - nobody can manage or run schedules from the API');
+}
+
+// Whether a session user (from /myself) is named in a lower-cased list of Jira usernames or email addresses
+function isListedUser(user, ids) {
+  if (!user) return false;
+  return [user.name, user.key, user.emailAddress]
+    .filter(Boolean)
+    .some(id => ids.includes(String(id).toLowerCase()));
+}
+
+// Schedules run with the service token, so only users in schedules.admins (by Jira username or email) may
+// create, change, run them or download their reports; otherwise any session could read issues its own token cannot
+function isScheduleAdmin(user) {
+  return isListedUser(user, scheduleConfig.admins);
+}
+
+// Use after requireSession
+function requireScheduleAdmin(req, res, next) {
+  if (!isScheduleAdmin(req.session.user)) {
+    logger.warn(`[requireScheduleAdmin] ${req.method} ${req.path} refused for ${req.session.user ? req.session.user.name : 'an unknown user'}`);
+    return res.status(403).json({
+      success: false,
+      code: 'NOT_SCHEDULE_ADMIN',
+      error: 'Only schedule admins (schedules.admins in config.json) can manage scheduled fetches.'
+    });
+  }
+  next();
+}
+
+// One scheduled run: fetch like Fetch All Data, keep a snapshot and optionally write the weekly report
+// and email the digest to the default lists
+async function runScheduledFetch(schedule) {
+  const serviceToken = jiraClient.pat;
+  if (!serviceToken) {
+    throw new Error('No service token configured (JIRA_API_TOKEN) - scheduled fetches need one');
+  }
+  
+  const jql = schedule.jql || jiraClient.jiraConfig.jql;
+  const fetched = await fetchEnrichedIssues(schedule.jql, serviceToken);
+  const { data, issues, formattedIssues } = fetched;
+  const snapshot = recordSnapshot(schedule.jql, data, issues, formattedIssues, `schedule:${schedule.name}`);
+  const features = snapshotStore.extractFeatureRecords(issues);
+  const result = {
+    issueCount: formattedIssues.length,
+    featureCount: Object.keys(features).length,
+    snapshotId: snapshot ? snapshot.id : null,
+    reportFile: null,
+    digestRecipients: null
+  };
+  
+  if (schedule.reportFormat) {
+    const report = new ReportGenerator({ jiraBaseUrl: jiraClient.baseUrl }).render(features, schedule.reportFormat, { jql, generatedAt: new Date() });
+    const slug = schedule.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'schedule';
+    const reportDirectory = path.resolve(scheduleConfig.reportDirectory);
+    fs.mkdirSync(reportDirectory, { recursive: true });
+    result.reportFile = path.join(reportDirectory, `${slug}-${report.fileName}`);
+    fs.writeFileSync(result.reportFile, report.content);
+  }
+  
+  if (schedule.sendDigest) {
+    const rendered = renderDigest(fetched, jql);
+    const { addresses, unknown } = rendered.emailDigest.resolveRecipients();
+    if (unknown.length > 0 || addresses.length === 0) {
+      throw new Error(unknown.length > 0 ? `Unknown distribution list(s) in digest.defaultLists: ${unknown.join(', ')}` : 'No digest recipients - add addresses to digest.lists in config.json');
+    }
+    const sent = await rendered.emailDigest.send(rendered.digest, addresses);
+    result.digestRecipients = sent.accepted.length;
+  }
+  return result;
 }
 
 // Routes
@@ -408,234 +824,689 @@ app.get('/', (req, res) => {
 });
 
 // Fetch all data (expensive operation)
-app.get('/api/fetch-all-data', async (req, res) => {
+app.get('/api/fetch-all-data', requireSession, async (req, res) => {
   const startTime = Date.now();
   try {
     const jql = req.query.jql; // Optional custom JQL query
-    const userToken = req.headers['x-jira-token']; // Token from frontend
+    const userToken = req.credentials.jiraToken;
+    
+    logger.info(`[API] /api/fetch-all-data - JQL: ${jql || 'default'}`);
+    logger.info(`[API] /api/fetch-all-data - Using user-provided token`);
+    
+    const result = await runFetchAllData(jql, userToken, req.credentials.confluenceToken);
+    
+    const duration = Date.now() - startTime;
+    logger.info(`[API] /api/fetch-all-data - Success in ${duration}ms - ${result.issues.length} issues`);
+    
+    res.json(result);
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error(`[API] /api/fetch-all-data - Failed after ${duration}ms:`, {
+      message: error.message,
+      stack: error.stack,
+      query: req.query
+    });
     
-    if (!userToken) {
-      return res.status(401).json({
+    const statusCode = error.response?.status || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Fetch, enrich and snapshot; the response body of /api/fetch-all-data and the result of a fetch job
+async function runFetchAllData(jql, userToken, confluenceToken = null, job = null) {
+  const { data, issues: enrichedIssues, formattedIssues, hierarchy } = await fetchEnrichedIssues(jql, userToken, confluenceToken, job);
+  if (job) {
+    job.throwIfCancelled();
+    job.update('snapshot', { current: 0, total: 1, message: 'Saving snapshot' });
+  }
+  const snapshot = recordSnapshot(jql, data, enrichedIssues, formattedIssues, 'fetch');
+  
+  return {
+    success: true,
+    total: data.total,
+    truncated: !!data.truncated,
+    cache: data.cache || null,
+    issues: formattedIssues,
+    hierarchy: hierarchy,
+    // Features whose Status Update is older than statusUpdates.staleDays, grouped by assignee
+    statusUpdates: {
+      field: statusUpdateTracker.field,
+      staleDays: statusUpdateTracker.staleDays,
+      nudgeList: statusUpdateTracker.nudgeList(enrichedIssues)
+    },
+    snapshotId: snapshot ? snapshot.id : null,
+    message: 'All data fetched successfully'
+  };
+}
+
+// Background jobs for long fetches, with progress over Server-Sent Events
+const jobManager = new JobManager();
+
+// Start Fetch All Data as a background job; progress at /api/jobs/:id/events, result at /api/jobs/:id
+app.post('/api/jobs/fetch-all-data', requireSession, (req, res) => {
+  const jql = req.query.jql || (req.body && req.body.jql);
+  const userToken = req.credentials.jiraToken;
+  
+  const confluenceToken = req.credentials.confluenceToken;
+  const job = jobManager.start('fetch-all-data', (context) => runFetchAllData(jql, userToken, confluenceToken, context), { owner: req.session.id });
+  logger.info(`[API] /api/jobs/fetch-all-data - Started job ${job.id} - JQL: ${jql || 'default'}`);
+  
+  res.status(202).json({
+    success: true,
+    job: job,
+    eventsUrl: `/api/jobs/${job.id}/events`
+  });
+});
+
+// A job is only visible to the session that started it
+function getSessionJob(req) {
+  const job = jobManager.get(req.params.id);
+  return job && jobManager.isOwnedBy(job, req.session.id) ? job : null;
+}
+
+// Job status; includes the result once the job has completed
+app.get('/api/jobs/:id', requireSession, (req, res) => {
+  const job = getSessionJob(req);
+  if (!job) {
+    return res.status(404).json({ success: false, error: `Job ${req.params.id} not found` });
+  }
+  res.json({ success: true, job: jobManager.toView(job, job.status === 'completed') });
+});
+
+// Server-Sent Events: the current state first, then progress until the job finishes
+// EventSource sends the session cookie (withCredentials), so the same session check applies
+app.get('/api/jobs/:id/events', requireSession, (req, res) => {
+  const job = getSessionJob(req);
+  if (!job) {
+    return res.status(404).json({ success: false, error: `Job ${req.params.id} not found` });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  
+  const send = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  
+  send({ type: 'state', jobId: job.id, status: job.status, phase: job.phase, ...(job.progress || {}) });
+  if (jobManager.isFinished(job)) {
+    send({ type: job.status, jobId: job.id, status: job.status, error: job.error });
+    return res.end();
+  }
+  
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  const unsubscribe = jobManager.subscribe(job.id, (event) => {
+    send(event);
+    if (['completed', 'failed', 'cancelled'].includes(event.type)) {
+      close();
+      res.end();
+    }
+  });
+  
+  function close() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+  req.on('close', close);
+});
+
+// Cancel a running job; work stops at the next batch boundary
+app.delete('/api/jobs/:id', requireSession, (req, res) => {
+  const job = getSessionJob(req) ? jobManager.cancel(req.params.id) : null;
+  if (!job) {
+    return res.status(404).json({ success: false, error: `Job ${req.params.id} not found` });
+  }
+  logger.info(`[API] /api/jobs/${req.params.id} - Cancellation requested`);
+  res.json({ success: true, job: job });
+});
+
+// Export the feature table as CSV or XLSX, using the user column configuration (labels, order, active flags)
+app.get('/api/export', requireSession, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported export format "${req.query.format}". Use csv or xlsx.`
+      });
+    }
+    
+    const jql = req.query.jql;
+    logger.info(`[API] /api/export - ${format.toUpperCase()} - JQL: ${jql || 'default'}`);
+    const { issues, formattedIssues } = await fetchEnrichedIssues(jql, req.credentials.jiraToken, req.credentials.confluenceToken);
+    
+    const ConfigManager = require('./config');
+    const configManager = new ConfigManager();
+    const tableConfig = configManager.getTableConfig();
+    const columns = tableConfig.userColumns && tableConfig.userColumns.length > 0 ? tableConfig.userColumns : tableConfig.allColumns;
+    const exporter = new SpreadsheetExport({ columns, storyPointField: configManager.getMetricsConfig().storyPointField });
+    const table = exporter.buildTable(issues, formattedIssues);
+    
+    const fileName = `ndb-features-${new Date().toISOString().split('T')[0]}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.send(exporter.toXlsx(table));
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.send(exporter.toCsv(table));
+    }
+    logger.info(`[API] /api/export - ${table.rows.length} rows in ${Date.now() - startTime}ms`);
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error(`[API] /api/export - Failed after ${duration}ms:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Feature records for a report: from a stored snapshot (snapshot = id or YYYY-MM-DD) or a fresh fetch
+// { features, jql, generatedAt } or null when the snapshot does not exist
+async function loadReportFeatures({ jql, snapshot: snapshotRef }, credentials, access = {}) {
+  if (snapshotRef) {
+    const snapshot = resolveSnapshot(snapshotRef, jql, access);
+    if (!snapshot) return null;
+    logger.info(`[API] Report from snapshot ${snapshot.id}`);
+    return { features: snapshot.features, jql: snapshot.jql, generatedAt: new Date(snapshot.takenAt) };
+  }
+  
+  logger.info(`[API] Report from a fresh fetch - JQL: ${jql || 'default'}`);
+  const { issues } = await fetchEnrichedIssues(jql, credentials.jiraToken, credentials.confluenceToken);
+  return { features: snapshotStore.extractFeatureRecords(issues), jql: jql || jiraClient.jiraConfig.jql, generatedAt: new Date() };
+}
+
+// Weekly status report (Markdown, self-contained HTML or Confluence storage format) rendered from the
+// templates in report.templateDirectory; ?snapshot= (id or YYYY-MM-DD) reports on a stored snapshot
+app.get('/api/report', requireSession, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const format = req.query.format || 'html';
+    if (!ReportGenerator.formatFor(format)) {
+      return res.status(400).json({
         success: false,
-        error: 'No authentication token provided. Please authenticate first using the Authenticate button.'
+        error: `Unsupported report format "${format}". Use markdown, html or storage.`
       });
     }
     
-    console.log(`📥 [API] /api/fetch-all-data - JQL: ${jql || 'default'}`);
-    console.log(`📥 [API] /api/fetch-all-data - Using user-provided token`);
+    const source = await loadReportFeatures(req.query, req.credentials, snapshotAccess(req));
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: `Snapshot ${req.query.snapshot} not found`
+      });
+    }
     
-    const data = await jiraClient.fetchAllData(jql, userToken);
+    const report = new ReportGenerator({ jiraBaseUrl: jiraClient.baseUrl }).render(source.features, format, source);
+    res.setHeader('Content-Type', report.contentType);
+    if (req.query.download !== 'false') {
+      res.setHeader('Content-Disposition', `attachment; filename="${report.fileName}"`);
+    }
+    res.send(report.content);
+    logger.info(`[API] /api/report - ${format} - ${Object.keys(source.features || {}).length} features in ${Date.now() - startTime}ms`);
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error(`[API] /api/report - Failed after ${duration}ms:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Publish the weekly report to Confluence (space/parent/title pattern from report.publish)
+// Body: { jql, snapshot, dryRun, force }; dryRun returns the storage body without writing,
+// 409 when the page was edited since the last publish (force: true overwrites it)
+app.post('/api/report/publish', express.json(), requireSession, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { jql, snapshot, dryRun = false, force = false } = req.body || {};
+    const source = await loadReportFeatures({ jql, snapshot }, req.credentials, snapshotAccess(req));
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: `Snapshot ${snapshot} not found`
+      });
+    }
     
-    // Fetch remote links for CG/PG Readiness and ALL Confluence links
-    console.log(`🔗 [API] Fetching remote links for ${data.issues.length} issues...`);
-    const remoteLinksResult = await fetchRemoteLinksForIssues(data.issues, userToken);
-    const remoteLinksMap = remoteLinksResult.mentionedIn || {};
-    const allConfluenceLinksMap = remoteLinksResult.allConfluence || {};
+    const publisher = new ReportPublisher({
+      confluenceClient,
+      reportGenerator: new ReportGenerator({ jiraBaseUrl: jiraClient.baseUrl })
+    });
+    const result = await publisher.publish(source.features, req.credentials.confluenceToken, {
+      jql: source.jql,
+      generatedAt: source.generatedAt,
+      dryRun: dryRun === true,
+      force: force === true
+    });
     
-    // Enrich issues with CG/PG Readiness links from remote links
-    // Use async map to fetch page titles from Confluence for better identification
-    console.log(`🔍 [API] Identifying CG/PG Readiness links by fetching page titles...`);
+    const duration = Date.now() - startTime;
+    logger.info(`[API] /api/report/publish - ${result.dryRun ? 'Dry run: ' : ''}${result.action} "${result.title}" in ${duration}ms`);
+    if (result.action === 'conflict') {
+      return res.status(409).json({ success: false, error: result.conflict.reason, ...result });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error(`[API] /api/report/publish - Failed after ${duration}ms:`, error.message);
+    res.status(error.response?.status || 500).json({
+      success: false,
+      error: error.response?.data?.message || error.message
+    });
+  }
+});
+
+// Weekly email digest (digest in config.json): rendered from a fetch result, with overdue child items from
+// calculateFeatureMetrics and Risk Indicators compared with the snapshot from digest.lookbackDays before
+const digestConfig = new (require('./config'))().getDigestConfig();
+
+// { emailDigest, digest } where digest is { subject, html, text, model }
+function renderDigest({ issues, resolver }, jql) {
+  const metricsConfig = new (require('./config'))().getMetricsConfig();
+  const features = snapshotStore.extractFeatureRecords(issues);
+  const featureMetrics = {};
+  Object.keys(features).forEach(key => {
+    featureMetrics[key] = calculateFeatureMetrics(resolver.getDescendants(key), key, metricsConfig);
+  });
+  
+  const generatedAt = new Date();
+  const compareDate = new Date(generatedAt);
+  compareDate.setDate(compareDate.getDate() - digestConfig.lookbackDays);
+  const previous = snapshotStore.enabled ? snapshotStore.getByDate(compareDate.toISOString().split('T')[0], { jql }) : null;
+  
+  const emailDigest = new EmailDigest({ jiraBaseUrl: jiraClient.baseUrl });
+  const digest = emailDigest.render(features, {
+    previousFeatures: previous ? previous.features : null,
+    previousDate: previous ? previous.date : null,
+    featureMetrics,
+    jql,
+    generatedAt
+  });
+  return { emailDigest, digest };
+}
+
+// Preview of this week's digest for the current query: the HTML email itself, or ?format=json for the
+// subject, both bodies and who a send would go to
+app.get('/api/digest/preview', requireSession, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const jql = req.query.jql || jiraClient.jiraConfig.jql;
+    const fetched = await fetchEnrichedIssues(req.query.jql, req.credentials.jiraToken, req.credentials.confluenceToken);
+    const { emailDigest, digest } = renderDigest(fetched, jql);
     
-    // Get Confluence token - prioritize Jira token (userToken) since same PAT works for both
-    // Get Confluence token from request header, or use Jira PAT token, or fall back to .env
-    const confluenceTokenFromHeader = req.headers['x-confluence-token'];
-    const confluenceToken = confluenceTokenFromHeader || userToken || process.env.CONFLUENCE_API_TOKEN || confluenceClient.token;
-    console.log(`🔑 [API] Using Confluence token: ${confluenceToken ? (confluenceToken === confluenceTokenFromHeader ? 'Yes (from X-Confluence-Token header)' : (confluenceToken === userToken ? 'Yes (using Jira PAT token - same token works for both)' : (confluenceToken === process.env.CONFLUENCE_API_TOKEN ? 'Yes (from CONFLUENCE_API_TOKEN in .env)' : 'Yes (from Confluence client)'))) : 'No'}`);
+    logger.info(`[API] /api/digest/preview - "${digest.subject}" in ${Date.now() - startTime}ms`);
+    if (req.query.format !== 'json') {
+      return res.type('html').send(digest.html);
+    }
+    res.json({
+      success: true,
+      subject: digest.subject,
+      html: digest.html,
+      text: digest.text,
+      comparedWith: digest.model.comparedWith,
+      riskWorsenedCount: digest.model.riskWorsenedCount,
+      overdueItemCount: digest.model.overdueItemCount,
+      lists: emailDigest.listSummary(),
+      recipients: emailDigest.resolveRecipients(),
+      smtpConfigured: !!(digestConfig.smtp.host && digestConfig.from),
+      testAddress: req.session.user?.emailAddress || null,
+      canSendToLists: isListedUser(req.session.user, digestConfig.senders)
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error(`[API] /api/digest/preview - Failed after ${duration}ms:`, error.message);
+    res.status(error.response?.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Send this week's digest. Body: { jql, lists, test }; test sends a copy to the session user's own Jira email
+// address only, otherwise it goes to the named lists (digest.defaultLists, or every list, when none are named),
+// which only digest.senders may do - the server's From address must not become a relay for any logged-in user
+app.post('/api/digest/send', express.json(), requireSession, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { jql: customJql, lists = [] } = req.body || {};
+    const test = (req.body || {}).test === true;
+    if (!digestConfig.smtp.host || !digestConfig.from) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is not configured: set digest.smtp.host and digest.from in config.json (or SMTP_HOST and DIGEST_FROM)'
+      });
+    }
     
-    const enrichedIssues = await Promise.all(data.issues.map(async (issue) => {
-      const remoteLinks = remoteLinksMap[issue.key] || [];
-      const allConfluenceLinks = allConfluenceLinksMap[issue.key] || [];
-      
-      // Filter CG and PG Readiness links based on extracted titles from URLs
-      // Titles were already extracted in fetchRemoteLinksForIssues using extractTitleFromUrl
-      // Also check the URL itself in case title extraction didn't work
-      // If URLs are in format /pages/viewpage.action?pageId=..., we can't extract title from URL
-      // So we'll show all Confluence links and let the frontend extract titles or show as "Link 1", "Link 2"
-      const cgLinks = allConfluenceLinks
-        .filter(link => {
-          const title = (link.title || '').toLowerCase();
-          const url = (link.url || '').toLowerCase();
-          // Check if title or URL contains CG-related keywords
-          return title.includes('cg readiness') || title.includes('cg checklist') || 
-                 url.includes('cg+readiness') || url.includes('cg-readiness') ||
-                 url.includes('cg+checklist') || url.includes('cg-checklist');
-        })
-        .map(link => {
-          // Try to extract title from URL, or use existing title, or generate a fallback
-          const extractedTitle = extractTitleFromUrl(link.url);
-          return { 
-            url: link.url, 
-            title: link.title && link.title !== 'Page' ? link.title : (extractedTitle || 'CG Readiness')
-          };
-        });
-      
-      const pgLinks = allConfluenceLinks
-        .filter(link => {
-          const title = (link.title || '').toLowerCase();
-          const url = (link.url || '').toLowerCase();
-          // Check if title or URL contains PG-related keywords
-          return title.includes('pg readiness') || title.includes('pg checklist') ||
-                 url.includes('pg+readiness') || url.includes('pg-readiness') ||
-                 url.includes('pg+checklist') || url.includes('pg-checklist');
-        })
-        .map(link => {
-          // Try to extract title from URL, or use existing title, or generate a fallback
-          const extractedTitle = extractTitleFromUrl(link.url);
-          return { 
-            url: link.url, 
-            title: link.title && link.title !== 'Page' ? link.title : (extractedTitle || 'PG Readiness')
-          };
-        });
-      
-      // If no CG/PG links found, show all Confluence links as fallback
-      // This ensures users see the links even if filtering doesn't match
-      if (cgLinks.length === 0 && pgLinks.length === 0 && allConfluenceLinks.length > 0) {
-        // Show all links in both columns as fallback
-        console.log(`📋 [API] ${issue.key}: No CG/PG links matched, showing all ${allConfluenceLinks.length} Confluence links as fallback`);
-        issue._readinessLinks = {
-          cg: allConfluenceLinks.map((link, idx) => {
-            const extractedTitle = extractTitleFromUrl(link.url);
-            return { 
-              url: link.url, 
-              title: link.title && link.title !== 'Page' ? link.title : (extractedTitle || `Link ${idx + 1}`)
-            };
-          }),
-          pg: allConfluenceLinks.map((link, idx) => {
-            const extractedTitle = extractTitleFromUrl(link.url);
-            return { 
-              url: link.url, 
-              title: link.title && link.title !== 'Page' ? link.title : (extractedTitle || `Link ${idx + 1}`)
-            };
-          })
-        };
-        console.log(`✅ [API] ${issue.key}: Set ${issue._readinessLinks.cg.length} links in CG column, ${issue._readinessLinks.pg.length} links in PG column`);
-      } else {
-        // Store filtered links
-        console.log(`📋 [API] ${issue.key}: Using filtered links - CG: ${cgLinks.length}, PG: ${pgLinks.length}`);
-        issue._readinessLinks = {
-          cg: cgLinks.length > 0 ? cgLinks : null,
-          pg: pgLinks.length > 0 ? pgLinks : null
-        };
+    let recipients;
+    if (test) {
+      const ownAddress = req.session.user?.emailAddress;
+      if (!SmtpClient.isValidAddress(ownAddress)) {
+        return res.status(400).json({ success: false, error: 'Your Jira profile has no email address to send the test copy to' });
       }
-      
-      // Extract readiness links for logging
-      const cgReadinessLink = issue._readinessLinks.cg || null;
-      const pgReadinessLink = issue._readinessLinks.pg || null;
-      
-      // Also store individual links for potential future use
-      issue._allConfluenceLinks = allConfluenceLinks;
-      
-      
-      // Store ALL Confluence links (with URL, pageId, title, relationship)
-      issue._allConfluenceLinks = allConfluenceLinks;
-      
-      // Log for debugging
-      if (allConfluenceLinks.length > 0) {
-        console.log(`✅ [API] ${issue.key}: Found ${allConfluenceLinks.length} Confluence link(s)`);
+      recipients = { lists: [], addresses: [ownAddress], unknown: [] };
+    } else {
+      if (!isListedUser(req.session.user, digestConfig.senders)) {
+        logger.warn(`[API] /api/digest/send - List send refused for ${req.session.user ? req.session.user.name : 'an unknown user'}`);
+        return res.status(403).json({
+          success: false,
+          code: 'NOT_DIGEST_SENDER',
+          error: 'Only digest senders (digest.senders in config.json) can email distribution lists. Send a test copy to yourself instead.'
+        });
       }
-      if (cgReadinessLink && cgReadinessLink !== 'No link') {
-        console.log(`✅ [API] ${issue.key}: CG=Yes`);
+      recipients = new EmailDigest().resolveRecipients(Array.isArray(lists) ? lists : [lists]);
+      if (recipients.unknown.length > 0) {
+        return res.status(400).json({ success: false, error: `Unknown distribution list(s): ${recipients.unknown.join(', ')}` });
       }
-      if (pgReadinessLink && pgReadinessLink !== 'No link') {
-        console.log(`✅ [API] ${issue.key}: PG=Yes`);
+      if (recipients.addresses.length === 0) {
+        return res.status(400).json({ success: false, error: 'No recipients - add addresses to digest.lists in config.json' });
       }
-      
-      return issue;
-    }));
+    }
     
-    // Calculate story points for each feature/initiative (only for FEAT/INITIATIVE types)
-    console.log(`📊 [API] Calculating story points for features/initiatives...`);
+    const jql = customJql || jiraClient.jiraConfig.jql;
+    const fetched = await fetchEnrichedIssues(customJql, req.credentials.jiraToken, req.credentials.confluenceToken);
+    const { emailDigest, digest } = renderDigest(fetched, jql);
+    if (test) {
+      digest.subject = `[Test] ${digest.subject}`;
+    }
+    const result = await emailDigest.send(digest, recipients.addresses);
     
-    const featuresWithStoryPoints = enrichedIssues.map(issue => {
-      // Only calculate for FEAT/INITIATIVE types
-      const issueType = (issue.fields?.issuetype?.name || issue.fields?.issuetype || '').toLowerCase();
-      const isFeatureOrInitiative = issueType.includes('feature') || issueType.includes('initiative') || issueType.includes('x-feat');
-      
-      if (!isFeatureOrInitiative) {
-        // Not a feature/initiative, skip story points calculation
-        return issue;
-      }
-      
-      try {
-        // Use already-fetched issues instead of making another API call
-        const storyPointsData = calculateStoryPointsFromFetchedIssues(issue.key, data.issues);
-        issue._storyPoints = storyPointsData;
-        console.log(`📊 [API] ${issue.key}: Story Points - Done: ${storyPointsData.done}, Pending: ${storyPointsData.pending}, Won't Fix: ${storyPointsData.wontFix}, Total: ${storyPointsData.total}`);
-      } catch (error) {
-        console.error(`❌ [API] Failed to calculate story points for ${issue.key}: ${error.message}`);
-        // Set default values on error
-        issue._storyPoints = {
-          done: 0,
-          pending: 0,
-          wontFix: 0,
-          total: 0,
-          error: error.message
-        };
-      }
-      
-      return issue;
+    const duration = Date.now() - startTime;
+    logger.info(`[API] /api/digest/send - ${test ? 'Test ' : ''}"${digest.subject}" to ${result.accepted.length} recipient(s) in ${duration}ms`);
+    res.json({
+      success: true,
+      test,
+      subject: digest.subject,
+      lists: recipients.lists,
+      accepted: result.accepted,
+      rejected: result.rejected,
+      messageId: result.messageId
     });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error(`[API] /api/digest/send - Failed after ${duration}ms:`, error.message);
+    res.status(error.response?.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Webhook delivery log (newest first) with the configured targets and rules
+app.get('/api/webhooks/deliveries', requireSession, (req, res) => {
+  const limit = parseInt(req.query.limit, 10);
+  res.json({
+    success: true,
+    enabled: webhookNotifier.enabled,
+    targets: webhookNotifier.targets.map(target => ({ name: target.name, format: target.format })),
+    rules: webhookNotifier.rules,
+    configErrors: webhookNotifier.errors,
+    deliveries: webhookNotifier.listDeliveries(limit > 0 ? limit : undefined)
+  });
+});
+
+// Post a sample notification to one target (body: { target }), with the same retries as real deliveries
+app.post('/api/webhooks/test', express.json(), requireSession, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const targetName = (req.body || {}).target;
+    const delivery = await webhookNotifier.sendTest(targetName);
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: `No webhook target named "${targetName}"` });
+    }
+    
+    logger.info(`[API] /api/webhooks/test - ${targetName}: ${delivery.status} in ${Date.now() - startTime}ms`);
+    res.status(delivery.status === 'delivered' ? 200 : 502).json({
+      success: delivery.status === 'delivered',
+      error: delivery.status === 'delivered' ? undefined : delivery.attempts[delivery.attempts.length - 1].error,
+      delivery
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error(`[API] /api/webhooks/test - Failed after ${duration}ms:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Readiness pages in Confluence that are not linked from the feature yet, ranked by how well they match
+// Query: type=cg|pg
+app.get('/api/readiness/discover/:key', requireSession, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const issueKey = req.params.key;
+    const type = String(req.query.type || '').toLowerCase();
+    if (type !== 'cg' && type !== 'pg') {
+      return res.status(400).json({
+        success: false,
+        error: 'type must be cg or pg'
+      });
+    }
+    
+    const [issue, remoteLinks] = await Promise.all([
+      jiraClient.getIssueDetails(issueKey, req.credentials.jiraToken),
+      jiraClient.fetchRemoteLinks(issueKey, req.credentials.jiraToken)
+    ]);
+    const feature = {
+      key: issue.key,
+      summary: issue.fields?.summary || '',
+      fixVersions: (issue.fields?.fixVersions || []).map(version => version.name)
+    };
+    
+    const discovery = new ReadinessDiscovery({ confluenceClient });
+    const result = await discovery.discover(feature, type, req.credentials.confluenceToken, {
+      excludeUrls: remoteLinks.map(link => link.object?.url).filter(Boolean)
+    });
+    
+    const duration = Date.now() - startTime;
+    logger.info(`[API] /api/readiness/discover/${issueKey} - ${result.candidates.length} ${type} candidates in ${duration}ms`);
+    res.json({ success: true, key: feature.key, type, ...result });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error(`[API] /api/readiness/discover - Failed after ${duration}ms:`, error.message);
+    res.status(error.response?.status || 500).json({
+      success: false,
+      error: error.response?.data?.message || error.message
+    });
+  }
+});
+
+// Link a Confluence page to an issue as a Jira remote link
+// Body: { url, title?, relationship?, type? } - the page must be readable with the session's Confluence token;
+// title defaults to the page title, and type (cg|pg) makes sure the title names the readiness type
+app.post('/api/issue/:key/remotelink', express.json(), requireSession, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { url, title, relationship, type } = req.body || {};
+    if (!/^https?:\/\//i.test(String(url || '')) || !confluenceClient.extractPageId(url)) {
+      return res.status(400).json({
+        success: false,
+        error: 'url must be a Confluence page link (…/pages/<id>/… or …?pageId=<id>)'
+      });
+    }
+    if (relationship !== undefined && (typeof relationship !== 'string' || !relationship.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'relationship must be a non-empty string'
+      });
+    }
+    if (type !== undefined && type !== 'cg' && type !== 'pg') {
+      return res.status(400).json({
+        success: false,
+        error: 'type must be cg or pg'
+      });
+    }
     
-    // Format issues with calculated story points
-    const formattedIssues = jiraClient.formatIssues(featuresWithStoryPoints, true);
+    const pageTitle = await confluenceClient.getPageTitle(url, req.credentials.confluenceToken);
+    if (!pageTitle) {
+      return res.status(400).json({
+        success: false,
+        error: 'Confluence page not found or not readable with your Confluence token'
+      });
+    }
     
-    const duration = Date.now() - startTime;
-    console.log(`✅ [API] /api/fetch-all-data - Success in ${duration}ms - ${formattedIssues.length} issues`);
+    const linkTitle = String(title || '').trim() || pageTitle;
+    const link = {
+      url,
+      title: type ? ReadinessDiscovery.linkTitle(linkTitle, type) : linkTitle,
+      relationship: relationship ? relationship.trim() : 'mentioned in'
+    };
+    const created = await jiraClient.createRemoteLink(req.params.key, link, req.credentials.jiraToken);
+    // Jira does not always bump the issue's updated time for a new remote link, so drop its cached list
+    responseCache.invalidate('remoteLinks', request => request.key === req.params.key);
     
-    res.json({
-      success: true,
-      total: data.total,
-      issues: formattedIssues,
-      message: 'All data fetched successfully'
-    });
+    const duration = Date.now() - startTime;
+    logger.info(`[API] /api/issue/${req.params.key}/remotelink - Linked "${link.title}" in ${duration}ms`);
+    res.json({ success: true, key: req.params.key, link: { id: created.id, ...link, pageTitle } });
   } catch (error) {
     const duration = Date.now() - startTime;
-    console.error(`❌ [API] /api/fetch-all-data - Failed after ${duration}ms:`, {
-      message: error.message,
-      stack: error.stack,
-      query: req.query
-    });
-    
-    const statusCode = error.response?.status || 500;
-    res.status(statusCode).json({
+    logger.error(`[API] /api/issue/:key/remotelink - Failed after ${duration}ms:`, error.message);
+    res.status(error.response?.status || 500).json({
       success: false,
-      error: error.message,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      error: error.response?.data?.errorMessages?.[0] || error.response?.data?.message || error.message
     });
   }
 });
 
-// Refresh columns (uses configured columns only)
-app.get('/api/refresh-columns', async (req, res) => {
+// Edit issue fields from the dashboard (fieldEditing in config.json) through Jira's edit API
+// Body: { fields: { customfield_23073: 'text' } } - 403 when a field is not editable for this user/issue
+app.put('/api/issue/:key/fields', express.json(), requireSession, async (req, res) => {
   const startTime = Date.now();
   try {
-    const jql = req.query.jql; // Optional custom JQL query
-    const userToken = req.headers['x-jira-token']; // Token from frontend
+    const fields = (req.body || {}).fields;
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0 ||
+        Object.values(fields).some(value => typeof value !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'fields must be an object of field id -> text'
+      });
+    }
+    
+    const editor = new FieldEditor({ jiraClient });
+    const result = await editor.update(req.params.key, fields, req.credentials.jiraToken);
     
-    if (!userToken) {
-      return res.status(401).json({
+    const duration = Date.now() - startTime;
+    if (result.rejected.length > 0) {
+      logger.info(`[API] /api/issue/${req.params.key}/fields - Rejected in ${duration}ms`);
+      return res.status(403).json({
         success: false,
-        error: 'No authentication token provided. Please authenticate first using the Authenticate button.'
+        error: result.rejected.map(rejection => rejection.reason).join('; '),
+        rejected: result.rejected
       });
     }
+    logger.info(`[API] /api/issue/${req.params.key}/fields - Updated ${Object.keys(result.updated).join(', ')} in ${duration}ms`);
+    res.json({ success: true, key: req.params.key, fields: result.updated, display: result.display });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error(`[API] /api/issue/:key/fields - Failed after ${duration}ms:`, error.message);
+    res.status(error.response?.status || 500).json({
+      success: false,
+      error: error.response?.data?.errorMessages?.[0] || Object.values(error.response?.data?.errors || {})[0] || error.message
+    });
+  }
+});
+
+// Scheduled fetches: list/create/update/delete, run now, and the last generated report (schedule admins only)
+// Schedule body: { name, cron, jql?, enabled?, reportFormat? (markdown|html) }
+app.get('/api/schedules', requireSession, requireScheduleAdmin, (req, res) => {
+  res.json({
+    success: true,
+    enabled: scheduleConfig.enabled,
+    serviceToken: !!jiraClient.pat,
+    schedules: scheduler.list()
+  });
+});
+
+app.get('/api/schedules/:id', requireSession, requireScheduleAdmin, (req, res) => {
+  const schedule = scheduler.get(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ success: false, error: `Schedule ${req.params.id} not found` });
+  }
+  res.json({ success: true, schedule });
+});
+
+app.post('/api/schedules', express.json(), requireSession, requireScheduleAdmin, (req, res) => {
+  const { schedule, errors } = scheduler.create(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: errors.join('; '), errors });
+  }
+  res.status(201).json({ success: true, schedule });
+});
+
+app.put('/api/schedules/:id', express.json(), requireSession, requireScheduleAdmin, (req, res) => {
+  const { schedule, errors } = scheduler.update(req.params.id, req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: errors.join('; '), errors });
+  }
+  if (!schedule) {
+    return res.status(404).json({ success: false, error: `Schedule ${req.params.id} not found` });
+  }
+  res.json({ success: true, schedule });
+});
+
+app.delete('/api/schedules/:id', requireSession, requireScheduleAdmin, (req, res) => {
+  if (!scheduler.remove(req.params.id)) {
+    return res.status(404).json({ success: false, error: `Schedule ${req.params.id} not found` });
+  }
+  res.json({ success: true });
+});
+
+// Starts the run in the background (202); poll GET /api/schedules/:id for its status
+app.post('/api/schedules/:id/run', requireSession, requireScheduleAdmin, (req, res) => {
+  const schedule = scheduler.get(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ success: false, error: `Schedule ${req.params.id} not found` });
+  }
+  if (schedule.running) {
+    return res.status(409).json({ success: false, error: `"${schedule.name}" is already running` });
+  }
+  scheduler.runSchedule(schedule.id, 'manual');
+  logger.info(`[API] /api/schedules/${schedule.id}/run - "${schedule.name}" started`);
+  res.status(202).json({ success: true, schedule: scheduler.get(schedule.id) });
+});
+
+app.get('/api/schedules/:id/report', requireSession, requireScheduleAdmin, (req, res) => {
+  const schedule = scheduler.get(req.params.id);
+  const reportFile = schedule && schedule.history.map(run => run.reportFile).find(Boolean);
+  if (!reportFile || !fs.existsSync(reportFile)) {
+    return res.status(404).json({ success: false, error: 'No report generated by this schedule yet' });
+  }
+  res.download(reportFile, path.basename(reportFile));
+});
+
+// Refresh columns (uses configured columns only)
+app.get('/api/refresh-columns', requireSession, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const jql = req.query.jql; // Optional custom JQL query
+    const userToken = req.credentials.jiraToken;
     
-    console.log(`📥 [API] /api/refresh-columns - JQL: ${jql || 'default'}`);
-    console.log(`📥 [API] /api/refresh-columns - Using user-provided token`);
+    logger.info(`[API] /api/refresh-columns - JQL: ${jql || 'default'}`);
+    logger.info(`[API] /api/refresh-columns - Using user-provided token`);
     
     const data = await jiraClient.refreshColumns(jql, userToken);
     
     // Fetch remote links for CG/PG Readiness and ALL Confluence links (same as /api/fetch-all-data)
-    console.log(`🔗 [API] /api/refresh-columns - Fetching remote links for ${data.issues.length} issues...`);
+    logger.debug(`[API] /api/refresh-columns - Fetching remote links for ${data.issues.length} issues...`);
     const remoteLinksResult = await fetchRemoteLinksForIssues(data.issues, userToken);
     const remoteLinksMap = remoteLinksResult.mentionedIn || {};
     const allConfluenceLinksMap = remoteLinksResult.allConfluence || {};
     
     // Enrich issues with CG/PG Readiness links from remote links
-    console.log(`🔍 [API] /api/refresh-columns - Identifying CG/PG Readiness links...`);
+    logger.debug(`[API] /api/refresh-columns - Identifying CG/PG Readiness links...`);
     
-    // Get Confluence token from request header, or use Jira PAT token, or fall back to .env
-    const confluenceTokenFromHeader = req.headers['x-confluence-token'];
-    const confluenceToken = confluenceTokenFromHeader || userToken || process.env.CONFLUENCE_API_TOKEN || confluenceClient.token;
+    const confluenceToken = req.credentials.confluenceToken;
     
     const enrichedIssues = await Promise.all(data.issues.map(async (issue) => {
       const remoteLinks = remoteLinksMap[issue.key] || [];
@@ -706,17 +1577,18 @@ app.get('/api/refresh-columns', async (req, res) => {
     const formattedIssues = jiraClient.formatIssues(enrichedIssues, true);
     
     const duration = Date.now() - startTime;
-    console.log(`✅ [API] /api/refresh-columns - Success in ${duration}ms - ${formattedIssues.length} issues`);
+    logger.info(`[API] /api/refresh-columns - Success in ${duration}ms - ${formattedIssues.length} issues`);
     
     res.json({
       success: true,
       total: data.total,
+      truncated: !!data.truncated,
       issues: formattedIssues,
       message: 'Columns refreshed successfully'
     });
   } catch (error) {
     const duration = Date.now() - startTime;
-    console.error(`❌ [API] /api/refresh-columns - Failed after ${duration}ms:`, {
+    logger.error(`[API] /api/refresh-columns - Failed after ${duration}ms:`, {
       message: error.message,
       stack: error.stack,
       query: req.query
@@ -732,19 +1604,20 @@ app.get('/api/refresh-columns', async (req, res) => {
 });
 
 // Legacy endpoint for backward compatibility
-app.get('/api/issues', async (req, res) => {
+app.get('/api/issues', requireSession, async (req, res) => {
   try {
     const jql = req.query.jql; // Optional custom JQL query
-    const data = await jiraClient.refreshColumns(jql);
+    const data = await jiraClient.refreshColumns(jql, req.credentials.jiraToken);
     const formattedIssues = jiraClient.formatIssues(data.issues, false);
     
     res.json({
       success: true,
       total: data.total,
+      truncated: !!data.truncated,
       issues: formattedIssues
     });
   } catch (error) {
-    console.error('Error fetching issues:', error.message);
+    logger.error('Error fetching issues:', error.message);
     res.status(500).json({
       success: false,
       error: error.message
@@ -752,17 +1625,17 @@ app.get('/api/issues', async (req, res) => {
   }
 });
 
-app.get('/api/issue/:key', async (req, res) => {
+app.get('/api/issue/:key', requireSession, async (req, res) => {
   try {
     const issueKey = req.params.key;
-    const issue = await jiraClient.getIssueDetails(issueKey);
+    const issue = await jiraClient.getIssueDetails(issueKey, req.credentials.jiraToken);
     
     res.json({
       success: true,
       issue: issue
     });
   } catch (error) {
-    console.error('Error fetching issue details:', error.message);
+    logger.error('Error fetching issue details:', error.message);
     res.status(500).json({
       success: false,
       error: error.message
@@ -778,7 +1651,7 @@ app.get('/api/table-config', (req, res) => {
       config: tableConfig
     });
   } catch (error) {
-    console.error('Error fetching table config:', error.message);
+    logger.error('Error fetching table config:', error.message);
     res.status(500).json({
       success: false,
       error: error.message
@@ -794,7 +1667,7 @@ app.get('/api/backend-config', (req, res) => {
       config: backendConfig
     });
   } catch (error) {
-    console.error('Error fetching backend config:', error.message);
+    logger.error('Error fetching backend config:', error.message);
     res.status(500).json({
       success: false,
       error: error.message
@@ -803,16 +1676,9 @@ app.get('/api/backend-config', (req, res) => {
 });
 
 // Fetch all field names from Jira
-app.get('/api/field-names', async (req, res) => {
+app.get('/api/field-names', requireSession, async (req, res) => {
   try {
-    const userToken = req.headers['x-jira-token'];
-    
-    if (!userToken) {
-      return res.status(401).json({
-        success: false,
-        error: 'No authentication token provided. Please authenticate first.'
-      });
-    }
+    const userToken = req.credentials.jiraToken;
     
     const jiraConfig = jiraClient.configManager.getJiraConfig();
     const baseUrl = jiraConfig.baseUrl.replace(/\/$/, '');
@@ -821,7 +1687,7 @@ app.get('/api/field-names', async (req, res) => {
     const axios = require('axios');
     const fieldsUrl = `${baseUrl}/rest/api/2/field`;
     
-    console.log(`📋 [API] /api/field-names - Fetching from: ${fieldsUrl}`);
+    logger.debug(`[API] /api/field-names - Fetching from: ${fieldsUrl}`);
     
     const fieldsResponse = await axios.get(fieldsUrl, {
       headers: {
@@ -836,8 +1702,8 @@ app.get('/api/field-names', async (req, res) => {
     });
     
     if (fieldsResponse.status !== 200) {
-      console.error(`❌ [API] /api/field-names - Non-200 status: ${fieldsResponse.status}`);
-      console.error(`❌ [API] Response data:`, fieldsResponse.data);
+      logger.error(`[API] /api/field-names - Non-200 status: ${fieldsResponse.status}`);
+      logger.error(`[API] Response data:`, fieldsResponse.data);
       throw new Error(`Failed to fetch field names: HTTP ${fieldsResponse.status}`);
     }
     
@@ -854,18 +1720,18 @@ app.get('/api/field-names', async (req, res) => {
       });
     }
     
-    console.log(`📋 [API] /api/field-names - Loaded ${Object.keys(fieldMap).length} field names`);
+    logger.debug(`[API] /api/field-names - Loaded ${Object.keys(fieldMap).length} field names`);
     
     // Log specific custom fields
     if (fieldMap['customfield_23073']) {
-      console.log(`📋 [API] customfield_23073: "${fieldMap['customfield_23073']}"`);
+      logger.debug(`[API] customfield_23073: "${fieldMap['customfield_23073']}"`);
     } else {
-      console.warn(`⚠️ [API] customfield_23073 not found in response`);
+      logger.warn(`[API] customfield_23073 not found in response`);
     }
     if (fieldMap['customfield_23560']) {
-      console.log(`📋 [API] customfield_23560: "${fieldMap['customfield_23560']}"`);
+      logger.debug(`[API] customfield_23560: "${fieldMap['customfield_23560']}"`);
     } else {
-      console.warn(`⚠️ [API] customfield_23560 not found in response`);
+      logger.warn(`[API] customfield_23560 not found in response`);
     }
     
     res.json({
@@ -874,10 +1740,10 @@ app.get('/api/field-names', async (req, res) => {
       count: Object.keys(fieldMap).length
     });
   } catch (error) {
-    console.error('❌ [API] /api/field-names - Error:', error.message);
+    logger.error('[API] /api/field-names - Error:', error.message);
     if (error.response) {
-      console.error('❌ [API] Status:', error.response.status);
-      console.error('❌ [API] Response data:', error.response.data);
+      logger.error('[API] Status:', error.response.status);
+      logger.error('[API] Response data:', error.response.data);
     }
     res.status(error.response?.status || 500).json({
       success: false,
@@ -886,7 +1752,8 @@ app.get('/api/field-names', async (req, res) => {
   }
 });
 
-app.post('/api/save-column-config', express.json(), (req, res) => {
+// Writes user-column-config.json, which every user's table uses, so it needs a session
+app.post('/api/save-column-config', express.json(), requireSession, (req, res) => {
   try {
     const { userColumns } = req.body;
     
@@ -911,7 +1778,7 @@ app.post('/api/save-column-config', express.json(), (req, res) => {
       });
     }
   } catch (error) {
-    console.error('Error saving column config:', error.message);
+    logger.error('Error saving column config:', error.message);
     res.status(500).json({
       success: false,
       error: error.message
@@ -919,6 +1786,8 @@ app.post('/api/save-column-config', express.json(), (req, res) => {
   }
 });
 
+// The token checks stay public: they run before login and only use the token sent in the body, so a caller
+// learns nothing beyond whether their own token works
 app.post('/api/test-token', express.json(), async (req, res) => {
   const startTime = Date.now();
   try {
@@ -931,7 +1800,7 @@ app.post('/api/test-token', express.json(), async (req, res) => {
       });
     }
     
-    console.log(`🔐 [API] /api/test-token - Testing token authentication...`);
+    logger.debug(`[API] /api/test-token - Testing token authentication...`);
     
     // Test the token with PAT endpoint
     const axios = require('axios');
@@ -954,7 +1823,7 @@ app.post('/api/test-token', express.json(), async (req, res) => {
       );
       
       if (testResponse.status === 200 && Array.isArray(testResponse.data)) {
-        console.log(`✅ [API] /api/test-token - Token is valid, found ${testResponse.data.length} tokens`);
+        logger.info(`[API] /api/test-token - Token is valid, found ${testResponse.data.length} tokens`);
         res.json({
           success: true,
           message: 'Token is valid',
@@ -964,7 +1833,7 @@ app.post('/api/test-token', express.json(), async (req, res) => {
         throw new Error('Invalid response from token endpoint');
       }
     } catch (error) {
-      console.error('❌ [API] /api/test-token - Token test failed:', {
+      logger.error('[API] /api/test-token - Token test failed:', {
         message: error.message,
         status: error.response?.status,
         data: error.response?.data
@@ -981,7 +1850,7 @@ app.post('/api/test-token', express.json(), async (req, res) => {
     }
   } catch (error) {
     const duration = Date.now() - startTime;
-    console.error(`❌ [API] /api/test-token - Failed after ${duration}ms:`, error.message);
+    logger.error(`[API] /api/test-token - Failed after ${duration}ms:`, error.message);
     
     res.status(500).json({
       success: false,
@@ -991,11 +1860,11 @@ app.post('/api/test-token', express.json(), async (req, res) => {
 });
 
 // Fetch Confluence summary for a single page
-app.get('/api/confluence/summary', async (req, res) => {
+app.get('/api/confluence/summary', requireSession, async (req, res) => {
   const startTime = Date.now();
   try {
     const { url } = req.query;
-    const userToken = req.headers['x-confluence-token'] || req.headers['x-jira-token'];
+    const userToken = req.credentials.confluenceToken;
     
     if (!url) {
       return res.status(400).json({
@@ -1012,15 +1881,15 @@ app.get('/api/confluence/summary', async (req, res) => {
       });
     }
     
-    console.log(`📄 [API] /api/confluence/summary - Fetching summary for: ${url}`);
+    logger.debug(`[API] /api/confluence/summary - Fetching summary for: ${url}`);
     
     const result = await confluenceClient.getSummary(url, userToken);
     const duration = Date.now() - startTime;
     
     if (result.success) {
-      console.log(`✅ [API] /api/confluence/summary - Success in ${duration}ms`);
+      logger.info(`[API] /api/confluence/summary - Success in ${duration}ms`);
     } else {
-      console.log(`⚠️ [API] /api/confluence/summary - Failed in ${duration}ms: ${result.error}`);
+      logger.warn(`[API] /api/confluence/summary - Failed in ${duration}ms: ${result.error}`);
       
       // Provide user-friendly error messages
       if (result.error && result.error.includes('token') || result.error.includes('Authentication')) {
@@ -1039,7 +1908,7 @@ app.get('/api/confluence/summary', async (req, res) => {
     res.json(result);
   } catch (error) {
     const duration = Date.now() - startTime;
-    console.error(`❌ [API] /api/confluence/summary - Failed after ${duration}ms:`, error.message);
+    logger.error(`[API] /api/confluence/summary - Failed after ${duration}ms:`, error.message);
     
     // Provide user-friendly error messages
     let errorMessage = 'Unable to fetch Confluence summary';
@@ -1064,11 +1933,11 @@ app.get('/api/confluence/summary', async (req, res) => {
 });
 
 // Batch fetch Confluence summaries
-app.post('/api/confluence/summaries', express.json(), async (req, res) => {
+app.post('/api/confluence/summaries', express.json(), requireSession, async (req, res) => {
   const startTime = Date.now();
   try {
     const { urls } = req.body;
-    const userToken = req.headers['x-confluence-token'] || req.headers['x-jira-token'];
+    const userToken = req.credentials.confluenceToken;
     
     if (!urls || !Array.isArray(urls)) {
       return res.status(400).json({
@@ -1077,12 +1946,12 @@ app.post('/api/confluence/summaries', express.json(), async (req, res) => {
       });
     }
     
-    console.log(`📄 [API] /api/confluence/summaries - Fetching ${urls.length} summaries`);
+    logger.debug(`[API] /api/confluence/summaries - Fetching ${urls.length} summaries`);
     
     const results = await confluenceClient.getSummaries(urls, userToken);
     const duration = Date.now() - startTime;
     
-    console.log(`✅ [API] /api/confluence/summaries - Completed in ${duration}ms`);
+    logger.info(`[API] /api/confluence/summaries - Completed in ${duration}ms`);
     
     res.json({
       success: true,
@@ -1090,7 +1959,7 @@ app.post('/api/confluence/summaries', express.json(), async (req, res) => {
     });
   } catch (error) {
     const duration = Date.now() - startTime;
-    console.error(`❌ [API] /api/confluence/summaries - Failed after ${duration}ms:`, error.message);
+    logger.error(`[API] /api/confluence/summaries - Failed after ${duration}ms:`, error.message);
     
     res.status(500).json({
       success: false,
@@ -1100,7 +1969,7 @@ app.post('/api/confluence/summaries', express.json(), async (req, res) => {
 });
 
 // Summarize text (for customfield_23073 and similar fields)
-app.post('/api/summarize-text', express.json(), async (req, res) => {
+app.post('/api/summarize-text', express.json(), requireSession, async (req, res) => {
   const startTime = Date.now();
   try {
     const { text } = req.body;
@@ -1112,13 +1981,13 @@ app.post('/api/summarize-text', express.json(), async (req, res) => {
       });
     }
     
-    console.log(`📝 [API] /api/summarize-text - Summarizing text (${text.length} chars)`);
+    logger.info(`[API] /api/summarize-text - Summarizing text (${text.length} chars)`);
     
     const textProcessor = new TextProcessor();
     const result = textProcessor.summarize(text);
     
     const duration = Date.now() - startTime;
-    console.log(`✅ [API] /api/summarize-text - Success in ${duration}ms`);
+    logger.info(`[API] /api/summarize-text - Success in ${duration}ms`);
     
     res.json({
       success: true,
@@ -1128,7 +1997,7 @@ app.post('/api/summarize-text', express.json(), async (req, res) => {
     });
   } catch (error) {
     const duration = Date.now() - startTime;
-    console.error(`❌ [API] /api/summarize-text - Failed after ${duration}ms:`, error.message);
+    logger.error(`[API] /api/summarize-text - Failed after ${duration}ms:`, error.message);
     
     res.status(500).json({
       success: false,
@@ -1138,7 +2007,7 @@ app.post('/api/summarize-text', express.json(), async (req, res) => {
 });
 
 // Batch summarize texts
-app.post('/api/summarize-texts', express.json(), async (req, res) => {
+app.post('/api/summarize-texts', express.json(), requireSession, async (req, res) => {
   const startTime = Date.now();
   try {
     const { texts } = req.body;
@@ -1150,13 +2019,13 @@ app.post('/api/summarize-texts', express.json(), async (req, res) => {
       });
     }
     
-    console.log(`📝 [API] /api/summarize-texts - Summarizing ${texts.length} texts`);
+    logger.info(`[API] /api/summarize-texts - Summarizing ${texts.length} texts`);
     
     const textProcessor = new TextProcessor();
     const results = textProcessor.batchSummarize(texts);
     
     const duration = Date.now() - startTime;
-    console.log(`✅ [API] /api/summarize-texts - Success in ${duration}ms`);
+    logger.info(`[API] /api/summarize-texts - Success in ${duration}ms`);
     
     res.json({
       success: true,
@@ -1164,7 +2033,7 @@ app.post('/api/summarize-texts', express.json(), async (req, res) => {
     });
   } catch (error) {
     const duration = Date.now() - startTime;
-    console.error(`❌ [API] /api/summarize-texts - Failed after ${duration}ms:`, error.message);
+    logger.error(`[API] /api/summarize-texts - Failed after ${duration}ms:`, error.message);
     
     res.status(500).json({
       success: false,
@@ -1174,20 +2043,13 @@ app.post('/api/summarize-texts', express.json(), async (req, res) => {
 });
 
 // Auto-discover fields from Jira tickets
-app.get('/api/discover-fields', async (req, res) => {
+app.get('/api/discover-fields', requireSession, async (req, res) => {
   const startTime = Date.now();
   try {
     const jql = req.query.jql || 'filter = 165194'; // Use provided JQL or default
-    const userToken = req.headers['x-jira-token'];
-    
-    if (!userToken) {
-      return res.status(401).json({
-        success: false,
-        error: 'No authentication token provided. Please authenticate first.'
-      });
-    }
+    const userToken = req.credentials.jiraToken;
     
-    console.log(`🔍 [API] /api/discover-fields - Discovering fields from JQL: ${jql}`);
+    logger.debug(`[API] /api/discover-fields - Discovering fields from JQL: ${jql}`);
     
     // First, fetch field metadata from Jira's field API to get names
     const jiraConfig = jiraClient.configManager.getJiraConfig();
@@ -1213,16 +2075,16 @@ app.get('/api/discover-fields', async (req, res) => {
           }
         });
       }
-      console.log(`📋 [API] /api/discover-fields - Loaded ${Object.keys(fieldMetadata).length} field names from Jira`);
-      console.log(`📋 [API] Sample field mappings:`, Object.keys(fieldMetadata).slice(0, 5).map(k => `${k} -> ${fieldMetadata[k]}`));
+      logger.debug(`[API] /api/discover-fields - Loaded ${Object.keys(fieldMetadata).length} field names from Jira`);
+      logger.debug(`[API] Sample field mappings:`, Object.keys(fieldMetadata).slice(0, 5).map(k => `${k} -> ${fieldMetadata[k]}`));
     } catch (fieldError) {
-      console.warn(`⚠️ [API] /api/discover-fields - Could not fetch field metadata: ${fieldError.message}`);
-      console.warn(`⚠️ [API] Field error details:`, fieldError.response?.data || fieldError.message);
+      logger.warn(`[API] /api/discover-fields - Could not fetch field metadata: ${fieldError.message}`);
+      logger.warn(`[API] Field error details:`, fieldError.response?.data || fieldError.message);
       // Continue without field names - we'll just use IDs
     }
     
-    // Fetch just 1 ticket to discover all available fields
-    const data = await jiraClient.fetchAllData(jql, userToken);
+    // Fetch just 1 ticket to discover all available fields (one search page, not the whole result)
+    const data = await jiraClient.fetchAllData(jql, userToken, [], { maxResults: 1 });
     
     if (!data.issues || data.issues.length === 0) {
       return res.json({
@@ -1261,280 +2123,531 @@ app.get('/api/discover-fields', async (req, res) => {
       };
     });
     
-    if (sampleIssue.fields) {
-      // Get all field names from the fields object
-      Object.keys(sampleIssue.fields).forEach(fieldName => {
-        if (!discoveredFields.includes(fieldName)) {
-          discoveredFields.push(fieldName);
-          // Get the field name from metadata, or use a formatted version of the ID
-          const fieldNameFromMetadata = fieldMetadata[fieldName] || null;
-          fieldMap[fieldName] = {
-            id: fieldName,
-            name: fieldNameFromMetadata || fieldName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())
-          };
-        }
+    if (sampleIssue.fields) {
+      // Get all field names from the fields object
+      Object.keys(sampleIssue.fields).forEach(fieldName => {
+        if (!discoveredFields.includes(fieldName)) {
+          discoveredFields.push(fieldName);
+          // Get the field name from metadata, or use a formatted version of the ID
+          const fieldNameFromMetadata = fieldMetadata[fieldName] || null;
+          fieldMap[fieldName] = {
+            id: fieldName,
+            name: fieldNameFromMetadata || fieldName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())
+          };
+        }
+      });
+    }
+    
+    // Sort fields (standard fields first, then custom fields)
+    discoveredFields.sort((a, b) => {
+      const aIsCustom = a.startsWith('customfield_');
+      const bIsCustom = b.startsWith('customfield_');
+      if (aIsCustom && !bIsCustom) return 1;
+      if (!aIsCustom && bIsCustom) return -1;
+      return a.localeCompare(b);
+    });
+    
+    const duration = Date.now() - startTime;
+    logger.info(`[API] /api/discover-fields - Discovered ${discoveredFields.length} fields in ${duration}ms`);
+    
+    res.json({
+      success: true,
+      fields: discoveredFields,
+      fieldMap: fieldMap, // Include field name mapping
+      count: discoveredFields.length,
+      message: `Discovered ${discoveredFields.length} fields from your tickets`
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error(`[API] /api/discover-fields - Failed after ${duration}ms:`, error.message);
+    
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to discover fields'
+    });
+  }
+});
+
+// Snapshots of scheduled runs hold what the service token could read, so only schedule admins see them
+function snapshotAccess(req) {
+  return { includeScheduled: isScheduleAdmin(req.session.user) };
+}
+
+// List stored snapshots (metadata only), optionally filtered by ?from=&to= (YYYY-MM-DD) and ?jql=
+app.get('/api/snapshots', requireSession, (req, res) => {
+  try {
+    const { from, to, jql } = req.query;
+    const snapshots = snapshotStore.list({ from, to, jql, ...snapshotAccess(req) });
+    
+    res.json({
+      success: true,
+      count: snapshots.length,
+      snapshots
+    });
+  } catch (error) {
+    logger.error(`[API] /api/snapshots - Failed:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Latest snapshot taken on or before a date (YYYY-MM-DD)
+app.get('/api/snapshots/by-date/:date', requireSession, (req, res) => {
+  try {
+    const { date } = req.params;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+    
+    const snapshot = snapshotStore.getByDate(date, { jql: req.query.jql, ...snapshotAccess(req) });
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: `No snapshot found on or before ${date}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      snapshot
+    });
+  } catch (error) {
+    logger.error(`[API] /api/snapshots/by-date - Failed:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get one snapshot by id
+app.get('/api/snapshots/:id', requireSession, (req, res) => {
+  try {
+    const snapshot = snapshotStore.get(req.params.id, snapshotAccess(req));
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: `Snapshot ${req.params.id} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      snapshot
+    });
+  } catch (error) {
+    logger.error(`[API] /api/snapshots/:id - Failed:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Resolve a snapshot reference: a YYYY-MM-DD date (latest snapshot on or before it) or a snapshot id
+// access: { includeScheduled } from snapshotAccess
+function resolveSnapshot(ref, jql, access = {}) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(ref)) {
+    return snapshotStore.getByDate(ref, { jql, ...access });
+  }
+  return snapshotStore.get(ref, access);
+}
+
+// Week-over-week changes between two snapshots
+// ?to= defaults to the latest snapshot, ?from= to the latest snapshot at least 7 days older
+// ?jql= limits the comparison to snapshots of one query (defaults to the query of the "to" snapshot)
+app.get('/api/diff', requireSession, (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { from, to } = req.query;
+    let jql = req.query.jql || undefined;
+    const access = snapshotAccess(req);
+    
+    let toSnapshot;
+    if (to) {
+      toSnapshot = resolveSnapshot(to, jql, access);
+    } else {
+      const latest = snapshotStore.list({ jql, ...access });
+      toSnapshot = latest.length > 0 ? snapshotStore.get(latest[latest.length - 1].id) : null;
+    }
+    if (!toSnapshot) {
+      return res.status(404).json({
+        success: false,
+        error: to ? `No snapshot found for "${to}"` : 'No snapshots stored for this query yet. Fetch data first to record one.'
+      });
+    }
+    jql = jql || toSnapshot.jql;
+    
+    let fromSnapshot;
+    if (from) {
+      fromSnapshot = resolveSnapshot(from, jql, access);
+    } else {
+      const weekBefore = new Date(toSnapshot.takenAt);
+      weekBefore.setDate(weekBefore.getDate() - 7);
+      fromSnapshot = snapshotStore.getByDate(weekBefore.toISOString().split('T')[0], { jql, ...access });
+    }
+    if (!fromSnapshot) {
+      return res.status(404).json({
+        success: false,
+        error: from ? `No snapshot found for "${from}"` : `No snapshot from a week before ${toSnapshot.date} for this query yet`
+      });
+    }
+    
+    if (fromSnapshot.takenAt > toSnapshot.takenAt) {
+      [fromSnapshot, toSnapshot] = [toSnapshot, fromSnapshot];
+    }
+    
+    const diff = new SnapshotDiff().compare(fromSnapshot, toSnapshot);
+    
+    const duration = Date.now() - startTime;
+    logger.info(`[API] /api/diff - ${fromSnapshot.id} → ${toSnapshot.id} in ${duration}ms - ${diff.summary.changed} changed, ${diff.summary.added} added, ${diff.summary.removed} removed`);
+    
+    res.json({
+      success: true,
+      ...diff
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error(`[API] /api/diff - Failed after ${duration}ms:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/health', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Server is running',
+    timestamp: new Date().toISOString(),
+    cache: responseCache.getStats()
+  });
+});
+
+// Validate a Jira PAT against /rest/pat/latest/tokens
+// Resolves { valid: true, tokens } or { valid: false, error, details } for a rejected token; throws on other failures
+async function validateJiraToken(token) {
+  const axios = require('axios');
+  const ConfigManager = require('./config');
+  const jiraConfig = new ConfigManager().getJiraConfig();
+  const baseUrl = jiraConfig.baseUrl || 'https://jira.nutanix.com';
+  const cleanBaseUrl = baseUrl.replace(/\/$/, '');
+  const cleanToken = token.trim().replace(/\r?\n/g, '');
+  
+  try {
+    const testResponse = await axios.get(
+      `${cleanBaseUrl}/rest/pat/latest/tokens`,
+      {
+        headers: {
+          'Accept': 'application/json',
+          'Authorization': `Bearer ${cleanToken}`
+        },
+        timeout: 10000
+      }
+    );
+    
+    if (testResponse.status === 200 && Array.isArray(testResponse.data)) {
+      return { valid: true, tokens: testResponse.data };
+    }
+    throw new Error('Invalid response from token endpoint');
+  } catch (error) {
+    logger.error('[Auth] Jira token test failed:', {
+      message: error.message,
+      status: error.response?.status,
+      data: error.response?.data
+    });
+    
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      return {
+        valid: false,
+        error: 'Invalid Jira token. Please check your Bearer token (PAT).',
+        details: error.response?.data
+      };
+    }
+    throw error;
+  }
+}
+
+// Validate a Confluence token by reading a known page, trying Basic Auth (email:token, with CONFLUENCE_EMAIL) then Bearer
+// Resolves { valid: true, authMethod, page } or { valid: false, error, details, triedMethods }; throws on other failures
+async function validateConfluenceToken(token) {
+  const axios = require('axios');
+  const baseUrl = process.env.CONFLUENCE_BASE_URL || 'https://confluence.eng.nutanix.com:8443';
+  const cleanBaseUrl = baseUrl.replace(/\/$/, '');
+  const cleanToken = token.trim().replace(/\r?\n/g, '');
+  const testPageId = '460996552'; // Test page ID
+  const requestOptions = (authorization) => ({
+    headers: {
+      'Authorization': authorization,
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    },
+    params: {
+      expand: 'version,metadata.labels'
+    },
+    timeout: 10000,
+    validateStatus: function (status) {
+      return status >= 200 && status < 600;
+    }
+  });
+  
+  // Basic Auth (email:token) is only tried when CONFLUENCE_EMAIL is set; Bearer token always
+  const email = process.env.CONFLUENCE_EMAIL;
+  const attempts = [];
+  if (email) {
+    attempts.push({ name: 'Basic Auth (email:token)', authorization: `Basic ${Buffer.from(`${email}:${cleanToken}`).toString('base64')}` });
+  }
+  attempts.push({ name: 'Bearer Token', authorization: `Bearer ${cleanToken}` });
+  
+  const failures = {};
+  let lastError = null;
+  let errorStatus = null;
+  let errorData = null;
+  for (const attempt of attempts) {
+    try {
+      const testResponse = await axios.get(`${cleanBaseUrl}/rest/api/content/${testPageId}`, requestOptions(attempt.authorization));
+      if (testResponse.status === 200) {
+        return { valid: true, authMethod: attempt.name, page: testResponse.data };
+      }
+      throw Object.assign(new Error(`HTTP ${testResponse.status}`), { response: testResponse });
+    } catch (error) {
+      lastError = error;
+      failures[attempt.name] = error.response?.status || error.message;
+      errorStatus = error.response?.status || errorStatus;
+      errorData = error.response?.data || errorData;
+    }
+  }
+  
+  logger.error('[Auth] Confluence token test - all auth methods failed:', { ...failures, data: errorData });
+  
+  if (errorStatus === 401 || errorStatus === 403) {
+    return {
+      valid: false,
+      error: 'Invalid Confluence token or authentication method not supported.',
+      details: errorData,
+      triedMethods: attempts.map(attempt => attempt.name)
+    };
+  }
+  throw lastError;
+}
+
+// Test Jira token endpoint
+app.post('/api/test-jira-token', express.json(), async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token is required. Provide token in the request body.'
       });
     }
     
-    // Sort fields (standard fields first, then custom fields)
-    discoveredFields.sort((a, b) => {
-      const aIsCustom = a.startsWith('customfield_');
-      const bIsCustom = b.startsWith('customfield_');
-      if (aIsCustom && !bIsCustom) return 1;
-      if (!aIsCustom && bIsCustom) return -1;
-      return a.localeCompare(b);
-    });
-    
-    const duration = Date.now() - startTime;
-    console.log(`✅ [API] /api/discover-fields - Discovered ${discoveredFields.length} fields in ${duration}ms`);
+    logger.debug(`[API] /api/test-jira-token - Testing Jira token authentication...`);
+    const result = await validateJiraToken(token);
+    if (!result.valid) {
+      return res.status(401).json({ success: false, error: result.error, details: result.details });
+    }
     
+    logger.info(`[API] /api/test-jira-token - Token is valid, found ${result.tokens.length} tokens`);
     res.json({
       success: true,
-      fields: discoveredFields,
-      fieldMap: fieldMap, // Include field name mapping
-      count: discoveredFields.length,
-      message: `Discovered ${discoveredFields.length} fields from your tickets`
+      message: 'Jira token is valid',
+      tokenCount: result.tokens.length,
+      tokens: result.tokens.map(t => ({
+        id: t.id,
+        name: t.name,
+        createdAt: t.createdAt
+      }))
     });
   } catch (error) {
     const duration = Date.now() - startTime;
-    console.error(`❌ [API] /api/discover-fields - Failed after ${duration}ms:`, error.message);
+    logger.error(`[API] /api/test-jira-token - Failed after ${duration}ms:`, error.message);
     
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to discover fields'
+      error: error.message || 'Failed to test Jira token'
     });
   }
 });
 
-app.get('/api/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Server is running',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Test Jira token endpoint
-app.post('/api/test-jira-token', express.json(), async (req, res) => {
+// Test Confluence token endpoint
+app.post('/api/test-confluence-token', express.json(), async (req, res) => {
   const startTime = Date.now();
   try {
     const { token } = req.body;
-    const userToken = token || req.headers['x-jira-token'];
     
-    if (!userToken) {
+    if (!token) {
       return res.status(400).json({
         success: false,
-        error: 'Token is required. Provide token in request body or X-Jira-Token header.'
+        error: 'Token is required. Provide token in the request body.'
       });
     }
     
-    console.log(`🔐 [API] /api/test-jira-token - Testing Jira token authentication...`);
-    
-    const axios = require('axios');
-    const ConfigManager = require('./config');
-    const configManager = new ConfigManager();
-    const jiraConfig = configManager.getJiraConfig();
-    const baseUrl = jiraConfig.baseUrl || 'https://jira.nutanix.com';
-    const cleanBaseUrl = baseUrl.replace(/\/$/, '');
-    const cleanToken = userToken.trim().replace(/\r?\n/g, '');
-    
-    try {
-      const testResponse = await axios.get(
-        `${cleanBaseUrl}/rest/pat/latest/tokens`,
-        {
-          headers: {
-            'Accept': 'application/json',
-            'Authorization': `Bearer ${cleanToken}`
-          },
-          timeout: 10000
-        }
-      );
-      
-      if (testResponse.status === 200 && Array.isArray(testResponse.data)) {
-        console.log(`✅ [API] /api/test-jira-token - Token is valid, found ${testResponse.data.length} tokens`);
-        res.json({
-          success: true,
-          message: 'Jira token is valid',
-          tokenCount: testResponse.data.length,
-          tokens: testResponse.data.map(t => ({
-            id: t.id,
-            name: t.name,
-            createdAt: t.createdAt
-          }))
-        });
-      } else {
-        throw new Error('Invalid response from token endpoint');
-      }
-    } catch (error) {
-      console.error('❌ [API] /api/test-jira-token - Token test failed:', {
-        message: error.message,
-        status: error.response?.status,
-        data: error.response?.data
-      });
-      
-      if (error.response?.status === 401 || error.response?.status === 403) {
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid Jira token. Please check your Bearer token (PAT).',
-          details: error.response?.data
-        });
-      }
-      
-      throw error;
+    logger.debug(`[API] /api/test-confluence-token - Testing Confluence token authentication...`);
+    const result = await validateConfluenceToken(token);
+    if (!result.valid) {
+      return res.status(401).json({ success: false, error: result.error, details: result.details, triedMethods: result.triedMethods });
     }
+    
+    logger.info(`[API] /api/test-confluence-token - Token is valid using ${result.authMethod}`);
+    res.json({
+      success: true,
+      message: `Confluence token is valid (using ${result.authMethod})`,
+      authMethod: result.authMethod,
+      pageTitle: result.page.title,
+      pageId: result.page.id,
+      labels: result.page.metadata?.labels?.results?.map(l => l.name) || []
+    });
   } catch (error) {
     const duration = Date.now() - startTime;
-    console.error(`❌ [API] /api/test-jira-token - Failed after ${duration}ms:`, error.message);
+    logger.error(`[API] /api/test-confluence-token - Failed after ${duration}ms:`, error.message);
     
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to test Jira token'
+      error: error.message || 'Failed to test Confluence token',
+      details: error.response?.data
     });
   }
 });
 
-// Test Confluence token endpoint
-app.post('/api/test-confluence-token', express.json(), async (req, res) => {
+// Log in: validate the Jira PAT once, then keep it (encrypted) in a server-side session behind an httpOnly cookie
+app.post('/api/session/login', express.json(), async (req, res) => {
   const startTime = Date.now();
   try {
-    const { token } = req.body;
-    const userToken = token || req.headers['x-confluence-token'] || process.env.CONFLUENCE_API_TOKEN;
+    const { jiraToken, confluenceToken } = req.body || {};
     
-    if (!userToken) {
+    if (!jiraToken || !jiraToken.trim()) {
       return res.status(400).json({
         success: false,
-        error: 'Token is required. Provide token in request body, X-Confluence-Token header, or set CONFLUENCE_API_TOKEN in .env.'
+        error: 'jiraToken is required to log in.'
       });
     }
     
-    console.log(`🔐 [API] /api/test-confluence-token - Testing Confluence token authentication...`);
+    const jiraResult = await validateJiraToken(jiraToken);
+    if (!jiraResult.valid) {
+      return res.status(401).json({ success: false, error: jiraResult.error, details: jiraResult.details });
+    }
     
-    const axios = require('axios');
-    const baseUrl = process.env.CONFLUENCE_BASE_URL || 'https://confluence.eng.nutanix.com:8443';
-    const cleanBaseUrl = baseUrl.replace(/\/$/, '');
-    const cleanToken = userToken.trim().replace(/\r?\n/g, '');
-    const testPageId = '460996552'; // Test page ID
+    if (confluenceToken) {
+      const confluenceResult = await validateConfluenceToken(confluenceToken);
+      if (!confluenceResult.valid) {
+        return res.status(401).json({ success: false, error: confluenceResult.error, details: confluenceResult.details });
+      }
+    }
     
-    // Try Basic Auth first (email:token)
-    const email = process.env.CONFLUENCE_EMAIL || 'namratha.singh@nutanix.com';
-    let testResponse;
-    let authMethod = 'Unknown';
+    const previousId = sessionStore.readSessionId(req);
+    if (previousId) {
+      sessionStore.destroy(previousId);
+    }
     
+    // Who the token belongs to, for the schedule admin check
+    let user = null;
     try {
-      // Test 1: Basic Auth
-      const basicAuth = Buffer.from(`${email}:${cleanToken}`).toString('base64');
-      testResponse = await axios.get(
-        `${cleanBaseUrl}/rest/api/content/${testPageId}`,
-        {
-          headers: {
-            'Authorization': `Basic ${basicAuth}`,
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          },
-          params: {
-            expand: 'version,metadata.labels'
-          },
-          timeout: 10000,
-          validateStatus: function (status) {
-            return status >= 200 && status < 600;
-          }
-        }
-      );
-      
-      if (testResponse.status === 200) {
-        authMethod = 'Basic Auth (email:token)';
-      } else {
-        throw new Error(`HTTP ${testResponse.status}`);
-      }
-    } catch (basicError) {
-      // Test 2: Bearer token
-      try {
-        testResponse = await axios.get(
-          `${cleanBaseUrl}/rest/api/content/${testPageId}`,
-          {
-            headers: {
-              'Authorization': `Bearer ${cleanToken}`,
-              'Accept': 'application/json',
-              'Content-Type': 'application/json'
-            },
-            params: {
-              expand: 'version,metadata.labels'
-            },
-            timeout: 10000,
-            validateStatus: function (status) {
-              return status >= 200 && status < 600;
-            }
-          }
-        );
-        
-        if (testResponse.status === 200) {
-          authMethod = 'Bearer Token';
-        } else {
-          throw new Error(`HTTP ${testResponse.status}`);
-        }
-      } catch (bearerError) {
-        const errorStatus = bearerError.response?.status || basicError.response?.status;
-        const errorData = bearerError.response?.data || basicError.response?.data;
-        
-        console.error('❌ [API] /api/test-confluence-token - Both auth methods failed:', {
-          basicError: basicError.response?.status,
-          bearerError: bearerError.response?.status,
-          data: errorData
-        });
-        
-        if (errorStatus === 401 || errorStatus === 403) {
-          return res.status(401).json({
-            success: false,
-            error: 'Invalid Confluence token or authentication method not supported.',
-            details: errorData,
-            triedMethods: ['Basic Auth (email:token)', 'Bearer Token']
-          });
-        }
-        
-        throw bearerError;
-      }
+      user = await jiraClient.fetchCurrentUser(jiraToken);
+    } catch (error) {
+      logger.warn(`[API] /api/session/login - Could not look up the token's user: ${error.message}`);
     }
     
-    if (testResponse.status === 200) {
-      console.log(`✅ [API] /api/test-confluence-token - Token is valid using ${authMethod}`);
-      res.json({
-        success: true,
-        message: `Confluence token is valid (using ${authMethod})`,
-        authMethod: authMethod,
-        pageTitle: testResponse.data.title,
-        pageId: testResponse.data.id,
-        labels: testResponse.data.metadata?.labels?.results?.map(l => l.name) || []
-      });
-    } else {
-      throw new Error(`HTTP ${testResponse.status}: ${testResponse.statusText}`);
-    }
+    const sessionId = sessionStore.create({
+      jiraToken: jiraToken.trim(),
+      confluenceToken: confluenceToken ? confluenceToken.trim() : null,
+      user
+    });
+    const { session } = sessionStore.lookup(sessionId);
+    res.cookie(sessionStore.cookieName, sessionId, sessionStore.cookieOptions());
+    
+    logger.info(`[API] /api/session/login - Session created in ${Date.now() - startTime}ms`);
+    res.json({
+      success: true,
+      authenticated: true,
+      expiresAt: session.expiresAt,
+      hasConfluenceToken: !!session.confluenceToken
+    });
   } catch (error) {
     const duration = Date.now() - startTime;
-    console.error(`❌ [API] /api/test-confluence-token - Failed after ${duration}ms:`, error.message);
-    
+    logger.error(`[API] /api/session/login - Failed after ${duration}ms:`, error.message);
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to test Confluence token',
-      details: error.response?.data
+      error: error.message || 'Failed to log in'
     });
   }
 });
 
-// Feature Metrics Endpoint
-app.get('/api/feature-metrics/:key', async (req, res) => {
+// Add a separate Confluence token to the current session (by default the Jira PAT is used for Confluence too)
+app.post('/api/session/confluence-token', express.json(), requireSession, async (req, res) => {
   const startTime = Date.now();
   try {
-    const featureKey = req.params.key;
-    const userToken = req.headers['x-jira-token'];
+    const { confluenceToken } = req.body || {};
     
-    if (!userToken) {
-      return res.status(401).json({
+    if (!confluenceToken || !confluenceToken.trim()) {
+      return res.status(400).json({
         success: false,
-        error: 'No authentication token provided'
+        error: 'confluenceToken is required.'
       });
     }
     
-    console.log(`📊 [API] /api/feature-metrics/${featureKey} - Fetching metrics...`);
+    const result = await validateConfluenceToken(confluenceToken);
+    if (!result.valid) {
+      return res.status(401).json({ success: false, error: result.error, details: result.details });
+    }
+    
+    sessionStore.setConfluenceToken(req.session.id, confluenceToken.trim());
+    res.json({
+      success: true,
+      authMethod: result.authMethod,
+      hasConfluenceToken: true
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error(`[API] /api/session/confluence-token - Failed after ${duration}ms:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to validate Confluence token'
+    });
+  }
+});
+
+app.post('/api/session/logout', (req, res) => {
+  const sessionId = sessionStore.readSessionId(req);
+  if (sessionId) {
+    sessionStore.destroy(sessionId);
+  }
+  res.clearCookie(sessionStore.cookieName, { ...sessionStore.cookieOptions(), maxAge: undefined });
+  res.json({ success: true, authenticated: false });
+});
+
+// Current login state; never returns the tokens themselves
+app.get('/api/session', (req, res) => {
+  const result = sessionStore.lookup(sessionStore.readSessionId(req));
+  if (result.status !== 'active') {
+    return res.json({ success: true, authenticated: false, expired: result.status === 'expired' });
+  }
+  
+  res.json({
+    success: true,
+    authenticated: true,
+    createdAt: result.session.createdAt,
+    expiresAt: result.session.expiresAt,
+    hasConfluenceToken: !!result.session.confluenceToken
+  });
+});
+
+// Feature Metrics Endpoint
+app.get('/api/feature-metrics/:key', requireSession, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const featureKey = req.params.key;
+    const userToken = req.credentials.jiraToken;
+    
+    logger.info(`[API] /api/feature-metrics/${featureKey} - Fetching metrics...`);
     
     // Generate base JQL to find all related tickets
     // Use simpler JQL that works with standard Jira (avoiding issueFunction which requires plugins)
@@ -1547,72 +2660,55 @@ app.get('/api/feature-metrics/:key', async (req, res) => {
       "Epic Link" = ${featureKey}
     )`;
     
-    // Fetch all related issues - ensure we request story points field
-    // Override fields to include customfield_10002 for story points
+    // Fetch all related issues - ensure we request the configured story points field
     const ConfigManager = require('./config');
     const configManager = new ConfigManager();
     const backendConfig = configManager.getBackendConfig();
+    const metricsConfig = backendConfig.metrics;
+    const storyPointField = metricsConfig.storyPointField;
     let fields = backendConfig.allPossibleFields || ['key', 'summary', 'status', 'issuetype', 'created', 'resolutiondate', 'duedate', 'assignee'];
     
     // Ensure story points field is included
-    if (!fields.includes('customfield_10002')) {
-      fields.push('customfield_10002');
+    if (!fields.includes(storyPointField)) {
+      fields.push(storyPointField);
     }
     
-    // Make direct API call to get raw issues with all needed fields
-    const axios = require('axios');
-    const jiraConfig = configManager.getJiraConfig();
-    const baseUrl = jiraConfig.baseUrl.replace(/\/$/, ''); // Remove trailing slash
-    const cleanToken = userToken.trim().replace(/\r?\n/g, '');
+    // Lead/cycle time needs resolution dates
+    if (!fields.includes('resolutiondate')) {
+      fields.push('resolutiondate');
+    }
     
-    const searchUrl = `${baseUrl}/rest/api/2/search`;
-    console.log(`🔍 [API] Making request to: ${searchUrl}`);
-    console.log(`🔍 [API] JQL: ${baseJQL}`);
-    console.log(`🔍 [API] Fields count: ${fields.length}`);
-    console.log(`🔍 [API] Fields include customfield_10002: ${fields.includes('customfield_10002')}`);
-    console.log(`🔍 [API] Fields: ${fields.slice(0, 10).join(', ')}...`);
+    // Search all pages to get raw issues with all needed fields
+    logger.debug(`[API] JQL: ${baseJQL}`);
+    logger.debug(`[API] Fields count: ${fields.length}`);
+    logger.debug(`[API] Fields include ${storyPointField}: ${fields.includes(storyPointField)}`);
+    logger.debug(`[API] Fields: ${fields.slice(0, 10).join(', ')}...`);
     
-    let response;
+    let searchResult;
     try {
-      response = await axios.post(
-        searchUrl,
-        {
-          jql: baseJQL,
-          fields: fields,
-          maxResults: 1000
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${cleanToken}`,
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000
-        }
-      );
+      searchResult = await jiraClient.searchAll(baseJQL, fields, userToken);
     } catch (error) {
-      console.error(`❌ [API] Jira API request failed:`, {
+      logger.error(`[API] Jira API request failed:`, {
         message: error.message,
         status: error.response?.status,
         statusText: error.response?.statusText,
-        data: error.response?.data,
-        url: searchUrl
+        data: error.response?.data
       });
       throw new Error(`Failed to fetch issues from Jira: ${error.response?.data?.message || error.message}`);
     }
     
-    const issues = response.data.issues || [];
-    console.log(`📊 [API] Found ${issues.length} related issues for ${featureKey}`);
+    const issues = searchResult.issues || [];
+    logger.info(`[API] Found ${issues.length} of ${searchResult.total} related issues for ${featureKey}`);
     
-    // Debug: Check if customfield_10002 is present in first issue
+    // Debug: Check if the story points field is present in first issue
     if (issues.length > 0) {
       const firstIssue = issues[0];
-      console.log(`🔍 [API] Sample issue fields:`, {
+      logger.debug(`[API] Sample issue fields:`, {
         key: firstIssue.key,
         hasFields: !!firstIssue.fields,
-        hasCustomfield_10002: !!(firstIssue.fields?.customfield_10002),
-        customfield_10002_value: firstIssue.fields?.customfield_10002,
-        availableFields: firstIssue.fields ? Object.keys(firstIssue.fields).filter(k => k.includes('10002') || k.includes('story')).slice(0, 5) : []
+        storyPointField: storyPointField,
+        hasStoryPoints: !!(firstIssue.fields?.[storyPointField]),
+        storyPointsValue: firstIssue.fields?.[storyPointField]
       });
     }
     
@@ -1620,19 +2716,43 @@ app.get('/api/feature-metrics/:key', async (req, res) => {
     const kickOffEpicTasks = await findKickOffEpicTasks(featureKey, issues, userToken);
     
     // Calculate metrics
-    const metrics = calculateFeatureMetrics(issues, featureKey);
+    const metrics = calculateFeatureMetrics(issues, featureKey, metricsConfig);
     metrics.kickOffEpicDueDates = kickOffEpicTasks;
     
+    // Optional changelog-based history (?history=true, or jira.changelog.enabled in config)
+    const changelogConfig = configManager.getChangelogConfig();
+    const includeHistory = req.query.history !== undefined ? req.query.history === 'true' : changelogConfig.enabled;
+    let changelogs = {};
+    if (includeHistory) {
+      const featureHistory = await buildFeatureHistory(issues, userToken, changelogConfig.maxIssues, metricsConfig);
+      metrics.history = featureHistory.history;
+      changelogs = featureHistory.changelogs;
+    }
+    
+    // Lead time always; cycle time only for issues whose changelog was fetched
+    metrics.flow = await calculateFlowMetrics(issues, changelogs, userToken, metricsConfig);
+    
+    // Monte Carlo completion forecast against the feature due date and kick-off epic due dates
+    metrics.forecast = calculateForecast(issues, featureKey, kickOffEpicTasks, metricsConfig);
+    
+    // Burn-up/burn-down in story points; scope changes come from changelogs when they were fetched
+    metrics.burn = new BurnChart({
+      storyPointField: storyPointField,
+      containerTypes: metricsConfig.ignoredIssueTypes,
+      wontFixResolutions: metricsConfig.wontFixResolutions
+    }).calculate(issues.filter(issue => issue.key !== featureKey), changelogs);
+    
     const duration = Date.now() - startTime;
-    console.log(`✅ [API] /api/feature-metrics/${featureKey} - Success in ${duration}ms`);
+    logger.info(`[API] /api/feature-metrics/${featureKey} - Success in ${duration}ms`);
     
     res.json({
       success: true,
+      truncated: searchResult.truncated,
       metrics: metrics
     });
   } catch (error) {
     const duration = Date.now() - startTime;
-    console.error(`❌ [API] /api/feature-metrics/${req.params.key} - Failed after ${duration}ms:`, error);
+    logger.error(`[API] /api/feature-metrics/${req.params.key} - Failed after ${duration}ms:`, error);
     
     res.status(500).json({
       success: false,
@@ -1641,8 +2761,81 @@ app.get('/api/feature-metrics/:key', async (req, res) => {
   }
 });
 
+// Helper function to fetch changelogs for a feature's issues and rebuild their field timelines
+async function buildFeatureHistory(issues, userToken, maxIssues, metricsConfig) {
+  const historyIssues = issues.slice(0, maxIssues);
+  if (historyIssues.length < issues.length) {
+    logger.warn(`[buildFeatureHistory] Limiting changelogs to ${maxIssues} of ${issues.length} issues`);
+  }
+  
+  const changelogs = await jiraClient.fetchChangelogs(historyIssues.map(issue => issue.key), userToken);
+  const history = new IssueHistory({ storyPointField: metricsConfig.storyPointField }).summarizeIssues(historyIssues, changelogs);
+  history.limited = historyIssues.length < issues.length;
+  
+  logger.info(`[buildFeatureHistory] ${history.issueCount} issues - ${history.totals.statusTransitions} status transitions, ${history.totals.dueDateSlips} due date slips, ${history.totals.storyPointReestimates} story point re-estimates`);
+  return { history, changelogs };
+}
+
+// Helper function to calculate lead/cycle time; status categories decide what counts as "in progress"
+async function calculateFlowMetrics(issues, changelogs, userToken, metricsConfig) {
+  let statusCategories = {};
+  if (Object.keys(changelogs).length > 0) {
+    try {
+      statusCategories = await responseCache.wrap('metadata', userToken, { baseUrl: jiraClient.baseUrl, resource: 'statuses' }, () => jiraClient.fetchStatusCategories(userToken));
+    } catch (error) {
+      logger.warn(`[calculateFlowMetrics] Could not load status categories, matching status names only: ${error.message}`);
+    }
+  }
+  
+  const flowMetrics = new FlowMetrics({
+    inProgressStatusCategories: metricsConfig.inProgressStatusCategories,
+    inProgressStatuses: metricsConfig.inProgressStatuses,
+    statusCategories: statusCategories,
+    history: new IssueHistory({ storyPointField: metricsConfig.storyPointField })
+  });
+  const flow = flowMetrics.calculate(issues, changelogs);
+  
+  logger.info(`[calculateFlowMetrics] ${flow.issues.length} resolved issues - lead time P85 ${flow.overall.leadTime.p85}d, cycle time P85 ${flow.overall.cycleTime.p85}d`);
+  return flow;
+}
+
+// Helper function to forecast completion of a feature's remaining work
+function calculateForecast(issues, featureKey, kickOffEpicTasks, metricsConfig) {
+  const featureIssue = issues.find(issue => issue.key === featureKey);
+  const targets = [];
+  if (featureIssue?.fields?.duedate) {
+    targets.push({ label: 'Feature due date', key: featureKey, date: featureIssue.fields.duedate });
+  }
+  (kickOffEpicTasks?.tasks || []).forEach(task => {
+    targets.push({ label: task.summary, key: task.key, date: task.dueDate });
+  });
+  
+  // The feature itself is not part of its own remaining work
+  const workIssues = issues.filter(issue => issue.key !== featureKey);
+  const forecast = new CompletionForecast({
+    ...metricsConfig.forecast,
+    storyPointField: metricsConfig.storyPointField,
+    containerTypes: metricsConfig.ignoredIssueTypes
+  }).forecast(workIssues, targets);
+  
+  logger.info(`[calculateForecast] ${featureKey}: ${forecast.remaining.issues} issues / ${forecast.remaining.storyPoints} SP remaining, P85 by issues ${forecast.byIssues.p85?.date || 'n/a'}`);
+  return forecast;
+}
+
+// Whether an issue counts as done: its status category is one of metrics.doneStatusCategories.
+// Issues without a status category (e.g. mock data) fall back to matching the status name.
+function isDoneStatus(status, metricsConfig) {
+  const categoryKey = status && typeof status === 'object' ? status.statusCategory?.key : null;
+  if (categoryKey) {
+    return metricsConfig.doneStatusCategories.includes(categoryKey.toLowerCase());
+  }
+  const statusLower = (status && typeof status === 'object' ? (status.name || '') : String(status || '')).toLowerCase();
+  return statusLower.includes('done') || statusLower.includes('closed') || statusLower.includes('resolved');
+}
+
 // Helper function to calculate feature metrics
-function calculateFeatureMetrics(issues, featureKey) {
+function calculateFeatureMetrics(issues, featureKey, metricsConfig) {
+  const storyPointField = metricsConfig.storyPointField;
   const now = new Date();
   const metrics = {
     totalStoryPoints: 0,
@@ -1683,17 +2876,23 @@ function calculateFeatureMetrics(issues, featureKey) {
   const testsDateGroups = {};
   
   issues.forEach(issue => {
-    // Story points - stored in customfield_10002 (standard Jira field)
+    // Story points - stored in the configured field (metrics.storyPointField)
     let storyPoints = 0;
-    if (issue.fields?.customfield_10002) {
-      storyPoints = parseFloat(issue.fields.customfield_10002);
+    if (issue.fields?.[storyPointField]) {
+      storyPoints = parseFloat(issue.fields[storyPointField]);
     }
     
     if (isNaN(storyPoints)) storyPoints = 0;
     
+    // Epics and above only group work; their own estimates are not counted (metrics.ignoredIssueTypes)
+    const rawIssueType = (issue.fields?.issuetype?.name || '').toLowerCase();
+    if (metricsConfig.ignoredIssueTypes.some(ignoreType => rawIssueType.includes(ignoreType))) {
+      storyPoints = 0;
+    }
+    
     // Debug logging for first few issues
     if (issues.indexOf(issue) < 3) {
-      console.log(`🔍 [calculateFeatureMetrics] Issue ${issue.key}: storyPoints=${storyPoints}, customfield_10002=${issue.fields?.customfield_10002}`);
+      logger.debug(`[calculateFeatureMetrics] Issue ${issue.key}: storyPoints=${storyPoints}, ${storyPointField}=${issue.fields?.[storyPointField]}`);
     }
     metrics.totalStoryPoints += storyPoints;
     
@@ -1708,10 +2907,7 @@ function calculateFeatureMetrics(issues, featureKey) {
     metrics.statusBreakdown[status] = (metrics.statusBreakdown[status] || 0) + 1;
     
     // Check if resolved
-    const statusLower = status.toLowerCase();
-    const isResolved = statusLower.includes('done') || 
-                      statusLower.includes('closed') || 
-                      statusLower.includes('resolved');
+    const isResolved = isDoneStatus(issue.fields?.status || status, metricsConfig);
     
     if (isResolved) {
       metrics.completedStoryPoints += storyPoints;
@@ -1823,7 +3019,8 @@ function calculateFeatureMetrics(issues, featureKey) {
         storyPoints: storyPoints,
         assignee: issue.fields?.assignee?.displayName || issue.fields?.assignee || 'Unassigned',
         components: componentsList,
-        priority: priority
+        priority: priority,
+        resolved: isResolved
       });
       
       if (!isResolved) {
@@ -1898,87 +3095,24 @@ function getWeekKey(date) {
 }
 
 // Calculate story points from already-fetched issues (synchronous, no API calls)
-function calculateStoryPointsFromFetchedIssues(featureKey, allIssues) {
-  // Issues to ignore (epic-level and above)
-  const ignoreTypes = ['epic', 'initiative', 'feature', 'x-feat', 'capability'];
+function calculateStoryPointsFromFetchedIssues(featureKey, hierarchy, metricsConfig) {
+  // Issues to ignore (epic-level and above), story point field and resolution lists come from metrics config
+  const ignoreTypes = metricsConfig.ignoredIssueTypes;
+  const storyPointField = metricsConfig.storyPointField;
   
   // Positive resolutions (completed work)
-  const positiveResolutions = ['done', 'fixed', 'resolved', 'closed', 'completed'];
+  const positiveResolutions = metricsConfig.doneResolutions;
   
   // Negative resolutions (won't fix, duplicate, etc.)
-  const negativeResolutions = ["won't fix", 'wont fix', 'duplicate', 'cannot reproduce', 'not a bug', 'invalid'];
+  const negativeResolutions = metricsConfig.wontFixResolutions;
   
   let completedStoryPoints = 0;
   let outstandingStoryPoints = 0;
   let wontFixStoryPoints = 0;
   let totalStoryPoints = 0;
   
-  // Filter issues related to this feature
-  // The feature key might be like "FEAT-12345" - we need to find all issues that reference it
-  const relatedIssues = allIssues.filter(issue => {
-    if (!issue || !issue.key) return false;
-    
-    // Skip the feature itself (we only want child items)
-    if (issue.key === featureKey) {
-      return false;
-    }
-    
-    const issueKey = issue.key || '';
-    
-    // Try multiple ways to get parent/epic links - check both direct fields and nested objects
-    let parentLink = '';
-    if (issue.fields) {
-      // Try different field names for parent link
-      parentLink = issue.fields['Parent Link'] || 
-                   issue.fields.parent?.key || 
-                   issue.fields.parent || 
-                   issue.fields['parent']?.key ||
-                   '';
-    }
-    if (!parentLink && issue.parent) {
-      parentLink = issue.parent.key || issue.parent || '';
-    }
-    
-    let featId = '';
-    if (issue.fields) {
-      featId = issue.fields['FEAT ID'] || issue.fields.featId || '';
-    }
-    if (!featId && issue.featId) {
-      featId = issue.featId;
-    }
-    
-    let featNumber = '';
-    if (issue.fields) {
-      featNumber = issue.fields['FEAT Number'] || issue.fields.featNumber || '';
-    }
-    if (!featNumber && issue.featNumber) {
-      featNumber = issue.featNumber;
-    }
-    
-    let epicLink = '';
-    if (issue.fields) {
-      epicLink = issue.fields['Epic Link'] || 
-                issue.fields.epic?.key || 
-                issue.fields.epic || '';
-    }
-    if (!epicLink && issue.epic) {
-      epicLink = issue.epic.key || issue.epic || '';
-    }
-    
-    // Also check if issue key starts with the feature prefix (e.g., FEAT-12345-1, FEAT-12345-2)
-    const featurePrefix = featureKey.split('-').slice(0, -1).join('-'); // e.g., "FEAT" from "FEAT-12345"
-    const issuePrefix = issueKey.split('-').slice(0, -1).join('-');
-    const isSubtask = issuePrefix === featurePrefix && issueKey !== featureKey;
-    
-    // Check if issue is related to the feature
-    const isMatch = parentLink === featureKey ||
-           (featId && String(featId).includes(featureKey)) ||
-           featNumber === featureKey ||
-           epicLink === featureKey ||
-           isSubtask;
-    
-    return isMatch;
-  });
+  // Child items come from the resolved Feature -> Epic -> Story -> Sub-task tree (see HierarchyResolver)
+  const relatedIssues = hierarchy.getDescendants(featureKey);
   
   relatedIssues.forEach((issue, index) => {
     // Get issue type
@@ -1994,7 +3128,7 @@ function calculateStoryPointsFromFetchedIssues(featureKey, allIssues) {
     }
     
     // Get story points
-    const storyPoints = parseFloat(issue.fields?.customfield_10002 || 0);
+    const storyPoints = parseFloat(issue.fields?.[storyPointField] || 0);
     if (isNaN(storyPoints) || storyPoints === 0) {
       return; // Skip issues with no story points
     }
@@ -2013,21 +3147,22 @@ function calculateStoryPointsFromFetchedIssues(featureKey, allIssues) {
     if (!resolution || resolution === 'unresolved' || !hasResolutionDate) {
       outstandingStoryPoints += storyPoints;
     } 
+    // Check if negative resolution (won't fix, duplicate, etc.) - checked first so a configured
+    // "Deferred" is not swallowed by a broader done entry
+    else if (negativeResolutions.some(neg => resolution.includes(neg))) {
+      wontFixStoryPoints += storyPoints;
+    }
     // Check if positive resolution
     else if (positiveResolutions.some(pos => resolution.includes(pos))) {
       completedStoryPoints += storyPoints;
     }
-    // Check if negative resolution (won't fix, duplicate, etc.)
-    else if (negativeResolutions.some(neg => resolution.includes(neg))) {
-      wontFixStoryPoints += storyPoints;
-    }
     // Default: if resolved but unknown resolution type, treat as completed
     else {
       completedStoryPoints += storyPoints;
     }
   });
   
-  console.log(`📊 [calculateStoryPoints] ${featureKey}: Done=${completedStoryPoints}, Pending=${outstandingStoryPoints}, Won't Fix=${wontFixStoryPoints}, Total=${totalStoryPoints}`);
+  logger.info(`[calculateStoryPoints] ${featureKey}: Done=${completedStoryPoints}, Pending=${outstandingStoryPoints}, Won't Fix=${wontFixStoryPoints}, Total=${totalStoryPoints}`);
   
   return {
     done: completedStoryPoints,
@@ -2050,7 +3185,7 @@ async function findKickOffEpicTasks(featureKey, issues, userToken) {
       return issueType.includes('epic');
     });
     
-    console.log(`🔍 [findKickOffEpicTasks] Found ${epics.length} epics for ${featureKey}`);
+    logger.debug(`[findKickOffEpicTasks] Found ${epics.length} epics for ${featureKey}`);
     
     // Find kick off epic - look for epic with "kick off" or "kickoff" in name/summary
     let kickOffEpic = epics.find(epic => {
@@ -2063,11 +3198,11 @@ async function findKickOffEpicTasks(featureKey, issues, userToken) {
     // If no explicit kick off epic found, use the first epic
     if (!kickOffEpic && epics.length > 0) {
       kickOffEpic = epics[0];
-      console.log(`⚠️ [findKickOffEpicTasks] No explicit kick off epic found, using first epic: ${kickOffEpic.key}`);
+      logger.warn(`[findKickOffEpicTasks] No explicit kick off epic found, using first epic: ${kickOffEpic.key}`);
     }
     
     if (!kickOffEpic) {
-      console.log(`⚠️ [findKickOffEpicTasks] No epic found for ${featureKey}`);
+      logger.warn(`[findKickOffEpicTasks] No epic found for ${featureKey}`);
       return {
         epicKey: null,
         epicSummary: 'Not found',
@@ -2075,34 +3210,20 @@ async function findKickOffEpicTasks(featureKey, issues, userToken) {
       };
     }
     
-    console.log(`✅ [findKickOffEpicTasks] Found kick off epic: ${kickOffEpic.key} - ${kickOffEpic.fields?.summary || 'N/A'}`);
+    logger.info(`[findKickOffEpicTasks] Found kick off epic: ${kickOffEpic.key} - ${kickOffEpic.fields?.summary || 'N/A'}`);
     
     // Fetch all tasks linked to this epic
-    const axios = require('axios');
-    const ConfigManager = require('./config');
-    const configManager = new ConfigManager();
-    const jiraConfig = configManager.getJiraConfig();
-    const baseUrl = jiraConfig.baseUrl;
-    const cleanToken = userToken.trim().replace(/\r?\n/g, '');
-    
     // JQL to find all tasks in this epic
     const epicJQL = `"Epic Link" = ${kickOffEpic.key} AND issuetype IN (Task, Story, Sub-task)`;
     
-    const response = await axios.get(`${baseUrl}/rest/api/2/search`, {
-      headers: {
-        'Authorization': `Bearer ${cleanToken}`,
-        'Accept': 'application/json'
-      },
-      params: {
-        jql: epicJQL,
-        fields: 'key,summary,duedate,status,assignee,issuetype',
-        maxResults: 1000
-      },
-      timeout: 30000
-    });
+    const searchResult = await jiraClient.searchAll(
+      epicJQL,
+      ['key', 'summary', 'duedate', 'status', 'assignee', 'issuetype'],
+      userToken
+    );
     
-    const epicTasks = response.data.issues || [];
-    console.log(`📋 [findKickOffEpicTasks] Found ${epicTasks.length} tasks in kick off epic ${kickOffEpic.key}`);
+    const epicTasks = searchResult.issues || [];
+    logger.debug(`[findKickOffEpicTasks] Found ${epicTasks.length} tasks in kick off epic ${kickOffEpic.key}`);
     
     // Extract due dates and format
     const tasksWithDueDates = epicTasks
@@ -2117,7 +3238,7 @@ async function findKickOffEpicTasks(featureKey, issues, userToken) {
       }))
       .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
     
-    console.log(`📅 [findKickOffEpicTasks] Found ${tasksWithDueDates.length} tasks with due dates`);
+    logger.info(`[findKickOffEpicTasks] Found ${tasksWithDueDates.length} tasks with due dates`);
     
     return {
       epicKey: kickOffEpic.key,
@@ -2125,7 +3246,7 @@ async function findKickOffEpicTasks(featureKey, issues, userToken) {
       tasks: tasksWithDueDates
     };
   } catch (error) {
-    console.error(`❌ [findKickOffEpicTasks] Error:`, error.message);
+    logger.error(`[findKickOffEpicTasks] Error:`, error.message);
     return {
       epicKey: null,
       epicSummary: 'Not found',
@@ -2136,7 +3257,7 @@ async function findKickOffEpicTasks(featureKey, issues, userToken) {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  logger.error('Unhandled error:', err);
   res.status(500).json({
     success: false,
     error: 'Internal server error'
@@ -2144,6 +3265,9 @@ app.use((err, req, res, next) => {
 });
 
 app.listen(port, () => {
-  console.log(`🚀 Story Point Calculator app running at http://localhost:${port}`);
-  console.log(`📊 Jira integration ready`);
+  logger.info(`Story Point Calculator app running at http://localhost:${port}`);
+  logger.info(`Jira integration ready`);
+  if (scheduleConfig.enabled) {
+    scheduler.start();
+  }
 });
@@ -0,0 +1,121 @@
+/**
+ * Session Store
+ * Server-side login sessions: the browser only holds a random session id (httpOnly cookie),
+ * the Jira/Confluence tokens stay on the server encrypted with AES-256-GCM. Sessions live in memory
+ * only, so everyone logs in again after a restart
+ */
+
+const crypto = require('crypto');
+const ConfigManager = require('./config');
+
+class SessionStore {
+  constructor(options = {}) {
+    const sessionConfig = { ...new ConfigManager().getSessionConfig(), ...options };
+    this.ttlMs = sessionConfig.ttlHours * 60 * 60 * 1000;
+    this.cookieName = sessionConfig.cookieName;
+    this.secureCookie = sessionConfig.secureCookie;
+    this.sessions = new Map();
+    // A fresh key per process: the encrypted tokens never outlive it
+    this.key = crypto.randomBytes(32);
+  }
+
+  encrypt(value) {
+    if (!value) return null;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decrypt(value) {
+    if (!value) return null;
+    const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  // Returns the new session id; only call after the Jira token has been validated.
+  // user is who the Jira token belongs to ({ name, key, displayName, emailAddress }), when known
+  create({ jiraToken, confluenceToken = null, user = null }) {
+    this.prune();
+    const id = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    this.sessions.set(id, {
+      jiraToken: this.encrypt(jiraToken),
+      confluenceToken: this.encrypt(confluenceToken),
+      user,
+      createdAt: now,
+      expiresAt: now + this.ttlMs
+    });
+    return id;
+  }
+
+  // { status: 'active', session } with decrypted tokens, or { status: 'missing' | 'expired' }
+  lookup(id) {
+    const stored = id ? this.sessions.get(id) : null;
+    if (!stored) {
+      return { status: 'missing' };
+    }
+    if (stored.expiresAt <= Date.now()) {
+      this.sessions.delete(id);
+      return { status: 'expired' };
+    }
+
+    return {
+      status: 'active',
+      session: {
+        id,
+        jiraToken: this.decrypt(stored.jiraToken),
+        confluenceToken: this.decrypt(stored.confluenceToken),
+        user: stored.user || null,
+        createdAt: new Date(stored.createdAt).toISOString(),
+        expiresAt: new Date(stored.expiresAt).toISOString()
+      }
+    };
+  }
+
+  setConfluenceToken(id, confluenceToken) {
+    const stored = this.sessions.get(id);
+    if (!stored) return false;
+    stored.confluenceToken = this.encrypt(confluenceToken);
+    return true;
+  }
+
+  destroy(id) {
+    return this.sessions.delete(id);
+  }
+
+  prune() {
+    const now = Date.now();
+    this.sessions.forEach((stored, id) => {
+      if (stored.expiresAt <= now) {
+        this.sessions.delete(id);
+      }
+    });
+  }
+
+  // Session id from the Cookie header (no cookie-parser dependency)
+  readSessionId(req) {
+    const cookies = (req.headers.cookie || '').split(';');
+    for (const cookie of cookies) {
+      const separator = cookie.indexOf('=');
+      if (separator > -1 && cookie.slice(0, separator).trim() === this.cookieName) {
+        return decodeURIComponent(cookie.slice(separator + 1).trim());
+      }
+    }
+    return null;
+  }
+
+  cookieOptions() {
+    return {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: this.secureCookie,
+      path: '/',
+      maxAge: this.ttlMs
+    };
+  }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,265 @@
+/**
+ * SMTP Client
+ * Sends one HTML email (with a plain text alternative) per connection: EHLO, STARTTLS when the server
+ * offers it (or implicit TLS with secure), AUTH PLAIN/LOGIN when a user is configured, then the message.
+ * Credentials are only sent over TLS unless allowInsecureAuth is set
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+const Logger = require('./logger');
+
+const logger = new Logger('smtp');
+
+const ADDRESS_PATTERN = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+$/;
+
+class SmtpClient {
+  // options: { host, port, secure, starttls, user, password, allowInsecureAuth, timeout }
+  constructor(options = {}) {
+    this.host = options.host;
+    this.port = options.port || (options.secure ? 465 : 587);
+    this.secure = options.secure === true;
+    this.starttls = options.starttls !== false;
+    this.user = options.user || null;
+    this.password = options.password || null;
+    this.allowInsecureAuth = options.allowInsecureAuth === true;
+    this.timeout = options.timeout || 30000;
+    this.clientName = options.clientName || os.hostname() || 'localhost';
+  }
+
+  static isValidAddress(address) {
+    return typeof address === 'string' && ADDRESS_PATTERN.test(address.trim());
+  }
+
+  // "Name <user@example.com>" or "user@example.com" -> user@example.com (null when there is no valid address)
+  static extractAddress(value) {
+    const text = String(value || '').trim();
+    const match = text.match(/<([^<>]+)>\s*$/);
+    const address = match ? match[1].trim() : text;
+    return SmtpClient.isValidAddress(address) ? address : null;
+  }
+
+  // Resolves { accepted, rejected: [{ address, reply }], messageId }; throws when the server refuses
+  // the sender, the message or every recipient
+  async send({ from, to, subject, html, text }) {
+    if (!this.host) {
+      throw new Error('No SMTP host configured (digest.smtp.host or SMTP_HOST)');
+    }
+    const sender = SmtpClient.extractAddress(from);
+    if (!sender) {
+      throw new Error(`Invalid sender address "${from}"`);
+    }
+    const recipients = [...new Set((Array.isArray(to) ? to : [to]).map(address => String(address || '').trim()))];
+    const invalid = recipients.filter(address => !SmtpClient.isValidAddress(address));
+    if (recipients.length === 0 || invalid.length > 0) {
+      throw new Error(recipients.length === 0 ? 'No recipients' : `Invalid recipient address(es): ${invalid.join(', ')}`);
+    }
+
+    const messageId = `<${crypto.randomUUID()}@${sender.split('@')[1]}>`;
+    const message = SmtpClient.buildMessage({ from, to: recipients, subject, html, text, messageId });
+    const connection = await this.connect();
+    try {
+      await this.expect(connection, [220]);
+      let capabilities = await this.hello(connection);
+      let encrypted = this.secure;
+
+      if (!this.secure && this.starttls && capabilities.has('STARTTLS')) {
+        await this.command(connection, 'STARTTLS', [220]);
+        await this.upgrade(connection);
+        encrypted = true;
+        capabilities = await this.hello(connection);
+      }
+      if (this.user && !encrypted && !this.allowInsecureAuth) {
+        throw new Error(`SMTP server ${this.host} offers no STARTTLS; refusing to send the password unencrypted (set secure, or allowInsecureAuth to allow it)`);
+      }
+      if (this.user) {
+        await this.authenticate(connection, capabilities);
+      }
+
+      await this.command(connection, `MAIL FROM:<${sender}>`, [250]);
+      const accepted = [];
+      const rejected = [];
+      for (const address of recipients) {
+        const reply = await this.command(connection, `RCPT TO:<${address}>`);
+        if (reply.code === 250 || reply.code === 251) {
+          accepted.push(address);
+        } else {
+          rejected.push({ address, reply: reply.text });
+          logger.warn(`[send] ${address} rejected: ${reply.code} ${reply.text}`);
+        }
+      }
+      if (accepted.length === 0) {
+        throw new Error(`Every recipient was rejected (${rejected.map(item => `${item.address}: ${item.reply}`).join('; ')})`);
+      }
+
+      await this.command(connection, 'DATA', [354]);
+      // A line starting with "." would end the message early, so it is doubled (RFC 5321 4.5.2)
+      const body = message.replace(/^\./gm, '..');
+      await this.command(connection, `${body}\r\n.`, [250]);
+      await this.command(connection, 'QUIT').catch(() => {});
+
+      logger.info(`[send] "${subject}" to ${accepted.length} recipient(s) via ${this.host}:${this.port}`);
+      return { accepted, rejected, messageId };
+    } finally {
+      connection.socket.destroy();
+    }
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+        : net.connect({ host: this.host, port: this.port });
+      const connection = { socket: null, buffer: '', lines: [], replies: [], waiting: null, error: null };
+      const onError = (error) => reject(new Error(`Could not connect to SMTP server ${this.host}:${this.port}: ${error.message}`));
+      socket.once('error', onError);
+      socket.once(this.secure ? 'secureConnect' : 'connect', () => {
+        socket.removeListener('error', onError);
+        this.attach(connection, socket);
+        resolve(connection);
+      });
+      socket.setTimeout(this.timeout, () => socket.destroy(new Error(`SMTP server did not answer within ${this.timeout}ms`)));
+    });
+  }
+
+  // Collects replies; a reply is complete at its "250 " line (continuation lines are "250-")
+  attach(connection, socket) {
+    connection.socket = socket;
+    connection.buffer = '';
+    socket.on('data', chunk => {
+      connection.buffer += chunk.toString('utf8');
+      let newline;
+      while ((newline = connection.buffer.indexOf('\n')) >= 0) {
+        const line = connection.buffer.slice(0, newline).replace(/\r$/, '');
+        connection.buffer = connection.buffer.slice(newline + 1);
+        connection.lines.push(line);
+        if (/^\d{3}(?: |$)/.test(line)) {
+          const reply = {
+            code: parseInt(line.slice(0, 3), 10),
+            lines: connection.lines.map(item => item.slice(4)),
+            text: connection.lines.map(item => item.slice(4)).join(' ')
+          };
+          connection.lines = [];
+          this.deliver(connection, reply);
+        }
+      }
+    });
+    const fail = (error) => {
+      connection.error = connection.error || error;
+      this.deliver(connection, null);
+    };
+    socket.on('error', fail);
+    socket.on('close', () => fail(new Error('SMTP server closed the connection')));
+  }
+
+  deliver(connection, reply) {
+    if (reply) connection.replies.push(reply);
+    if (connection.waiting && (connection.replies.length > 0 || connection.error)) {
+      const { resolve, reject } = connection.waiting;
+      connection.waiting = null;
+      if (connection.replies.length > 0) {
+        resolve(connection.replies.shift());
+      } else {
+        reject(connection.error);
+      }
+    }
+  }
+
+  nextReply(connection) {
+    return new Promise((resolve, reject) => {
+      connection.waiting = { resolve, reject };
+      this.deliver(connection, null);
+    });
+  }
+
+  async expect(connection, codes) {
+    const reply = await this.nextReply(connection);
+    if (codes && !codes.includes(reply.code)) {
+      throw new Error(`SMTP server replied ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  }
+
+  // Sends one command line; codes (optional) are the replies that count as success
+  command(connection, line, codes = null) {
+    connection.socket.write(`${line}\r\n`);
+    return this.expect(connection, codes);
+  }
+
+  // EHLO; resolves the advertised extensions as a Map of keyword -> parameters (e.g. AUTH -> "PLAIN LOGIN")
+  async hello(connection) {
+    const reply = await this.command(connection, `EHLO ${this.clientName}`, [250]);
+    const capabilities = new Map();
+    reply.lines.slice(1).forEach(line => {
+      const [keyword, ...params] = line.trim().split(/\s+/);
+      capabilities.set(keyword.toUpperCase(), params.join(' ').toUpperCase());
+    });
+    return capabilities;
+  }
+
+  upgrade(connection) {
+    return new Promise((resolve, reject) => {
+      const plain = connection.socket;
+      plain.removeAllListeners('data');
+      plain.removeAllListeners('error');
+      plain.removeAllListeners('close');
+      const secured = tls.connect({ socket: plain, servername: this.host }, () => {
+        secured.removeListener('error', reject);
+        this.attach(connection, secured);
+        resolve();
+      });
+      secured.once('error', reject);
+    });
+  }
+
+  async authenticate(connection, capabilities) {
+    const mechanisms = (capabilities.get('AUTH') || '').split(/\s+/);
+    const password = this.password || '';
+    if (mechanisms.includes('PLAIN')) {
+      const credentials = Buffer.from(`\u0000${this.user}\u0000${password}`).toString('base64');
+      await this.command(connection, `AUTH PLAIN ${credentials}`, [235]);
+    } else if (mechanisms.includes('LOGIN')) {
+      await this.command(connection, 'AUTH LOGIN', [334]);
+      await this.command(connection, Buffer.from(this.user).toString('base64'), [334]);
+      await this.command(connection, Buffer.from(password).toString('base64'), [235]);
+    } else {
+      throw new Error(`SMTP server ${this.host} does not offer AUTH PLAIN or LOGIN${capabilities.has('STARTTLS') ? '' : ' (it may only offer it after STARTTLS)'}`);
+    }
+  }
+
+  // multipart/alternative message; parts are base64 so no line is too long and no line starts with "."
+  static buildMessage({ from, to, subject, html, text, messageId, date = new Date() }) {
+    const boundary = `digest-${crypto.randomBytes(12).toString('hex')}`;
+    const header = (value) => String(value || '').replace(/[\r\n]+/g, ' ').trim();
+    const part = (contentType, content) => [
+      `--${boundary}`,
+      `Content-Type: ${contentType}; charset=utf-8`,
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from(content || '', 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n')
+    ].join('\r\n');
+
+    return [
+      `From: ${header(from)}`,
+      `To: ${to.map(header).join(', ')}`,
+      `Subject: ${SmtpClient.encodeHeader(header(subject))}`,
+      `Date: ${date.toUTCString()}`,
+      `Message-ID: ${messageId}`,
+      'MIME-Version: 1.0',
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      '',
+      part('text/plain', text),
+      part('text/html', html),
+      `--${boundary}--`
+    ].join('\r\n');
+  }
+
+  // RFC 2047 encoded-word for headers that are not plain ASCII (e.g. the "–" in the default subject)
+  static encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+  }
+}
+
+module.exports = SmtpClient;
@@ -0,0 +1,128 @@
+/**
+ * Snapshot Diff
+ * Compares two stored snapshots feature by feature (status, story points, due date,
+ * Risk Indicator, Status Update text) for the weekly "what changed" view
+ */
+
+class SnapshotDiff {
+  // Compare two snapshots from SnapshotStore; fromSnapshot is the older one
+  compare(fromSnapshot, toSnapshot) {
+    const fromFeatures = fromSnapshot.features || {};
+    const toFeatures = toSnapshot.features || {};
+
+    const added = Object.keys(toFeatures)
+      .filter(key => !fromFeatures[key])
+      .map(key => this.describeFeature(toFeatures[key]));
+    const removed = Object.keys(fromFeatures)
+      .filter(key => !toFeatures[key])
+      .map(key => this.describeFeature(fromFeatures[key]));
+
+    const changed = [];
+    Object.keys(toFeatures).forEach(key => {
+      if (!fromFeatures[key]) return;
+      const featureChanges = this.compareFeature(fromFeatures[key], toFeatures[key]);
+      if (featureChanges) {
+        changed.push(featureChanges);
+      }
+    });
+
+    return {
+      from: this.describeSnapshot(fromSnapshot),
+      to: this.describeSnapshot(toSnapshot),
+      summary: {
+        added: added.length,
+        removed: removed.length,
+        changed: changed.length,
+        statusChanges: changed.filter(c => c.status).length,
+        dueDateChanges: changed.filter(c => c.duedate).length,
+        riskChanges: changed.filter(c => c.riskIndicator).length,
+        statusUpdatesEdited: changed.filter(c => c.statusUpdateEdited).length
+      },
+      added,
+      removed,
+      changed
+    };
+  }
+
+  // Returns null when nothing we track changed
+  compareFeature(before, after) {
+    const changes = {
+      key: after.key,
+      summary: after.summary
+    };
+    let hasChanges = false;
+
+    if ((before.status || '') !== (after.status || '')) {
+      changes.status = { from: before.status || null, to: after.status || null };
+      hasChanges = true;
+    }
+
+    if ((before.duedate || null) !== (after.duedate || null)) {
+      changes.duedate = { from: before.duedate || null, to: after.duedate || null };
+      hasChanges = true;
+    }
+
+    if ((before.riskIndicator || null) !== (after.riskIndicator || null)) {
+      changes.riskIndicator = { from: before.riskIndicator || null, to: after.riskIndicator || null };
+      hasChanges = true;
+    }
+
+    if (this.normalizeText(before.statusUpdate) !== this.normalizeText(after.statusUpdate)) {
+      changes.statusUpdateEdited = true;
+      hasChanges = true;
+    }
+
+    const storyPoints = this.compareStoryPoints(before.storyPoints, after.storyPoints);
+    if (storyPoints) {
+      changes.storyPoints = storyPoints;
+      hasChanges = true;
+    }
+
+    return hasChanges ? changes : null;
+  }
+
+  // Done/pending deltas of the _storyPoints rollup from calculateStoryPointsFromFetchedIssues
+  compareStoryPoints(before, after) {
+    const fields = ['done', 'pending', 'wontFix', 'total'];
+    const result = {};
+    let hasDelta = false;
+
+    fields.forEach(field => {
+      const from = before && typeof before[field] === 'number' ? before[field] : 0;
+      const to = after && typeof after[field] === 'number' ? after[field] : 0;
+      result[field] = { from, to, delta: to - from };
+      if (to !== from) {
+        hasDelta = true;
+      }
+    });
+
+    return hasDelta ? result : null;
+  }
+
+  // Whitespace-only edits (Jira wiki markup re-saves) are not treated as edits
+  normalizeText(text) {
+    if (text === null || text === undefined) return '';
+    return String(text).replace(/\s+/g, ' ').trim();
+  }
+
+  describeFeature(feature) {
+    return {
+      key: feature.key,
+      summary: feature.summary,
+      status: feature.status,
+      duedate: feature.duedate,
+      riskIndicator: feature.riskIndicator
+    };
+  }
+
+  describeSnapshot(snapshot) {
+    return {
+      id: snapshot.id,
+      takenAt: snapshot.takenAt,
+      date: snapshot.date,
+      jql: snapshot.jql
+    };
+  }
+}
+
+module.exports = SnapshotDiff;
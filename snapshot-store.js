@@ -0,0 +1,216 @@
+/**
+ * Snapshot Store
+ * Keeps a history of fetch results as append-only JSON files on disk
+ * (one file per snapshot, never rewritten) so week-over-week changes can be answered.
+ * index.json next to them holds the summaries, so listing does not parse every snapshot
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigManager = require('./config');
+const Logger = require('./logger');
+
+const logger = new Logger('snapshots');
+
+class SnapshotStore {
+  constructor(options = {}) {
+    const snapshotConfig = new ConfigManager().getSnapshotConfig();
+    this.enabled = options.enabled !== undefined ? options.enabled : snapshotConfig.enabled;
+    this.directory = path.resolve(__dirname, options.directory || snapshotConfig.directory);
+  }
+
+  ensureDirectory() {
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  // Record one fetch result
+  // rawIssues are the enriched Jira issues (with _storyPoints/_readinessLinks), formattedIssues what the table renders
+  save({ rawIssues = [], formattedIssues = [], jql = null, total = null, truncated = false, source = 'fetch' }) {
+    this.ensureDirectory();
+
+    const takenAt = new Date();
+    const id = takenAt.toISOString().replace(/[:.]/g, '-');
+    const snapshot = {
+      id,
+      takenAt: takenAt.toISOString(),
+      date: takenAt.toISOString().split('T')[0],
+      source,
+      jql,
+      total: total !== null ? total : rawIssues.length,
+      truncated: !!truncated,
+      features: this.extractFeatureRecords(rawIssues),
+      issues: formattedIssues
+    };
+
+    // Index of the snapshots saved so far, read before the new file exists so it is added exactly once
+    const summaries = this.readIndex();
+    // 'wx' refuses to overwrite, so an existing snapshot is never modified
+    const filePath = path.join(this.directory, `snapshot-${id}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(snapshot, null, 2), { flag: 'wx' });
+    logger.info(`[save] Saved snapshot ${id} (${source}) - ${snapshot.issues.length} issues, ${Object.keys(snapshot.features).length} features`);
+
+    const summary = this.toSummary(snapshot);
+    this.writeIndex([...summaries, summary]);
+    return summary;
+  }
+
+  // Per-feature fields the weekly status cares about, taken from raw fields so they
+  // do not depend on which columns the user has configured
+  extractFeatureRecords(rawIssues) {
+    const features = {};
+
+    rawIssues.forEach(issue => {
+      if (!issue || !issue.key) return;
+      const fields = issue.fields || {};
+      const issueType = fields.issuetype?.name || fields.issuetype || '';
+      const issueTypeLower = String(issueType).toLowerCase();
+      const isFeatureOrInitiative = issueTypeLower.includes('feature') || issueTypeLower.includes('initiative') || issueTypeLower.includes('x-feat');
+      if (!isFeatureOrInitiative) return;
+
+      const risk = fields.customfield_23560;
+      features[issue.key] = {
+        key: issue.key,
+        summary: fields.summary || '',
+        issueType,
+        status: fields.status?.name || fields.status || '',
+        statusCategory: fields.status?.statusCategory?.key || null,
+        duedate: fields.duedate || null,
+        fixVersions: Array.isArray(fields.fixVersions) ? fields.fixVersions.map(v => v.name || v) : [],
+        releaseDate: SnapshotStore.nextReleaseDate(fields.fixVersions),
+        riskIndicator: risk && typeof risk === 'object' ? (risk.value || risk.name || null) : (risk || null),
+        statusUpdate: fields.customfield_23073 || null,
+        storyPoints: issue._storyPoints || null,
+        readinessLinks: {
+          cg: issue._readinessLinks?.cg || null,
+          pg: issue._readinessLinks?.pg || null
+        }
+      };
+    });
+
+    return features;
+  }
+
+  // Earliest release date of the unreleased fix versions (YYYY-MM-DD), null when none has one
+  static nextReleaseDate(fixVersions) {
+    const dates = (Array.isArray(fixVersions) ? fixVersions : [])
+      .filter(version => version && typeof version === 'object' && version.releaseDate && !version.released)
+      .map(version => version.releaseDate)
+      .sort();
+    return dates[0] || null;
+  }
+
+  toSummary(snapshot) {
+    return {
+      id: snapshot.id,
+      takenAt: snapshot.takenAt,
+      date: snapshot.date,
+      source: snapshot.source,
+      jql: snapshot.jql,
+      total: snapshot.total,
+      truncated: snapshot.truncated,
+      issueCount: (snapshot.issues || []).length,
+      featureCount: Object.keys(snapshot.features || {}).length
+    };
+  }
+
+  listFiles() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+    // Ids are ISO timestamps, so name order is chronological order
+    return fs.readdirSync(this.directory)
+      .filter(name => name.startsWith('snapshot-') && name.endsWith('.json'))
+      .sort();
+  }
+
+  readFile(fileName) {
+    return JSON.parse(fs.readFileSync(path.join(this.directory, fileName), 'utf8'));
+  }
+
+  indexPath() {
+    return path.join(this.directory, 'index.json');
+  }
+
+  // Summaries of every snapshot (oldest first) from index.json, checked against the files on disk:
+  // snapshots missing from the index (written before it existed, or copied in) are read once and added,
+  // and entries whose file was removed are dropped
+  readIndex() {
+    const fileNames = this.listFiles();
+    let indexed = [];
+    try {
+      const index = JSON.parse(fs.readFileSync(this.indexPath(), 'utf8'));
+      indexed = Array.isArray(index.snapshots) ? index.snapshots : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`[readIndex] Rebuilding unreadable index ${this.indexPath()}: ${error.message}`);
+      }
+    }
+
+    const byFileName = new Map(indexed.map(summary => [`snapshot-${summary.id}.json`, summary]));
+    let added = 0;
+    const summaries = [];
+    fileNames.forEach(fileName => {
+      if (byFileName.has(fileName)) {
+        summaries.push(byFileName.get(fileName));
+        return;
+      }
+      try {
+        summaries.push(this.toSummary(this.readFile(fileName)));
+        added++;
+      } catch (error) {
+        logger.warn(`[readIndex] Skipping unreadable snapshot ${fileName}: ${error.message}`);
+      }
+    });
+
+    if (added > 0 || summaries.length !== indexed.length) {
+      this.writeIndex(summaries);
+    }
+    return summaries;
+  }
+
+  // Written to a temporary file and renamed, so a crash never leaves a half-written index
+  writeIndex(summaries) {
+    this.ensureDirectory();
+    const tempPath = `${this.indexPath()}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ snapshots: summaries }, null, 2));
+    fs.renameSync(tempPath, this.indexPath());
+  }
+
+  // Snapshots of scheduled runs (source schedule or schedule:<name>) are taken with the service token
+  static isScheduled(snapshot) {
+    return /^schedule(:|$)/.test(snapshot.source || '');
+  }
+
+  // List snapshot summaries (oldest first), optionally filtered by YYYY-MM-DD range and JQL;
+  // includeScheduled: false leaves out the snapshots of scheduled runs
+  list({ from = null, to = null, jql = undefined, includeScheduled = true } = {}) {
+    return this.readIndex().filter(summary => {
+      if (from && summary.date < from) return false;
+      if (to && summary.date > to) return false;
+      if (jql !== undefined && summary.jql !== jql) return false;
+      return includeScheduled || !SnapshotStore.isScheduled(summary);
+    });
+  }
+
+  get(id, { includeScheduled = true } = {}) {
+    const fileName = `snapshot-${id}.json`;
+    if (!/^[0-9TZ-]+$/.test(id) || !this.listFiles().includes(fileName)) {
+      return null;
+    }
+    const snapshot = this.readFile(fileName);
+    return includeScheduled || !SnapshotStore.isScheduled(snapshot) ? snapshot : null;
+  }
+
+  // Latest snapshot taken on or before the given YYYY-MM-DD date
+  getByDate(date, { jql = undefined, includeScheduled = true } = {}) {
+    const candidates = this.list({ to: date, jql, includeScheduled });
+    if (candidates.length === 0) {
+      return null;
+    }
+    return this.get(candidates[candidates.length - 1].id);
+  }
+}
+
+module.exports = SnapshotStore;
@@ -0,0 +1,343 @@
+/**
+ * Spreadsheet Export
+ * Turns the feature table (formatIssues output + the user column configuration) into CSV or
+ * XLSX with typed number/date cells and hyperlinks. XLSX is written directly (SpreadsheetML in
+ * a zip built with zlib), so no spreadsheet library is needed
+ */
+
+const zlib = require('zlib');
+
+const DATE_FIELDS = ['duedate', 'created', 'updated', 'resolutiondate'];
+const STORY_POINT_PARTS = [
+  { key: 'done', label: 'Done' },
+  { key: 'pending', label: 'Pending' },
+  { key: 'wontFix', label: "Won't Fix" },
+  { key: 'total', label: 'Total' }
+];
+const MAX_CELL_LENGTH = 32767; // Excel's limit per cell
+
+// XLSX style indexes (see styles())
+const STYLE = { default: 0, date: 1, header: 2, link: 3 };
+
+// CRC-32 (IEEE) lookup table for zip entries; zlib.crc32 only exists from Node 20.15/22.2
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+class SpreadsheetExport {
+  // options.columns: active columns in display order ({ key, label, type, jiraField })
+  // options.storyPointField: metrics.storyPointField, whose column is split into Done/Pending/Won't Fix/Total
+  constructor(options = {}) {
+    this.columns = (options.columns || []).filter(column => column && column.key && column.active !== false);
+    this.storyPointField = options.storyPointField || 'customfield_10002';
+  }
+
+  isStoryPointColumn(column) {
+    return column.key === this.storyPointField || column.jiraField === this.storyPointField;
+  }
+
+  isDateColumn(column) {
+    return column.type === 'date' || column.type === 'datetime' || DATE_FIELDS.includes(column.jiraField || column.key);
+  }
+
+  // { headers: [string], rows: [[{ value, type: 'string'|'number'|'date', link }]] }
+  // issues are the raw Jira issues (for typed dates), formattedIssues the formatIssues output
+  buildTable(issues, formattedIssues) {
+    const rawByKey = new Map((issues || []).map(issue => [issue.key, issue]));
+    const headers = [];
+
+    this.columns.forEach(column => {
+      if (this.isStoryPointColumn(column)) {
+        STORY_POINT_PARTS.forEach(part => headers.push(`${column.label} (${part.label})`));
+      } else if (column.type === 'confluence') {
+        headers.push(column.label, `${column.label} URL`);
+      } else {
+        headers.push(column.label);
+      }
+    });
+
+    const rows = (formattedIssues || []).map(formatted => {
+      const raw = rawByKey.get(formatted.key);
+      const row = [];
+      this.columns.forEach(column => row.push(...this.buildCells(column, formatted, raw)));
+      return row;
+    });
+
+    return { headers, rows };
+  }
+
+  buildCells(column, formatted, raw) {
+    const value = formatted[column.key];
+
+    if (this.isStoryPointColumn(column)) {
+      // Features carry the calculated breakdown; other issues only their own estimate
+      if (value && typeof value === 'object') {
+        return STORY_POINT_PARTS.map(part => this.numberCell(value[part.key]));
+      }
+      return [this.emptyCell(), this.emptyCell(), this.emptyCell(), this.numberCell(value)];
+    }
+
+    if (column.type === 'confluence') {
+      const links = this.readinessLinks(formatted, column);
+      if (links.length === 0) {
+        return [this.stringCell(value && value !== 'No link' ? value : 'No link'), this.emptyCell()];
+      }
+      return [
+        { value: links.map(link => link.title || link.url).join('; '), type: 'string', link: links[0].url },
+        { value: links.map(link => link.url).join('; '), type: 'string', link: links[0].url }
+      ];
+    }
+
+    if (column.type === 'health') {
+      if (!value || !value.level) return [this.emptyCell()];
+      const level = value.level.charAt(0).toUpperCase() + value.level.slice(1);
+      const reasons = (value.reasons || []).map(reason => reason.message).join('; ');
+      return [this.stringCell(reasons ? `${level}: ${reasons}` : level)];
+    }
+
+    if (column.key === 'key') {
+      return [{ value: formatted.key, type: 'string', link: formatted.url || null }];
+    }
+
+    if (this.isDateColumn(column)) {
+      const rawValue = raw?.fields?.[column.jiraField || column.key];
+      const date = rawValue ? new Date(rawValue) : null;
+      return [date && !isNaN(date) ? { value: date, type: 'date', link: null } : this.stringCell(value)];
+    }
+
+    if (typeof value === 'number') {
+      return [this.numberCell(value)];
+    }
+    return [this.stringCell(value)];
+  }
+
+  // [{ url, title }] from the _links array formatIssues stores, or from a comma-separated URL string
+  readinessLinks(formatted, column) {
+    const links = formatted[`${column.key}_links`];
+    if (Array.isArray(links) && links.length > 0) {
+      return links.filter(link => link && link.url);
+    }
+    const value = formatted[column.key];
+    if (typeof value === 'string' && value.startsWith('http')) {
+      return value.split(',').map(url => ({ url: url.trim(), title: null })).filter(link => link.url);
+    }
+    return [];
+  }
+
+  stringCell(value) {
+    if (value === null || value === undefined) return this.emptyCell();
+    if (Array.isArray(value)) value = value.join(', ');
+    else if (typeof value === 'object') value = value.displayName || value.name || value.value || JSON.stringify(value);
+    return { value: String(value), type: 'string', link: null };
+  }
+
+  numberCell(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? this.emptyCell() : { value: number, type: 'number', link: null };
+  }
+
+  emptyCell() {
+    return { value: '', type: 'string', link: null };
+  }
+
+  // CSV (RFC 4180) with a BOM so Excel detects UTF-8; dates as YYYY-MM-DD
+  toCsv(table) {
+    const escape = (cell) => {
+      let text;
+      if (cell.type === 'date') {
+        text = cell.value.toISOString().split('T')[0];
+      } else {
+        text = String(cell.value);
+        // Keep spreadsheet apps from evaluating text that looks like a formula
+        if (cell.type === 'string' && /^[=+\-@]/.test(text)) {
+          text = `'${text}`;
+        }
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [table.headers.map(header => escape({ value: header, type: 'string' })).join(',')];
+    table.rows.forEach(row => lines.push(row.map(escape).join(',')));
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+  }
+
+  // XLSX workbook (one sheet) as a Buffer
+  toXlsx(table, sheetName = 'Features') {
+    const links = [];
+    const rowsXml = [];
+
+    rowsXml.push(this.rowXml(1, table.headers.map(header => ({ value: header, type: 'string' })), STYLE.header, links));
+    table.rows.forEach((row, index) => rowsXml.push(this.rowXml(index + 2, row, null, links)));
+
+    const lastCell = `${this.columnName(Math.max(table.headers.length - 1, 0))}${table.rows.length + 1}`;
+    const colsXml = table.headers.map((header, index) => {
+      const longest = Math.max(header.length, ...table.rows.slice(0, 200).map(row => String(row[index]?.value ?? '').length));
+      return `<col min="${index + 1}" max="${index + 1}" width="${Math.min(Math.max(longest + 2, 10), 60)}" customWidth="1"/>`;
+    }).join('');
+
+    const sheetXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      (colsXml ? `<cols>${colsXml}</cols>` : '') +
+      `<sheetData>${rowsXml.join('')}</sheetData>` +
+      `<autoFilter ref="A1:${lastCell}"/>` +
+      (links.length > 0 ? `<hyperlinks>${links.map((link, index) => `<hyperlink ref="${link.ref}" r:id="rId${index + 1}"/>`).join('')}</hyperlinks>` : '') +
+      '</worksheet>';
+
+    const sheetRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      links.map((link, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${this.xmlEscape(link.url)}" TargetMode="External"/>`).join('') +
+      '</Relationships>';
+
+    return this.zip([
+      { name: '[Content_Types].xml', data: this.contentTypes() },
+      { name: '_rels/.rels', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>' },
+      { name: 'xl/workbook.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${this.xmlEscape(sheetName.substring(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>` },
+      { name: 'xl/_rels/workbook.xml.rels', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>' },
+      { name: 'xl/styles.xml', data: this.styles() },
+      { name: 'xl/worksheets/sheet1.xml', data: sheetXml },
+      { name: 'xl/worksheets/_rels/sheet1.xml.rels', data: sheetRels }
+    ]);
+  }
+
+  rowXml(rowNumber, cells, forcedStyle, links) {
+    const cellsXml = cells.map((cell, index) => {
+      const ref = `${this.columnName(index)}${rowNumber}`;
+      if (cell.link && /^https?:\/\//i.test(cell.link)) {
+        links.push({ ref, url: cell.link });
+      }
+      const style = forcedStyle !== null ? forcedStyle : (cell.type === 'date' ? STYLE.date : (cell.link ? STYLE.link : STYLE.default));
+      const styleAttr = style ? ` s="${style}"` : '';
+
+      if (cell.type === 'number') {
+        return `<c r="${ref}"${styleAttr}><v>${cell.value}</v></c>`;
+      }
+      if (cell.type === 'date') {
+        // Excel serial date: days since 1899-12-30
+        const serial = cell.value.getTime() / 86400000 + 25569;
+        return `<c r="${ref}"${styleAttr}><v>${serial}</v></c>`;
+      }
+      if (cell.value === '' || cell.value === null || cell.value === undefined) {
+        return styleAttr ? `<c r="${ref}"${styleAttr}/>` : '';
+      }
+      const text = String(cell.value).substring(0, MAX_CELL_LENGTH);
+      return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${this.xmlEscape(text)}</t></is></c>`;
+    }).join('');
+    return `<row r="${rowNumber}">${cellsXml}</row>`;
+  }
+
+  // 0 -> A, 25 -> Z, 26 -> AA
+  columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  xmlEscape(text) {
+    return String(text)
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  contentTypes() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>';
+  }
+
+  // Styles referenced by STYLE: default, date (yyyy-mm-dd), bold header, blue underlined link
+  styles() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>' +
+      '<fonts count="3"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font><font><u/><sz val="11"/><color rgb="FF0563C1"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="4">' +
+      '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+      '<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+      '</cellXfs>' +
+      '</styleSheet>';
+  }
+
+  // Minimal zip archive (deflate, no zip64) - enough for a workbook
+  zip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = Buffer.from(file.name, 'utf8');
+      const data = Buffer.from(file.data, 'utf8');
+      const compressed = zlib.deflateRawSync(data);
+      const crc = crc32(data);
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4); // version needed
+      local.writeUInt16LE(0x0800, 6); // UTF-8 names
+      local.writeUInt16LE(8, 8); // deflate
+      local.writeUInt32LE(0, 10); // time/date
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(compressed.length, 18);
+      local.writeUInt32LE(data.length, 22);
+      local.writeUInt16LE(name.length, 26);
+      local.writeUInt16LE(0, 28);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(20, 4); // version made by
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(0x0800, 8);
+      central.writeUInt16LE(8, 10);
+      central.writeUInt32LE(0, 12);
+      central.writeUInt32LE(crc, 16);
+      central.writeUInt32LE(compressed.length, 20);
+      central.writeUInt32LE(data.length, 24);
+      central.writeUInt16LE(name.length, 28);
+      central.writeUInt32LE(offset, 42);
+
+      localParts.push(local, name, compressed);
+      centralParts.push(central, name);
+      offset += local.length + name.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+  }
+}
+
+module.exports = SpreadsheetExport;
@@ -0,0 +1,148 @@
+/**
+ * Status Update Tracker
+ * Works out when each feature's Status Update (customfield_23073 by default) was last written: the newest
+ * change to the field in the feature's changelog when those are fetched, otherwise the newest date written in the text.
+ * Open features not updated for more than statusUpdates.staleDays need an update and make up the nudge list
+ */
+
+const ConfigManager = require('./config');
+const IssueHistory = require('./issue-history');
+const ReportGenerator = require('./report-generator');
+const TextProcessor = require('./text-processor');
+const Logger = require('./logger');
+
+const logger = new Logger('status-updates');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class StatusUpdateTracker {
+  // options override statusUpdates config; options.jiraClient fetches changelogs, options.responseCache keeps them
+  // between fetches and options.metricsConfig replaces the metrics config (done status categories)
+  constructor(options = {}) {
+    const configManager = new ConfigManager();
+    const statusUpdateConfig = { ...configManager.getStatusUpdateConfig(), ...options };
+    this.field = statusUpdateConfig.field;
+    this.staleDays = statusUpdateConfig.staleDays;
+    this.changelog = statusUpdateConfig.changelog;
+    this.maxChangelogs = statusUpdateConfig.maxChangelogs;
+    this.jiraClient = options.jiraClient || null;
+    this.responseCache = options.responseCache || null;
+    this.metricsConfig = options.metricsConfig || configManager.getMetricsConfig();
+    this.issueHistory = new IssueHistory({ statusUpdateField: this.field });
+    this.textProcessor = new TextProcessor();
+  }
+
+  // Sets issue._statusUpdate on each raw feature issue. With statusUpdates.changelog on, changelogs are fetched
+  // for open features with a Status Update (at most maxChangelogs); the rest rely on the dates in the text
+  async annotate(issues, token, { now = new Date() } = {}) {
+    let changelogs = {};
+    const candidates = issues.filter(issue => !this.isDone(issue) && this.hasText(issue));
+
+    if (this.changelog && this.jiraClient && token && candidates.length > 0 && this.maxChangelogs > 0) {
+      const selected = candidates.slice(0, this.maxChangelogs);
+      if (selected.length < candidates.length) {
+        logger.warn(`[annotate] Changelogs limited to ${selected.length} of ${candidates.length} features (statusUpdates.maxChangelogs); the rest use dates in the text`);
+      }
+      changelogs = await this.fetchChangelogs(selected, token);
+    }
+
+    issues.forEach(issue => {
+      issue._statusUpdate = this.assess(issue, changelogs[issue.key] || null, now);
+    });
+    const stale = issues.filter(issue => issue._statusUpdate.stale).length;
+    logger.info(`[annotate] ${stale} of ${issues.length} feature(s) need a Status Update (older than ${this.staleDays} days)`);
+    return issues;
+  }
+
+  // Changelogs are cached per feature under its `updated` time, so only features edited since the last fetch
+  // (or whose entry expired) cost a Jira request
+  async fetchChangelogs(features, token) {
+    const changelogs = {};
+    const request = issue => ({ baseUrl: this.jiraClient.baseUrl, key: issue.key, updated: issue.fields?.updated || null });
+    let missing = features;
+
+    if (this.responseCache) {
+      this.responseCache.reserve('changelogs', features.length);
+      missing = features.filter(issue => {
+        const cached = this.responseCache.get('changelogs', token, request(issue));
+        if (cached !== undefined) {
+          changelogs[issue.key] = cached;
+        }
+        return cached === undefined;
+      });
+    }
+
+    if (missing.length > 0) {
+      const fetched = await this.jiraClient.fetchChangelogs(missing.map(issue => issue.key), token);
+      missing.forEach(issue => {
+        if (!fetched[issue.key]) return;
+        changelogs[issue.key] = fetched[issue.key];
+        if (this.responseCache) {
+          this.responseCache.set('changelogs', token, request(issue), fetched[issue.key]);
+        }
+      });
+    }
+    logger.debug(`[fetchChangelogs] ${features.length - missing.length} of ${features.length} changelogs from the cache`);
+    return changelogs;
+  }
+
+  // { lastUpdated: YYYY-MM-DD|null, source: 'changelog'|'text'|null, age: days|null, empty, stale } for one feature;
+  // a Status Update whose date cannot be told is not flagged, an empty one always is (unless the feature is done)
+  assess(issue, changelog = null, now = new Date()) {
+    const empty = !this.hasText(issue);
+    let lastUpdated = null;
+    let source = null;
+
+    const changes = changelog ? this.issueHistory.getFieldChanges(changelog, 'statusUpdate') : [];
+    const lastChange = changes.length > 0 ? new Date(changes[changes.length - 1].at) : null;
+    if (lastChange && !isNaN(lastChange)) {
+      lastUpdated = lastChange.toISOString().slice(0, 10);
+      source = 'changelog';
+    } else if (!empty) {
+      lastUpdated = this.textProcessor.latestDate(String(issue.fields[this.field]), now);
+      source = lastUpdated ? 'text' : null;
+    }
+
+    const age = lastUpdated ? Math.floor((Date.parse(now.toISOString().slice(0, 10)) - Date.parse(lastUpdated)) / DAY_MS) : null;
+    const stale = !this.isDone(issue) && (empty || (age !== null && age > this.staleDays));
+    return { lastUpdated, source, age, empty, stale };
+  }
+
+  // Features needing an update grouped by assignee: [{ assignee, emailAddress, features: [{ key, summary,
+  // status, lastUpdated, source, age, empty }] }], largest group first, never-written and oldest updates first
+  nudgeList(issues) {
+    const groups = new Map();
+    issues.filter(issue => issue._statusUpdate && issue._statusUpdate.stale).forEach(issue => {
+      const fields = issue.fields || {};
+      const assignee = fields.assignee?.displayName || 'Unassigned';
+      if (!groups.has(assignee)) {
+        groups.set(assignee, { assignee, emailAddress: fields.assignee?.emailAddress || null, features: [] });
+      }
+      const { lastUpdated, source, age, empty } = issue._statusUpdate;
+      groups.get(assignee).features.push({
+        key: issue.key,
+        summary: fields.summary || '',
+        status: fields.status?.name || fields.status || '',
+        lastUpdated,
+        source,
+        age,
+        empty
+      });
+    });
+
+    const ageOf = (feature) => (feature.empty ? Infinity : feature.age);
+    return [...groups.values()]
+      .map(group => ({ ...group, features: group.features.sort((a, b) => ageOf(b) - ageOf(a)) }))
+      .sort((a, b) => (b.features.length - a.features.length) || a.assignee.localeCompare(b.assignee));
+  }
+
+  hasText(issue) {
+    const text = (issue.fields || {})[this.field];
+    return typeof text === 'string' ? text.trim() !== '' : !!text;
+  }
+
+  isDone(issue) {
+    return ReportGenerator.isIssueDone(issue, this.metricsConfig);
+  }
+}
+
+module.exports = StatusUpdateTracker;
@@ -0,0 +1,32 @@
+/**
+ * Test Run
+ * Shared by the unit tests (tests/test-*.js): prints one PASS/FAIL line per check and
+ * a summary, and exits non-zero when any check failed
+ */
+
+class TestRun {
+  // name appears in the summary, e.g. "All burn chart tests passed"
+  constructor(name) {
+    this.name = name;
+    this.failed = 0;
+    this.check = this.check.bind(this);
+  }
+
+  check(condition, message) {
+    console.log(`${condition ? '✅ PASS' : '❌ FAIL'}: ${message}`);
+    if (!condition) this.failed++;
+  }
+
+  // An unexpected error ends the test early and counts as a failed check
+  fail(error) {
+    console.error('❌ Test error:', error.message);
+    this.failed++;
+  }
+
+  finish() {
+    console.log(`\n${this.failed === 0 ? `✅ All ${this.name} tests passed` : `❌ ${this.failed} check(s) failed`}`);
+    process.exit(this.failed === 0 ? 0 : 1);
+  }
+}
+
+module.exports = TestRun;
@@ -0,0 +1,29 @@
+/**
+ * Unit Test Runner
+ * Runs every tests/test-*.js that needs no running server or Jira access, one process each,
+ * and exits non-zero when any of them fails. Run with: npm test
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// These call a running server and a real Jira/Confluence (npm run test:integration runs the suite)
+const LIVE_TESTS = ['test-suite.js', 'test-cg-pg-pages.js', 'test-data-rendering.js', 'test-remote-links-detailed.js'];
+const TIMEOUT_MS = 120000;
+
+const files = fs.readdirSync(__dirname)
+  .filter(file => /^test-.*\.js$/.test(file) && !LIVE_TESTS.includes(file))
+  .sort();
+
+const failures = [];
+files.forEach(file => {
+  console.log(`\n▶ ${file}`);
+  const result = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit', timeout: TIMEOUT_MS });
+  if (result.status !== 0) {
+    failures.push(result.error ? `${file} (${result.error.code === 'ETIMEDOUT' ? `timed out after ${TIMEOUT_MS / 1000}s` : result.error.message})` : file);
+  }
+});
+
+console.log(`\n${failures.length === 0 ? `✅ All ${files.length} unit test files passed` : `❌ ${failures.length} of ${files.length} test files failed: ${failures.join(', ')}`}`);
+process.exit(failures.length === 0 ? 0 : 1);
@@ -0,0 +1,67 @@
+/**
+ * Test script for burn-up/burn-down series (BurnChart)
+ * Uses in-memory issues and changelogs - no Jira access needed
+ * Run with: node tests/test-burn-chart.js
+ */
+
+const TestRun = require('./helpers/test-run');
+const BurnChart = require('../burn-chart');
+
+const testRun = new TestRun('burn chart');
+const check = testRun.check;
+
+const day = (n) => new Date(Date.UTC(2026, 0, 1 + n)).toISOString();
+
+const issues = [
+  // Estimated at 3, re-estimated to 5 in week 2, resolved in week 3
+  { key: 'NDB-1', fields: { issuetype: { name: 'Story' }, created: day(0), resolutiondate: day(15), resolution: { name: 'Done' }, customfield_10002: 5 } },
+  // Added mid-release in week 2
+  { key: 'NDB-2', fields: { issuetype: { name: 'Story' }, created: day(10), resolutiondate: null, resolution: null, customfield_10002: 8 } },
+  { key: 'NDB-3', fields: { issuetype: { name: 'Story' }, created: day(0), resolutiondate: null, resolution: null, customfield_10002: 2 } },
+  // Containers are ignored
+  { key: 'NDB-EPIC', fields: { issuetype: { name: 'Epic' }, created: day(0), resolutiondate: null, customfield_10002: 40 } }
+];
+
+const changelogs = {
+  'NDB-1': {
+    histories: [
+      { created: day(8), items: [{ field: 'Story Points', fieldId: 'customfield_10002', fromString: '3', toString: '5' }] },
+      { created: day(15), items: [{ field: 'resolution', fromString: null, toString: 'Done' }] }
+    ]
+  }
+};
+
+console.log('\n🧪 Test 1: Weekly scope/done/remaining from changelogs');
+const burn = new BurnChart({ now: day(21) }).calculate(issues, changelogs);
+const byDate = Object.fromEntries(burn.points.map(p => [p.date, p]));
+check(burn.points.length === 4, 'one point per week plus today');
+check(byDate[day(0).split('T')[0]].scope === 5, 'week 0 scope uses the original estimate (3 + 2)');
+check(byDate[day(7).split('T')[0]].scope === 5 && byDate[day(7).split('T')[0]].done === 0, 'week 1 before the re-estimate');
+check(byDate[day(14).split('T')[0]].scope === 15, 'week 2 includes the re-estimate and the added story');
+const last = burn.points[burn.points.length - 1];
+check(last.done === 5 && last.remaining === 10, 'today: resolved story counts as done');
+check(burn.scopeChange.initial === 5 && burn.scopeChange.added === 10, 'scope added mid-release is reported');
+check(burn.usesChangelog === true, 'changelog usage flagged');
+
+console.log('\n🧪 Test 2: Without changelogs the current estimate is used throughout');
+const flat = new BurnChart({ now: day(21) }).calculate(issues);
+check(flat.points[0].scope === 7 && flat.usesChangelog === false, 'current story points used from creation');
+
+console.log('\n🧪 Test 3: Won\'t-fix resolutions leave the scope instead of counting as done');
+const declined = [
+  { key: 'NDB-4', fields: { issuetype: { name: 'Story' }, created: day(0), resolutiondate: day(3), resolution: { name: "Won't Fix" }, customfield_10002: 3 } },
+  { key: 'NDB-5', fields: { issuetype: { name: 'Story' }, created: day(0), resolutiondate: day(3), resolution: { name: 'Duplicate' }, customfield_10002: 2 } },
+  { key: 'NDB-6', fields: { issuetype: { name: 'Story' }, created: day(0), resolutiondate: day(3), resolution: { name: 'Done' }, customfield_10002: 1 } }
+];
+const declinedChangelogs = {
+  'NDB-5': { histories: [{ created: day(3), items: [{ field: 'resolution', fromString: null, toString: 'Duplicate' }] }] }
+};
+const declinedBurn = new BurnChart({ now: day(7) }).calculate(declined, declinedChangelogs);
+const today = declinedBurn.points[declinedBurn.points.length - 1];
+check(today.scope === 1 && today.done === 1 && today.remaining === 0, "won't fix (current resolution) and duplicate (changelog) drop out of scope");
+check(declinedBurn.points[0].scope === 6 && declinedBurn.points[0].done === 0, 'they count as open scope until resolved');
+const custom = new BurnChart({ now: day(7), wontFixResolutions: ['Duplicate'] }).calculate(declined, declinedChangelogs);
+const customToday = custom.points[custom.points.length - 1];
+check(customToday.scope === 4 && customToday.done === 4, 'wontFixResolutions option replaces the metrics defaults');
+
+testRun.finish();
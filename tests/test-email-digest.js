@@ -0,0 +1,177 @@
+/**
+ * Test script for the weekly email digest (digest model, templates, distribution lists) and the SMTP client
+ * Sends to a local SMTP sink on a random port - no mail server needed
+ * Run with: node tests/test-email-digest.js
+ */
+
+const net = require('net');
+const TestRun = require('./helpers/test-run');
+const EmailDigest = require('../email-digest');
+const ReportGenerator = require('../report-generator');
+const SmtpClient = require('../smtp-client');
+
+// Minimal SMTP server that accepts AUTH PLAIN for sink/secret and rejects recipients at blocked.example.com
+function startSmtpSink() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let message = null;
+    const reply = (text) => socket.write(`${text}\r\n`);
+
+    reply('220 sink.local ESMTP test sink');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end < 0) return;
+        message.data = buffer.slice(0, end).replace(/^\.\./gm, '.');
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        messages.push(message);
+        reply('250 2.0.0 Queued');
+      }
+      let newline;
+      while (!inData && (newline = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') {
+          message = { auth: null, from: null, to: [], data: null };
+          reply('250-sink.local\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME');
+        } else if (verb === 'AUTH') {
+          const [, user, password] = Buffer.from(line.split(' ')[2] || '', 'base64').toString('utf8').split('\u0000');
+          message.auth = user;
+          reply(user === 'sink' && password === 'secret' ? '235 2.7.0 Authenticated' : '535 5.7.8 Bad credentials');
+        } else if (verb === 'MAIL') {
+          message.from = line.match(/<(.*)>/)[1];
+          reply('250 2.1.0 OK');
+        } else if (verb === 'RCPT') {
+          const address = line.match(/<(.*)>/)[1];
+          if (address.endsWith('@blocked.example.com')) {
+            reply('550 5.1.1 Mailbox unavailable');
+          } else {
+            message.to.push(address);
+            reply('250 2.1.5 OK');
+          }
+        } else if (verb === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (verb === 'QUIT') {
+          reply('221 2.0.0 Bye');
+          socket.end();
+        } else {
+          reply('502 5.5.1 Unrecognized command');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, messages })));
+}
+
+// Decoded text/plain and text/html parts of a received message
+function decodeParts(data) {
+  const parts = {};
+  data.split(/\r\n--digest-[0-9a-f]+/).forEach(part => {
+    const type = (part.match(/Content-Type: (text\/\w+)/) || [])[1];
+    if (!type) return;
+    parts[type] = Buffer.from(part.split('\r\n\r\n')[1].replace(/\s+/g, ''), 'base64').toString('utf8');
+  });
+  return parts;
+}
+
+async function runTests() {
+  const { server, messages } = await startSmtpSink();
+  const port = server.address().port;
+  const testRun = new TestRun('email digest');
+  const check = testRun.check;
+
+  const generatedAt = new Date('2026-10-19T07:00:00Z');
+  const features = {
+    'NDB-1': { key: 'NDB-1', summary: 'Multi-cluster <provisioning>', status: 'In Progress', riskIndicator: 'Red', duedate: '2026-10-30', storyPoints: { done: 13, pending: 8, wontFix: 0, total: 21 } },
+    'NDB-2': { key: 'NDB-2', summary: 'Backup policies', status: 'In Progress', riskIndicator: 'Yellow', duedate: '2026-10-01', storyPoints: { done: 2, pending: 2, wontFix: 1, total: 5 } },
+    'NDB-3': { key: 'NDB-3', summary: 'Audit log', status: 'Done', statusCategory: 'done', riskIndicator: 'Green', storyPoints: null }
+  };
+  const previousFeatures = {
+    'NDB-1': { key: 'NDB-1', riskIndicator: 'Green' },
+    'NDB-2': { key: 'NDB-2', riskIndicator: 'Yellow' },
+    'NDB-3': { key: 'NDB-3', riskIndicator: null }
+  };
+  const featureMetrics = {
+    'NDB-1': {
+      timeline: [
+        { key: 'NDB-12', summary: 'Failover tests', status: 'Open', assignee: 'Sam', dueDate: '2026-10-05T00:00:00.000Z', resolved: false },
+        { key: 'NDB-11', summary: 'Schema changes', status: 'In Review', assignee: 'Alex', dueDate: '2026-10-01T00:00:00.000Z', resolved: false },
+        { key: 'NDB-13', summary: 'Spike', status: 'Done', assignee: 'Sam', dueDate: '2026-09-20T00:00:00.000Z', resolved: true },
+        { key: 'NDB-14', summary: 'Docs', status: 'Open', assignee: 'Alex', dueDate: '2026-11-20T00:00:00.000Z', resolved: false }
+      ]
+    }
+  };
+
+  const digest = new EmailDigest({
+    from: 'NDB Dashboard <ndb-dashboard@example.com>',
+    subjectPattern: '{title} – {week}',
+    lists: { leads: ['lead@example.com', 'pm@example.com'], execs: ['vp@example.com', 'lead@example.com'], partners: ['someone@blocked.example.com'] },
+    defaultLists: ['leads'],
+    maxOverdueItems: 1,
+    reportGenerator: new ReportGenerator({ jiraBaseUrl: 'https://jira.example.com', title: 'NDB Weekly Status' }),
+    smtpClient: new SmtpClient({ host: '127.0.0.1', port, user: 'sink', password: 'secret', allowInsecureAuth: true, timeout: 5000 })
+  });
+
+  try {
+    console.log('\n🧪 Test 1: Digest model');
+    const model = digest.buildModel(features, { previousFeatures, previousDate: '2026-10-12', featureMetrics, jql: 'project = NDB', generatedAt });
+    check(model.subject === 'NDB Weekly Status – 2026-W43', `subject from the pattern (${model.subject})`);
+    check(model.summary.storyPoints.done === 15 && model.summary.storyPoints.total === 26 && model.summary.storyPoints.percent === 58, 'story point progress across features');
+    check(model.riskWorsenedCount === 1 && model.riskWorsened[0].key === 'NDB-1' && model.riskWorsened[0].previousRisk === 'Green', 'Green -> Red counted; unchanged Yellow and a first Green are not');
+    const overdue = model.overdueItems[0];
+    check(model.overdueItemCount === 2 && overdue.items.length === 1 && overdue.more === 1, 'unresolved past-due child items counted, list capped');
+    check(overdue.items[0].key === 'NDB-11' && overdue.items[0].dueDate === '2026-10-01' && overdue.items[0].url === 'https://jira.example.com/browse/NDB-11', 'most overdue item first, linked to Jira');
+    check(model.summary.overdue.length === 1 && model.summary.overdue[0].key === 'NDB-2', 'overdue features from the report model');
+    const firstWeek = digest.buildModel(features, { featureMetrics, generatedAt });
+    check(firstWeek.comparedWith === null && firstWeek.riskWorsenedCount === 0, 'nothing worsened without a snapshot to compare with');
+
+    console.log('\n🧪 Test 2: Rendered HTML and text');
+    const rendered = digest.render(features, { previousFeatures, previousDate: '2026-10-12', featureMetrics, jql: 'project = NDB', generatedAt });
+    check(rendered.html.includes('Multi-cluster &lt;provisioning&gt;') && !rendered.html.includes('<provisioning>'), 'Jira text escaped in the HTML');
+    check(rendered.html.includes('Green &rarr; <span style="background: #ef4444;') && rendered.html.includes('and 1 more'), 'worsened risk badge and overflow line');
+    check(rendered.text.includes('NDB-1 Multi-cluster <provisioning>: Green -> Red') && rendered.text.includes('- NDB-11 Schema changes, due 2026-10-01, In Review, Alex'), 'plain text alternative');
+    check(!rendered.html.includes('{{') && !rendered.text.includes('{{'), 'no template tags left');
+
+    console.log('\n🧪 Test 3: Distribution lists');
+    check(JSON.stringify(digest.resolveRecipients().addresses) === JSON.stringify(['lead@example.com', 'pm@example.com']), 'default lists used when none are named');
+    const both = digest.resolveRecipients(['leads', 'execs', 'board']);
+    check(both.addresses.length === 3 && both.unknown[0] === 'board', 'addresses de-duplicated across lists, unknown list reported');
+
+    console.log('\n🧪 Test 4: Sending through the SMTP sink');
+    const result = await digest.send(rendered, digest.resolveRecipients(['leads', 'partners']).addresses);
+    check(result.accepted.length === 2 && result.rejected.length === 1 && result.rejected[0].address === 'someone@blocked.example.com', 'rejected recipient reported, the rest delivered');
+    const received = messages[messages.length - 1];
+    check(received.auth === 'sink' && received.from === 'ndb-dashboard@example.com' && received.to.length === 2, 'authenticated, envelope sender and recipients');
+    check(received.data.includes('Subject: =?UTF-8?B?') && received.data.includes(`Message-ID: ${result.messageId}`), 'non-ASCII subject encoded');
+    const parts = decodeParts(received.data);
+    check(parts['text/html'] === rendered.html && parts['text/plain'] === rendered.text, 'both parts arrive intact');
+
+    console.log('\n🧪 Test 5: SMTP failures');
+    const errorOf = (promise) => promise.then(() => null, error => error.message);
+    const badAuth = new SmtpClient({ host: '127.0.0.1', port, user: 'sink', password: 'wrong', allowInsecureAuth: true, timeout: 5000 });
+    check((await errorOf(badAuth.send({ from: 'a@example.com', to: ['b@example.com'], subject: 'x', html: '', text: '' }))) === 'SMTP server replied 535 5.7.8 Bad credentials', 'bad credentials');
+    const plainAuth = new SmtpClient({ host: '127.0.0.1', port, user: 'sink', password: 'secret', timeout: 5000 });
+    const messageCount = messages.length;
+    check(((await errorOf(plainAuth.send({ from: 'a@example.com', to: ['b@example.com'], subject: 'x', html: '', text: '' }))) || '').includes('refusing to send the password unencrypted') && messages.length === messageCount, 'no AUTH without TLS unless allowInsecureAuth');
+    check((await errorOf(digest.send(rendered, ['someone@blocked.example.com']))).startsWith('Every recipient was rejected'), 'nothing sent when every recipient is rejected');
+    check((await errorOf(digest.send(rendered, ['not an address']))) === 'Invalid recipient address(es): not an address', 'invalid address refused before connecting');
+    const closedPort = new SmtpClient({ host: '127.0.0.1', port: 1, timeout: 5000 });
+    check(((await errorOf(closedPort.send({ from: 'a@example.com', to: ['b@example.com'] }))) || '').startsWith('Could not connect to SMTP server 127.0.0.1:1'), 'connection error named');
+    check((await errorOf(new EmailDigest({ from: null, smtpClient: closedPort }).send(rendered, ['b@example.com']))) === 'No sender configured (digest.from or DIGEST_FROM)', 'sender required');
+  } catch (error) {
+    testRun.fail(error);
+  } finally {
+    server.close();
+  }
+
+  testRun.finish();
+}
+
+runTests();
@@ -0,0 +1,95 @@
+/**
+ * Test script for editing the Status Update field from the dashboard (edit metadata checks, dated entries)
+ * Runs against a local stand-in for /rest/api/2/issue - no Jira access needed
+ * Run with: node tests/test-field-editor.js
+ */
+
+const express = require('express');
+
+function startStandInJira() {
+  const app = express();
+  app.use(express.json());
+
+  const issues = {
+    'NDB-1': { customfield_23073: '2026-10-12: Implementation in progress.', customfield_23560: 'Green' },
+    'NDB-2': { customfield_23073: null }
+  };
+  const writes = [];
+
+  app.get('/rest/api/2/issue/:key/editmeta', (req, res) => {
+    const fields = {
+      customfield_23560: { name: 'Risk Indicator', required: false, schema: { type: 'option' }, operations: ['set'] }
+    };
+    // NDB-2's edit screen does not have the Status Update field
+    if (req.params.key === 'NDB-1') {
+      fields.customfield_23073 = { name: 'Status Update', required: false, schema: { type: 'string' }, operations: ['set'] };
+    }
+    res.json({ fields });
+  });
+
+  app.get('/rest/api/2/issue/:key', (req, res) => {
+    res.json({ key: req.params.key, fields: issues[req.params.key] });
+  });
+
+  app.put('/rest/api/2/issue/:key', (req, res) => {
+    writes.push({ key: req.params.key, fields: req.body.fields });
+    Object.assign(issues[req.params.key], req.body.fields);
+    res.status(204).end();
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve({ server, issues, writes }));
+  });
+}
+
+async function runTests() {
+  const { server, issues, writes } = await startStandInJira();
+  process.env.JIRA_BASE_URL = `http://localhost:${server.address().port}`;
+
+const TestRun = require('./helpers/test-run');
+  const JiraClient = require('../jira-client-clean');
+  const FieldEditor = require('../field-editor');
+  const testRun = new TestRun('field editor');
+  const check = testRun.check;
+
+  const jiraClient = new JiraClient();
+  const date = new Date('2026-10-19T09:00:00Z');
+
+  try {
+    console.log('\n🧪 Test 1: Dated entry prepended to the Status Update');
+    const editor = new FieldEditor({ editableFields: ['customfield_23073'], prependFields: ['customfield_23073'], jiraClient });
+    const result = await editor.update('NDB-1', { customfield_23073: '  Design review completed.  ' }, 'stand-in-token', { date });
+    const expected = '2026-10-19: Design review completed.\n\n2026-10-12: Implementation in progress.';
+    check(result.rejected.length === 0 && result.updated.customfield_23073 === expected, 'new entry above the previous text');
+    check(issues['NDB-1'].customfield_23073 === expected, 'written through the edit API');
+    check(result.display.customfield_23073.endsWith('[2026-10-19]'), `summarized display dated by the new entry (${result.display.customfield_23073})`);
+
+    console.log('\n🧪 Test 2: Replacing when the field is not a prepend field');
+    const replacer = new FieldEditor({ editableFields: ['customfield_23073'], prependFields: [], jiraClient });
+    const replaced = await replacer.update('NDB-1', { customfield_23073: 'Rewritten' }, 'stand-in-token', { date });
+    check(replaced.updated.customfield_23073 === 'Rewritten' && issues['NDB-1'].customfield_23073 === 'Rewritten', 'text overwritten');
+
+    console.log('\n🧪 Test 3: Rejected edits write nothing');
+    const writesBefore = writes.length;
+    const notConfigured = await editor.update('NDB-1', { summary: 'New summary' }, 'stand-in-token');
+    check(notConfigured.rejected[0].reason.includes('fieldEditing.editableFields'), 'field outside editableFields rejected');
+    const notOnScreen = await editor.update('NDB-2', { customfield_23073: 'Update' }, 'stand-in-token');
+    check(notOnScreen.rejected[0].reason === 'customfield_23073 cannot be edited on NDB-2 (not on its edit screen, or no permission)', 'field missing from editmeta rejected');
+    const notText = await new FieldEditor({ editableFields: ['customfield_23560'], prependFields: [], jiraClient }).update('NDB-1', { customfield_23560: 'Red' }, 'stand-in-token');
+    check(notText.rejected[0].reason === 'Risk Indicator is not a text field', 'non-text field rejected');
+    const empty = await editor.update('NDB-1', { customfield_23073: '   ' }, 'stand-in-token');
+    check(empty.rejected[0].reason === 'Status Update needs some text', 'empty entry rejected');
+    check(writes.length === writesBefore, 'no writes for rejected edits');
+
+    console.log('\n🧪 Test 4: First entry on an empty field');
+    check(FieldEditor.prependEntry('First update', null, date) === '2026-10-19: First update', 'no separator without previous text');
+  } catch (error) {
+    testRun.fail(error);
+  } finally {
+    server.close();
+  }
+
+  testRun.finish();
+}
+
+runTests();
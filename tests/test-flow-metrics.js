@@ -0,0 +1,72 @@
+/**
+ * Test script for lead/cycle time metrics (FlowMetrics)
+ * Uses in-memory issues and changelogs - no Jira access needed
+ * Run with: node tests/test-flow-metrics.js
+ */
+
+const TestRun = require('./helpers/test-run');
+const FlowMetrics = require('../flow-metrics');
+
+const testRun = new TestRun('flow metrics');
+const check = testRun.check;
+
+const day = (n) => new Date(Date.UTC(2026, 0, 1 + n)).toISOString();
+
+function story(key, createdDay, resolvedDay, type = 'Story') {
+  return {
+    key,
+    fields: {
+      issuetype: { name: type },
+      status: { name: 'Closed' },
+      created: day(createdDay),
+      resolutiondate: resolvedDay !== null ? day(resolvedDay) : null
+    }
+  };
+}
+
+function transitions(...steps) {
+  return {
+    histories: steps.map(([at, from, to]) => ({
+      created: day(at),
+      items: [{ field: 'status', fromString: from, toString: to }]
+    }))
+  };
+}
+
+console.log('\n🧪 Test 1: Lead and cycle time per issue');
+const issues = [
+  story('NDB-1', 0, 10),
+  story('NDB-2', 0, 20),
+  story('NDB-3', 0, 30),
+  story('NDB-4', 0, null),
+  story('NDB-5', 5, 9, 'Bug')
+];
+const changelogs = {
+  'NDB-1': transitions([4, 'Open', 'Dev Started'], [10, 'Dev Started', 'Closed']),
+  'NDB-2': transitions([2, 'Open', 'In Progress'], [20, 'In Progress', 'Closed']),
+  'NDB-5': transitions([9, 'Open', 'Closed'])
+};
+const flow = new FlowMetrics({
+  inProgressStatusCategories: ['indeterminate'],
+  inProgressStatuses: [],
+  statusCategories: { 'open': 'new', 'dev started': 'indeterminate', 'in progress': 'indeterminate', 'closed': 'done' }
+}).calculate(issues, changelogs);
+
+const byKey = Object.fromEntries(flow.issues.map(i => [i.key, i]));
+check(flow.issues.length === 4, 'unresolved issues are left out');
+check(byKey['NDB-1'].leadTimeDays === 10 && byKey['NDB-1'].cycleTimeDays === 6, 'status category decides in-progress (Dev Started)');
+check(byKey['NDB-2'].cycleTimeDays === 18, 'cycle time starts at first in-progress status');
+check(byKey['NDB-3'].cycleTimeDays === null, 'no changelog means no cycle time');
+check(byKey['NDB-5'].cycleTimeDays === null, 'issue never in progress has no cycle time');
+
+console.log('\n🧪 Test 2: Percentiles per issue type');
+check(flow.byType.Story.leadTime.count === 3, 'three resolved stories');
+check(flow.byType.Story.leadTime.p50 === 20 && flow.byType.Story.leadTime.p95 === 30, 'nearest-rank lead time percentiles');
+check(flow.byType.Bug.leadTime.p85 === 4, 'bugs reported separately');
+
+console.log('\n🧪 Test 3: Status names can be configured instead of categories');
+const byName = new FlowMetrics({ inProgressStatusCategories: [], inProgressStatuses: ['Dev Started'] })
+  .calculate([issues[0]], { 'NDB-1': changelogs['NDB-1'] });
+check(byName.issues[0].cycleTimeDays === 6, 'configured status name counts as in progress');
+
+testRun.finish();
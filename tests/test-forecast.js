@@ -0,0 +1,70 @@
+/**
+ * Test script for the Monte Carlo completion forecast
+ * Uses in-memory issues and a seeded random source - no Jira access needed
+ * Run with: node tests/test-forecast.js
+ */
+
+const TestRun = require('./helpers/test-run');
+const CompletionForecast = require('../forecast');
+
+const testRun = new TestRun('forecast');
+const check = testRun.check;
+
+// Small deterministic PRNG so results are repeatable
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+const NOW = '2026-10-19T00:00:00.000Z';
+const daysAgo = (n) => new Date(new Date(NOW).getTime() - n * 86400000).toISOString();
+
+const issues = [];
+// Two resolved stories (3 SP each) per week for the last 12 weeks
+for (let week = 0; week < 12; week++) {
+  for (let i = 0; i < 2; i++) {
+    issues.push({ key: `NDB-${week}-${i}`, fields: { issuetype: { name: 'Story' }, resolutiondate: daysAgo(week * 7 + 1), customfield_10002: 3 } });
+  }
+}
+// Ten open stories (3 SP each) and an epic that must be ignored
+for (let i = 0; i < 10; i++) {
+  issues.push({ key: `NDB-OPEN-${i}`, fields: { issuetype: { name: 'Story' }, resolutiondate: null, customfield_10002: 3 } });
+}
+issues.push({ key: 'NDB-EPIC', fields: { issuetype: { name: 'Epic' }, resolutiondate: null, customfield_10002: 100 } });
+
+console.log('\n🧪 Test 1: Steady throughput gives a tight forecast');
+const forecaster = new CompletionForecast({ now: NOW, trials: 2000, random: seededRandom(42) });
+const forecast = forecaster.forecast(issues, [
+  { label: 'Feature due date', key: 'FEAT-1', date: '2026-12-31' },
+  { label: 'Too soon', key: 'NDB-KO', date: '2026-10-26' }
+]);
+check(forecast.remaining.issues === 10 && forecast.remaining.storyPoints === 30, 'epics are not counted as remaining work');
+check(forecast.throughput.averageIssues === 2, 'average of two issues per week');
+check(forecast.byIssues.p50.weeks === 5 && forecast.byIssues.p95.weeks === 5, '10 issues at 2/week take 5 weeks');
+check(forecast.byStoryPoints.p85.weeks === 5, '30 SP at 6/week take 5 weeks');
+
+console.log('\n🧪 Test 2: Due date comparisons');
+check(forecast.comparisons[0].probabilityByIssues === 1, 'far due date is certain');
+check(forecast.comparisons[1].probabilityByIssues === 0, 'due date next week is not reachable');
+
+console.log('\n🧪 Test 3: No throughput');
+const stalled = new CompletionForecast({ now: NOW, trials: 100 }).forecast(issues.filter(i => !i.fields.resolutiondate));
+check(stalled.byIssues.available === false && stalled.comparisons.length === 0, 'forecast unavailable without history');
+
+console.log('\n🧪 Test 4: Trials that hit maxWeeks are unfinished, not dated');
+// One story resolved in twelve weeks leaves ten open stories needing about 120 weeks
+const sparse = issues.filter(i => !i.fields.resolutiondate || i.key === 'NDB-0-0');
+const capped = new CompletionForecast({ now: NOW, trials: 1000, maxWeeks: 130, random: seededRandom(7) }).forecast(sparse, [
+  { label: 'In three years', key: 'FEAT-1', date: '2029-10-19' }
+]);
+const unfinished = capped.byIssues.unfinished;
+check(unfinished > 50 && unfinished < 500, `some trials are reported as unfinished (${unfinished})`);
+check(capped.byIssues.p50.weeks !== null && capped.byIssues.p50.weeks <= 130, 'P50 falls among the finished trials');
+check(capped.byIssues.p95.weeks === null && capped.byIssues.p95.date === null, 'P95 falls among the unfinished trials and has no date');
+check(capped.maxWeeks === 130, 'maxWeeks is reported with the forecast');
+check(capped.comparisons[0].probabilityByIssues === Math.round((1000 - unfinished) / 10) / 100, 'unfinished trials count as missing the due date');
+
+testRun.finish();
@@ -0,0 +1,93 @@
+/**
+ * Test script for the rule-based feature health (RAG) scoring and Status Update date reading
+ * Uses in-memory issues and a HierarchyResolver - no Jira access needed
+ * Run with: node tests/test-health-scorer.js
+ */
+
+const TestRun = require('./helpers/test-run');
+const HealthScorer = require('../health-scorer');
+const HierarchyResolver = require('../hierarchy-resolver');
+const TextProcessor = require('../text-processor');
+
+const testRun = new TestRun('health scorer');
+const check = testRun.check;
+
+const now = new Date('2026-10-19T08:00:00Z');
+const metricsConfig = { doneStatusCategories: ['done'] };
+const rules = {
+  schedule: { enabled: true, amber: 15, red: 30 },
+  overdueItems: { enabled: true, amber: 1, red: 3 },
+  blockerBugs: { enabled: true, amber: 1, red: 2, issueTypes: ['Bug'], priorities: ['Blocker'] },
+  readiness: { enabled: true, amber: 30, red: 14 },
+  statusUpdate: { enabled: true, amber: 14, red: 28 }
+};
+const linked = { cg: [{ url: 'https://confluence.example.com/cg' }], pg: [{ url: 'https://confluence.example.com/pg' }] };
+
+const issue = (key, type, fields = {}, extra = {}) => ({ key, fields: { issuetype: { name: type }, status: { name: 'In Progress', statusCategory: { key: 'indeterminate' } }, ...fields }, ...extra });
+const child = (key, type, fields = {}) => issue(key, type, { parent: { key: 'NDB-1' }, ...fields });
+
+const feature = issue('NDB-1', 'Feature', {
+  created: '2026-07-01T00:00:00.000Z',
+  duedate: '2026-11-30',
+  fixVersions: [{ name: 'NDB-2.10', releaseDate: '2026-10-25', released: false }, { name: 'NDB-2.9', releaseDate: '2026-06-01', released: true }],
+  customfield_23073: '2026-09-28: Waiting on the storage team\n2026-09-14: Design approved, GA planned 2026-12-01'
+}, { _storyPoints: { done: 10, pending: 30, wontFix: 5, total: 45 }, _readinessLinks: { cg: linked.cg, pg: null } });
+
+const resolver = new HierarchyResolver();
+resolver.build([
+  feature,
+  child('NDB-11', 'Story', { duedate: '2026-10-01' }),
+  child('NDB-12', 'Story', { duedate: '2026-10-10', resolution: { name: 'Done' } }),
+  child('NDB-13', 'Bug', { priority: { name: 'Blocker' } }),
+  child('NDB-14', 'Bug', { priority: { name: 'Blocker' }, status: { name: 'Closed', statusCategory: { key: 'done' } } }),
+  child('NDB-15', 'Bug', { priority: { name: 'Major' }, duedate: '2026-10-18' })
+]);
+
+const scorer = new HealthScorer({ enabled: true, rules, metricsConfig });
+
+console.log('\n🧪 Test 1: Every rule triggered');
+const health = scorer.score(feature, resolver, now);
+const byRule = Object.fromEntries(health.reasons.map(reason => [reason.rule, reason]));
+check(health.level === 'red' && health.reasons[0].level === 'red', `worst level wins, red reasons first (${health.reasons.map(reason => `${reason.rule}:${reason.level}`).join(', ')})`);
+check(byRule.schedule.level === 'red' && byRule.schedule.message === '25% of story points done with 73% of the time to 2026-11-30 gone', 'won\'t-fix points left out of the schedule check');
+check(byRule.overdueItems.level === 'amber' && byRule.overdueItems.details.keys.join(',') === 'NDB-11,NDB-15', 'unresolved past-due child items, oldest first');
+check(byRule.blockerBugs.level === 'amber' && byRule.blockerBugs.message === '1 open blocker bug(s) (NDB-13)', 'closed and non-blocker bugs not counted');
+check(byRule.readiness.level === 'red' && byRule.readiness.message === 'no PG readiness page linked 6 day(s) before the release (2026-10-25)', 'next unreleased fix version used for readiness');
+check(byRule.statusUpdate.level === 'amber' && byRule.statusUpdate.details.lastUpdated === '2026-09-28' && byRule.statusUpdate.details.age === 21, 'Status Update aged from its newest past date');
+check(health.score === 0, `score floors at 0 (${health.score})`);
+
+console.log('\n🧪 Test 2: Healthy and done features');
+const healthy = issue('NDB-2', 'Feature', {
+  created: '2026-10-01T00:00:00.000Z',
+  duedate: '2027-03-31',
+  customfield_23073: 'Update Oct 16: on track'
+}, { _storyPoints: { done: 8, pending: 12, wontFix: 0, total: 20 }, _readinessLinks: linked });
+const green = scorer.score(healthy, resolver, now);
+check(green.level === 'green' && green.score === 100 && green.reasons.length === 0, 'no rule triggered');
+const done = issue('NDB-3', 'Feature', { status: { name: 'Done', statusCategory: { key: 'done' } }, duedate: '2026-01-01' });
+check(scorer.score(done, resolver, now).level === 'green', 'done features are not checked');
+const empty = scorer.score(issue('NDB-4', 'Feature', { customfield_23073: '' }, { _readinessLinks: linked }), null, now);
+check(empty.level === 'red' && empty.reasons[0].message === 'no Status Update', 'an empty Status Update is stale');
+const undated = scorer.score(issue('NDB-5', 'Feature', { customfield_23073: 'Waiting on QA' }, { _readinessLinks: linked }), null, now);
+check(undated.reasons.length === 0, 'a Status Update without a date is not aged');
+
+console.log('\n🧪 Test 3: Thresholds from config');
+const strict = new HealthScorer({
+  enabled: true,
+  metricsConfig,
+  rules: { ...rules, schedule: { ...rules.schedule, enabled: false }, overdueItems: { ...rules.overdueItems, amber: null, red: 2 }, statusUpdate: { ...rules.statusUpdate, red: null } }
+});
+const strictHealth = strict.score(feature, resolver, now);
+check(!strictHealth.reasons.some(reason => reason.rule === 'schedule'), 'disabled rule skipped');
+check(strictHealth.reasons.find(reason => reason.rule === 'overdueItems').level === 'red', 'red threshold without an amber one');
+check(strict.score(issue('NDB-4', 'Feature', {}, { _readinessLinks: linked }), null, now).level === 'amber', 'a level set to null is never reached');
+check(new HealthScorer({ enabled: false, rules, metricsConfig }).score(feature, resolver, now) === null, 'nothing scored when health is off');
+
+console.log('\n🧪 Test 4: Newest date in free text');
+const textProcessor = new TextProcessor();
+check(textProcessor.latestDate('10/14/2026 review done, GA planned 2026-12-01', now) === '2026-10-14', 'future dates are plans, not updates');
+check(textProcessor.latestDate('15 September 2026: kickoff', now) === '2026-09-15', 'day-month-year read whole');
+check(textProcessor.latestDate('Nov 3 kickoff', now) === '2025-11-03', 'a date without a year is the last one before now');
+check(textProcessor.latestDate('2/30/2026 and nothing else', now) === null, 'impossible dates ignored');
+
+testRun.finish();
@@ -0,0 +1,67 @@
+/**
+ * Test script for the Feature -> Epic -> Story -> Sub-task hierarchy resolver
+ * Uses in-memory field definitions and issues - no Jira access needed
+ * Run with: node tests/test-hierarchy-resolver.js
+ */
+
+const TestRun = require('./helpers/test-run');
+const HierarchyResolver = require('../hierarchy-resolver');
+
+const testRun = new TestRun('hierarchy resolver');
+const check = testRun.check;
+
+// Shape of /rest/api/2/field
+const fieldDefinitions = [
+  { id: 'parent', name: 'Parent', custom: false },
+  { id: 'customfield_12000', name: 'Epic Link', custom: true, schema: { custom: 'com.pyxis.greenhopper.jira:gh-epic-link' } },
+  { id: 'customfield_13000', name: 'Parent Link', custom: true, schema: { custom: 'com.atlassian.jpo:jpo-custom-field-parent' } },
+  { id: 'customfield_14000', name: 'FEAT ID', custom: true, schema: { custom: 'com.atlassian.jira.plugin.system.customfieldtypes:textfield' } }
+];
+
+const issue = (key, type, fields = {}) => ({ key, fields: { issuetype: { name: type }, ...fields } });
+
+const issues = [
+  issue('FEAT-1', 'Feature'),
+  issue('ERA-10', 'Epic', { customfield_13000: { data: { key: 'FEAT-1' } } }),
+  issue('ERA-11', 'Story', { customfield_12000: 'ERA-10' }),
+  issue('ERA-12', 'Sub-task', { parent: { key: 'ERA-11' } }),
+  issue('ERA-13', 'Bug', { customfield_14000: 'https://jira.example.com/browse/feat-1' }),
+  // Shares the FEAT- prefix but belongs to another feature
+  issue('FEAT-2', 'Feature'),
+  issue('ERA-20', 'Epic', { customfield_13000: 'FEAT-2' }),
+  // Links pointing at each other must not loop forever
+  issue('ERA-30', 'Story', { customfield_12000: 'ERA-31' }),
+  issue('ERA-31', 'Epic', { customfield_13000: 'ERA-30' })
+];
+
+console.log('\n🧪 Test 1: Field discovery');
+const resolver = new HierarchyResolver();
+const fieldIds = resolver.discoverFieldIds(fieldDefinitions);
+check(fieldIds.epicLink === 'customfield_12000', 'Epic Link found by custom field type');
+check(fieldIds.parentLink === 'customfield_13000', 'Parent Link found by custom field type');
+check(fieldIds.featId === 'customfield_14000', 'FEAT ID found by name');
+check(resolver.getRequiredFields().includes('customfield_13000') && resolver.getRequiredFields().includes('parent'), 'required fields include link fields');
+
+console.log('\n🧪 Test 2: Tree');
+resolver.build(issues);
+const tree = resolver.getTree('FEAT-1');
+check(tree.children.map(child => child.key).sort().join(',') === 'ERA-10,ERA-13', 'feature children come from Parent Link and FEAT ID');
+check(tree.children.find(child => child.key === 'ERA-10').children[0].key === 'ERA-11', 'epic children come from Epic Link');
+check(tree.children.find(child => child.key === 'ERA-10').children[0].children[0].key === 'ERA-12', 'sub-tasks hang below their story');
+
+console.log('\n🧪 Test 3: Descendants and ancestors');
+const descendants = resolver.getDescendants('FEAT-1').map(item => item.key).sort();
+check(descendants.join(',') === 'ERA-10,ERA-11,ERA-12,ERA-13', `descendants of FEAT-1 (got ${descendants.join(',')})`);
+check(!descendants.includes('FEAT-2') && !descendants.includes('ERA-20'), 'key prefix alone does not make an issue related');
+check(resolver.getAncestors('ERA-12').join(',') === 'ERA-11,ERA-10,FEAT-1', 'ancestors walk up to the feature');
+
+console.log('\n🧪 Test 4: Link cycles');
+check(resolver.getDescendants('ERA-30').map(item => item.key).join(',') === 'ERA-31', 'cycle is cut after one pass');
+check(resolver.getAncestors('ERA-30').join(',') === 'ERA-31', 'ancestor walk stops at a cycle');
+
+console.log('\n🧪 Test 5: Unknown field ids');
+const bare = new HierarchyResolver().build(issues);
+check(bare.getDescendants('FEAT-1').length === 0, 'without link fields only sub-task parents are used');
+check(bare.getDescendants('ERA-11')[0].key === 'ERA-12', 'sub-task parent works without discovery');
+
+testRun.finish();
@@ -0,0 +1,99 @@
+/**
+ * Test script for changelog fetching (JiraClient.fetchChangelog) and IssueHistory timelines
+ * Runs against a local stand-in for /rest/api/2/issue - no Jira access needed
+ * Run with: node tests/test-issue-history.js
+ */
+
+const express = require('express');
+const TestRun = require('./helpers/test-run');
+
+// 150 histories: expand=changelog embeds only the latest 100, like Jira Cloud does
+const HISTORIES = [];
+for (let i = 0; i < 150; i++) {
+  HISTORIES.push({
+    id: String(i + 1),
+    created: new Date(Date.UTC(2026, 0, 1 + i)).toISOString(),
+    author: { displayName: 'Dev One' },
+    items: [{ field: 'Comment', fromString: null, toString: `comment ${i}` }]
+  });
+}
+HISTORIES[9].items = [{ field: 'status', fieldId: 'status', from: '1', fromString: 'Open', to: '3', toString: 'In Progress' }];
+HISTORIES[19].items = [{ field: 'duedate', fieldId: 'duedate', from: '2026-03-01', fromString: '2026-03-01 00:00:00.0', to: '2026-03-15', toString: '2026-03-15 00:00:00.0' }];
+HISTORIES[29].items = [{ field: 'Story Points', fieldId: 'customfield_10002', from: null, fromString: '', to: '5', toString: '5' }];
+HISTORIES[39].items = [{ field: 'Story Points', fieldId: 'customfield_10002', from: '5', fromString: '5', to: '8', toString: '8' }];
+HISTORIES[139].items = [{ field: 'status', fieldId: 'status', from: '3', fromString: 'In Progress', to: '6', toString: 'Closed' }];
+
+function startStandInJira() {
+  const app = express();
+  app.get('/rest/api/2/issue/:key', (req, res) => {
+    res.json({
+      key: req.params.key,
+      fields: { created: '2025-12-31T10:00:00.000+0000' },
+      changelog: { startAt: 0, maxResults: 100, total: HISTORIES.length, histories: HISTORIES.slice(-100) }
+    });
+  });
+  app.get('/rest/api/2/issue/:key/changelog', (req, res) => {
+    const startAt = parseInt(req.query.startAt, 10) || 0;
+    const maxResults = parseInt(req.query.maxResults, 10) || 100;
+    const values = HISTORIES.slice(startAt, startAt + maxResults);
+    res.json({ startAt, maxResults, total: HISTORIES.length, isLast: startAt + maxResults >= HISTORIES.length, values });
+  });
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+async function runTests() {
+  const server = await startStandInJira();
+  process.env.JIRA_BASE_URL = `http://localhost:${server.address().port}`;
+  process.env.JIRA_API_TOKEN = 'stand-in-token';
+  
+  const JiraClient = require('../jira-client-clean');
+  const IssueHistory = require('../issue-history');
+  const testRun = new TestRun('issue history');
+  const check = testRun.check;
+  
+  try {
+    console.log('\n🧪 Test 1: Changelog is paged beyond what expand=changelog embeds');
+    const jiraClient = new JiraClient();
+    const changelogs = await jiraClient.fetchChangelogs(['NDB-1', 'NDB-2'], 'stand-in-token');
+    const changelog = changelogs['NDB-1'];
+    check(changelog.histories.length === 150, `collected ${changelog.histories.length} of 150 histories`);
+    check(changelog.truncated === false, 'changelog not marked truncated');
+    check(Object.keys(changelogs).length === 2, 'changelogs fetched for every key');
+    
+    console.log('\n🧪 Test 2: Field timelines');
+    const issue = {
+      key: 'NDB-1',
+      fields: {
+        created: '2025-12-31T10:00:00.000+0000',
+        issuetype: { name: 'Story' },
+        status: { name: 'Closed' },
+        duedate: '2026-03-15',
+        customfield_10002: 8
+      }
+    };
+    const history = new IssueHistory();
+    const summary = history.summarizeIssue(issue, changelog);
+    check(summary.timelines.status.initial === 'Open', 'initial status rebuilt from first transition');
+    check(summary.statusTransitions === 2, 'two status transitions');
+    check(summary.dueDateSlips === 1, 'due date slip detected');
+    check(summary.storyPointReestimates === 1, 'first estimate is not counted as a re-estimate');
+    
+    const periods = history.getStatusPeriods(issue, changelog);
+    check(periods.length === 3 && periods[1].status === 'In Progress' && periods[2].end === null, 'status periods cover creation to now');
+    
+    console.log('\n🧪 Test 3: Issues without changes keep their current values');
+    const untouched = history.buildFieldTimeline(issue, { histories: [] }, 'duedate');
+    check(untouched.initial === '2026-03-15' && untouched.changes.length === 0, 'initial falls back to current value');
+  } finally {
+    server.close();
+  }
+  
+  testRun.finish();
+}
+
+runTests().catch(error => {
+  console.error('❌ Issue history test failed:', error);
+  process.exit(1);
+});
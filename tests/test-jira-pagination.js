@@ -0,0 +1,72 @@
+/**
+ * Test script for paginated Jira search (JiraClient.searchAll)
+ * Runs against a local stand-in for /rest/api/2/search - no Jira access needed
+ * Run with: node tests/test-jira-pagination.js
+ */
+
+const express = require('express');
+const TestRun = require('./helpers/test-run');
+
+const TOTAL_ISSUES = 1234;
+const SERVER_PAGE_LIMIT = 50; // Stand-in caps pages like Jira's jira.search.views.default.max
+
+function startStandInJira() {
+  const app = express();
+  app.use(express.json());
+  
+  const requests = [];
+  app.post('/rest/api/2/search', (req, res) => {
+    const startAt = req.body.startAt || 0;
+    const maxResults = Math.min(req.body.maxResults || 50, SERVER_PAGE_LIMIT);
+    requests.push({ startAt, maxResults });
+    
+    const issues = [];
+    for (let i = startAt; i < Math.min(startAt + maxResults, TOTAL_ISSUES); i++) {
+      issues.push({ key: `NDB-${i + 1}`, fields: { summary: `Issue ${i + 1}` } });
+    }
+    res.json({ startAt, maxResults, total: TOTAL_ISSUES, issues });
+  });
+  
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve({ server, requests }));
+  });
+}
+
+async function runTests() {
+  const { server, requests } = await startStandInJira();
+  process.env.JIRA_BASE_URL = `http://localhost:${server.address().port}`;
+  process.env.JIRA_API_TOKEN = 'stand-in-token';
+  
+  const JiraClient = require('../jira-client-clean');
+  const jiraClient = new JiraClient();
+  const testRun = new TestRun('pagination');
+  const check = testRun.check;
+  
+  try {
+    console.log('\n🧪 Test 1: All pages are collected');
+    const all = await jiraClient.searchAll('project = NDB', ['summary'], 'stand-in-token', { pageSize: 100, concurrency: 4 });
+    check(all.issues.length === TOTAL_ISSUES, `collected ${all.issues.length} of ${TOTAL_ISSUES} issues`);
+    check(new Set(all.issues.map(i => i.key)).size === TOTAL_ISSUES, 'no duplicate issues');
+    check(all.truncated === false, 'truncated flag is false');
+    check(requests.every(r => r.maxResults <= SERVER_PAGE_LIMIT), 'pages stepped by the size Jira actually returned');
+    
+    console.log('\n🧪 Test 2: maxResults cap sets the truncated flag');
+    const capped = await jiraClient.searchAll('project = NDB', ['summary'], 'stand-in-token', { pageSize: 50, maxResults: 120 });
+    check(capped.issues.length === 120, `collected ${capped.issues.length} issues with cap of 120`);
+    check(capped.total === TOTAL_ISSUES, 'total still reports every matching issue');
+    check(capped.truncated === true, 'truncated flag is true');
+    
+    console.log('\n🧪 Test 3: fetchAllData goes through pagination');
+    const data = await jiraClient.fetchAllData('project = NDB', 'stand-in-token');
+    check(data.issues.length === TOTAL_ISSUES, `fetchAllData returned ${data.issues.length} issues`);
+  } finally {
+    server.close();
+  }
+  
+  testRun.finish();
+}
+
+runTests().catch(error => {
+  console.error('❌ Pagination test failed:', error);
+  process.exit(1);
+});
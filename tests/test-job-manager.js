@@ -0,0 +1,92 @@
+/**
+ * Test script for background jobs (progress events, completion, failure, cancellation)
+ * Runs in-process - no Jira access needed
+ * Run with: node tests/test-job-manager.js
+ */
+
+const TestRun = require('./helpers/test-run');
+const JobManager = require('../job-manager');
+
+const testRun = new TestRun('job manager');
+const check = testRun.check;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolve with every event of a job once it reaches a final state
+function collectEvents(jobManager, jobId) {
+  return new Promise(resolve => {
+    const events = [];
+    const unsubscribe = jobManager.subscribe(jobId, event => {
+      events.push(event);
+      if (['completed', 'failed', 'cancelled'].includes(event.type)) {
+        unsubscribe();
+        resolve(events);
+      }
+    });
+  });
+}
+
+async function runTests() {
+  const jobManager = new JobManager();
+
+  console.log('\n🧪 Test 1: Progress and result');
+  const job = jobManager.start('fetch-all-data', async (context) => {
+    await wait(5);
+    context.update('search', { current: 1, total: 2, message: 'Search page 1 of 2' });
+    context.update('search', { current: 2, total: 2, message: 'Search page 2 of 2' });
+    return { success: true, issues: [1, 2, 3] };
+  });
+  const events = await collectEvents(jobManager, job.id);
+  check(job.status === 'running' && job.id.length > 20, 'job starts running with an unguessable id');
+  check(events.filter(event => event.type === 'progress').length === 2, 'two progress events');
+  check(events[1].phase === 'search' && events[1].current === 2 && events[1].total === 2, 'progress carries phase and counts');
+  check(events[events.length - 1].type === 'completed', 'completed event last');
+  const finished = jobManager.toView(jobManager.get(job.id), true);
+  check(finished.status === 'completed' && finished.result.issues.length === 3, 'result kept on the job');
+  check(jobManager.toView(jobManager.get(job.id)).result === undefined, 'result only included when asked for');
+
+  console.log('\n🧪 Test 2: Failure');
+  const failing = jobManager.start('fetch-all-data', async () => {
+    await wait(5);
+    throw new Error('Jira returned 400');
+  });
+  const failEvents = await collectEvents(jobManager, failing.id);
+  check(failEvents[failEvents.length - 1].type === 'failed' && failEvents[failEvents.length - 1].error === 'Jira returned 400', 'failed event carries the error');
+
+  console.log('\n🧪 Test 3: Cancellation');
+  let batchesRun = 0;
+  const cancellable = jobManager.start('fetch-all-data', async (context) => {
+    for (let batch = 0; batch < 100; batch++) {
+      context.throwIfCancelled();
+      batchesRun++;
+      await wait(5);
+    }
+    return { success: true };
+  });
+  const cancelEvents = collectEvents(jobManager, cancellable.id);
+  await wait(20);
+  const cancelView = jobManager.cancel(cancellable.id);
+  const cancelled = await cancelEvents;
+  check(cancelView.status === 'cancelling', 'cancel marks the job as cancelling');
+  check(cancelled[cancelled.length - 1].type === 'cancelled', 'cancelled event last');
+  check(batchesRun < 100, `work stopped early (${batchesRun} of 100 batches)`);
+  check(jobManager.cancel('no-such-job') === null, 'unknown job cannot be cancelled');
+
+  console.log('\n🧪 Test 4: Jobs belong to the session that started them');
+  const owned = jobManager.start('fetch-all-data', async () => ({ success: true }), { owner: 'session-a' });
+  await collectEvents(jobManager, owned.id);
+  check(jobManager.isOwnedBy(jobManager.get(owned.id), 'session-a'), 'owner can see the job');
+  check(!jobManager.isOwnedBy(jobManager.get(owned.id), 'session-b'), 'another session cannot');
+
+  console.log('\n🧪 Test 5: Finished jobs are pruned');
+  const shortLived = new JobManager({ retentionMs: 1 });
+  const quick = shortLived.start('fetch-all-data', async () => ({ success: true }));
+  await collectEvents(shortLived, quick.id);
+  await wait(5);
+  shortLived.prune();
+  check(shortLived.get(quick.id) === null, 'finished job removed after the retention period');
+
+  testRun.finish();
+}
+
+runTests();
@@ -0,0 +1,63 @@
+/**
+ * Test script for the structured logger (levels, JSON output, request ids, redaction)
+ * Runs in-process - no Jira access needed
+ * Run with: node tests/test-logger.js
+ */
+
+const TestRun = require('./helpers/test-run');
+const Logger = require('../logger');
+
+const testRun = new TestRun('logger');
+const check = testRun.check;
+
+// Logger that collects lines instead of writing them
+function captureLogger(options) {
+  const lines = [];
+  const logger = new Logger('test', { ...options, write: (level, line) => lines.push({ level, line }) });
+  return { logger, lines };
+}
+
+console.log('\n🧪 Test 1: Levels');
+const { logger: infoLogger, lines: infoLines } = captureLogger({ level: 'info', format: 'text' });
+infoLogger.debug('hidden');
+infoLogger.info('[fetchAllData] Starting fetch');
+infoLogger.error('[fetchAllData] Failed');
+check(infoLines.length === 2, 'debug lines dropped at info level');
+check(/ INFO  \[test\] \[fetchAllData\] Starting fetch$/.test(infoLines[0].line), 'text line has level, component and message');
+check(infoLines[1].level === 'error', 'error level passed to the writer');
+
+console.log('\n🧪 Test 2: Redaction');
+const { logger: jsonLogger, lines: jsonLines } = captureLogger({ level: 'debug', format: 'json' });
+const pat = 'NjQ0MTI3NzY0NTg4OlmN2q8Zz3wq5vGm3m1Fx9yXQp2';
+jsonLogger.info(`Request for jane.doe@example.com with Bearer ${pat}`, {
+  headers: { Authorization: `Bearer ${pat}`, Accept: 'application/json' },
+  token: pat,
+  jql: 'project = NDB AND fixVersion = "2.10"',
+  url: 'https://confluence.example.com/display/NDB/NDB-2.10-CG-Readiness-Checklist-For-Release'
+});
+const entry = JSON.parse(jsonLines[0].line);
+check(!jsonLines[0].line.includes(pat), 'PAT does not appear anywhere in the entry');
+check(!jsonLines[0].line.includes('jane.doe@example.com'), 'email address redacted');
+check(entry.details.headers.Authorization === '[REDACTED]' && entry.details.token === '[REDACTED]', 'secret keys blanked');
+check(entry.details.jql === 'project = NDB AND fixVersion = "2.10"', 'JQL kept');
+check(entry.details.url.endsWith('CG-Readiness-Checklist-For-Release'), 'page URLs are not mistaken for tokens');
+const error = Object.assign(new Error(`401 for Basic ${Buffer.from('a@b.com:x').toString('base64')}`), { response: { status: 401, data: { message: 'Unauthorized' } } });
+jsonLogger.error('Request failed', error);
+const errorEntry = JSON.parse(jsonLines[1].line);
+check(errorEntry.details.status === 401 && errorEntry.details.message === '401 for Basic [REDACTED]', 'errors keep status and redacted message');
+
+console.log('\n🧪 Test 3: Request id correlation');
+const { logger: requestLogger, lines: requestLines } = captureLogger({ level: 'info', format: 'json' });
+const middleware = Logger.requestMiddleware();
+const headers = {};
+const res = { setHeader: (name, value) => { headers[name] = value; } };
+middleware({ headers: { 'x-request-id': 'abc-123' } }, res, () => requestLogger.info('inside request'));
+requestLogger.info('outside request');
+check(JSON.parse(requestLines[0].line).requestId === 'abc-123', 'lines written during a request carry its id');
+check(JSON.parse(requestLines[1].line).requestId === undefined, 'lines outside a request have no id');
+check(headers['X-Request-Id'] === 'abc-123', 'request id echoed in the response header');
+const generated = {};
+middleware({ headers: { 'x-request-id': 'bad id with spaces' } }, { setHeader: (name, value) => { generated[name] = value; } }, () => {});
+check(generated['X-Request-Id'] && generated['X-Request-Id'] !== 'bad id with spaces', 'invalid incoming id replaced by a generated one');
+
+testRun.finish();
@@ -0,0 +1,59 @@
+/**
+ * Test script for metrics configuration validation
+ * Overrides the loaded configuration in memory - no config files or Jira access needed
+ * Run with: node tests/test-metrics-config.js
+ */
+
+const TestRun = require('./helpers/test-run');
+const ConfigManager = require('../config');
+
+const testRun = new TestRun('metrics config');
+const check = testRun.check;
+
+const withMetrics = (metrics) => {
+  const configManager = new ConfigManager();
+  configManager.config = { metrics };
+  return configManager.validateMetricsConfig();
+};
+
+console.log('\n🧪 Test 1: Defaults');
+const defaults = withMetrics(undefined);
+check(defaults.errors.length === 0, 'no errors without a metrics section');
+check(defaults.metrics.storyPointField === 'customfield_10002', 'default story point field');
+check(defaults.metrics.doneStatusCategories.includes('done'), 'done status category by default');
+check(defaults.metrics.wontFixResolutions.includes("won't fix"), "won't fix resolution by default");
+
+console.log('\n🧪 Test 2: Valid overrides');
+const custom = withMetrics({
+  storyPointField: 'customfield_12310243',
+  ignoredIssueTypes: ['Epic'],
+  doneResolutions: ['Done', 'Delivered'],
+  doneStatusCategories: ['DONE'],
+  forecast: { trials: 500 }
+});
+check(custom.errors.length === 0, 'valid settings produce no errors');
+check(custom.metrics.storyPointField === 'customfield_12310243', 'custom story point field is used');
+check(custom.metrics.ignoredIssueTypes.length === 1 && custom.metrics.ignoredIssueTypes[0] === 'epic', 'issue types are lower-cased');
+check(custom.metrics.doneResolutions.includes('delivered'), 'custom done resolution is used');
+check(custom.metrics.doneStatusCategories[0] === 'done', 'status category keys are lower-cased');
+check(custom.metrics.forecast.trials === 500 && custom.metrics.forecast.historyWeeks === 12, 'forecast overrides merge with defaults');
+
+console.log('\n🧪 Test 3: Invalid settings fall back to defaults');
+const invalid = withMetrics({
+  storyPointField: 'Story Points',
+  doneStatusCategories: ['finished'],
+  wontFixResolutions: 'duplicate',
+  forecast: { trials: -1 },
+  storyPoints: 'customfield_1'
+});
+check(invalid.errors.length === 5, `five errors reported (got ${invalid.errors.length})`);
+check(invalid.metrics.storyPointField === 'customfield_10002', 'invalid field id keeps the default');
+check(invalid.metrics.doneStatusCategories[0] === 'done', 'unknown status category keeps the default');
+check(invalid.metrics.forecast.trials === 10000, 'invalid trial count keeps the default');
+check(invalid.errors.some(error => error.includes('metrics.storyPoints is not a known setting')), 'unknown keys are reported');
+
+console.log('\n🧪 Test 4: Overlapping resolutions');
+const overlapping = withMetrics({ doneResolutions: ['Done', 'Duplicate'] });
+check(overlapping.errors.length === 1 && overlapping.errors[0].includes('duplicate'), 'resolution in both lists is reported');
+
+testRun.finish();
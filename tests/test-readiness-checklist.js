@@ -0,0 +1,103 @@
+/**
+ * Test script for CG/PG readiness checklist progress (task lists, status macros and status tables)
+ * Runs against a local stand-in for /rest/api/content - no Confluence access needed
+ * Run with: node tests/test-readiness-checklist.js
+ */
+
+const express = require('express');
+
+const taskListPage = `
+<h2>Checklist</h2>
+<ac:task-list>
+  <ac:task><ac:task-id>1</ac:task-id><ac:task-status>complete</ac:task-status><ac:task-body>Design review signed off</ac:task-body></ac:task>
+  <ac:task><ac:task-id>2</ac:task-id><ac:task-status>incomplete</ac:task-status><ac:task-body>Security review &amp; threat model
+    <ac:task-list>
+      <ac:task><ac:task-id>3</ac:task-id><ac:task-status>complete</ac:task-status><ac:task-body>Threat model drafted</ac:task-body></ac:task>
+    </ac:task-list>
+  </ac:task-body></ac:task>
+</ac:task-list>`;
+
+const statusTablePage = `
+<p>Overall: <ac:structured-macro ac:name="status"><ac:parameter ac:name="title">IN PROGRESS</ac:parameter></ac:structured-macro></p>
+<table><tbody>
+  <tr><th>Item</th><th>Owner</th><th>Status</th></tr>
+  <tr><td>Docs updated</td><td>Ann</td><td><ac:structured-macro ac:name="status"><ac:parameter ac:name="colour">Green</ac:parameter><ac:parameter ac:name="title">DONE</ac:parameter></ac:structured-macro></td></tr>
+  <tr><td>Upgrade tested</td><td>Bob</td><td><ac:structured-macro ac:name="status"><ac:parameter ac:name="colour">Yellow</ac:parameter><ac:parameter ac:name="title">IN PROGRESS</ac:parameter></ac:structured-macro></td></tr>
+  <tr><td>Localization</td><td>-</td><td>N/A</td></tr>
+  <tr><td>Support trained</td><td>Cy</td><td>Yes</td></tr>
+  <tr><td>Release notes</td><td>Di</td><td></td></tr>
+  <tr><td>Perf sign-off</td><td>Ed</td><td><ac:emoticon ac:name="tick" /></td></tr>
+</tbody></table>
+<table><tbody>
+  <tr><th>Contact</th><th>Team</th></tr>
+  <tr><td>Ann</td><td>Docs</td></tr>
+</tbody></table>`;
+
+function startStandInConfluence() {
+  const app = express();
+  const pages = {
+    '101': { id: '101', title: 'CG Readiness - Backup', body: taskListPage },
+    '102': { id: '102', title: 'PG Readiness - Backup', body: statusTablePage }
+  };
+  const requests = [];
+
+  app.get('/rest/api/content/:id', (req, res) => {
+    requests.push(req.params.id);
+    const page = pages[req.params.id];
+    if (!page) return res.status(404).json({ message: 'No content found' });
+    res.json({ id: page.id, title: page.title, version: { number: 3 }, body: { storage: { value: page.body, representation: 'storage' } } });
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve({ server, requests }));
+  });
+}
+
+async function runTests() {
+  const { server, requests } = await startStandInConfluence();
+  process.env.CONFLUENCE_BASE_URL = `http://localhost:${server.address().port}`;
+  delete process.env.CONFLUENCE_EMAIL;
+
+const TestRun = require('./helpers/test-run');
+  const ConfluenceClient = require('../confluence-client');
+  const ResponseCache = require('../response-cache');
+  const testRun = new TestRun('readiness checklist');
+  const check = testRun.check;
+
+  try {
+    const client = new ConfluenceClient({ cache: new ResponseCache({ enabled: true, directory: null, ttlSeconds: { default: 60 } }) });
+
+    console.log('\n🧪 Test 1: Task lists');
+    const tasks = client.parseReadinessChecklist(taskListPage);
+    check(tasks.completed === 2 && tasks.total === 3 && tasks.percent === 67, `nested tasks counted (${tasks.completed}/${tasks.total})`);
+    check(tasks.openItems.length === 1 && tasks.openItems[0].text === 'Security review & threat model', 'open task text without the nested list');
+
+    console.log('\n🧪 Test 2: Status macros and status columns in tables');
+    const table = client.parseReadinessChecklist(statusTablePage);
+    check(table.total === 5, `N/A row and rows of tables without a status are skipped (${table.total} items)`);
+    check(table.completed === 3, 'DONE macro, Yes and tick emoticon count as done');
+    check(table.openItems.map(item => item.text).join(', ') === 'Upgrade tested, Release notes', 'open rows labelled by their first cell');
+    check(client.parseReadinessChecklist('<p>No checklist here</p>').percent === null, 'page without items has no percentage');
+
+    console.log('\n🧪 Test 3: Fetched and cached per page');
+    const url = `${process.env.CONFLUENCE_BASE_URL}/pages/viewpage.action?pageId=102`;
+    const progress = await client.getReadinessProgress(url, 'stand-in-token');
+    await client.getReadinessProgress(url, 'stand-in-token');
+    check(progress.title === 'PG Readiness - Backup' && progress.completed === 3 && progress.total === 5, 'progress read from the page body');
+    check(requests.filter(id => id === '102').length === 1, 'second read served from the cache');
+
+    console.log('\n🧪 Test 4: Unreadable pages');
+    const missing = await client.getReadinessProgress(`${process.env.CONFLUENCE_BASE_URL}/pages/999/Missing`, 'stand-in-token');
+    check(missing.pageId === '999' && missing.error && missing.error.startsWith('404'), 'missing page reported, not thrown');
+    const noId = await client.getReadinessProgress('https://example.com/wiki/display/NDB/Page', 'stand-in-token');
+    check(noId.error === 'Could not extract page ID from Confluence URL', 'URL without a page id reported');
+  } catch (error) {
+    testRun.fail(error);
+  } finally {
+    server.close();
+  }
+
+  testRun.finish();
+}
+
+runTests();
@@ -0,0 +1,97 @@
+/**
+ * Test script for finding unlinked CG/PG readiness pages with Confluence CQL search
+ * Runs against a local stand-in for /rest/api/content/search - no Confluence access needed
+ * Run with: node tests/test-readiness-discovery.js
+ */
+
+const express = require('express');
+
+const page = (id, title, labels, spaceKey = 'NDB') => ({
+  id,
+  type: 'page',
+  title,
+  space: { key: spaceKey },
+  metadata: { labels: { results: labels.map(name => ({ prefix: 'global', name })) } },
+  _links: { base: 'http://confluence.test', webui: `/pages/viewpage.action?pageId=${id}` }
+});
+
+function startStandInConfluence() {
+  const app = express();
+  const queries = [];
+  const results = [
+    page('201', 'NDB 2.10 Release Checklist - Backup Scheduling', ['ndb-210-cg-checklist']),
+    page('202', 'CG Readiness - NDB-123 Backup Scheduling', []),
+    page('203', 'PG Readiness - Backup Scheduling', ['ndb-210-pg-checklist']),
+    page('204', 'CG Readiness - Oracle Patching', ['ndb-29-cg-checklist']),
+    page('205', 'CG Readiness - Backup Scheduling (linked)', ['ndb-210-cg-checklist'])
+  ];
+
+  app.get('/rest/api/content/search', (req, res) => {
+    queries.push(req.query);
+    res.json({ results, size: results.length });
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve({ server, queries }));
+  });
+}
+
+async function runTests() {
+  const { server, queries } = await startStandInConfluence();
+  process.env.CONFLUENCE_BASE_URL = `http://localhost:${server.address().port}`;
+  delete process.env.CONFLUENCE_EMAIL;
+
+const TestRun = require('./helpers/test-run');
+  const ConfluenceClient = require('../confluence-client');
+  const ReadinessDiscovery = require('../readiness-discovery');
+  const testRun = new TestRun('readiness discovery');
+  const check = testRun.check;
+
+  const feature = { key: 'NDB-123', summary: 'Support "backup" scheduling for Postgres', fixVersions: ['NDB-2.10'] };
+
+  try {
+    const discovery = new ReadinessDiscovery({ spaceKeys: ['NDB'], maxCandidates: 5, confluenceClient: new ConfluenceClient() });
+
+    console.log('\n🧪 Test 1: CQL query');
+    const cql = discovery.buildCql(feature, 'cg');
+    check(cql.startsWith('type = page AND (label = "ndb-210-cg-checklist" OR '), `release label searched first: ${cql}`);
+    check(cql.includes('(title ~ "CG Readiness" AND (text ~ "NDB-123" OR title ~ "backup scheduling postgres"))'), 'readiness title with feature key or summary words');
+    check(cql.endsWith('AND space in ("NDB")'), 'restricted to the configured spaces');
+    check(!discovery.buildCql({ ...feature, fixVersions: [] }, 'pg').includes('label ='), 'no label clause without a fix version');
+    check(ReadinessDiscovery.quote('say "hi" \\ bye') === '"say \\"hi\\" \\\\ bye"', 'quotes and backslashes escaped');
+    check(ReadinessDiscovery.versionLabel([{ name: 'NDB-2.10' }]) === '210', 'fix version turned into the label version');
+
+    console.log('\n🧪 Test 2: Ranked candidates');
+    const linkedUrl = `${process.env.CONFLUENCE_BASE_URL}/pages/viewpage.action?pageId=205`;
+    const { candidates } = await discovery.discover(feature, 'cg', 'stand-in-token', { excludeUrls: [linkedUrl] });
+    check(queries[0].cql === cql && queries[0].expand.includes('metadata.labels'), 'CQL sent with labels expanded');
+    check(candidates.map(candidate => candidate.pageId).join(',') === '201,202,204', `ranked by score (${candidates.map(c => `${c.pageId}:${c.score}`).join(', ')})`);
+    check(candidates[0].reasons.includes('Labelled ndb-210-cg-checklist'), 'release label explains the top match');
+    check(!candidates.some(candidate => candidate.pageId === '203'), 'PG page not offered as CG');
+    check(!candidates.some(candidate => candidate.pageId === '205'), 'already linked page excluded');
+    check(candidates[0].url === 'http://confluence.test/pages/viewpage.action?pageId=201', 'page URL built from the search result');
+
+    console.log('\n🧪 Test 3: Link titles name the readiness type');
+    check(candidates[0].linkTitle === 'CG Readiness: NDB 2.10 Release Checklist - Backup Scheduling', 'type prefixed when the title does not name it');
+    check(candidates[1].linkTitle === 'CG Readiness - NDB-123 Backup Scheduling', 'readiness title kept as is');
+    check(ReadinessDiscovery.linkTitle('Backup PG checklist', 'pg') === 'Backup PG checklist', 'checklist titles kept as is');
+    check(ReadinessDiscovery.linkTitle('PG Readiness - Backup', 'cg') === 'CG Readiness: PG Readiness - Backup', 'pasted page named for the chosen column');
+
+    console.log('\n🧪 Test 4: Unknown type');
+    let typeError = null;
+    try {
+      discovery.buildCql(feature, 'xx');
+    } catch (error) {
+      typeError = error.message;
+    }
+    check(typeError === 'Unknown readiness type: xx. Use cg or pg.', 'type validated');
+  } catch (error) {
+    testRun.fail(error);
+  } finally {
+    server.close();
+  }
+
+  testRun.finish();
+}
+
+runTests();
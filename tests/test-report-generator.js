@@ -0,0 +1,105 @@
+/**
+ * Test script for the weekly status report (Markdown and HTML from the bundled templates)
+ * Runs in-process - no Jira access needed
+ * Run with: node tests/test-report-generator.js
+ */
+
+const TestRun = require('./helpers/test-run');
+const ReportGenerator = require('../report-generator');
+
+const testRun = new TestRun('report generator');
+const check = testRun.check;
+
+// Feature records as SnapshotStore.extractFeatureRecords produces them
+const features = {
+  'NDB-2': {
+    key: 'NDB-2',
+    summary: 'Backup scheduling',
+    status: 'In Progress',
+    statusCategory: 'indeterminate',
+    duedate: '2026-10-01',
+    fixVersions: ['2.9'],
+    riskIndicator: 'Red - Big Risk to Plan',
+    statusUpdate: 'Design review completed on 2026-10-12. Blocked on storage API, next steps agreed with the platform team.',
+    storyPoints: { done: 8, pending: 5, wontFix: 1, total: 14 },
+    readinessLinks: {
+      cg: [{ url: 'https://confluence.example.com/display/NDB/CG+Readiness+(Backup)', title: 'CG Readiness - Backup' }],
+      pg: null
+    }
+  },
+  'NDB-10': {
+    key: 'NDB-10',
+    summary: 'Patch <script>alert(1)</script> | pipeline',
+    status: 'Done',
+    statusCategory: 'done',
+    duedate: '2026-09-01',
+    fixVersions: [],
+    riskIndicator: 'Green - On Track',
+    statusUpdate: null,
+    storyPoints: { done: 3, pending: 0, wontFix: 0, total: 3 },
+    readinessLinks: { cg: [{ url: 'javascript:alert(1)', title: 'Bad link' }], pg: null }
+  },
+  'NDB-3': {
+    key: 'NDB-3',
+    summary: 'Clone refresh',
+    status: 'In Progress',
+    statusCategory: 'indeterminate',
+    duedate: '2026-12-01',
+    fixVersions: [],
+    riskIndicator: 'Yellow - Slight Risk to Plan',
+    statusUpdate: 'Working on {{title}} handling',
+    storyPoints: null,
+    readinessLinks: { cg: null, pg: null }
+  }
+};
+
+const generator = new ReportGenerator({
+  jiraBaseUrl: 'https://jira.example.com/',
+  metrics: { doneStatusCategories: ['done'] }
+});
+const generatedAt = new Date('2026-10-19T09:00:00Z');
+
+console.log('\n🧪 Test 1: Executive summary');
+const model = generator.buildModel(features, { jql: 'project = NDB', generatedAt });
+check(model.features.map(feature => feature.key).join(',') === 'NDB-2,NDB-3,NDB-10', 'features sorted by key number');
+check(model.summary.statusCounts[0].status === 'In Progress' && model.summary.statusCounts[0].count === 2, 'counts by status, largest first');
+check(model.summary.storyPoints.done === 11 && model.summary.storyPoints.pending === 5 && model.summary.storyPoints.wontFix === 1 && model.summary.storyPoints.total === 17, 'story points summed over features');
+check(model.summary.overdueCount === 1 && model.summary.overdue[0].key === 'NDB-2', 'only open features past their due date are overdue');
+check(model.summary.atRiskCount === 1, 'red risk counted as at risk, yellow is not');
+
+console.log('\n🧪 Test 2: Feature sections');
+const backup = model.features[0];
+check(backup.url === 'https://jira.example.com/browse/NDB-2', 'key links to Jira');
+check(backup.statusUpdate.includes('[2026-10-12]'), 'status update summarized with its date');
+check(backup.readinessLinks[0].label === 'CG' && backup.readinessLinks[0].links[0].url.includes('%28Backup%29'), 'readiness link kept, parentheses encoded');
+check(model.features[2].readinessLinks.length === 0, 'non-http readiness link dropped');
+
+console.log('\n🧪 Test 3: Markdown');
+const markdown = generator.render(features, 'md', { jql: 'project = NDB', generatedAt });
+check(markdown.fileName === 'weekly-status-2026-10-19.md' && markdown.contentType.startsWith('text/markdown'), 'file name and content type');
+check(markdown.content.includes('### [NDB-2](https://jira.example.com/browse/NDB-2) Backup scheduling'), 'feature heading links to Jira');
+check(markdown.content.includes('| In Progress | 2 |'), 'status table row');
+check(markdown.content.includes('Patch \\<script\\>alert(1)\\</script\\> \\| pipeline'), 'Jira text escaped for Markdown');
+check(markdown.content.includes('_No status update._'), 'missing status update noted');
+check(!/\n{3,}/.test(markdown.content), 'section tags leave no extra blank lines');
+
+console.log('\n🧪 Test 4: HTML');
+const html = generator.render(features, 'html', { jql: 'project = NDB', generatedAt });
+check(html.content.startsWith('<!DOCTYPE html>') && !/<link|<script src/.test(html.content), 'self-contained page');
+check(html.content.includes('Patch &lt;script&gt;alert(1)&lt;/script&gt;') && !html.content.includes('<script>alert'), 'Jira text escaped for HTML');
+check(html.content.includes('Working on {{title}} handling'), 'tags inside Jira text are not rendered');
+check(html.content.includes('<span class="badge risk-at-risk">Red - Big Risk to Plan</span>'), 'risk badge uses the table colors');
+check(html.content.includes('<span class="overdue-flag">overdue</span>'), 'overdue feature flagged');
+
+console.log('\n🧪 Test 5: Template syntax');
+const rendered = ReportGenerator.renderTemplate('{{#items}}[{{.}}]{{/items}}{{^none}} empty{{/none}} {{{raw}}}', { items: ['a', 'b'], none: [], raw: '<b>' });
+check(rendered === '[a][b] empty <b>', `sections, inverted sections and raw values (got "${rendered}")`);
+let unsupported = null;
+try {
+  generator.render(features, 'pdf');
+} catch (error) {
+  unsupported = error.message;
+}
+check(unsupported && unsupported.includes('Unsupported report format'), 'unknown format rejected');
+
+testRun.finish();
@@ -0,0 +1,162 @@
+/**
+ * Test script for publishing the weekly report to Confluence (create, update, dry run, conflicts)
+ * Runs against a local stand-in for /rest/api/content - no Confluence access needed
+ * Run with: node tests/test-report-publisher.js
+ */
+
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const features = {
+  'NDB-1': {
+    key: 'NDB-1',
+    summary: 'Backup & restore',
+    status: 'In Progress',
+    statusCategory: 'indeterminate',
+    duedate: '2026-12-01',
+    fixVersions: [],
+    riskIndicator: 'Yellow - Slight Risk to Plan',
+    statusUpdate: 'Design review completed, implementation in progress.',
+    storyPoints: { done: 2, pending: 3, wontFix: 0, total: 5 },
+    readinessLinks: { cg: null, pg: null }
+  }
+};
+
+// In-memory pages with Confluence's version rules: an update must carry the current version + 1
+function startStandInConfluence() {
+  const app = express();
+  app.use(express.json());
+
+  const pages = new Map();
+  const requests = [];
+  let nextId = 1000;
+
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, authorization: req.headers.authorization });
+    next();
+  });
+
+  app.get('/rest/api/content', (req, res) => {
+    const results = [...pages.values()].filter(page => page.space.key === req.query.spaceKey && page.title === req.query.title);
+    res.json({ results, size: results.length });
+  });
+
+  app.post('/rest/api/content', (req, res) => {
+    const page = {
+      id: String(nextId++),
+      type: 'page',
+      title: req.body.title,
+      space: { key: req.body.space.key },
+      ancestors: req.body.ancestors || [],
+      version: { number: 1, by: { displayName: 'Report Bot' }, when: new Date().toISOString() },
+      body: { storage: req.body.body.storage },
+      _links: { base: 'http://confluence.test', webui: `/pages/viewpage.action?pageId=${nextId - 1}` }
+    };
+    pages.set(page.id, page);
+    res.json(page);
+  });
+
+  app.put('/rest/api/content/:id', (req, res) => {
+    const page = pages.get(req.params.id);
+    if (!page) return res.status(404).json({ message: 'No content found' });
+    if (req.body.version.number !== page.version.number + 1) {
+      return res.status(409).json({ message: `Version must be incremented on update. Current version is: ${page.version.number}` });
+    }
+    page.version = { number: req.body.version.number, by: { displayName: 'Report Bot' }, when: new Date().toISOString() };
+    page.body = { storage: req.body.body.storage };
+    res.json(page);
+  });
+
+  // Simulates someone editing the page in the Confluence editor
+  const editPage = (id, displayName) => {
+    const page = pages.get(id);
+    page.version = { number: page.version.number + 1, by: { displayName }, when: new Date().toISOString() };
+  };
+
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve({ server, pages, requests, editPage }));
+  });
+}
+
+async function runTests() {
+  const { server, pages, requests, editPage } = await startStandInConfluence();
+  process.env.CONFLUENCE_BASE_URL = `http://localhost:${server.address().port}`;
+  delete process.env.CONFLUENCE_EMAIL;
+
+const TestRun = require('./helpers/test-run');
+  const ConfluenceClient = require('../confluence-client');
+  const ReportGenerator = require('../report-generator');
+  const ReportPublisher = require('../report-publisher');
+  const stateDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'report-publish-test-'));
+  const testRun = new TestRun('report publisher');
+  const check = testRun.check;
+
+  const publisher = new ReportPublisher({
+    spaceKey: 'NDB',
+    parentPageId: '42',
+    titlePattern: '{title} – {week}',
+    stateFile: path.join(stateDirectory, 'report-publish.json'),
+    confluenceClient: new ConfluenceClient(),
+    reportGenerator: new ReportGenerator({ title: 'NDB Weekly Status', jiraBaseUrl: 'https://jira.example.com' })
+  });
+  const generatedAt = new Date('2026-10-14T09:00:00Z');
+
+  try {
+    console.log('\n🧪 Test 1: Dry run writes nothing');
+    const preview = await publisher.publish(features, 'stand-in-token', { generatedAt, dryRun: true });
+    check(preview.action === 'create' && preview.title === 'NDB Weekly Status – 2026-W42', `would create "${preview.title}"`);
+    check(preview.body.includes('<h3><a href="https://jira.example.com/browse/NDB-1">NDB-1</a> Backup &amp; restore</h3>'), 'storage body escapes Jira text');
+    check(preview.body.includes('<ac:parameter ac:name="colour">Yellow</ac:parameter>'), 'risk rendered as a status macro');
+    check(pages.size === 0 && !requests.some(request => request.method !== 'GET'), 'no page created');
+    check(requests[0].authorization === 'Bearer stand-in-token', 'token sent as Bearer');
+
+    console.log('\n🧪 Test 2: First publish creates the page under the parent');
+    const created = await publisher.publish(features, 'stand-in-token', { generatedAt });
+    const page = pages.get(created.page.id);
+    check(created.action === 'create' && page && page.version.number === 1, 'page created at version 1');
+    check(page.ancestors[0].id === '42' && page.space.key === 'NDB', 'page placed in the configured space and parent');
+    check(created.page.url === `http://confluence.test/pages/viewpage.action?pageId=${page.id}`, 'page link returned');
+    check(created.body === undefined, 'body only returned for dry runs');
+
+    console.log('\n🧪 Test 3: Publishing again updates with the next version');
+    features['NDB-1'].status = 'Done';
+    const updated = await publisher.publish(features, 'stand-in-token', { generatedAt });
+    check(updated.action === 'update' && pages.get(created.page.id).version.number === 2, 'page updated to version 2');
+    check(pages.get(created.page.id).body.storage.value.includes('<td>Done</td>'), 'new report content written');
+
+    console.log('\n🧪 Test 4: Edits made in Confluence are not overwritten');
+    editPage(created.page.id, 'Jane Editor');
+    const conflict = await publisher.publish(features, 'stand-in-token', { generatedAt });
+    check(conflict.action === 'conflict' && conflict.conflict.lastEditedBy === 'Jane Editor', 'conflict names the editor');
+    check(conflict.conflict.publishedVersion === 2 && conflict.conflict.currentVersion === 3, 'conflict shows published and current versions');
+    check(pages.get(created.page.id).version.number === 3, 'edited page left alone');
+    const forced = await publisher.publish(features, 'stand-in-token', { generatedAt, force: true });
+    check(forced.action === 'update' && pages.get(created.page.id).version.number === 4, 'force overwrites the edited page');
+
+    console.log('\n🧪 Test 5: Pages not published from here are a conflict');
+    const otherWeek = new Date('2026-10-21T09:00:00Z');
+    const manual = await new ConfluenceClient().createPage({ spaceKey: 'NDB', title: 'NDB Weekly Status – 2026-W43', body: '<p>Notes</p>' }, 'stand-in-token');
+    const untracked = await publisher.publish(features, 'stand-in-token', { generatedAt: otherWeek });
+    check(untracked.action === 'conflict' && untracked.page.id === manual.id, 'manually created page is not overwritten');
+
+    console.log('\n🧪 Test 6: Missing space is reported');
+    let missingSpace = null;
+    try {
+      await new ReportPublisher({ spaceKey: null, stateFile: path.join(stateDirectory, 'unused.json') }).publish(features, 'stand-in-token');
+    } catch (error) {
+      missingSpace = error.message;
+    }
+    check(missingSpace && missingSpace.includes('CONFLUENCE_PUBLISH_SPACE'), 'error names the setting to configure');
+  } catch (error) {
+    testRun.fail(error);
+  } finally {
+    server.close();
+    fs.rmSync(stateDirectory, { recursive: true, force: true });
+  }
+
+  testRun.finish();
+}
+
+runTests();
@@ -0,0 +1,146 @@
+/**
+ * Test script for the response cache and incremental search refresh
+ * Runs against a local stand-in for /rest/api/2/search - no Jira access needed
+ * Run with: node tests/test-response-cache.js
+ */
+
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const issues = [];
+for (let i = 1; i <= 30; i++) {
+  issues.push({ key: `NDB-${i}`, summary: `Issue ${i}`, updated: '2026-10-01T10:00:00.000+0000' });
+}
+
+function startStandInJira() {
+  const app = express();
+  app.use(express.json());
+
+  const requests = [];
+  const rejectedKeys = new Set();
+  app.post('/rest/api/2/search', (req, res) => {
+    const { jql, fields = [], startAt = 0, maxResults = 50 } = req.body;
+    requests.push({ jql, fields });
+
+    const keyList = jql.match(/^key in \((.*)\)$/);
+    const rejected = keyList && keyList[1].split(',').find(key => rejectedKeys.has(key));
+    if (rejected) {
+      return res.status(400).json({ errorMessages: [`An issue with key '${rejected}' does not exist for field 'key'.`] });
+    }
+    const matching = keyList ? issues.filter(issue => keyList[1].split(',').includes(issue.key)) : issues;
+    const page = matching.slice(startAt, startAt + maxResults).map(issue => {
+      const issueFields = {};
+      fields.forEach(field => {
+        if (issue[field] !== undefined) issueFields[field] = issue[field];
+      });
+      return { key: issue.key, fields: issueFields };
+    });
+    res.json({ startAt, maxResults, total: matching.length, issues: page });
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve({ server, requests, rejectedKeys }));
+  });
+}
+
+async function runTests() {
+  const { server, requests, rejectedKeys } = await startStandInJira();
+  process.env.JIRA_BASE_URL = `http://localhost:${server.address().port}`;
+  process.env.JIRA_API_TOKEN = 'stand-in-token';
+
+const TestRun = require('./helpers/test-run');
+  const JiraClient = require('../jira-client-clean');
+  const ResponseCache = require('../response-cache');
+  const cacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-test-'));
+  const testRun = new TestRun('response cache');
+  const check = testRun.check;
+
+  try {
+    console.log('\n🧪 Test 1: TTL and token identity');
+    const cache = new ResponseCache({ enabled: true, directory: null, ttlSeconds: { default: 60, short: 0 } });
+    cache.set('titles', 'token-a', { pageId: 1 }, 'Release Plan');
+    check(cache.get('titles', 'token-a', { pageId: 1 }) === 'Release Plan', 'value is returned for the same token and request');
+    check(cache.get('titles', 'token-b', { pageId: 1 }) === undefined, 'another token does not see the entry');
+    cache.set('short', 'token-a', { pageId: 1 }, 'expired');
+    check(cache.get('short', 'token-a', { pageId: 1 }) === undefined, 'expired entry is not returned');
+    check(cache.peek('short', 'token-a', { pageId: 1 }).fresh === false, 'expired entry is still visible to peek');
+    const stats = cache.getStats();
+    check(stats.resources.titles.hits === 1 && stats.resources.titles.misses === 1, 'hits and misses counted per resource');
+    check(!JSON.stringify([...cache.entries.keys()]).includes('token-a'), 'raw token is not part of the cache key');
+
+    console.log('\n🧪 Test 2: Entry limit per resource');
+    const limited = new ResponseCache({ enabled: true, directory: null, maxEntries: 5, ttlSeconds: { default: 60 } });
+    limited.set('search', 'token-a', { jql: 'project = NDB' }, ['NDB-1']);
+    limited.reserve('remoteLinks', issues.length);
+    issues.forEach(issue => limited.set('remoteLinks', 'token-a', { key: issue.key }, []));
+    check(issues.every(issue => limited.get('remoteLinks', 'token-a', { key: issue.key }) !== undefined), `remote links for all ${issues.length} issues stay cached with maxEntries 5`);
+    check(limited.get('search', 'token-a', { jql: 'project = NDB' }) !== undefined, 'search entry is not pushed out by remote links');
+    for (let i = 0; i < 7; i++) {
+      limited.set('metadata', 'token-a', { resource: i }, i);
+    }
+    check(limited.get('metadata', 'token-a', { resource: 0 }) === undefined && limited.get('metadata', 'token-a', { resource: 6 }) === 6, 'least recently used entries are dropped past maxEntries');
+
+    console.log('\n🧪 Test 3: On-disk entries survive a restart');
+    const persistent = new ResponseCache({ enabled: true, directory: cacheDirectory, ttlSeconds: { default: 60 } });
+    await persistent.wrap('metadata', 'token-a', { resource: 'fields' }, async () => [{ id: 'customfield_1' }]);
+    const restarted = new ResponseCache({ enabled: true, directory: cacheDirectory, ttlSeconds: { default: 60 } });
+    const fromDisk = restarted.get('metadata', 'token-a', { resource: 'fields' });
+    check(fromDisk && fromDisk[0].id === 'customfield_1', 'entry is read back from disk');
+
+    console.log('\n🧪 Test 4: Fresh search is served from the cache');
+    const searchCache = new ResponseCache({ enabled: true, directory: null, ttlSeconds: { default: 60, search: 60 } });
+    const jiraClient = new JiraClient({ cache: searchCache });
+    const first = await jiraClient.searchCached('project = NDB', ['summary'], 'stand-in-token', { pageSize: 50 });
+    const requestsAfterFirst = requests.length;
+    const second = await jiraClient.searchCached('project = NDB', ['summary'], 'stand-in-token', { pageSize: 50 });
+    check(first.cache === 'miss' && first.issues.length === 30, 'first search goes to Jira');
+    check(second.cache === 'hit' && requests.length === requestsAfterFirst, 'second search makes no request');
+    second.issues[0].fields.summary = 'changed by caller';
+
+    console.log('\n🧪 Test 5: Expired search refreshes only changed issues');
+    searchCache.entries.forEach(entry => { entry.expiresAt = 0; });
+    issues[4].summary = 'Issue 5 (edited)';
+    issues[4].updated = '2026-10-02T10:00:00.000+0000';
+    issues.splice(9, 1); // NDB-10 left the result set
+    issues.push({ key: 'NDB-31', summary: 'Issue 31', updated: '2026-10-02T11:00:00.000+0000' });
+    const requestsBeforeRefresh = requests.length;
+    const refreshed = await jiraClient.searchCached('project = NDB', ['summary'], 'stand-in-token', { pageSize: 50 });
+    const refreshRequests = requests.slice(requestsBeforeRefresh);
+    check(refreshed.cache === 'incremental' && refreshed.refreshedCount === 2, `two issues re-fetched (got ${refreshed.refreshedCount})`);
+    check(refreshRequests[0].fields.length === 1 && refreshRequests[0].fields[0] === 'updated', 'query re-run with the updated field only');
+    check(refreshRequests[1].jql === 'key in (NDB-5,NDB-31)', 'changed and new issues fetched by key');
+    check(refreshed.issues.length === 30 && !refreshed.issues.some(issue => issue.key === 'NDB-10'), 'issue that left the query is dropped');
+    check(refreshed.issues.find(issue => issue.key === 'NDB-5').fields.summary === 'Issue 5 (edited)', 'changed issue has new fields');
+    check(refreshed.issues[0].fields.summary === 'Issue 1', 'unchanged issues come from the cache, unaffected by caller edits');
+
+    console.log('\n🧪 Test 6: Rejected key batch falls back to a full search');
+    searchCache.entries.forEach(entry => { entry.expiresAt = 0; });
+    issues[5].updated = '2026-10-03T10:00:00.000+0000';
+    rejectedKeys.add('NDB-6');
+    const fallback = await jiraClient.searchCached('project = NDB', ['summary'], 'stand-in-token', { pageSize: 50 });
+    check(fallback.cache === 'miss' && fallback.issues.length === 30, 'full search result is returned');
+    check(fallback.issues.find(issue => issue.key === 'NDB-6').fields.updated === '2026-10-03T10:00:00.000+0000', 'changed issue comes from the full search');
+
+    console.log('\n🧪 Test 7: Invalidating one issue\'s remote links');
+    const linkCache = new ResponseCache({ enabled: true, directory: cacheDirectory, ttlSeconds: { default: 60 } });
+    linkCache.set('remoteLinks', 'token-a', { key: 'NDB-1', updated: 'u1' }, []);
+    linkCache.set('remoteLinks', 'token-b', { key: 'NDB-1', updated: 'u1' }, []);
+    linkCache.set('remoteLinks', 'token-a', { key: 'NDB-2', updated: 'u1' }, []);
+    linkCache.invalidate('remoteLinks', request => request.key === 'NDB-1');
+    const reloaded = new ResponseCache({ enabled: true, directory: cacheDirectory, ttlSeconds: { default: 60 } });
+    check(linkCache.get('remoteLinks', 'token-a', { key: 'NDB-1', updated: 'u1' }) === undefined, 'entry for the issue is gone');
+    check(reloaded.get('remoteLinks', 'token-b', { key: 'NDB-1', updated: 'u1' }) === undefined, 'entries for other tokens and on disk are gone too');
+    check(reloaded.get('remoteLinks', 'token-a', { key: 'NDB-2', updated: 'u1' }) !== undefined, 'other issues stay cached');
+  } catch (error) {
+    testRun.fail(error);
+  } finally {
+    server.close();
+    fs.rmSync(cacheDirectory, { recursive: true, force: true });
+  }
+
+  testRun.finish();
+}
+
+runTests();
@@ -0,0 +1,119 @@
+/**
+ * Test script for scheduled fetches (cron expressions, schedule CRUD, runs and error history)
+ * Uses a stand-in run callback and a temporary schedules file - no Jira access needed
+ * Run with: node tests/test-scheduler.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TestRun = require('./helpers/test-run');
+const CronExpression = require('../cron-expression');
+const Scheduler = require('../scheduler');
+
+const testRun = new TestRun('scheduler');
+const check = testRun.check;
+
+const cronError = (expression) => {
+  try {
+    new CronExpression(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+async function runTests() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+
+  try {
+    console.log('\n🧪 Test 1: Cron expressions');
+    const monday = new CronExpression('30 7 * * MON');
+    const sunday = new Date(2026, 9, 18, 12, 0); // Sunday 2026-10-18 12:00 local time
+    check(monday.nextAfter(sunday).getTime() === new Date(2026, 9, 19, 7, 30).getTime(), 'weekday names: next Monday 07:30');
+    check(monday.matches(new Date(2026, 9, 19, 7, 30, 45)) && !monday.matches(new Date(2026, 9, 19, 7, 31)), 'matches within the minute only');
+    check(new CronExpression('*/15 9-17 * * 1-5').nextAfter(new Date(2026, 9, 19, 17, 50)).getTime() === new Date(2026, 9, 20, 9, 0).getTime(), 'steps and ranges roll over to the next working day');
+    check(new CronExpression('0 0 * * 7').matches(new Date(2026, 9, 18, 0, 0)), '7 is Sunday');
+    check(new CronExpression('0 9 1 * FRI').nextAfter(sunday).getTime() === new Date(2026, 9, 23, 9, 0).getTime(), 'day of month or weekday when both are set');
+    check(new CronExpression('@daily').nextAfter(sunday).getTime() === new Date(2026, 9, 19, 0, 0).getTime(), '@daily shortcut');
+    check(new CronExpression('0 0 31 2 *').nextAfter(sunday) === null, 'impossible date has no next run');
+    check(cronError('60 * * * *') === '"60" is not a valid minute (0-59)', 'out of range value named');
+    check(cronError('* * *').includes('must have 5 fields'), 'wrong field count');
+    check(cronError('5-1 * * * *') === 'Invalid range "5-1" in the minute field' && cronError('*/0 * * * *') !== null, 'bad ranges and steps');
+
+    console.log('\n🧪 Test 2: Schedule CRUD');
+    const runs = [];
+    let failNext = false;
+    const scheduler = new Scheduler({
+      file: path.join(directory, 'schedules.json'),
+      historyLimit: 3,
+      run: async (schedule) => {
+        runs.push(schedule.name);
+        if (failNext) throw new Error('Jira returned 503');
+        return { issueCount: 12, featureCount: 3, snapshotId: 'snap-1', reportFile: null };
+      }
+    });
+    const { schedule, errors } = scheduler.create({ name: ' Monday status ', cron: '0 7 * * MON', jql: '', reportFormat: 'html' });
+    check(errors.length === 0 && schedule.name === 'Monday status' && schedule.jql === null && schedule.enabled && schedule.sendDigest === false, 'created with defaults');
+    const nextRun = new Date(schedule.nextRun);
+    check(nextRun.getDay() === 1 && nextRun.getHours() === 7 && nextRun.getMinutes() === 0 && nextRun > new Date(), 'next run shown');
+    const invalid = scheduler.create({ name: 'monday STATUS', cron: '0 25 * * *', reportFormat: 'pdf' });
+    check(invalid.errors.length === 3 && invalid.errors[0] === 'A schedule named "monday STATUS" already exists', `invalid input rejected (${invalid.errors.join('; ')})`);
+    const updated = scheduler.update(schedule.id, { enabled: false });
+    check(updated.schedule.enabled === false && updated.schedule.cron === '0 7 * * MON' && updated.schedule.nextRun === null, 'partial update keeps other fields');
+    check(scheduler.update('missing', { enabled: true }).schedule === null, 'unknown schedule not updated');
+    check(new Scheduler({ file: path.join(directory, 'schedules.json') }).list().length === 1, 'schedules persisted to the file');
+
+    console.log('\n🧪 Test 3: Timer ticks');
+    const mondaySeven = new Date(2026, 9, 19, 7, 0, 5);
+    await scheduler.tick(mondaySeven);
+    check(runs.length === 0, 'paused schedule does not run');
+    scheduler.update(schedule.id, { enabled: true });
+    await scheduler.tick(mondaySeven);
+    await scheduler.tick(new Date(2026, 9, 19, 7, 0, 40));
+    check(runs.length === 1, 'runs once in its minute');
+    const afterRun = scheduler.get(schedule.id);
+    check(afterRun.lastRun.status === 'success' && afterRun.lastRun.trigger === 'schedule' && afterRun.lastRun.issueCount === 12, 'last run recorded with its result');
+
+    console.log('\n🧪 Test 4: Errors and history');
+    failNext = true;
+    const failedRun = await scheduler.runSchedule(schedule.id);
+    check(failedRun.status === 'error' && failedRun.error === 'Jira returned 503' && failedRun.trigger === 'manual', 'error kept on the run');
+    failNext = false;
+    await scheduler.runSchedule(schedule.id);
+    await scheduler.runSchedule(schedule.id);
+    const history = scheduler.get(schedule.id).history;
+    check(history.length === 3 && history[2].status === 'error', 'history capped, newest first');
+
+    console.log('\n🧪 Test 5: Overlapping and interrupted runs');
+    let release;
+    const slow = new Scheduler({ file: path.join(directory, 'slow.json'), run: () => new Promise(resolve => { release = resolve; }) });
+    const slowSchedule = slow.create({ name: 'Slow', cron: '* * * * *' }).schedule;
+    const first = slow.runSchedule(slowSchedule.id);
+    check(slow.get(slowSchedule.id).running === true, 'running while in progress');
+    check(await slow.runSchedule(slowSchedule.id) === null, 'second run skipped while the first is running');
+    const restarted = new Scheduler({ file: path.join(directory, 'slow.json') });
+    check(restarted.get(slowSchedule.id).lastRun.status === 'interrupted', 'run left over from a restart shown as interrupted');
+    release({ issueCount: 1 });
+    check((await first).status === 'success', 'first run finishes');
+
+    console.log('\n🧪 Test 6: Delete');
+    check(scheduler.remove(schedule.id) && scheduler.list().length === 0 && !scheduler.remove(schedule.id), 'removed once');
+
+    console.log('\n🧪 Test 7: Unreadable schedules file is kept');
+    const brokenFile = path.join(directory, 'broken.json');
+    fs.writeFileSync(brokenFile, '{ "schedules": [ { "name": "Weekly"');
+    const broken = new Scheduler({ file: brokenFile });
+    const refused = broken.create({ name: 'New', cron: '0 7 * * 1' });
+    check(broken.list().length === 0 && refused.schedule === null && refused.errors[0].startsWith(`Schedules file ${brokenFile} could not be read`), 'create refused');
+    check(fs.readFileSync(brokenFile, 'utf8') === '{ "schedules": [ { "name": "Weekly"', 'file left as it was');
+  } catch (error) {
+    testRun.fail(error);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+
+  testRun.finish();
+}
+
+runTests();
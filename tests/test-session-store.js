@@ -0,0 +1,55 @@
+/**
+ * Test script for login sessions (encrypted token storage, expiry, cookie parsing)
+ * Runs in-process - no Jira access needed
+ * Run with: node tests/test-session-store.js
+ */
+
+const TestRun = require('./helpers/test-run');
+const SessionStore = require('../session-store');
+
+const testRun = new TestRun('session store');
+const check = testRun.check;
+
+console.log('\n🧪 Test 1: Tokens are stored encrypted');
+const store = new SessionStore({ ttlHours: 1 });
+const id = store.create({ jiraToken: 'jira-pat-123' });
+const stored = store.sessions.get(id);
+check(id.length >= 40, 'session id is long and random');
+check(!JSON.stringify(stored).includes('jira-pat-123'), 'raw token is not kept in memory');
+const active = store.lookup(id);
+check(active.status === 'active' && active.session.jiraToken === 'jira-pat-123', 'lookup decrypts the Jira token');
+check(active.session.confluenceToken === null, 'no Confluence token until one is added');
+store.setConfluenceToken(id, 'confluence-pat-456');
+check(store.lookup(id).session.confluenceToken === 'confluence-pat-456', 'Confluence token added to the session');
+check(active.session.user === null, 'no user when the token\'s user was not looked up');
+const withUser = store.lookup(store.create({ jiraToken: 'jira-pat-123', user: { name: 'jdoe', displayName: 'Jane Doe' } }));
+check(withUser.session.user.name === 'jdoe', 'user the token belongs to kept with the session');
+
+console.log('\n🧪 Test 2: Tampered data is rejected');
+const tampered = new SessionStore({ ttlHours: 1 });
+let rejected = false;
+try {
+  tampered.decrypt(stored.jiraToken);
+} catch (error) {
+  rejected = true;
+}
+check(rejected, 'ciphertext does not decrypt with another store\'s key');
+
+console.log('\n🧪 Test 3: Expiry and logout');
+stored.expiresAt = Date.now() - 1;
+check(store.lookup(id).status === 'expired', 'expired session reported as expired');
+check(store.lookup(id).status === 'missing', 'expired session is removed');
+const second = store.create({ jiraToken: 'jira-pat-789' });
+store.destroy(second);
+check(store.lookup(second).status === 'missing', 'logged-out session is gone');
+check(store.lookup(null).status === 'missing', 'no cookie means no session');
+
+console.log('\n🧪 Test 4: Cookie');
+const req = { headers: { cookie: `theme=dark; ${store.cookieName}=abc%2D123; other=1` } };
+check(store.readSessionId(req) === 'abc-123', 'session id read from the Cookie header');
+check(store.readSessionId({ headers: {} }) === null, 'missing Cookie header handled');
+const options = store.cookieOptions();
+check(options.httpOnly === true && options.sameSite === 'strict', 'cookie is httpOnly and same-site');
+check(options.maxAge === 60 * 60 * 1000, 'cookie lifetime matches the session TTL');
+
+testRun.finish();
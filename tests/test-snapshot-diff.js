@@ -0,0 +1,70 @@
+/**
+ * Test script for week-over-week snapshot diffs
+ * Uses in-memory snapshots - no Jira access needed
+ * Run with: node tests/test-snapshot-diff.js
+ */
+
+const TestRun = require('./helpers/test-run');
+const SnapshotDiff = require('../snapshot-diff');
+
+function feature(key, overrides = {}) {
+  return {
+    key,
+    summary: `Feature ${key}`,
+    status: 'In Progress',
+    duedate: '2026-11-01',
+    riskIndicator: 'Green',
+    statusUpdate: '10/12: On track',
+    storyPoints: { done: 5, pending: 8, wontFix: 0, total: 13 },
+    ...overrides
+  };
+}
+
+function snapshot(id, takenAt, features) {
+  return {
+    id,
+    takenAt,
+    date: takenAt.split('T')[0],
+    jql: 'filter = 165194',
+    features: Object.fromEntries(features.map(f => [f.key, f]))
+  };
+}
+
+const testRun = new TestRun('snapshot diff');
+const check = testRun.check;
+
+const lastWeek = snapshot('a', '2026-10-12T09:00:00.000Z', [
+  feature('FEAT-1'),
+  feature('FEAT-2'),
+  feature('FEAT-3')
+]);
+const thisWeek = snapshot('b', '2026-10-19T09:00:00.000Z', [
+  feature('FEAT-1', {
+    status: 'Code Complete',
+    duedate: '2026-11-15',
+    riskIndicator: 'Amber',
+    statusUpdate: '10/19: Slipping two weeks',
+    storyPoints: { done: 10, pending: 5, wontFix: 0, total: 15 }
+  }),
+  feature('FEAT-2', { statusUpdate: '10/12:  On track\n' }),
+  feature('FEAT-4')
+]);
+
+console.log('\n🧪 Test 1: Changed feature fields');
+const diff = new SnapshotDiff().compare(lastWeek, thisWeek);
+const feat1 = diff.changed.find(c => c.key === 'FEAT-1');
+check(feat1 && feat1.status.from === 'In Progress' && feat1.status.to === 'Code Complete', 'status transition reported');
+check(feat1 && feat1.duedate.to === '2026-11-15', 'due date change reported');
+check(feat1 && feat1.riskIndicator.from === 'Green' && feat1.riskIndicator.to === 'Amber', 'Risk Indicator change reported');
+check(feat1 && feat1.statusUpdateEdited === true, 'Status Update edit reported');
+check(feat1 && feat1.storyPoints.done.delta === 5 && feat1.storyPoints.pending.delta === -3, 'story point done/pending deltas reported');
+
+console.log('\n🧪 Test 2: Unchanged and whitespace-only edits');
+check(!diff.changed.some(c => c.key === 'FEAT-2'), 'whitespace-only Status Update edit is ignored');
+check(diff.summary.changed === 1, 'only one feature counted as changed');
+
+console.log('\n🧪 Test 3: New and removed features');
+check(diff.added.length === 1 && diff.added[0].key === 'FEAT-4', 'new feature reported');
+check(diff.removed.length === 1 && diff.removed[0].key === 'FEAT-3', 'removed feature reported');
+
+testRun.finish();
@@ -0,0 +1,98 @@
+/**
+ * Test script for the snapshot store
+ * Writes to a temporary directory - no Jira access needed
+ * Run with: node tests/test-snapshot-store.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TestRun = require('./helpers/test-run');
+const SnapshotStore = require('../snapshot-store');
+
+function makeFeature(key, status, storyPoints) {
+  return {
+    key,
+    fields: {
+      summary: `Feature ${key}`,
+      issuetype: { name: 'Feature' },
+      status: { name: status, statusCategory: { key: 'indeterminate' } },
+      duedate: '2026-11-01',
+      fixVersions: [
+        { name: 'NDB-2.9', releaseDate: '2026-08-01', released: true },
+        { name: 'NDB-2.11', releaseDate: '2027-01-15', released: false },
+        { name: 'NDB-2.10', releaseDate: '2026-11-20', released: false }
+      ],
+      customfield_23560: { value: 'Green' },
+      customfield_23073: '10/15: On track'
+    },
+    _storyPoints: storyPoints,
+    _readinessLinks: { cg: [{ url: 'https://confluence.example.com/cg', title: 'CG Readiness' }], pg: null }
+  };
+}
+
+function runTests() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+  const store = new SnapshotStore({ enabled: true, directory });
+  const testRun = new TestRun('snapshot store');
+  const check = testRun.check;
+  
+  try {
+    console.log('\n🧪 Test 1: Save records per-feature fields');
+    const rawIssues = [
+      makeFeature('FEAT-1', 'In Progress', { done: 5, pending: 8, wontFix: 0, total: 13 }),
+      { key: 'NDB-7', fields: { summary: 'Story', issuetype: { name: 'Story' }, status: { name: 'Done' } } }
+    ];
+    const summary = store.save({ rawIssues, formattedIssues: [{ key: 'FEAT-1' }, { key: 'NDB-7' }], jql: 'project = FEAT', total: 2 });
+    check(summary.featureCount === 1, 'only features/initiatives become feature records');
+    check(summary.issueCount === 2, 'formatted issues are stored');
+    
+    const snapshot = store.get(summary.id);
+    const feature = snapshot.features['FEAT-1'];
+    check(feature.status === 'In Progress', 'status recorded');
+    check(feature.riskIndicator === 'Green', 'Risk Indicator option value recorded');
+    check(feature.statusUpdate === '10/15: On track', 'Status Update text recorded');
+    check(feature.storyPoints.total === 13, 'story points recorded');
+    check(feature.readinessLinks.cg.length === 1 && feature.readinessLinks.pg === null, 'readiness links recorded');
+    check(feature.fixVersions.length === 3 && feature.releaseDate === '2026-11-20', 'next release date of the unreleased fix versions recorded');
+    
+    console.log('\n🧪 Test 2: Listing and lookup by date');
+    const today = snapshot.date;
+    check(store.list().length === 1, 'list returns the saved snapshot');
+    check(store.list({ from: '2999-01-01' }).length === 0, 'from filter excludes older snapshots');
+    check(store.getByDate(today).id === summary.id, 'getByDate finds a snapshot taken that day');
+    check(store.getByDate('2000-01-01') === null, 'getByDate returns null before the first snapshot');
+    check(store.list({ jql: 'project = OTHER' }).length === 0, 'jql filter excludes other queries');
+    
+    console.log('\n🧪 Test 3: Invalid ids are rejected');
+    check(store.get('../../etc/passwd') === null, 'path-like ids return null');
+    check(store.get('2000-01-01T00-00-00-000Z') === null, 'unknown id returns null');
+    
+    console.log('\n🧪 Test 4: Scheduled snapshots can be left out');
+    const started = Date.now();
+    while (Date.now() === started) { /* ids are millisecond timestamps */ }
+    const scheduled = store.save({ rawIssues, jql: 'project = FEAT', source: 'schedule:Weekly' });
+    check(store.list().length === 2 && store.list({ includeScheduled: false }).map(item => item.id).join() === summary.id, 'list leaves out schedule:<name> snapshots');
+    check(store.get(scheduled.id) !== null && store.get(scheduled.id, { includeScheduled: false }) === null, 'get hides a scheduled snapshot');
+    check(store.getByDate(today).id === scheduled.id && store.getByDate(today, { includeScheduled: false }).id === summary.id, 'getByDate falls back to the latest unscheduled snapshot');
+    
+    console.log('\n🧪 Test 5: Listing reads the index, not the snapshots');
+    const indexPath = path.join(directory, 'index.json');
+    check(JSON.parse(fs.readFileSync(indexPath, 'utf8')).snapshots.length === 2, 'index.json holds a summary per snapshot');
+    const indexed = new SnapshotStore({ enabled: true, directory });
+    let snapshotReads = 0;
+    const readFile = indexed.readFile.bind(indexed);
+    indexed.readFile = (fileName) => { snapshotReads++; return readFile(fileName); };
+    check(indexed.list().length === 2 && snapshotReads === 0, 'list parses no snapshot file');
+    fs.unlinkSync(indexPath);
+    check(indexed.list().length === 2 && snapshotReads === 2 && fs.existsSync(indexPath), 'missing index is rebuilt from the files');
+    fs.unlinkSync(path.join(directory, `snapshot-${scheduled.id}.json`));
+    check(indexed.list().map(item => item.id).join() === summary.id, 'entry of a removed file is dropped');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+  
+  testRun.finish();
+}
+
+runTests();
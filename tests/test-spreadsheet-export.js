@@ -0,0 +1,97 @@
+/**
+ * Test script for CSV/XLSX export of the feature table
+ * Runs in-process - no Jira access needed
+ * Run with: node tests/test-spreadsheet-export.js
+ */
+
+const zlib = require('zlib');
+const TestRun = require('./helpers/test-run');
+const SpreadsheetExport = require('../spreadsheet-export');
+
+const testRun = new TestRun('spreadsheet export');
+const check = testRun.check;
+
+// The gzip trailer carries the CRC-32 of the data, which checks the zip's own CRC without zlib.crc32
+const gzipCrc = data => { const gzip = zlib.gzipSync(data); return gzip.readUInt32LE(gzip.length - 8); };
+
+// Read the entries of a zip archive (central directory) into { name: text }; names whose stored CRC is wrong
+// are listed in files.badCrc
+function unzip(buffer) {
+  const files = {};
+  const badCrc = [];
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+    if (buffer.readUInt32LE(offset + 16) !== gzipCrc(data) || buffer.readUInt32LE(localOffset + 14) !== gzipCrc(data)) {
+      badCrc.push(name);
+    }
+    files[name] = data.toString('utf8');
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  Object.defineProperty(files, 'badCrc', { value: badCrc });
+  return files;
+}
+
+const columns = [
+  { key: 'key', label: 'Key', type: 'text', jiraField: 'key', active: true },
+  { key: 'summary', label: 'Summary', type: 'text', jiraField: 'summary', active: true },
+  { key: 'customfield_10002', label: 'Story Points', type: 'text', jiraField: 'customfield_10002', active: true },
+  { key: 'priority', label: 'Priority', type: 'text', jiraField: 'priority', active: false },
+  { key: 'duedate', label: 'Due Date', type: 'date', jiraField: 'duedate', active: true },
+  { key: 'percentComplete', label: '% Complete', type: 'text', jiraField: 'percentComplete', active: true },
+  { key: 'cg', label: 'CG Completion', type: 'confluence', jiraField: 'customfield_10000', active: true }
+];
+const issues = [
+  { key: 'NDB-1', fields: { duedate: '2026-11-15' } },
+  { key: 'NDB-2', fields: { duedate: null } }
+];
+const formattedIssues = [
+  {
+    key: 'NDB-1', url: 'https://jira.example.com/browse/NDB-1', summary: 'Backup, "fast" restore', priority: 'High',
+    customfield_10002: { done: 8, pending: 5, wontFix: 1, total: 14 }, duedate: '11/15/2026', percentComplete: 50,
+    cg: 'https://confluence.example.com/x/1', cg_links: [{ url: 'https://confluence.example.com/x/1', title: 'NDB 2.10 CG Readiness' }]
+  },
+  {
+    key: 'NDB-2', url: 'https://jira.example.com/browse/NDB-2', summary: '=cmd|calc', priority: 'Low',
+    customfield_10002: 3, duedate: '', percentComplete: 0, cg: 'No link'
+  }
+];
+
+const exporter = new SpreadsheetExport({ columns, storyPointField: 'customfield_10002' });
+const table = exporter.buildTable(issues, formattedIssues);
+
+console.log('\n🧪 Test 1: Table follows the column configuration');
+check(!table.headers.includes('Priority'), 'inactive column left out');
+check(table.headers.slice(2, 6).join('|') === "Story Points (Done)|Story Points (Pending)|Story Points (Won't Fix)|Story Points (Total)", 'story points split into breakdown columns');
+check(table.headers.includes('CG Completion') && table.headers.includes('CG Completion URL'), 'readiness title and URL columns');
+check(table.rows[0][2].type === 'number' && table.rows[0][5].value === 14, 'breakdown values are numbers');
+check(table.rows[1][2].value === '' && table.rows[1][5].value === 3, 'non-feature estimate goes in the total column');
+check(table.rows[0][6].type === 'date' && table.rows[1][6].value === '', 'due date typed from the raw field');
+
+console.log('\n🧪 Test 2: CSV');
+const csv = exporter.toCsv(table);
+const lines = csv.replace(/^\uFEFF/, '').trim().split('\r\n');
+check(csv.startsWith('\uFEFF'), 'UTF-8 BOM for Excel');
+check(lines[1].startsWith('NDB-1,"Backup, ""fast"" restore",8,5,1,14,2026-11-15,50,NDB 2.10 CG Readiness,https://confluence.example.com/x/1'), 'quoted text, numbers, ISO date and link title/URL');
+check(lines[2].includes(`'=cmd|calc`), 'formula-like text is neutralised');
+
+console.log('\n🧪 Test 3: XLSX');
+const files = unzip(exporter.toXlsx(table));
+const sheet = files['xl/worksheets/sheet1.xml'];
+check(Object.keys(files).includes('[Content_Types].xml') && Object.keys(files).includes('xl/workbook.xml'), 'workbook parts present');
+check(files.badCrc.length === 0, `CRC-32 of every part matches (${files.badCrc.join(', ') || 'none wrong'})`);
+check(sheet.includes('<c r="C2"><v>8</v></c>'), 'number cell stored as a number');
+check(/<c r="G2" s="1"><v>46341<\/v><\/c>/.test(sheet), 'date cell stored as an Excel serial with a date style');
+check(sheet.includes('Backup, &quot;fast&quot; restore'), 'text is XML-escaped');
+check(sheet.includes('<hyperlink ref="A2" r:id="rId1"/>') && files['xl/worksheets/_rels/sheet1.xml.rels'].includes('Target="https://jira.example.com/browse/NDB-1" TargetMode="External"'), 'issue key links to Jira');
+check(files['xl/worksheets/_rels/sheet1.xml.rels'].includes('https://confluence.example.com/x/1'), 'readiness page hyperlinked');
+
+testRun.finish();
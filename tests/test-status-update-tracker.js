@@ -0,0 +1,105 @@
+/**
+ * Test script for Status Update freshness (StatusUpdateTracker): last-updated dates, stale flags and the nudge list
+ * Uses in-memory issues and a fake changelog fetcher - no Jira access needed
+ * Run with: node tests/test-status-update-tracker.js
+ */
+
+const TestRun = require('./helpers/test-run');
+const StatusUpdateTracker = require('../status-update-tracker');
+const ResponseCache = require('../response-cache');
+
+const testRun = new TestRun('status update tracker');
+const check = testRun.check;
+
+const now = new Date('2026-10-19T08:00:00Z');
+const metricsConfig = { doneStatusCategories: ['done'] };
+const config = { field: 'customfield_23073', staleDays: 14, changelog: true, maxChangelogs: 100, metricsConfig };
+
+const feature = (key, statusUpdate, assignee = null, fields = {}) => ({
+  key,
+  fields: {
+    summary: `Feature ${key}`,
+    status: { name: 'In Progress', statusCategory: { key: 'indeterminate' } },
+    assignee: assignee ? { displayName: assignee, emailAddress: `${assignee.toLowerCase().replace(' ', '.')}@example.com` } : null,
+    customfield_23073: statusUpdate,
+    ...fields
+  }
+});
+const edited = (...dates) => ({
+  histories: dates.map(date => ({ created: date, items: [{ field: 'Status Update', fieldId: 'customfield_23073', fromString: 'old', toString: 'new' }] }))
+});
+
+async function run() {
+  console.log('\n🧪 Test 1: Last-updated date');
+  const tracker = new StatusUpdateTracker(config);
+  const text = '2026-10-15: on track\n2026-09-01: kickoff, GA planned 2026-12-01';
+  const fromChangelog = tracker.assess(feature('NDB-1', text), edited('2026-08-20T10:00:00.000+0000', '2026-09-30T10:00:00.000+0000'), now);
+  check(fromChangelog.lastUpdated === '2026-09-30' && fromChangelog.source === 'changelog' && fromChangelog.age === 19, 'newest changelog edit wins over the dates in the text');
+  check(fromChangelog.stale, 'older than staleDays is stale');
+  const fromText = tracker.assess(feature('NDB-1', text), { histories: [] }, now);
+  check(fromText.lastUpdated === '2026-10-15' && fromText.source === 'text' && fromText.age === 4 && !fromText.stale, 'newest past date in the text without a changelog edit');
+  const undated = tracker.assess(feature('NDB-2', 'Waiting on QA'), null, now);
+  check(undated.lastUpdated === null && undated.source === null && !undated.stale, 'an update without a date is not flagged');
+  const empty = tracker.assess(feature('NDB-3', '  '), null, now);
+  check(empty.empty && empty.stale, 'an empty Status Update needs an update');
+  const done = tracker.assess(feature('NDB-4', '', null, { status: { name: 'Done', statusCategory: { key: 'done' } } }), null, now);
+  check(!done.stale, 'done features never need an update');
+  const resolved = tracker.assess(feature('NDB-5', '2026-01-01 shipped', null, { resolution: { name: 'Fixed' } }), null, now);
+  check(!resolved.stale, 'resolved features never need an update');
+
+  console.log('\n🧪 Test 2: Changelogs fetched for open features only, up to maxChangelogs');
+  const requested = [];
+  const jiraClient = {
+    fetchChangelogs: async (keys) => {
+      requested.push(...keys);
+      return Object.fromEntries(keys.map(key => [key, edited('2026-10-18T09:00:00.000+0000')]));
+    }
+  };
+  const issues = () => [
+    feature('NDB-10', '2026-01-05 started', 'Ann Lee'),
+    feature('NDB-11', '', 'Ann Lee'),
+    feature('NDB-12', '2026-02-01 started', 'Bob Ray'),
+    feature('NDB-13', '2026-03-01 started', 'Ann Lee'),
+    feature('NDB-14', '2026-01-01 done', 'Bob Ray', { status: { name: 'Closed', statusCategory: { key: 'done' } } }),
+    feature('NDB-15', '2026-04-01 started')
+  ];
+  const capped = await new StatusUpdateTracker({ ...config, jiraClient, maxChangelogs: 1 }).annotate(issues(), 'token', { now });
+  check(requested.join(',') === 'NDB-10', `changelogs requested for ${requested.join(',')}`);
+  check(capped[0]._statusUpdate.source === 'changelog' && !capped[0]._statusUpdate.stale, 'fetched changelog used');
+  check(capped[2]._statusUpdate.source === 'text' && capped[2]._statusUpdate.stale, 'features past the cap fall back to the text');
+
+  requested.length = 0;
+  const offline = await new StatusUpdateTracker({ ...config, jiraClient, changelog: false }).annotate(issues(), 'token', { now });
+  check(requested.length === 0 && offline.every(issue => issue._statusUpdate.source !== 'changelog'), 'no changelogs fetched with changelog off');
+  check(new StatusUpdateTracker({ metricsConfig, jiraClient }).changelog === true, 'changelogs are on unless disabled');
+
+  console.log('\n🧪 Test 3: Changelogs cached until the feature is updated');
+  requested.length = 0;
+  const responseCache = new ResponseCache({ enabled: true, directory: null });
+  const cachedTracker = new StatusUpdateTracker({ ...config, jiraClient, responseCache });
+  const updatedAt = (updated) => issues().map(issue => ({ ...issue, fields: { ...issue.fields, updated } }));
+  await cachedTracker.annotate(updatedAt('2026-10-18T09:00:00.000+0000'), 'token', { now });
+  const firstRequests = requested.length;
+  const again = await cachedTracker.annotate(updatedAt('2026-10-18T09:00:00.000+0000'), 'token', { now });
+  check(firstRequests === 4 && requested.length === 4, `second fetch served from the cache (${requested.length} requests)`);
+  check(again[0]._statusUpdate.source === 'changelog', 'cached changelog used');
+  const edits = updatedAt('2026-10-18T09:00:00.000+0000');
+  edits[0].fields.updated = '2026-10-19T07:00:00.000+0000';
+  await cachedTracker.annotate(edits, 'token', { now });
+  check(requested.slice(4).join(',') === 'NDB-10', 'only the feature updated since is fetched again');
+
+  console.log('\n🧪 Test 4: Nudge list grouped by assignee');
+  const nudges = tracker.nudgeList(offline);
+  check(nudges.map(group => group.assignee).join(',') === 'Ann Lee,Bob Ray,Unassigned', `largest group first (${nudges.map(group => group.assignee).join(',')})`);
+  check(nudges[0].features.map(item => item.key).join(',') === 'NDB-11,NDB-10,NDB-13', 'never-written first, then oldest update');
+  check(nudges[0].emailAddress === 'ann.lee@example.com' && nudges[2].emailAddress === null, 'assignee email carried for mailto links');
+  check(!nudges.some(group => group.features.some(item => item.key === 'NDB-14')), 'done features left out');
+  check(tracker.nudgeList([feature('NDB-20', 'x')]).length === 0, 'features not annotated are left out');
+
+  testRun.finish();
+}
+
+run().catch(error => {
+  console.error('❌ Test run failed:', error);
+  process.exit(1);
+});
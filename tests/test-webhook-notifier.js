@@ -0,0 +1,161 @@
+/**
+ * Test script for outgoing webhook notifications (rule checks, Slack/Teams/generic payloads, retries, delivery log)
+ * Posts to a local stand-in webhook receiver and uses a temporary state file - no chat tools needed
+ * Run with: node tests/test-webhook-notifier.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const TestRun = require('./helpers/test-run');
+const ReportGenerator = require('../report-generator');
+const WebhookNotifier = require('../webhook-notifier');
+
+// Receivers: /teams fails once with 503, /generic is rate limited once, /broken rejects the payload, /down is down
+function startStandInReceiver() {
+  const app = express();
+  app.use(express.json());
+  const received = { slack: [], teams: [], generic: [], broken: [], down: [], throttled: [] };
+
+  app.post('/:name', (req, res) => {
+    const calls = received[req.params.name];
+    calls.push(req.body);
+    if (req.params.name === 'teams' && calls.length === 1) return res.status(503).send('busy');
+    if (req.params.name === 'generic' && calls.length === 1) return res.status(429).set('Retry-After', '2').send('slow down');
+    if (req.params.name === 'broken') return res.status(400).send('invalid_payload');
+    if (req.params.name === 'down') return res.status(500).json({ error: 'internal' });
+    if (req.params.name === 'throttled') return res.status(429).set('Retry-After', '3600').send('slow down');
+    res.status(200).send('ok');
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve({ server, received }));
+  });
+}
+
+async function runTests() {
+  const { server, received } = await startStandInReceiver();
+  const baseUrl = `http://localhost:${server.address().port}`;
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-test-'));
+  const testRun = new TestRun('webhook notifier');
+  const check = testRun.check;
+
+  const now = new Date('2026-10-19T08:00:00Z');
+  const delays = [];
+  const options = (overrides = {}) => ({
+    enabled: true,
+    retries: 2,
+    retryDelayMs: 100,
+    timeoutMs: 5000,
+    maxRetryDelayMs: 60000,
+    stateFile: path.join(directory, 'webhooks.json'),
+    logLimit: 5,
+    reportGenerator: new ReportGenerator({ jiraBaseUrl: 'https://jira.example.com' }),
+    defaultJql: 'project = NDB',
+    sleep: async (ms) => { delays.push(ms); },
+    targets: ['slack', 'teams', 'generic', 'broken', 'down', 'throttled'].map(name => ({ name, url: `${baseUrl}/${name}`, format: ['slack', 'teams'].includes(name) ? name : undefined })),
+    ...overrides
+  });
+
+  const previousFeatures = {
+    'NDB-1': { key: 'NDB-1', status: 'In Progress', storyPoints: { pending: 5 } },
+    'NDB-2': { key: 'NDB-2', status: 'In Progress', storyPoints: { pending: 5 } },
+    'NDB-3': { key: 'NDB-3', status: 'Done', statusCategory: 'done', storyPoints: { pending: 0 } }
+  };
+  const features = {
+    'NDB-1': { key: 'NDB-1', summary: 'Backup <scheduling>', status: 'In Review', storyPoints: { pending: 9 }, fixVersions: ['NDB-2.10'], releaseDate: '2026-10-25', readinessLinks: { cg: null, pg: null } },
+    'NDB-2': { key: 'NDB-2', summary: 'Clone refresh', status: 'In Progress', storyPoints: { pending: 6 }, duedate: '2026-10-10', readinessLinks: {} },
+    'NDB-3': { key: 'NDB-3', summary: 'Audit log', status: 'Done', statusCategory: 'done', storyPoints: { pending: 0 }, duedate: '2026-10-01', releaseDate: '2026-10-25', readinessLinks: {} },
+    'NDB-4': { key: 'NDB-4', summary: 'Patching', status: 'Open', storyPoints: { pending: 3 }, releaseDate: '2026-12-01', readinessLinks: { cg: null } },
+    'NDB-5': { key: 'NDB-5', summary: 'New feature', status: 'Open', storyPoints: null, readinessLinks: {} }
+  };
+  const rules = [
+    { name: 'Status changed', type: 'statusChange', targets: ['slack'] },
+    { name: 'Scope grew', type: 'pendingIncrease', minIncrease: 3, targets: ['teams'] },
+    { name: 'Overdue', type: 'overdue', targets: ['generic'] },
+    { name: 'CG missing', type: 'readinessMissing', readiness: 'cg', daysBeforeRelease: 14, targets: ['slack'] },
+    { name: 'Bad type', type: 'bogus' },
+    { name: 'Bad target', type: 'overdue', targets: ['nowhere'] }
+  ];
+
+  try {
+    console.log('\n🧪 Test 1: Config validation');
+    const notifier = new WebhookNotifier(options({ rules }));
+    check(notifier.rules.length === 4 && notifier.errors.length === 2, `invalid rules dropped (${notifier.errors.join('; ')})`);
+    check(notifier.errors[1] === 'webhooks.rules[5] (Bad target) names unknown target(s): nowhere', 'unknown target named');
+    const badTargets = WebhookNotifier.validate([{ name: 'x', url: 'ftp://x' }, { name: 'y', url: 'https://y', format: 'discord' }], []);
+    check(badTargets.targets.length === 0 && badTargets.errors.length === 2, 'targets need an http(s) url and a known format');
+
+    console.log('\n🧪 Test 2: Rule checks');
+    const events = notifier.evaluate(features, previousFeatures, now);
+    const summary = events.map(event => `${event.type}:${event.key}`).join(', ');
+    check(summary === 'statusChange:NDB-1, pendingIncrease:NDB-1, overdue:NDB-2, readinessMissing:NDB-1', `expected events (${summary})`);
+    check(events[0].message === 'status In Progress → In Review' && events[1].details.increase === 4, 'status change and pending increase described');
+    check(events[2].message === 'due 2026-10-10 has passed with 6 story points pending', 'overdue with pending work');
+    check(events[3].message === 'no CG readiness page linked, NDB-2.10 releases 2026-10-25 (6 days)', 'missing readiness page before the release');
+    check(notifier.evaluate(features, null, now).every(event => ['overdue', 'readinessMissing'].includes(event.type)), 'without a previous snapshot only conditions are checked');
+
+    console.log('\n🧪 Test 3: Delivery formats and retries');
+    const deliveries = await notifier.notify(features, previousFeatures, { jql: 'project = NDB', now });
+    check(deliveries.length === 3 && deliveries.every(delivery => delivery.status === 'delivered'), 'one delivery per target, all delivered');
+    const slack = received.slack[0];
+    check(slack.blocks[0].type === 'header' && slack.blocks.length === 3 && slack.blocks[1].text.text.startsWith('*<https://jira.example.com/browse/NDB-1|NDB-1>* Backup &lt;scheduling&gt;'), 'Slack blocks with escaped text and linked keys');
+    const teams = deliveries.find(delivery => delivery.target === 'teams');
+    check(received.teams.length === 2 && teams.attempts.length === 2 && teams.attempts[0].status === 503, 'Teams retried after a 503');
+    check(received.teams[1].attachments[0].content.type === 'AdaptiveCard' && received.teams[1].attachments[0].content.body[1].text.includes('[NDB-1](https://jira.example.com/browse/NDB-1)'), 'Teams Adaptive Card');
+    check(delays[0] === 100 && delays[1] === 2000, `backoff delay, then Retry-After honoured (${delays.join(', ')})`);
+    const generic = received.generic[1];
+    check(generic.source === 'ndb-dashboard' && generic.jql === 'project = NDB' && generic.events[0].key === 'NDB-2' && !('dedupeKey' in generic.events[0]), 'generic schema');
+
+    console.log('\n🧪 Test 4: Conditions are sent once per target');
+    const again = await notifier.notify(features, features, { now });
+    check(again.length === 0, 'overdue and missing readiness not repeated on the next fetch');
+    const later = await notifier.notify({ ...features, 'NDB-2': { ...features['NDB-2'], duedate: '2026-10-15' } }, features, { now });
+    check(later.length === 1 && later[0].target === 'generic', 'a new due date is a new condition');
+
+    console.log('\n🧪 Test 5: Failed deliveries');
+    delays.length = 0;
+    const failing = new WebhookNotifier(options({ rules: [{ name: 'Overdue', type: 'overdue', targets: ['down'] }] }));
+    const [down] = await failing.notify(features, null, { now });
+    check(down.status === 'failed' && down.attempts.length === 3 && delays.join(',') === '100,200', 'server errors retried with doubling delays');
+    check(down.attempts[2].error === 'HTTP 500: {"error":"internal"}', 'error kept on the attempt');
+    const [retried] = await failing.notify(features, null, { now });
+    check(retried && retried.target === 'down', 'failed condition tried again on the next fetch');
+    delays.length = 0;
+    const throttled = await failing.deliver(failing.targets.find(target => target.name === 'throttled'), events.slice(0, 1));
+    check(throttled.status === 'failed' && throttled.attempts.length === 1 && delays.length === 0, 'Retry-After over maxRetryDelayMs is not waited for');
+    check(throttled.attempts[0].error.endsWith('(Retry-After 3600s is over the 60s limit, not retried)'), 'give-up reason kept on the attempt');
+    const broken = await failing.deliver(failing.targets.find(target => target.name === 'broken'), events.slice(0, 1));
+    check(broken.status === 'failed' && broken.attempts.length === 1, 'client errors are not retried');
+
+    console.log('\n🧪 Test 6: Delivery log and test sends');
+    const log = failing.listDeliveries();
+    check(log.length === 5 && log[0].target === 'broken', 'newest first, capped at logLimit');
+    check((await failing.sendTest('slack')).test === true && received.slack[received.slack.length - 1].text.startsWith('[Test]'), 'test notification');
+    check(await failing.sendTest('nowhere') === null, 'unknown target');
+    const disabled = new WebhookNotifier(options({ enabled: false, rules }));
+    check((await disabled.notify(features, previousFeatures, { now })).length === 0, 'nothing sent when disabled');
+
+    console.log('\n🧪 Test 7: Rules apply to their own query');
+    const scoped = new WebhookNotifier(options({ rules: [
+      { name: 'Default done', type: 'statusChange', targets: ['slack'] },
+      { name: 'Release overdue', type: 'overdue', jql: 'fixVersion = NDB-2.10', targets: ['slack'] },
+      { name: 'Bad jql', type: 'overdue', jql: ' ' }
+    ] }));
+    check(scoped.rules.length === 2 && scoped.errors[0] === 'webhooks.rules[2] (Bad jql) jql must be a non-empty string', 'blank jql rejected');
+    check(scoped.rulesFor(null).map(rule => rule.name).join() === 'Default done' && scoped.rulesFor(' project =  NDB ').length === 1, 'default query checks rules without jql');
+    check(scoped.rulesFor('fixVersion = NDB-2.10').map(rule => rule.name).join() === 'Release overdue', 'named query checks only its rules');
+    const adHoc = await scoped.notify(features, previousFeatures, { jql: 'assignee = currentUser()', now });
+    check(adHoc.length === 0, 'ad-hoc query triggers nothing');
+  } catch (error) {
+    testRun.fail(error);
+  } finally {
+    server.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+
+  testRun.finish();
+}
+
+runTests();
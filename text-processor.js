@@ -74,7 +74,9 @@ class TextProcessor {
     
     // Extract dates
     const dates = this.extractDates(cleanText);
-    const latestDate = dates.length > 0 ? dates[dates.length - 1] : null;
+    // Dated entries added from the dashboard go on top, so a leading date is the latest one
+    const leadingDate = dates.find(date => cleanText.startsWith(date));
+    const latestDate = leadingDate || (dates.length > 0 ? dates[dates.length - 1] : null);
     
     // Extract key information
     const keyInfo = this.extractKeyInfo(cleanText);
@@ -116,6 +118,51 @@ class TextProcessor {
   batchSummarize(texts) {
     return texts.map(text => this.summarize(text));
   }
+
+  // Newest date mentioned in the text as YYYY-MM-DD, or null. Dates after now are plans, not updates,
+  // so they are skipped; a date without a year is taken as the last such day up to now
+  latestDate(text, now = new Date()) {
+    const today = now.toISOString().slice(0, 10);
+    const extracted = this.extractDates(text);
+    // "Sep 20" out of "15 Sep 2026" or "26-10-12" out of "2026-10-12" is part of a longer match, not a date
+    const dates = extracted
+      .filter(date => !extracted.some(other => other !== date && other.includes(date)))
+      .map(date => this.toIsoDate(date, now))
+      .filter(date => date && date <= today)
+      .sort();
+    return dates.length > 0 ? dates[dates.length - 1] : null;
+  }
+
+  // One extracted date as YYYY-MM-DD; numeric dates other than YYYY-MM-DD are read month first
+  toIsoDate(text, now = new Date()) {
+    const build = (year, month, day) => {
+      const date = new Date(Date.UTC(year, month - 1, day));
+      const valid = month >= 1 && month <= 12 && date.getUTCDate() === day;
+      return valid ? date.toISOString().slice(0, 10) : null;
+    };
+
+    let match = text.match(/^(\d{4})[\/\-](\d{1,2})[\/\-](\d{1,2})$/);
+    if (match) {
+      return build(Number(match[1]), Number(match[2]), Number(match[3]));
+    }
+    match = text.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2}|\d{4})$/);
+    if (match) {
+      const year = Number(match[3]) + (match[3].length === 2 ? 2000 : 0);
+      return build(year, Number(match[1]), Number(match[2]));
+    }
+
+    const month = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+      .indexOf((text.match(/[a-z]{3}/i) || [''])[0].toLowerCase()) + 1;
+    const numbers = (text.match(/\d+/g) || []).map(Number);
+    if (month === 0 || numbers.length === 0) {
+      return null;
+    }
+    if (numbers.length > 1) {
+      return build(numbers[1], month, numbers[0]);
+    }
+    const thisYear = build(now.getUTCFullYear(), month, numbers[0]);
+    return thisYear && thisYear > now.toISOString().slice(0, 10) ? build(now.getUTCFullYear() - 1, month, numbers[0]) : thisYear;
+  }
 }
 
 module.exports = TextProcessor;
@@ -0,0 +1,400 @@
+/**
+ * Webhook Notifier
+ * Checks the rules in webhooks.rules after each fetch (comparing the feature records with the previous
+ * snapshot) and posts what triggered to chat tools: Slack blocks, a Teams Adaptive Card or a generic JSON
+ * schema. Deliveries are retried with backoff, and every attempt is kept in the state file; conditions
+ * that stay true (overdue, missing readiness page) are only sent once per target
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const ConfigManager = require('./config');
+const ReportGenerator = require('./report-generator');
+const Logger = require('./logger');
+
+const logger = new Logger('webhooks');
+
+const RULE_TYPES = ['statusChange', 'pendingIncrease', 'overdue', 'readinessMissing'];
+const FORMATS = ['slack', 'teams', 'generic'];
+// Chat messages list at most this many events; the rest are counted
+const MAX_EVENTS_PER_MESSAGE = 20;
+// Sent markers of conditions that stay true are forgotten after this many days
+const NOTIFIED_RETENTION_DAYS = 90;
+
+class WebhookNotifier {
+  // options override webhook config; options.post(url, payload, { timeout }) and options.sleep(ms) replace
+  // axios and the retry delay (tests), options.reportGenerator decides when a feature is done and
+  // options.defaultJql is the query rules without their own jql are checked for (jira.jql)
+  constructor(options = {}) {
+    const webhookConfig = { ...new ConfigManager().getWebhookConfig(), ...options };
+    this.enabled = webhookConfig.enabled;
+    this.retries = webhookConfig.retries;
+    this.retryDelayMs = webhookConfig.retryDelayMs;
+    this.timeoutMs = webhookConfig.timeoutMs;
+    this.maxRetryDelayMs = webhookConfig.maxRetryDelayMs;
+    this.stateFile = path.resolve(webhookConfig.stateFile);
+    this.logLimit = webhookConfig.logLimit;
+    this.reportGenerator = options.reportGenerator || new ReportGenerator({ jiraBaseUrl: options.jiraBaseUrl });
+    this.post = options.post || ((url, payload, config) => axios.post(url, payload, config));
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.queue = Promise.resolve();
+    this.defaultJql = options.defaultJql || null;
+
+    const { targets, rules, errors } = WebhookNotifier.validate(webhookConfig.targets, webhookConfig.rules);
+    this.targets = targets;
+    this.rules = rules;
+    this.errors = errors;
+  }
+
+  // Invalid targets and rules are dropped; errors says why
+  static validate(targets = [], rules = []) {
+    const errors = [];
+    const validTargets = targets.filter((target, index) => {
+      const label = `webhooks.targets[${index}]`;
+      if (!target || typeof target.name !== 'string' || !target.name.trim()) {
+        errors.push(`${label} needs a name`);
+      } else if (typeof target.url !== 'string' || !/^https?:\/\//i.test(target.url)) {
+        errors.push(`${label} (${target.name}) needs an http(s) url`);
+      } else if (target.format && !FORMATS.includes(target.format)) {
+        errors.push(`${label} (${target.name}) format must be one of ${FORMATS.join(', ')}`);
+      } else {
+        return true;
+      }
+      return false;
+    }).map(target => ({ name: target.name.trim(), url: target.url, format: target.format || 'generic' }));
+
+    const targetNames = validTargets.map(target => target.name);
+    const ruleNames = new Set();
+    const validRules = rules.filter((rule, index) => {
+      const label = `webhooks.rules[${index}]${rule && rule.name ? ` (${rule.name})` : ''}`;
+      if (rule && rule.name && ruleNames.has(rule.name)) {
+        errors.push(`${label} has the same name as an earlier rule`);
+        return false;
+      }
+      if (rule && rule.name) ruleNames.add(rule.name);
+      if (!rule || !RULE_TYPES.includes(rule.type)) {
+        errors.push(`${label} type must be one of ${RULE_TYPES.join(', ')}`);
+        return false;
+      }
+      const unknown = (rule.targets || []).filter(name => !targetNames.includes(name));
+      if (unknown.length > 0) {
+        errors.push(`${label} names unknown target(s): ${unknown.join(', ')}`);
+        return false;
+      }
+      if (rule.jql !== undefined && rule.jql !== null && (typeof rule.jql !== 'string' || !rule.jql.trim())) {
+        errors.push(`${label} jql must be a non-empty string`);
+        return false;
+      }
+      if (rule.type === 'readinessMissing' && rule.readiness && !['cg', 'pg', 'both'].includes(rule.readiness)) {
+        errors.push(`${label} readiness must be cg, pg or both`);
+        return false;
+      }
+      return true;
+    }).map((rule, index) => ({
+      name: rule.name || `${rule.type} ${index + 1}`,
+      type: rule.type,
+      // No targets listed: every target
+      targets: rule.targets && rule.targets.length > 0 ? rule.targets : targetNames,
+      // No jql: the configured default query
+      jql: rule.jql ? rule.jql.trim() : null,
+      toStatuses: Array.isArray(rule.toStatuses) ? rule.toStatuses.map(status => String(status).toLowerCase()) : null,
+      minIncrease: Number(rule.minIncrease) > 0 ? Number(rule.minIncrease) : 1,
+      readiness: rule.readiness || 'both',
+      daysBeforeRelease: Number.isInteger(rule.daysBeforeRelease) && rule.daysBeforeRelease >= 0 ? rule.daysBeforeRelease : 14
+    }));
+
+    return { targets: validTargets, rules: validRules, errors };
+  }
+
+  // Rules that apply to a fetch of jql (null: the default query); ad-hoc queries match no rule unless one names them
+  rulesFor(jql = null) {
+    const normalize = query => String(query || '').replace(/\s+/g, ' ').trim();
+    const fetched = normalize(jql || this.defaultJql);
+    return this.rules.filter(rule => fetched !== '' && normalize(rule.jql || this.defaultJql) === fetched);
+  }
+
+  // Events the rules trigger for one fetch; previousFeatures is null when there is no earlier snapshot
+  // (changes then cannot be detected, conditions still can). Each event is
+  // { rule, type, key, summary, url, status, message, details, dedupeKey }; dedupeKey is set for conditions
+  evaluate(features, previousFeatures = null, now = new Date(), rules = this.rules) {
+    const today = now.toISOString().split('T')[0];
+    const events = [];
+    const records = Object.values(features || {}).sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+
+    rules.forEach(rule => {
+      records.forEach(record => {
+        const previous = previousFeatures ? previousFeatures[record.key] : null;
+        const event = (message, details, dedupeKey = null) => events.push({
+          rule: rule.name,
+          type: rule.type,
+          key: record.key,
+          summary: record.summary || '',
+          url: this.reportGenerator.jiraBaseUrl ? ReportGenerator.safeUrl(`${this.reportGenerator.jiraBaseUrl}/browse/${record.key}`) : null,
+          status: record.status || null,
+          message,
+          details,
+          dedupeKey
+        });
+
+        switch (rule.type) {
+          case 'statusChange':
+            if (previous && (previous.status || '') !== (record.status || '') &&
+              (!rule.toStatuses || rule.toStatuses.includes((record.status || '').toLowerCase()))) {
+              event(`status ${previous.status || 'none'} → ${record.status || 'none'}`, { from: previous.status || null, to: record.status || null });
+            }
+            break;
+
+          case 'pendingIncrease': {
+            const before = WebhookNotifier.pending(previous);
+            const after = WebhookNotifier.pending(record);
+            if (previous && before !== null && after !== null && after - before >= rule.minIncrease) {
+              event(`pending story points ${before} → ${after} (+${after - before})`, { from: before, to: after, increase: after - before });
+            }
+            break;
+          }
+
+          case 'overdue': {
+            const pending = WebhookNotifier.pending(record);
+            if (record.duedate && record.duedate < today && !this.reportGenerator.isDone(record) && pending !== 0) {
+              event(
+                `due ${record.duedate} has passed with ${pending === null ? 'unresolved work' : `${pending} story points pending`}`,
+                { dueDate: record.duedate, pending },
+                `${rule.name}|overdue|${record.key}|${record.duedate}`
+              );
+            }
+            break;
+          }
+
+          case 'readinessMissing': {
+            if (!record.releaseDate || this.reportGenerator.isDone(record)) break;
+            const daysLeft = Math.round((Date.parse(record.releaseDate) - Date.parse(today)) / 86400000);
+            if (daysLeft < 0 || daysLeft > rule.daysBeforeRelease) break;
+            const types = rule.readiness === 'both' ? ['cg', 'pg'] : [rule.readiness];
+            types.filter(type => ((record.readinessLinks || {})[type] || []).length === 0).forEach(type => {
+              const version = (record.fixVersions || []).join(', ') || 'the fix version';
+              event(
+                `no ${type.toUpperCase()} readiness page linked, ${version} releases ${record.releaseDate} (${daysLeft} day${daysLeft === 1 ? '' : 's'})`,
+                { readiness: type, releaseDate: record.releaseDate, daysLeft, fixVersions: record.fixVersions || [] },
+                `${rule.name}|readinessMissing|${record.key}|${type}|${record.releaseDate}`
+              );
+            });
+            break;
+          }
+        }
+      });
+    });
+    return events;
+  }
+
+  static pending(record) {
+    return record && record.storyPoints && !record.storyPoints.error && typeof record.storyPoints.pending === 'number'
+      ? record.storyPoints.pending
+      : null;
+  }
+
+  // Evaluate the rules for jql and deliver; runs one at a time so two fetches finishing together do not send a
+  // condition twice. Resolves the deliveries made (see deliver)
+  notify(features, previousFeatures = null, { jql = null, now = new Date() } = {}) {
+    const run = async () => {
+      const rules = this.rulesFor(jql);
+      if (!this.enabled || rules.length === 0) return [];
+      const events = this.evaluate(features, previousFeatures, now, rules);
+      if (events.length === 0) return [];
+
+      const state = this.readState();
+      const deliveries = [];
+      for (const target of this.targets) {
+        const targetEvents = events.filter(event => this.rules.find(rule => rule.name === event.rule).targets.includes(target.name) &&
+          !(event.dedupeKey && state.notified[`${target.name}|${event.dedupeKey}`]));
+        if (targetEvents.length === 0) continue;
+        deliveries.push(await this.deliver(target, targetEvents, { jql, now }));
+      }
+      return deliveries;
+    };
+    const result = this.queue.then(run);
+    this.queue = result.catch(error => logger.error(`[notify] ${error.message}`));
+    return result;
+  }
+
+  // One POST with retries: network errors, 429 (honouring Retry-After) and 5xx are retried with doubling delays,
+  // other 4xx are not. A Retry-After longer than maxRetryDelayMs gives up instead of holding up the queue.
+  // Resolves the delivery record kept in the log
+  async deliver(target, events, { jql = null, now = new Date(), test = false } = {}) {
+    const payload = this.buildPayload(target.format, events, { jql, now, test });
+    const delivery = {
+      id: crypto.randomUUID(),
+      target: target.name,
+      format: target.format,
+      rules: [...new Set(events.map(event => event.rule))],
+      eventCount: events.length,
+      test,
+      status: 'failed',
+      createdAt: new Date().toISOString(),
+      attempts: []
+    };
+
+    for (let attempt = 1; attempt <= this.retries + 1; attempt++) {
+      const startedAt = Date.now();
+      let retryAfterMs = null;
+      let retryable = true;
+      try {
+        const response = await this.post(target.url, payload, {
+          timeout: this.timeoutMs,
+          headers: { 'Content-Type': 'application/json' },
+          validateStatus: () => true
+        });
+        delivery.attempts.push({ at: new Date(startedAt).toISOString(), status: response.status, durationMs: Date.now() - startedAt, error: null });
+        if (response.status >= 200 && response.status < 300) {
+          delivery.status = 'delivered';
+          break;
+        }
+        delivery.attempts[delivery.attempts.length - 1].error = WebhookNotifier.describeResponse(response);
+        retryable = response.status === 429 || response.status >= 500;
+        const retryAfter = parseInt((response.headers || {})['retry-after'], 10);
+        retryAfterMs = response.status === 429 && retryAfter >= 0 ? retryAfter * 1000 : null;
+      } catch (error) {
+        delivery.attempts.push({ at: new Date(startedAt).toISOString(), status: null, durationMs: Date.now() - startedAt, error: error.message });
+      }
+
+      if (!retryable || attempt > this.retries) break;
+      if (retryAfterMs !== null && retryAfterMs > this.maxRetryDelayMs) {
+        delivery.attempts[attempt - 1].error += ` (Retry-After ${retryAfterMs / 1000}s is over the ${this.maxRetryDelayMs / 1000}s limit, not retried)`;
+        break;
+      }
+      const delay = retryAfterMs !== null ? retryAfterMs : this.retryDelayMs * 2 ** (attempt - 1);
+      logger.warn(`[deliver] ${target.name}: attempt ${attempt} failed (${delivery.attempts[attempt - 1].error}), retrying in ${delay}ms`);
+      await this.sleep(delay);
+    }
+
+    delivery.finishedAt = new Date().toISOString();
+    this.recordDelivery(delivery, delivery.status === 'delivered' ? events.filter(event => event.dedupeKey) : [], target.name);
+    if (delivery.status === 'delivered') {
+      logger.info(`[deliver] ${events.length} event(s) to ${target.name} (${target.format}) after ${delivery.attempts.length} attempt(s)`);
+    } else {
+      logger.error(`[deliver] ${target.name} failed after ${delivery.attempts.length} attempt(s): ${delivery.attempts[delivery.attempts.length - 1].error}`);
+    }
+    return delivery;
+  }
+
+  static describeResponse(response) {
+    const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data || '');
+    return `HTTP ${response.status}${body && body !== '""' ? `: ${body.slice(0, 200)}` : ''}`;
+  }
+
+  // Sends a sample event to one target (the target name as configured); null when there is no such target
+  sendTest(targetName, now = new Date()) {
+    const target = this.targets.find(item => item.name === targetName);
+    if (!target) return Promise.resolve(null);
+    const event = {
+      rule: 'Test',
+      type: 'test',
+      key: 'TEST-1',
+      summary: 'Webhook test from the NDB dashboard',
+      url: null,
+      status: null,
+      message: 'this is a test notification - no rule triggered it',
+      details: {},
+      dedupeKey: null
+    };
+    return this.deliver(target, [event], { now, test: true });
+  }
+
+  buildPayload(format, events, { jql = null, now = new Date(), test = false } = {}) {
+    const title = `${test ? '[Test] ' : ''}NDB dashboard: ${events.length} notification${events.length === 1 ? '' : 's'}`;
+    const shown = events.slice(0, MAX_EVENTS_PER_MESSAGE);
+    const more = events.length - shown.length;
+
+    if (format === 'slack') {
+      const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      return {
+        text: title,
+        blocks: [
+          { type: 'header', text: { type: 'plain_text', text: title.slice(0, 150) } },
+          ...shown.map(event => ({
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: `*${event.url ? `<${event.url}|${escape(event.key)}>` : escape(event.key)}* ${escape(event.summary)}\n${escape(event.message)}\n_${escape(event.rule)}_`
+            }
+          })),
+          ...(more > 0 ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: `and ${more} more` }] }] : [])
+        ]
+      };
+    }
+
+    if (format === 'teams') {
+      return {
+        type: 'message',
+        attachments: [{
+          contentType: 'application/vnd.microsoft.card.adaptive',
+          content: {
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            type: 'AdaptiveCard',
+            version: '1.4',
+            body: [
+              { type: 'TextBlock', text: title, weight: 'Bolder', size: 'Medium', wrap: true },
+              ...shown.map(event => ({
+                type: 'TextBlock',
+                // Adaptive Card TextBlocks take Markdown links
+                text: `**${event.url ? `[${event.key}](${event.url})` : event.key}** ${event.summary}: ${event.message} (${event.rule})`,
+                wrap: true,
+                separator: true
+              })),
+              ...(more > 0 ? [{ type: 'TextBlock', text: `and ${more} more`, isSubtle: true, wrap: true }] : [])
+            ]
+          }
+        }]
+      };
+    }
+
+    return {
+      source: 'ndb-dashboard',
+      test,
+      sentAt: now.toISOString(),
+      jql,
+      events: events.map(({ dedupeKey, ...event }) => event)
+    };
+  }
+
+  // Delivery log, newest first
+  listDeliveries(limit = this.logLimit) {
+    return this.readState().deliveries.slice(0, limit);
+  }
+
+  recordDelivery(delivery, notifiedEvents, targetName) {
+    const state = this.readState();
+    const cutoff = Date.now() - NOTIFIED_RETENTION_DAYS * 86400000;
+    Object.keys(state.notified).forEach(key => {
+      if (Date.parse(state.notified[key]) < cutoff) delete state.notified[key];
+    });
+    notifiedEvents.forEach(event => {
+      state.notified[`${targetName}|${event.dedupeKey}`] = delivery.finishedAt;
+    });
+    state.deliveries = [delivery, ...state.deliveries].slice(0, this.logLimit);
+    this.writeState(state);
+  }
+
+  readState() {
+    try {
+      const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      return {
+        notified: state.notified && typeof state.notified === 'object' ? state.notified : {},
+        deliveries: Array.isArray(state.deliveries) ? state.deliveries : []
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`[readState] Ignoring unreadable webhook state ${this.stateFile}: ${error.message}`);
+      }
+      return { notified: {}, deliveries: [] };
+    }
+  }
+
+  writeState(state) {
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2));
+  }
+}
+
+module.exports = WebhookNotifier;